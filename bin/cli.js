@@ -32,6 +32,10 @@ COMMANDS:
   accounts remove       Remove accounts interactively
   accounts verify       Verify account tokens are valid
   accounts clear        Remove all accounts
+  keys list             List scoped API keys
+  keys create <name>    Create a scoped API key
+                        (--models a,b --expires 30d --rate-limit 60)
+  keys revoke <id|name> Revoke a scoped API key
 
 OPTIONS:
   --help, -h            Show this help message
@@ -45,6 +49,7 @@ EXAMPLES:
   PORT=3000 cursor-ai-bridge start
   cursor-ai-bridge accounts add
   cursor-ai-bridge accounts list
+  cursor-ai-bridge keys create alice --models "claude-*" --rate-limit 30
 
 CONFIGURATION:
   Cursor IDE settings.json:
@@ -87,6 +92,14 @@ async function main() {
       break;
     }
 
+    case 'keys': {
+      // Pass remaining args to keys CLI
+      const subCommand = args[1] || 'list';
+      process.argv = ['node', 'keys-cli.js', subCommand, ...args.slice(2)];
+      await import('../src/keys-cli.js');
+      break;
+    }
+
     case 'help':
       showHelp();
       break;
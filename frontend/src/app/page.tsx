@@ -8,17 +8,38 @@ import {
   ApiConfigCard,
   AccountStatusCard,
   RecentActivity,
+  UsageCharts,
+  BudgetsCard,
+  ModelAliasesCard,
+  ThrottleCard,
+  AdminLogin,
   DashboardData,
 } from "@/components/dashboard";
 
+type AuthState = "ok" | "login" | "forbidden";
+
 export default function Home() {
   const [data, setData] = useState<DashboardData | null>(null);
   const [loading, setLoading] = useState(true);
+  const [auth, setAuth] = useState<AuthState>("ok");
+  const [forbiddenMessage, setForbiddenMessage] = useState<string | null>(null);
 
   const fetchData = async () => {
     try {
       const response = await fetch("/api/dashboard");
       const json = await response.json();
+      if (response.status === 401) {
+        setAuth("login");
+        setData(null);
+        return;
+      }
+      if (response.status === 403) {
+        setAuth("forbidden");
+        setForbiddenMessage(json?.error?.message ?? "Admin access denied");
+        setData(null);
+        return;
+      }
+      setAuth("ok");
       setData(json);
     } catch (error) {
       console.error("Failed to fetch dashboard data:", error);
@@ -27,6 +48,16 @@ export default function Home() {
     }
   };
 
+  const handleLogout = async () => {
+    try {
+      await fetch("/api/admin/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Failed to log out:", error);
+    }
+    setAuth("login");
+    setData(null);
+  };
+
   useEffect(() => {
     fetchData();
     const interval = setInterval(fetchData, 10000);
@@ -44,6 +75,15 @@ export default function Home() {
     );
   }
 
+  if (auth !== "ok") {
+    return (
+      <AdminLogin
+        forbiddenMessage={auth === "forbidden" ? forbiddenMessage : null}
+        onLoggedIn={fetchData}
+      />
+    );
+  }
+
   if (!data) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-background">
@@ -63,7 +103,7 @@ export default function Home() {
       <div className="border-b border-border/40 bg-card/50">
         <div className="container mx-auto px-6 py-6">
           <div className="mb-6">
-            <Header isOnline={isServerOnline} />
+            <Header isOnline={isServerOnline} onLogout={handleLogout} />
           </div>
           <StatsBar server={data.server} ngrok={data.ngrok} />
         </div>
@@ -83,7 +123,23 @@ export default function Home() {
         </div>
 
         <div className="mt-6">
-          <RecentActivity requests={data.requests} />
+          <UsageCharts refreshKey={data.timestamp} />
+        </div>
+
+        <div className="mt-6">
+          <BudgetsCard refreshKey={data.timestamp} />
+        </div>
+
+        <div className="mt-6">
+          <ThrottleCard throttle={data.throttle} />
+        </div>
+
+        <div className="mt-6">
+          <ModelAliasesCard />
+        </div>
+
+        <div className="mt-6">
+          <RecentActivity refreshKey={data.timestamp} />
         </div>
       </div>
     </div>
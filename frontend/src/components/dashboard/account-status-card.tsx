@@ -9,6 +9,13 @@ import { BarChart3, RefreshCw, AlertCircle, CheckCircle2, Plus } from "lucide-re
 import { AccountsData, AccountLimitsResponse, AccountLimit } from "./types";
 import { AccountLimitsModal } from "./account-limits-modal";
 
+const STRATEGY_LABELS: Record<string, string> = {
+  sticky: "Sticky",
+  "round-robin": "Round robin",
+  "most-quota": "Most quota left",
+  lru: "Least recently used",
+};
+
 interface AccountStatusCardProps {
   accounts: AccountsData;
 }
@@ -88,6 +95,8 @@ export function AccountStatusCard({ accounts }: AccountStatusCardProps) {
   const [limitsData, setLimitsData] = useState<AccountLimitsResponse | null>(null);
   const [loading, setLoading] = useState(false);
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
+  const [strategy, setStrategy] = useState<string | null>(null);
+  const [strategies, setStrategies] = useState<string[]>([]);
 
   const fetchLimits = async () => {
     setLoading(true);
@@ -106,6 +115,39 @@ export function AccountStatusCard({ accounts }: AccountStatusCardProps) {
     }
   };
 
+  const fetchStrategy = async () => {
+    try {
+      const response = await fetch("/api/accounts/strategy");
+      if (!response.ok) {
+        throw new Error("Failed to fetch selection strategy");
+      }
+      const json = await response.json();
+      setStrategy(json.strategy);
+      setStrategies(json.strategies);
+    } catch (error) {
+      console.error("Failed to fetch selection strategy:", error);
+    }
+  };
+
+  const handleStrategyChange = async (value: string) => {
+    try {
+      const response = await fetch("/api/accounts/strategy", {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ strategy: value }),
+      });
+      if (response.ok) {
+        setStrategy(value);
+      } else {
+        console.error("Failed to set selection strategy");
+      }
+    } catch (error) {
+      console.error("Error setting selection strategy:", error);
+    }
+  };
+
   const handleToggleAccount = async (email: string, disabled: boolean) => {
     try {
       const response = await fetch("/api/accounts/toggle", {
@@ -142,6 +184,7 @@ export function AccountStatusCard({ accounts }: AccountStatusCardProps) {
   // Fetch on mount and every 5 minutes
   useEffect(() => {
     fetchLimits();
+    fetchStrategy();
     const interval = setInterval(fetchLimits, 5 * 60 * 1000); // 5 minutes
     return () => clearInterval(interval);
   }, []);
@@ -210,6 +253,21 @@ export function AccountStatusCard({ accounts }: AccountStatusCardProps) {
               </CardDescription>
             </div>
             <div className="flex items-center gap-2">
+              {strategy && (
+                <select
+                  aria-label="Account selection strategy"
+                  title="Account selection strategy"
+                  value={strategy}
+                  onChange={(e) => handleStrategyChange(e.target.value)}
+                  className="h-8 rounded-md border border-border/40 bg-background px-2 text-xs text-muted-foreground"
+                >
+                  {strategies.map((s) => (
+                    <option key={s} value={s}>
+                      {STRATEGY_LABELS[s] ?? s}
+                    </option>
+                  ))}
+                </select>
+              )}
               <Button
                 variant="outline"
                 size="sm"
@@ -0,0 +1,83 @@
+"use client";
+
+import { useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Lock, AlertCircle } from "lucide-react";
+
+interface AdminLoginProps {
+  /** Set when the server refuses admin access from this address */
+  forbiddenMessage?: string | null;
+  onLoggedIn: () => void;
+}
+
+export function AdminLogin({ forbiddenMessage, onLoggedIn }: AdminLoginProps) {
+  const [token, setToken] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/admin/login", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token: token.trim() }),
+      });
+      if (!response.ok) {
+        const json = await response.json().catch(() => null);
+        throw new Error(json?.message || json?.error?.message || "Login failed");
+      }
+      setToken("");
+      onLoggedIn();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Login failed");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-background px-6">
+      <Card className="w-full max-w-md border-border/40">
+        <CardHeader>
+          <div className="flex items-center gap-2">
+            <Lock className="h-4 w-4 text-muted-foreground" />
+            <CardTitle className="text-base">Admin Login</CardTitle>
+          </div>
+          <CardDescription>
+            Enter the admin token printed when the server started. It is saved in{" "}
+            <code className="text-xs">~/.config/antigravity-proxy/admin-token.txt</code>.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {forbiddenMessage ? (
+            <div className="flex items-start gap-2 text-sm text-destructive">
+              <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+              <span>{forbiddenMessage}</span>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <input
+                type="password"
+                autoComplete="current-password"
+                placeholder="agadm_..."
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                className="w-full h-9 rounded-md border border-border/40 bg-background px-3 text-sm font-mono"
+              />
+              {error && <p className="text-xs text-destructive">{error}</p>}
+              <Button type="submit" className="w-full" disabled={submitting || !token.trim()}>
+                {submitting ? "Logging in..." : "Log in"}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Wallet } from "lucide-react";
+import { BudgetPeriodUsage, BudgetSummary } from "./types";
+
+interface BudgetsCardProps {
+  /** Changes whenever the dashboard polls, triggering a refetch */
+  refreshKey?: string;
+}
+
+function formatCount(count: number): string {
+  if (count >= 1_000_000) {
+    return `${(count / 1_000_000).toFixed(1)}M`;
+  }
+  if (count >= 1000) {
+    return `${(count / 1000).toFixed(1)}k`;
+  }
+  return count.toString();
+}
+
+function getBarColor(fraction: number): string {
+  if (fraction >= 1) return "bg-red-500";
+  if (fraction >= 0.8) return "bg-yellow-500";
+  return "bg-green-500";
+}
+
+function UsageBar({ label, used, limit }: { label: string; used: number; limit: number | null }) {
+  const fraction = limit ? Math.min(used / limit, 1) : 0;
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-[11px] text-muted-foreground">
+        <span>{label}</span>
+        <span>
+          {formatCount(used)}
+          {limit ? ` / ${formatCount(limit)}` : ""}
+        </span>
+      </div>
+      {limit ? (
+        <div className="h-1.5 rounded-full bg-muted overflow-hidden">
+          <div className={`h-full ${getBarColor(used / limit)}`} style={{ width: `${fraction * 100}%` }} />
+        </div>
+      ) : (
+        <div className="h-1.5 rounded-full bg-muted/40" title="No limit" />
+      )}
+    </div>
+  );
+}
+
+function PeriodUsage({ title, usage }: { title: string; usage: BudgetPeriodUsage }) {
+  return (
+    <div className="space-y-2">
+      <p className="text-xs font-medium">{title}</p>
+      <UsageBar label="Tokens" used={usage.tokens} limit={usage.tokenLimit} />
+      <UsageBar label="Requests" used={usage.requests} limit={usage.requestLimit} />
+    </div>
+  );
+}
+
+function isExhausted(usage: BudgetPeriodUsage): boolean {
+  return (
+    (usage.tokenLimit !== null && usage.tokens >= usage.tokenLimit) ||
+    (usage.requestLimit !== null && usage.requests >= usage.requestLimit)
+  );
+}
+
+export function BudgetsCard({ refreshKey }: BudgetsCardProps) {
+  const [budgets, setBudgets] = useState<BudgetSummary[]>([]);
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      const response = await fetch("/api/budgets");
+      if (!response.ok) {
+        throw new Error("Failed to fetch budgets");
+      }
+      const json = await response.json();
+      setBudgets(json.budgets);
+    } catch (error) {
+      console.error("Failed to fetch budgets:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fetchBudgets, refreshKey]);
+
+  return (
+    <Card className="border-border/40">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Budgets</CardTitle>
+            <CardDescription>Token and request consumption per API key and client (UTC periods)</CardDescription>
+          </div>
+          <Wallet className="h-4 w-4 text-muted-foreground" />
+        </div>
+      </CardHeader>
+      <CardContent>
+        {budgets.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            No usage this month
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {budgets.map((budget) => {
+              const exhausted = isExhausted(budget.daily) || isExhausted(budget.monthly);
+              return (
+                <div key={budget.subject} className="p-3 rounded-md border border-border/40 space-y-3">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className="text-[10px] py-0 h-4 font-normal">
+                      {budget.type === "key" ? "API key" : "Client"}
+                    </Badge>
+                    <span className="text-sm font-medium truncate">{budget.name ?? budget.id}</span>
+                    {exhausted && (
+                      <Badge variant="destructive" className="text-[10px] py-0 h-4">
+                        Budget spent
+                      </Badge>
+                    )}
+                  </div>
+                  <div className="grid gap-4 md:grid-cols-2">
+                    <PeriodUsage title="Today" usage={budget.daily} />
+                    <PeriodUsage title="This month" usage={budget.monthly} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
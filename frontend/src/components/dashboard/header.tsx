@@ -1,11 +1,13 @@
 import { Badge } from "@/components/ui/badge";
-import { Zap, CheckCircle2, AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Zap, CheckCircle2, AlertCircle, LogOut } from "lucide-react";
 
 interface HeaderProps {
   isOnline: boolean;
+  onLogout?: () => void;
 }
 
-export function Header({ isOnline }: HeaderProps) {
+export function Header({ isOnline, onLogout }: HeaderProps) {
   return (
     <div className="flex items-center justify-between">
       <div className="flex items-center gap-3">
@@ -18,14 +20,21 @@ export function Header({ isOnline }: HeaderProps) {
         </div>
       </div>
       
-      <Badge variant={isOnline ? "default" : "destructive"} className="gap-1.5">
-        {isOnline ? (
-          <CheckCircle2 className="h-3 w-3" />
-        ) : (
-          <AlertCircle className="h-3 w-3" />
+      <div className="flex items-center gap-2">
+        <Badge variant={isOnline ? "default" : "destructive"} className="gap-1.5">
+          {isOnline ? (
+            <CheckCircle2 className="h-3 w-3" />
+          ) : (
+            <AlertCircle className="h-3 w-3" />
+          )}
+          {isOnline ? "Online" : "Offline"}
+        </Badge>
+        {onLogout && (
+          <Button variant="ghost" size="icon-sm" onClick={onLogout} title="Log out">
+            <LogOut />
+          </Button>
         )}
-        {isOnline ? "Online" : "Offline"}
-      </Badge>
+      </div>
     </div>
   );
 }
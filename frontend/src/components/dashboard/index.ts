@@ -4,12 +4,29 @@ export { ApiConfigCard } from "./api-config-card";
 export { AccountStatusCard } from "./account-status-card";
 export { AccountLimitsModal } from "./account-limits-modal";
 export { RecentActivity } from "./recent-activity";
+export { UsageCharts } from "./usage-charts";
+export { BudgetsCard } from "./budgets-card";
+export { ModelAliasesCard } from "./model-aliases-card";
+export { ThrottleCard } from "./throttle-card";
 export { SecretField } from "./secret-field";
+export { AdminLogin } from "./admin-login";
 export type { 
   DashboardData, 
   ServerData, 
   NgrokData, 
   RequestData, 
+  RequestHistoryPage,
+  RequestHistoryFilters,
+  UsageAggregate,
+  UsageTimelineBucket,
+  UsageGroup,
+  UsageAnalytics,
+  BudgetPeriodUsage,
+  BudgetSummary,
+  ModelAliasDefaults,
+  ModelAlias,
+  ThrottleLimiter,
+  ThrottleStatus,
   Account, 
   AccountsData,
   AccountLimitsResponse,
@@ -0,0 +1,243 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { ArrowRight, Pencil, Route, Trash2 } from "lucide-react";
+import { ModelAlias, ModelAliasDefaults } from "./types";
+
+interface AliasForm {
+  alias: string;
+  model: string;
+  description: string;
+  maxTokens: string;
+  temperature: string;
+  topP: string;
+  thinkingBudget: string;
+}
+
+const EMPTY_FORM: AliasForm = {
+  alias: "",
+  model: "",
+  description: "",
+  maxTokens: "",
+  temperature: "",
+  topP: "",
+  thinkingBudget: "",
+};
+
+const DEFAULT_FIELDS: { key: keyof ModelAliasDefaults; label: string; placeholder: string }[] = [
+  { key: "maxTokens", label: "max_tokens", placeholder: "8192" },
+  { key: "temperature", label: "temperature", placeholder: "0.7" },
+  { key: "topP", label: "top_p", placeholder: "0.95" },
+  { key: "thinkingBudget", label: "thinking budget", placeholder: "4096" },
+];
+
+const inputClassName = "w-full h-8 rounded-md border border-border/40 bg-background px-2 text-sm";
+
+function toForm(alias: ModelAlias): AliasForm {
+  const value = (n?: number) => (n === undefined ? "" : String(n));
+  return {
+    alias: alias.alias,
+    model: alias.model,
+    description: alias.description || "",
+    maxTokens: value(alias.defaults.maxTokens),
+    temperature: value(alias.defaults.temperature),
+    topP: value(alias.defaults.topP),
+    thinkingBudget: value(alias.defaults.thinkingBudget),
+  };
+}
+
+function toDefaults(form: AliasForm): ModelAliasDefaults {
+  const defaults: ModelAliasDefaults = {};
+  for (const { key } of DEFAULT_FIELDS) {
+    if (form[key].trim() !== "") {
+      defaults[key] = Number(form[key]);
+    }
+  }
+  return defaults;
+}
+
+export function ModelAliasesCard() {
+  const [aliases, setAliases] = useState<ModelAlias[]>([]);
+  const [form, setForm] = useState<AliasForm>(EMPTY_FORM);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAliases = useCallback(async () => {
+    try {
+      const response = await fetch("/api/model-aliases");
+      if (!response.ok) {
+        throw new Error("Failed to fetch model aliases");
+      }
+      const json = await response.json();
+      setAliases(json.aliases);
+    } catch (error) {
+      console.error("Failed to fetch model aliases:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAliases();
+  }, [fetchAliases]);
+
+  const updateField = (field: keyof AliasForm) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/model-aliases/${encodeURIComponent(form.alias.trim())}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: form.model.trim(),
+          description: form.description.trim() || null,
+          defaults: toDefaults(form),
+        }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        throw new Error(json.message || "Failed to save alias");
+      }
+      setForm(EMPTY_FORM);
+      await fetchAliases();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to save alias");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (alias: string) => {
+    if (!window.confirm(`Remove alias "${alias}"?`)) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/model-aliases/${encodeURIComponent(alias)}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) {
+        const json = await response.json();
+        throw new Error(json.message || "Failed to remove alias");
+      }
+      await fetchAliases();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to remove alias");
+    }
+  };
+
+  return (
+    <Card className="border-border/40">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Model Aliases</CardTitle>
+            <CardDescription>
+              Route model names to real models with default parameters. An alias named{" "}
+              <code className="text-xs">default</code> is used when a request omits the model.
+            </CardDescription>
+          </div>
+          <Route className="h-4 w-4 text-muted-foreground" />
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {aliases.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            No aliases configured
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {aliases.map((alias) => (
+              <div
+                key={alias.alias}
+                className="flex items-center justify-between gap-3 p-3 rounded-md border border-border/40"
+              >
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="font-medium font-mono">{alias.alias}</span>
+                    <ArrowRight className="h-3 w-3 text-muted-foreground shrink-0" />
+                    <span className="font-mono truncate">{alias.model}</span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-1">
+                    {DEFAULT_FIELDS.filter(({ key }) => alias.defaults[key] !== undefined).map(({ key, label }) => (
+                      <Badge key={key} variant="outline" className="text-[10px] py-0 h-4 font-normal">
+                        {label}: {alias.defaults[key]}
+                      </Badge>
+                    ))}
+                    {alias.description && (
+                      <span className="text-xs text-muted-foreground truncate">{alias.description}</span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <Button variant="ghost" size="icon-sm" onClick={() => setForm(toForm(alias))}>
+                    <Pencil className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button variant="ghost" size="icon-sm" onClick={() => handleDelete(alias.alias)}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="space-y-3 pt-2 border-t border-border/40">
+          <div className="grid gap-3 md:grid-cols-3">
+            <input
+              placeholder="Alias (e.g. fast)"
+              value={form.alias}
+              onChange={updateField("alias")}
+              className={`${inputClassName} font-mono`}
+            />
+            <input
+              placeholder="Target model (e.g. gemini-3-flash)"
+              value={form.model}
+              onChange={updateField("model")}
+              className={`${inputClassName} font-mono`}
+            />
+            <input
+              placeholder="Description (optional)"
+              value={form.description}
+              onChange={updateField("description")}
+              className={inputClassName}
+            />
+          </div>
+          <div className="grid gap-3 grid-cols-2 md:grid-cols-4">
+            {DEFAULT_FIELDS.map(({ key, label, placeholder }) => (
+              <label key={key} className="space-y-1">
+                <span className="text-[11px] text-muted-foreground">{label}</span>
+                <input
+                  type="number"
+                  step="any"
+                  placeholder={placeholder}
+                  value={form[key]}
+                  onChange={updateField(key)}
+                  className={inputClassName}
+                />
+              </label>
+            ))}
+          </div>
+          {error && <p className="text-xs text-destructive">{error}</p>}
+          <div className="flex justify-end gap-2">
+            {form !== EMPTY_FORM && (
+              <Button type="button" variant="ghost" size="sm" onClick={() => setForm(EMPTY_FORM)}>
+                Clear
+              </Button>
+            )}
+            <Button type="submit" size="sm" disabled={saving || !form.alias.trim() || !form.model.trim()}>
+              {saving ? "Saving..." : "Save alias"}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,10 +1,25 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { TrendingUp, Zap } from "lucide-react";
-import { RequestData } from "./types";
+import { Button } from "@/components/ui/button";
+import { ChevronLeft, ChevronRight, TrendingUp, Zap } from "lucide-react";
+import { RequestData, RequestHistoryFilters, RequestHistoryPage } from "./types";
+
+const PAGE_SIZE = 25;
+
+const TIME_RANGES: { label: string; value: string; ms: number | null }[] = [
+  { label: "All time", value: "all", ms: null },
+  { label: "Last hour", value: "1h", ms: 60 * 60 * 1000 },
+  { label: "Last 24 hours", value: "24h", ms: 24 * 60 * 60 * 1000 },
+  { label: "Last 7 days", value: "7d", ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: "Last 30 days", value: "30d", ms: 30 * 24 * 60 * 60 * 1000 },
+];
 
 interface RecentActivityProps {
-  requests: RequestData[];
+  /** Changes whenever the dashboard polls, triggering a refetch */
+  refreshKey?: string;
 }
 
 function formatTokens(count: number): string {
@@ -14,22 +29,145 @@ function formatTokens(count: number): string {
   return count.toString();
 }
 
-export function RecentActivity({ requests }: RecentActivityProps) {
+function FilterSelect({
+  label,
+  value,
+  options,
+  onChange,
+  format,
+}: {
+  label: string;
+  value: string;
+  options: string[];
+  onChange: (value: string) => void;
+  format?: (option: string) => string;
+}) {
+  return (
+    <select
+      aria-label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="h-8 rounded-md border border-border/40 bg-background px-2 text-xs text-muted-foreground"
+    >
+      <option value="">All {label.toLowerCase()}</option>
+      {options.map((option) => (
+        <option key={option} value={option}>
+          {format ? format(option) : option}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export function RecentActivity({ refreshKey }: RecentActivityProps) {
+  const [page, setPage] = useState<RequestHistoryPage | null>(null);
+  const [filterOptions, setFilterOptions] = useState<RequestHistoryFilters | null>(null);
+  const [model, setModel] = useState("");
+  const [account, setAccount] = useState("");
+  const [status, setStatus] = useState("");
+  const [apiKey, setApiKey] = useState("");
+  const [range, setRange] = useState("all");
+  const [offset, setOffset] = useState(0);
+
+  const fetchRequests = useCallback(async () => {
+    const params = new URLSearchParams({
+      limit: String(PAGE_SIZE),
+      offset: String(offset),
+    });
+    if (model) params.set("model", model);
+    if (account) params.set("account", account);
+    if (status) params.set("status", status);
+    if (apiKey) params.set("apiKey", apiKey);
+    const rangeMs = TIME_RANGES.find((r) => r.value === range)?.ms;
+    if (rangeMs) params.set("from", String(Date.now() - rangeMs));
+
+    try {
+      const [requestsResponse, filtersResponse] = await Promise.all([
+        fetch(`/api/requests?${params}`),
+        fetch("/api/requests/filters"),
+      ]);
+      if (!requestsResponse.ok || !filtersResponse.ok) {
+        throw new Error("Failed to fetch request history");
+      }
+      setPage(await requestsResponse.json());
+      setFilterOptions(await filtersResponse.json());
+    } catch (error) {
+      console.error("Failed to fetch request history:", error);
+    }
+  }, [model, account, status, apiKey, range, offset]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests, refreshKey]);
+
+  // Any filter change starts again from the first page
+  const updateFilter = (setter: (value: string) => void) => (value: string) => {
+    setter(value);
+    setOffset(0);
+  };
+
+  const requests: RequestData[] = page?.requests ?? [];
+  const total = page?.total ?? 0;
+  const hasFilters = Boolean(model || account || status || apiKey || range !== "all");
+
   return (
     <Card className="border-border/40">
       <CardHeader>
         <div className="flex items-center justify-between">
           <div>
             <CardTitle className="text-base">Recent Activity</CardTitle>
-            <CardDescription>Last {requests.length} requests</CardDescription>
+            <CardDescription>
+              {total === 0
+                ? "No matching requests"
+                : `Showing ${offset + 1}-${offset + requests.length} of ${total} requests`}
+            </CardDescription>
           </div>
           <TrendingUp className="h-4 w-4 text-muted-foreground" />
         </div>
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          <FilterSelect
+            label="Models"
+            value={model}
+            options={filterOptions?.models ?? []}
+            onChange={updateFilter(setModel)}
+          />
+          <FilterSelect
+            label="Accounts"
+            value={account}
+            options={filterOptions?.accounts ?? []}
+            onChange={updateFilter(setAccount)}
+            format={(email) => email.split("@")[0]}
+          />
+          <FilterSelect
+            label="Statuses"
+            value={status}
+            options={filterOptions?.statuses ?? []}
+            onChange={updateFilter(setStatus)}
+          />
+          <FilterSelect
+            label="API keys"
+            value={apiKey}
+            options={filterOptions?.apiKeys ?? []}
+            onChange={updateFilter(setApiKey)}
+          />
+          <select
+            aria-label="Time range"
+            value={range}
+            onChange={(e) => updateFilter(setRange)(e.target.value)}
+            className="h-8 rounded-md border border-border/40 bg-background px-2 text-xs text-muted-foreground"
+          >
+            {TIME_RANGES.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
       </CardHeader>
       <CardContent>
         {requests.length === 0 ? (
           <p className="text-sm text-muted-foreground text-center py-8">
-            No requests yet
+            {hasFilters ? "No requests match these filters" : "No requests yet"}
           </p>
         ) : (
           <div className="space-y-2">
@@ -53,6 +191,16 @@ export function RecentActivity({ requests }: RecentActivityProps) {
                           {request.account.split('@')[0]}
                         </Badge>
                       )}
+                      {request.apiKey && (
+                        <Badge variant="outline" className="text-[10px] py-0 h-4 font-normal text-muted-foreground border-border/50 shrink-0" title="API key">
+                          {request.apiKey}
+                        </Badge>
+                      )}
+                      {request.cached && (
+                        <Badge variant="outline" className="text-[10px] py-0 h-4 font-normal text-yellow-400 border-yellow-400/40 shrink-0" title="Served from the response cache">
+                          cached
+                        </Badge>
+                      )}
                     </div>
                   )}
                 </div>
@@ -89,6 +237,7 @@ export function RecentActivity({ requests }: RecentActivityProps) {
                     </span>
                   )}
                   <Badge
+                    title={request.error}
                     variant={
                       request.status === "success"
                         ? "default"
@@ -100,13 +249,35 @@ export function RecentActivity({ requests }: RecentActivityProps) {
                     {request.status}
                   </Badge>
                   <span className="text-xs text-muted-foreground">
-                    {new Date(request.timestamp).toLocaleTimeString()}
+                    {new Date(request.timestamp).toLocaleString()}
                   </span>
                 </div>
               </div>
             ))}
           </div>
         )}
+        {total > PAGE_SIZE && (
+          <div className="flex items-center justify-end gap-2 pt-4">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={offset === 0}
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            >
+              <ChevronLeft />
+              Previous
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={offset + PAGE_SIZE >= total}
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+            >
+              Next
+              <ChevronRight />
+            </Button>
+          </div>
+        )}
       </CardContent>
     </Card>
   );
@@ -0,0 +1,97 @@
+"use client";
+
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Gauge } from "lucide-react";
+import { ThrottleLimiter, ThrottleStatus } from "./types";
+
+interface ThrottleCardProps {
+  throttle: ThrottleStatus;
+}
+
+function formatInterval(ms: number): string {
+  if (ms === 0) return "no limit";
+  return ms >= 1000 ? `1 per ${(ms / 1000).toFixed(1)}s` : `1 per ${ms}ms`;
+}
+
+function LimiterRow({ limiter, maxQueue }: { limiter: ThrottleLimiter; maxQueue?: number }) {
+  const queued = limiter.queued.high + limiter.queued.normal + limiter.queued.low;
+  return (
+    <div className="flex items-center justify-between gap-3 p-3 rounded-md border border-border/40">
+      <div className="min-w-0 space-y-1">
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-medium truncate">{limiter.account ?? limiter.model}</span>
+          {limiter.account && (
+            <Badge variant="outline" className="text-[10px] py-0 h-4 font-normal">
+              {limiter.model}
+            </Badge>
+          )}
+          {limiter.backoff > 1 && (
+            <Badge variant="secondary" className="text-[10px] py-0 h-4 bg-yellow-500/10 text-yellow-500">
+              {limiter.backoff}x slower
+            </Badge>
+          )}
+          {limiter.pausedUntil && (
+            <Badge variant="destructive" className="text-[10px] py-0 h-4">
+              Paused until {new Date(limiter.pausedUntil).toLocaleTimeString()}
+            </Badge>
+          )}
+        </div>
+        <p className="text-[11px] text-muted-foreground">
+          {formatInterval(limiter.intervalMs)}
+          {limiter.intervalMs !== limiter.configuredIntervalMs && ` (configured ${formatInterval(limiter.configuredIntervalMs)})`}
+          {" · "}
+          {limiter.available}/{limiter.burst} ready
+        </p>
+      </div>
+      <div className="text-right shrink-0">
+        <p className="text-sm font-medium">
+          {queued}
+          {maxQueue !== undefined && <span className="text-muted-foreground font-normal"> / {maxQueue}</span>}
+        </p>
+        <p className="text-[11px] text-muted-foreground">
+          {queued > 0 ? `${limiter.queued.high} high · ${limiter.queued.normal} normal · ${limiter.queued.low} low` : "queued"}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export function ThrottleCard({ throttle }: ThrottleCardProps) {
+  return (
+    <Card className="border-border/40">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Throttle</CardTitle>
+            <CardDescription>
+              Request rate per model and account; slows down after 429s and speeds up again after successes
+            </CardDescription>
+          </div>
+          <Gauge className="h-4 w-4 text-muted-foreground" />
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {throttle.models.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            No requests throttled yet
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {throttle.models.map((limiter) => (
+              <LimiterRow key={limiter.model} limiter={limiter} maxQueue={throttle.maxQueue} />
+            ))}
+          </div>
+        )}
+        {throttle.accounts.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-medium">Accounts</p>
+            {throttle.accounts.map((limiter) => (
+              <LimiterRow key={`${limiter.account} ${limiter.model}`} limiter={limiter} />
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
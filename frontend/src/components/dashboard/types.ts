@@ -37,6 +37,7 @@ export interface RequestData {
   model?: string;
   account?: string;
   stream?: boolean;
+  cached?: boolean;
   usage?: {
     input_tokens: number;
     output_tokens: number;
@@ -48,6 +49,23 @@ export interface RequestData {
     tokens: number;
     names: string[];
   };
+  error?: string;
+  apiKey?: string;
+}
+
+export interface RequestHistoryPage {
+  total: number;
+  limit: number;
+  offset: number;
+  requests: RequestData[];
+}
+
+export interface RequestHistoryFilters {
+  models: string[];
+  accounts: string[];
+  statuses: string[];
+  paths: string[];
+  apiKeys: string[];
 }
 
 export interface DashboardData {
@@ -55,6 +73,93 @@ export interface DashboardData {
   apiKey: string;
   ngrok: NgrokData;
   requests: RequestData[];
+  throttle: ThrottleStatus;
+  timestamp: string;
+}
+
+// Throttle Types
+export interface ThrottleLimiter {
+  account?: string;
+  model: string;
+  intervalMs: number;
+  configuredIntervalMs: number;
+  burst: number;
+  available: number;
+  backoff: number;
+  queued: Record<"high" | "normal" | "low", number>;
+  pausedUntil: string | null;
+}
+
+export interface ThrottleStatus {
+  maxQueue: number;
+  models: ThrottleLimiter[];
+  accounts: ThrottleLimiter[];
+}
+
+// Usage Analytics Types
+export interface UsageAggregate {
+  requests: number;
+  errors: number;
+  errorRate: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheReadTokens: number;
+  latencyP50: number | null;
+  latencyP95: number | null;
+}
+
+export interface UsageTimelineBucket extends UsageAggregate {
+  start: string;
+}
+
+export interface UsageGroup extends UsageAggregate {
+  key: string;
+}
+
+export interface UsageAnalytics {
+  from: string;
+  to: string;
+  bucket: "hour" | "day";
+  totals: UsageAggregate;
+  timeline: UsageTimelineBucket[];
+  byModel: UsageGroup[];
+  byAccount: UsageGroup[];
+  byRoute: UsageGroup[];
+  byApiKey: UsageGroup[];
+}
+
+// Budget Types
+export interface BudgetPeriodUsage {
+  tokens: number;
+  requests: number;
+  tokenLimit: number | null;
+  requestLimit: number | null;
+  resetsAt: string;
+}
+
+export interface BudgetSummary {
+  subject: string;
+  type: "key" | "client";
+  id: string;
+  name: string | null;
+  daily: BudgetPeriodUsage;
+  monthly: BudgetPeriodUsage;
+}
+
+// Model Alias Types
+export interface ModelAliasDefaults {
+  maxTokens?: number;
+  temperature?: number;
+  topP?: number;
+  thinkingBudget?: number;
+}
+
+export interface ModelAlias {
+  alias: string;
+  model: string;
+  description: string | null;
+  defaults: ModelAliasDefaults;
+  updatedAt: string | null;
 }
 
 // Account Limits Types
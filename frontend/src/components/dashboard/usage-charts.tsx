@@ -0,0 +1,264 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { BarChart3 } from "lucide-react";
+import { RequestHistoryFilters, UsageAnalytics, UsageGroup } from "./types";
+
+const RANGES = ["24h", "7d", "30d"] as const;
+type Range = (typeof RANGES)[number];
+
+const GROUPINGS = [
+  { label: "Model", value: "byModel" },
+  { label: "Account", value: "byAccount" },
+  { label: "Route", value: "byRoute" },
+  { label: "API key", value: "byApiKey" },
+] as const;
+type Grouping = (typeof GROUPINGS)[number]["value"];
+
+interface UsageChartsProps {
+  /** Changes whenever the dashboard polls, triggering a refetch */
+  refreshKey?: string;
+}
+
+function formatTokens(count: number): string {
+  if (count >= 1_000_000) {
+    return `${(count / 1_000_000).toFixed(1)}M`;
+  }
+  if (count >= 1000) {
+    return `${(count / 1000).toFixed(1)}k`;
+  }
+  return count.toString();
+}
+
+function formatLatency(ms: number | null): string {
+  if (ms === null) return "-";
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function formatBucketLabel(start: string, bucket: UsageAnalytics["bucket"]): string {
+  const date = new Date(start);
+  return bucket === "hour"
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function SummaryItem({ label, value }: { label: string; value: string }) {
+  return (
+    <div className="px-3 py-2 rounded-md border border-border/40 bg-background/50">
+      <p className="text-xs text-muted-foreground">{label}</p>
+      <p className="text-sm font-semibold">{value}</p>
+    </div>
+  );
+}
+
+function TokenTimeline({ data }: { data: UsageAnalytics }) {
+  const max = Math.max(
+    1,
+    ...data.timeline.map((b) => b.inputTokens + b.outputTokens)
+  );
+
+  return (
+    <div>
+      <div className="flex items-end gap-[2px] h-32">
+        {data.timeline.map((b) => {
+          const total = b.inputTokens + b.outputTokens;
+          return (
+            <div
+              key={b.start}
+              className="flex-1 flex flex-col justify-end h-full min-w-0"
+              title={`${formatBucketLabel(b.start, data.bucket)}\n${b.requests} requests, ${b.errors} errors\n↓ ${formatTokens(b.inputTokens)} in, ↑ ${formatTokens(b.outputTokens)} out, ⚡ ${formatTokens(b.cacheReadTokens)} cached`}
+            >
+              <div
+                className="bg-green-400/70 rounded-t-sm"
+                style={{ height: `${(b.outputTokens / max) * 100}%` }}
+              />
+              <div
+                className="bg-blue-400/70"
+                style={{ height: `${(b.inputTokens / max) * 100}%` }}
+              />
+              {total === 0 && b.requests > 0 && <div className="bg-muted h-[2px]" />}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-muted-foreground pt-1">
+        <span>{data.timeline.length > 0 && formatBucketLabel(data.timeline[0].start, data.bucket)}</span>
+        <div className="flex items-center gap-3">
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-2 rounded-sm bg-blue-400/70" /> Input
+          </span>
+          <span className="flex items-center gap-1">
+            <span className="inline-block h-2 w-2 rounded-sm bg-green-400/70" /> Output
+          </span>
+        </div>
+        <span>
+          {data.timeline.length > 0 &&
+            formatBucketLabel(data.timeline[data.timeline.length - 1].start, data.bucket)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function GroupBreakdown({ groups, grouping }: { groups: UsageGroup[]; grouping: Grouping }) {
+  const max = Math.max(1, ...groups.map((g) => g.inputTokens + g.outputTokens));
+
+  if (groups.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        No usage in this range
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {groups.map((group) => {
+        const total = group.inputTokens + group.outputTokens;
+        const label = grouping === "byAccount" ? group.key.split("@")[0] : group.key;
+        return (
+          <div key={group.key} className="space-y-1">
+            <div className="flex items-center justify-between gap-3 text-xs">
+              <span className="truncate" title={group.key}>{label}</span>
+              <div className="flex items-center gap-3 shrink-0 text-muted-foreground">
+                <span title="Requests">{group.requests} req</span>
+                <span
+                  title="Error rate"
+                  className={group.errorRate > 0.1 ? "text-red-500" : undefined}
+                >
+                  {(group.errorRate * 100).toFixed(1)}% err
+                </span>
+                <span title="Latency p50 / p95">
+                  {formatLatency(group.latencyP50)} / {formatLatency(group.latencyP95)}
+                </span>
+                <span className="font-medium text-foreground" title="Input + output tokens">
+                  {formatTokens(total)}
+                </span>
+              </div>
+            </div>
+            <div className="flex h-1.5 rounded-full bg-muted overflow-hidden">
+              <div className="bg-blue-400/70" style={{ width: `${(group.inputTokens / max) * 100}%` }} />
+              <div className="bg-green-400/70" style={{ width: `${(group.outputTokens / max) * 100}%` }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export function UsageCharts({ refreshKey }: UsageChartsProps) {
+  const [data, setData] = useState<UsageAnalytics | null>(null);
+  const [filterOptions, setFilterOptions] = useState<RequestHistoryFilters | null>(null);
+  const [range, setRange] = useState<Range>("7d");
+  const [model, setModel] = useState("");
+  const [grouping, setGrouping] = useState<Grouping>("byModel");
+
+  const fetchAnalytics = useCallback(async () => {
+    const params = new URLSearchParams({ range });
+    if (model) params.set("model", model);
+
+    try {
+      const [analyticsResponse, filtersResponse] = await Promise.all([
+        fetch(`/api/analytics?${params}`),
+        fetch("/api/requests/filters"),
+      ]);
+      if (!analyticsResponse.ok || !filtersResponse.ok) {
+        throw new Error("Failed to fetch usage analytics");
+      }
+      setData(await analyticsResponse.json());
+      setFilterOptions(await filtersResponse.json());
+    } catch (error) {
+      console.error("Failed to fetch usage analytics:", error);
+    }
+  }, [range, model]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics, refreshKey]);
+
+  const totals = data?.totals;
+
+  return (
+    <Card className="border-border/40">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="text-base">Usage</CardTitle>
+            <CardDescription>
+              Tokens, errors and latency per {data?.bucket ?? "day"}
+            </CardDescription>
+          </div>
+          <BarChart3 className="h-4 w-4 text-muted-foreground" />
+        </div>
+        <div className="flex flex-wrap items-center gap-2 pt-2">
+          {RANGES.map((r) => (
+            <Button
+              key={r}
+              variant={range === r ? "secondary" : "ghost"}
+              size="sm"
+              onClick={() => setRange(r)}
+            >
+              {r}
+            </Button>
+          ))}
+          <select
+            aria-label="Model"
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            className="h-8 rounded-md border border-border/40 bg-background px-2 text-xs text-muted-foreground"
+          >
+            <option value="">All models</option>
+            {(filterOptions?.models ?? []).map((m) => (
+              <option key={m} value={m}>
+                {m}
+              </option>
+            ))}
+          </select>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!data || !totals ? (
+          <p className="text-sm text-muted-foreground text-center py-8">
+            Loading usage...
+          </p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+              <SummaryItem label="Requests" value={totals.requests.toString()} />
+              <SummaryItem label="Error rate" value={`${(totals.errorRate * 100).toFixed(1)}%`} />
+              <SummaryItem label="Input tokens" value={formatTokens(totals.inputTokens)} />
+              <SummaryItem label="Output tokens" value={formatTokens(totals.outputTokens)} />
+              <SummaryItem label="Cache read" value={formatTokens(totals.cacheReadTokens)} />
+              <SummaryItem
+                label="Latency p50 / p95"
+                value={`${formatLatency(totals.latencyP50)} / ${formatLatency(totals.latencyP95)}`}
+              />
+            </div>
+
+            <TokenTimeline data={data} />
+
+            <div className="space-y-3">
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-muted-foreground">Group by</span>
+                {GROUPINGS.map((g) => (
+                  <Button
+                    key={g.value}
+                    variant={grouping === g.value ? "secondary" : "ghost"}
+                    size="sm"
+                    onClick={() => setGrouping(g.value)}
+                  >
+                    {g.label}
+                  </Button>
+                ))}
+              </div>
+              <GroupBreakdown groups={data[grouping]} grouping={grouping} />
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
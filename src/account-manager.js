@@ -1,7 +1,8 @@
 /**
  * Account Manager
- * Manages multiple Antigravity accounts with sticky selection,
- * automatic failover, and smart cooldown for rate-limited accounts.
+ * Manages multiple Antigravity accounts with pluggable selection strategies
+ * (sticky by default), automatic failover, and smart cooldown for
+ * rate-limited accounts.
  */
 
 import { readFile, writeFile, mkdir, access } from 'fs/promises';
@@ -12,14 +13,19 @@ import {
     ANTIGRAVITY_DB_PATH,
     DEFAULT_COOLDOWN_MS,
     TOKEN_REFRESH_INTERVAL_MS,
-    ANTIGRAVITY_ENDPOINT_FALLBACKS,
     ANTIGRAVITY_HEADERS,
     DEFAULT_PROJECT_ID,
-    MAX_WAIT_BEFORE_ERROR_MS
+    MAX_WAIT_BEFORE_ERROR_MS,
+    DEFAULT_SELECTION_STRATEGY,
+    QUOTA_LOW_THRESHOLD
 } from './constants.js';
 import { refreshAccessToken } from './oauth.js';
 import { formatDuration } from './utils/helpers.js';
 import { getAuthStatus } from './db/database.js';
+import { ACCOUNT_PICKERS, SELECTION_STRATEGIES, isSelectionStrategy } from './services/account-selection.js';
+import { getRemainingQuota } from './services/model-quotas.js';
+import { getEndpointOrder, callEndpoint, normalizeEndpoint, setSettingsEndpoints } from './services/endpoint-health.js';
+import { ApiError } from './errors.js';
 
 export class AccountManager {
     #accounts = [];
@@ -52,10 +58,12 @@ export class AccountManager {
                 ...acc,
                 isRateLimited: acc.isRateLimited || false,
                 rateLimitResetTime: acc.rateLimitResetTime || null,
+                modelRateLimits: acc.modelRateLimits || {},
                 lastUsed: acc.lastUsed || null
             }));
 
             this.#settings = config.settings || {};
+            setSettingsEndpoints(this.#settings.extraEndpoints);
             this.#currentIndex = config.activeIndex || 0;
 
             // Clamp currentIndex to valid range
@@ -99,6 +107,7 @@ export class AccountManager {
                     source: 'database',
                     isRateLimited: false,
                     rateLimitResetTime: null,
+                    modelRateLimits: {},
                     lastUsed: null
                 }];
                 // Pre-cache the token
@@ -123,21 +132,81 @@ export class AccountManager {
         return this.#accounts.length;
     }
 
+    /**
+     * Check if an account is rate-limited, either entirely or for a model
+     * @param {Object} account - Account object
+     * @param {string|null} model - Normalized model name, or null for account-wide limits only
+     * @returns {boolean} True if the account cannot serve the model right now
+     */
+    #isRateLimitedFor(account, model) {
+        if (account.isRateLimited) return true;
+        return !!model && account.modelRateLimits?.[model] > Date.now();
+    }
+
+    /**
+     * Check if an account can be used for a model
+     */
+    #isUsableFor(account, model) {
+        return !account.isDisabled && !account.isInvalid && !this.#isRateLimitedFor(account, model);
+    }
+
+    /**
+     * Check if an account's last quota snapshot shows it nearly out of quota for a model
+     */
+    #isLowOnQuota(account, model) {
+        if (!model) return false;
+        const remaining = getRemainingQuota(account.email, model);
+        return remaining !== null && remaining < QUOTA_LOW_THRESHOLD;
+    }
+
+    /**
+     * Drop accounts that are nearly out of quota for a model, unless that would drop all of them
+     * @param {Array<Object>} accounts - Usable accounts
+     * @param {string|null} model - Normalized model name
+     * @returns {Array<Object>} Accounts to choose from
+     */
+    #preferAccountsWithQuota(accounts, model) {
+        const withQuota = accounts.filter(acc => !this.#isLowOnQuota(acc, model));
+        return withQuota.length > 0 ? withQuota : accounts;
+    }
+
+    /**
+     * Make an account the current one and record its use
+     * @param {Object} account - Selected account
+     * @returns {Object} The same account
+     */
+    #activate(account) {
+        const idx = this.#accounts.indexOf(account);
+        this.#currentIndex = idx;
+        account.lastUsed = Date.now();
+
+        const position = idx + 1;
+        const total = this.#accounts.length;
+        console.log(`[AccountManager] Using account: ${account.email} (${position}/${total})`);
+
+        // Persist the change (don't await to avoid blocking)
+        this.saveToDisk();
+
+        return account;
+    }
+
     /**
      * Check if all accounts are rate-limited
+     * @param {string|null} [model] - Also count per-model limits for this model
      * @returns {boolean} True if all accounts are rate-limited
      */
-    isAllRateLimited() {
+    isAllRateLimited(model = null) {
         if (this.#accounts.length === 0) return true;
-        return this.#accounts.every(acc => acc.isRateLimited);
+        return this.#accounts.every(acc => this.#isRateLimitedFor(acc, model));
     }
 
     /**
      * Get list of available (non-rate-limited, non-invalid, non-disabled) accounts
+     * @param {string|null} [model] - Also exclude accounts rate-limited for this model
      * @returns {Array<Object>} Array of available account objects
      */
-    getAvailableAccounts() {
-        return this.#accounts.filter(acc => !acc.isDisabled && !acc.isRateLimited && !acc.isInvalid);
+    getAvailableAccounts(model = null) {
+        return this.#accounts.filter(acc => this.#isUsableFor(acc, model));
     }
 
     /**
@@ -163,6 +232,14 @@ export class AccountManager {
                 cleared++;
                 console.log(`[AccountManager] Rate limit expired for: ${account.email}`);
             }
+
+            for (const [model, resetTime] of Object.entries(account.modelRateLimits || {})) {
+                if (resetTime <= now) {
+                    delete account.modelRateLimits[model];
+                    cleared++;
+                    console.log(`[AccountManager] Rate limit expired for: ${account.email} (${model})`);
+                }
+            }
         }
 
         if (cleared > 0) {
@@ -184,20 +261,24 @@ export class AccountManager {
             // we keep the time? User said "clear isRateLimited value, and rateLimitResetTime"
             // So we clear both.
             account.rateLimitResetTime = null;
+            account.modelRateLimits = {};
         }
         console.log('[AccountManager] Reset all rate limits for optimistic retry');
     }
 
     /**
-     * Pick the next available account (fallback when current is unavailable).
+     * Pick an available account with one of the non-sticky strategies.
+     * Accounts nearly out of quota for the model are only used if nothing else is left.
      * Sets activeIndex to the selected account's index.
-     * @returns {Object|null} The next available account or null if none available
+     * @param {string} strategy - Key of ACCOUNT_PICKERS
+     * @param {string|null} model - Skip accounts rate-limited for this model
+     * @returns {Object|null} The selected account or null if none available
      */
-    pickNext() {
+    #pickWith(strategy, model) {
         this.clearExpiredLimits();
 
-        const available = this.getAvailableAccounts();
-        if (available.length === 0) {
+        const candidates = this.#preferAccountsWithQuota(this.getAvailableAccounts(model), model);
+        if (candidates.length === 0) {
             return null;
         }
 
@@ -206,36 +287,31 @@ export class AccountManager {
             this.#currentIndex = 0;
         }
 
-        // Find next available account starting from index AFTER current
-        for (let i = 1; i <= this.#accounts.length; i++) {
-            const idx = (this.#currentIndex + i) % this.#accounts.length;
-            const account = this.#accounts[idx];
-
-            if (!account.isDisabled && !account.isRateLimited && !account.isInvalid) {
-                // Set activeIndex to this account (not +1)
-                this.#currentIndex = idx;
-                account.lastUsed = Date.now();
-
-                const position = idx + 1;
-                const total = this.#accounts.length;
-                console.log(`[AccountManager] Using account: ${account.email} (${position}/${total})`);
-
-                // Persist the change (don't await to avoid blocking)
-                this.saveToDisk();
-
-                return account;
-            }
-        }
+        const account = ACCOUNT_PICKERS[strategy](candidates, {
+            accounts: this.#accounts,
+            currentIndex: this.#currentIndex,
+            remainingQuota: acc => (model ? getRemainingQuota(acc.email, model) : null)
+        });
+        return account ? this.#activate(account) : null;
+    }
 
-        return null;
+    /**
+     * Pick the next available account (fallback when current is unavailable).
+     * Sets activeIndex to the selected account's index.
+     * @param {string|null} [model] - Skip accounts rate-limited for this model
+     * @returns {Object|null} The next available account or null if none available
+     */
+    pickNext(model = null) {
+        return this.#pickWith('round-robin', model);
     }
 
     /**
      * Get the current account without advancing the index (sticky selection).
      * Used for cache continuity - sticks to the same account until rate-limited.
+     * @param {string|null} [model] - Treat the account as unavailable if rate-limited for this model
      * @returns {Object|null} The current account or null if unavailable/rate-limited
      */
-    getCurrentStickyAccount() {
+    getCurrentStickyAccount(model = null) {
         this.clearExpiredLimits();
 
         if (this.#accounts.length === 0) {
@@ -251,7 +327,7 @@ export class AccountManager {
         const account = this.#accounts[this.#currentIndex];
 
         // Return if available
-        if (account && !account.isDisabled && !account.isRateLimited && !account.isInvalid) {
+        if (account && this.#isUsableFor(account, model)) {
             account.lastUsed = Date.now();
             // Persist the change (don't await to avoid blocking)
             this.saveToDisk();
@@ -264,9 +340,10 @@ export class AccountManager {
     /**
      * Check if we should wait for the current account's rate limit to reset.
      * Used for sticky account selection - wait if rate limit is short (≤ threshold).
+     * @param {string|null} [model] - Also consider the account's limit for this model
      * @returns {{shouldWait: boolean, waitMs: number, account: Object|null}}
      */
-    shouldWaitForCurrentAccount() {
+    shouldWaitForCurrentAccount(model = null) {
         if (this.#accounts.length === 0) {
             return { shouldWait: false, waitMs: 0, account: null };
         }
@@ -283,8 +360,9 @@ export class AccountManager {
             return { shouldWait: false, waitMs: 0, account: null };
         }
 
-        if (account.isRateLimited && account.rateLimitResetTime) {
-            const waitMs = account.rateLimitResetTime - Date.now();
+        const resetTime = this.#getResetTimeFor(account, model);
+        if (resetTime) {
+            const waitMs = resetTime - Date.now();
 
             // If wait time is within threshold, recommend waiting
             if (waitMs > 0 && waitMs <= MAX_WAIT_BEFORE_ERROR_MS) {
@@ -300,45 +378,128 @@ export class AccountManager {
      * Prefers the current account for cache continuity, only switches when:
      * - Current account is rate-limited for > 2 minutes
      * - Current account is invalid
+     * - Current account is nearly out of quota for the model and another is not
+     * @param {string|null} [model] - Model the account is picked for
      * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time
      */
-    pickStickyAccount() {
+    pickStickyAccount(model = null) {
         // First try to get the current sticky account
-        const stickyAccount = this.getCurrentStickyAccount();
+        const stickyAccount = this.getCurrentStickyAccount(model);
         if (stickyAccount) {
-            return { account: stickyAccount, waitMs: 0 };
+            const candidates = this.#preferAccountsWithQuota(this.getAvailableAccounts(model), model);
+            if (candidates.includes(stickyAccount)) {
+                return { account: stickyAccount, waitMs: 0 };
+            }
+            // Nearly out of quota for this model while another account still has some
+            const nextAccount = this.pickNext(model);
+            console.log(`[AccountManager] ${stickyAccount.email} is nearly out of quota for ${model}, switched to: ${nextAccount.email}`);
+            return { account: nextAccount, waitMs: 0 };
         }
 
         // Check if we should wait for current account
-        const waitInfo = this.shouldWaitForCurrentAccount();
+        const waitInfo = this.shouldWaitForCurrentAccount(model);
         if (waitInfo.shouldWait) {
             console.log(`[AccountManager] Waiting ${formatDuration(waitInfo.waitMs)} for sticky account: ${waitInfo.account.email}`);
             return { account: null, waitMs: waitInfo.waitMs };
         }
 
         // Current account unavailable for too long, switch to next available
-        const nextAccount = this.pickNext();
+        const nextAccount = this.pickNext(model);
         if (nextAccount) {
             console.log(`[AccountManager] Switched to new account for cache: ${nextAccount.email}`);
         }
         return { account: nextAccount, waitMs: 0 };
     }
 
+    /**
+     * Pick an account for a request using the configured selection strategy
+     * @param {string|null} [model] - Model the account is picked for
+     * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time (sticky only)
+     */
+    selectAccount(model = null) {
+        const strategy = this.getSelectionStrategy();
+        if (strategy === 'sticky') {
+            return this.pickStickyAccount(model);
+        }
+        return { account: this.#pickWith(strategy, model), waitMs: 0 };
+    }
+
+    /**
+     * Get the active account selection strategy
+     * A strategy saved in settings wins over ACCOUNT_SELECTION_STRATEGY.
+     * @returns {string} One of SELECTION_STRATEGIES
+     */
+    getSelectionStrategy() {
+        const strategy = this.#settings.selectionStrategy || DEFAULT_SELECTION_STRATEGY;
+        return isSelectionStrategy(strategy) ? strategy : 'sticky';
+    }
+
+    /**
+     * Set and persist the account selection strategy
+     * @param {string} strategy - One of SELECTION_STRATEGIES
+     * @throws {ApiError} If the strategy is unknown
+     */
+    setSelectionStrategy(strategy) {
+        if (!isSelectionStrategy(strategy)) {
+            throw new ApiError(`strategy must be one of: ${SELECTION_STRATEGIES.join(', ')}`, 400, 'invalid_request_error');
+        }
+        this.#settings = { ...this.#settings, selectionStrategy: strategy };
+        console.log(`[AccountManager] Account selection strategy: ${strategy}`);
+        this.saveToDisk();
+    }
+
+    /**
+     * Get the extra Cloud Code endpoints saved in settings
+     * @returns {string[]} Endpoint URLs, tried after the built-in and ANTIGRAVITY_EXTRA_ENDPOINTS ones
+     */
+    getExtraEndpoints() {
+        return this.#settings.extraEndpoints || [];
+    }
+
+    /**
+     * Set and persist the extra Cloud Code endpoints
+     * @param {string[]} endpoints - https endpoint URLs
+     * @throws {ApiError} If an endpoint is not a valid https URL
+     */
+    setExtraEndpoints(endpoints) {
+        if (!Array.isArray(endpoints)) {
+            throw new ApiError('endpoints must be an array of URLs', 400, 'invalid_request_error');
+        }
+        const normalized = endpoints.map(endpoint => {
+            try {
+                return normalizeEndpoint(endpoint);
+            } catch (error) {
+                throw new ApiError(`Invalid endpoint URL ${endpoint}: ${error.message}`, 400, 'invalid_request_error');
+            }
+        });
+        this.#settings = { ...this.#settings, extraEndpoints: [...new Set(normalized)] };
+        setSettingsEndpoints(this.#settings.extraEndpoints);
+        console.log(`[AccountManager] Extra endpoints: ${this.#settings.extraEndpoints.join(', ') || 'none'}`);
+        this.saveToDisk();
+    }
+
     /**
      * Mark an account as rate-limited
+     * Quotas are per model upstream, so a limit hit for one model leaves the
+     * account usable for others. Without a model the whole account is limited.
      * @param {string} email - Email of the account to mark
      * @param {number|null} resetMs - Time in ms until rate limit resets (optional)
+     * @param {string|null} [model] - Normalized model name the limit applies to
      */
-    markRateLimited(email, resetMs = null) {
+    markRateLimited(email, resetMs = null, model = null) {
         const account = this.#accounts.find(a => a.email === email);
         if (!account) return;
 
-        account.isRateLimited = true;
         const cooldownMs = resetMs || this.#settings.cooldownDurationMs || DEFAULT_COOLDOWN_MS;
-        account.rateLimitResetTime = Date.now() + cooldownMs;
+        if (model) {
+            account.modelRateLimits = { ...account.modelRateLimits, [model]: Date.now() + cooldownMs };
+        } else {
+            account.isRateLimited = true;
+            account.rateLimitResetTime = Date.now() + cooldownMs;
+        }
 
         console.log(
-            `[AccountManager] Rate limited: ${email}. Available in ${formatDuration(cooldownMs)}`
+            `[AccountManager] Rate limited: ${email}${model ? ` (${model})` : ''}. Available in ${formatDuration(cooldownMs)}`
         );
 
         this.saveToDisk();
@@ -370,20 +531,32 @@ export class AccountManager {
         this.saveToDisk();
     }
 
+    /**
+     * Get when an account's rate limit for a model ends
+     * @returns {number|null} Epoch ms of the latest applicable reset, or null if not limited
+     */
+    #getResetTimeFor(account, model) {
+        const accountReset = account.isRateLimited ? account.rateLimitResetTime : null;
+        const modelReset = model ? account.modelRateLimits?.[model] || null : null;
+        return Math.max(accountReset || 0, modelReset || 0) || null;
+    }
+
     /**
      * Get the minimum wait time until any account becomes available
+     * @param {string|null} [model] - Also count per-model limits for this model
      * @returns {number} Wait time in milliseconds
      */
-    getMinWaitTimeMs() {
-        if (!this.isAllRateLimited()) return 0;
+    getMinWaitTimeMs(model = null) {
+        if (!this.isAllRateLimited(model)) return 0;
 
         const now = Date.now();
         let minWait = Infinity;
         let soonestAccount = null;
 
         for (const account of this.#accounts) {
-            if (account.rateLimitResetTime) {
-                const wait = account.rateLimitResetTime - now;
+            const resetTime = this.#getResetTimeFor(account, model);
+            if (resetTime) {
+                const wait = resetTime - now;
                 if (wait > 0 && wait < minWait) {
                     minWait = wait;
                     soonestAccount = account;
@@ -479,9 +652,9 @@ export class AccountManager {
      * Discover project ID via Cloud Code API
      */
     async #discoverProject(token) {
-        for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+        for (const endpoint of getEndpointOrder()) {
             try {
-                const response = await fetch(`${endpoint}/v1internal:loadCodeAssist`, {
+                const response = await callEndpoint(endpoint, () => fetch(`${endpoint}/v1internal:loadCodeAssist`, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${token}`,
@@ -495,7 +668,7 @@ export class AccountManager {
                             pluginType: 'GEMINI'
                         }
                     })
-                });
+                }));
 
                 if (!response.ok) continue;
 
@@ -561,6 +734,7 @@ export class AccountManager {
                     addedAt: acc.addedAt || undefined,
                     isRateLimited: acc.isRateLimited,
                     rateLimitResetTime: acc.rateLimitResetTime,
+                    modelRateLimits: acc.modelRateLimits || {},
                     isInvalid: acc.isInvalid || false,
                     invalidReason: acc.invalidReason || null,
                     isDisabled: acc.isDisabled || false,
@@ -610,11 +784,13 @@ export class AccountManager {
             invalid: invalid.length,
             disabled: disabled.length,
             summary: `${this.#accounts.length} total, ${available.length} available, ${rateLimited.length} rate-limited, ${invalid.length} invalid, ${disabled.length} disabled`,
+            strategy: this.getSelectionStrategy(),
             accounts: this.#accounts.map(a => ({
                 email: a.email,
                 source: a.source,
                 isRateLimited: a.isRateLimited,
                 rateLimitResetTime: a.rateLimitResetTime,
+                modelRateLimits: a.modelRateLimits || {},
                 isInvalid: a.isInvalid || false,
                 invalidReason: a.invalidReason || null,
                 isDisabled: a.isDisabled || false,
@@ -653,6 +829,7 @@ export class AccountManager {
             source: 'oauth', // Force oauth source for added accounts
             isRateLimited: false,
             rateLimitResetTime: null,
+            modelRateLimits: {},
             lastUsed: null,
             isInvalid: false,
             invalidReason: null,
@@ -11,11 +11,11 @@
 
 import crypto from 'crypto';
 import {
-    ANTIGRAVITY_ENDPOINT_FALLBACKS,
     ANTIGRAVITY_HEADERS,
     MAX_RETRIES,
     MAX_WAIT_BEFORE_ERROR_MS,
     MIN_SIGNATURE_LENGTH,
+    STREAM_RESUME_ATTEMPTS,
     normalizeModelName,
     getModelFamily,
     isThinkingModel
@@ -28,6 +28,16 @@ import { cacheSignature } from './format/signature-cache.js';
 import { formatDuration, sleep } from './utils/helpers.js';
 import { isRateLimitError, isAuthError } from './errors.js';
 import { logDebugFile, logToolUsage } from './utils/logger.js';
+import {
+    recordUpstreamResponse,
+    recordTimeToFirstToken,
+    recordUpstreamRetry,
+    recordAccountFailover
+} from './services/metrics.js';
+import { startSpan, withSpan } from './services/tracing.js';
+import { waitForAccountThrottle, recordThrottleResult } from './services/request-throttle.js';
+import { getEndpointOrder, callEndpoint, recordEndpointResult } from './services/endpoint-health.js';
+import { addKnownModels } from './services/model-labels.js';
 
 /**
  * Check if an error is a rate limit error (429 or RESOURCE_EXHAUSTED)
@@ -254,6 +264,129 @@ function buildHeaders(token, model, accept = 'application/json') {
     return headers;
 }
 
+/**
+ * Pick an account for a request, waiting out short rate limits
+ * @param {import('./account-manager.js').default} accountManager - The account manager instance
+ * @param {string} model - Normalized model name
+ * @param {boolean} waitForReset - Wait out short rate limits; false fails fast so a fallback model can be tried
+ * @returns {Promise<Object>} Account to use
+ * @throws {Error} If all accounts are rate-limited for too long, or none is available
+ */
+async function pickAccount(accountManager, model, waitForReset) {
+    const { account: selectedAccount, waitMs } = accountManager.selectAccount(model);
+    let account = selectedAccount;
+
+    // Handle waiting for sticky account
+    if (!account && waitMs > 0) {
+        if (waitForReset) {
+            // Silent wait for sticky account (only log if wait is significant)
+            await sleep(waitMs);
+            accountManager.clearExpiredLimits();
+            account = accountManager.getCurrentStickyAccount(model);
+        } else {
+            account = accountManager.pickNext(model);
+        }
+    }
+
+    // Handle all accounts rate-limited
+    if (!account) {
+        if (accountManager.isAllRateLimited(model)) {
+            const allWaitMs = accountManager.getMinWaitTimeMs(model);
+            const resetTime = new Date(Date.now() + allWaitMs).toISOString();
+
+            // If wait time is too long (> 2 minutes) or the caller has a fallback, throw error immediately
+            if (allWaitMs > MAX_WAIT_BEFORE_ERROR_MS || !waitForReset) {
+                throw new Error(
+                    `RESOURCE_EXHAUSTED: Rate limited. Quota will reset after ${formatDuration(allWaitMs)}. Next available: ${resetTime}`
+                );
+            }
+
+            // Wait for reset (applies to both single and multi-account modes)
+            await sleep(allWaitMs);
+            accountManager.clearExpiredLimits();
+            account = accountManager.pickNext(model);
+        }
+
+        if (!account) {
+            throw new Error('No accounts available');
+        }
+    }
+
+    return account;
+}
+
+/**
+ * POST to a Cloud Code endpoint, recording its latency
+ * The span ends once response headers arrive; reading the body is traced separately.
+ * The outcome also counts toward the endpoint's health (see endpoint-health.js).
+ * @param {string} endpoint - Endpoint the URL belongs to
+ * @param {string} url - Endpoint URL
+ * @param {Object} init - fetch options
+ * @param {string} model - Normalized model name (metrics label)
+ * @param {Object} parentSpan - Span of the request
+ * @returns {Promise<Response>} The fetch response
+ */
+async function fetchUpstream(endpoint, url, init, model, parentSpan) {
+    const startTime = Date.now();
+    const span = startSpan('upstream.fetch', {
+        parent: parentSpan,
+        client: true,
+        attributes: { 'http.request.method': init.method, 'url.full': url }
+    });
+
+    try {
+        const response = await callEndpoint(endpoint, () => fetch(url, init));
+        recordUpstreamResponse(model, response.status, Date.now() - startTime);
+        span.setAttributes({ 'http.response.status_code': response.status });
+        if (!response.ok) span.recordError(new Error(`HTTP ${response.status}`));
+        return response;
+    } catch (error) {
+        recordUpstreamResponse(model, 'network_error', Date.now() - startTime);
+        span.recordError(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * Pass stream events through, tracing the stream and timing its first content
+ * @param {AsyncIterable<Object>} events - Anthropic-format SSE events
+ * @param {string} model - Normalized model name (metrics label)
+ * @param {number|null} startTime - When the request started (epoch ms); null if the message already started
+ *   (a resumed stream), so time to first token is not measured again
+ * @param {Object} parentSpan - Span of the request
+ * @yields {Object} The same events
+ */
+async function* observeStream(events, model, startTime, parentSpan) {
+    const span = startSpan('sse.stream', { parent: parentSpan });
+    let receivedContent = false;
+
+    try {
+        for await (const event of events) {
+            if (!receivedContent && startTime !== null && event.type === 'content_block_start') {
+                receivedContent = true;
+                const timeToFirstTokenMs = Date.now() - startTime;
+                recordTimeToFirstToken(model, timeToFirstTokenMs);
+                span.setAttributes({ 'time_to_first_token_ms': timeToFirstTokenMs });
+            }
+            if (event.type === 'message_delta') {
+                span.setAttributes({
+                    'gen_ai.response.finish_reason': event.delta?.stop_reason,
+                    'gen_ai.usage.input_tokens': event.usage?.input_tokens,
+                    'gen_ai.usage.output_tokens': event.usage?.output_tokens
+                });
+            }
+            yield event;
+        }
+    } catch (error) {
+        span.recordError(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
 /**
  * Send a non-streaming request to Cloud Code with multi-account support
  * Uses SSE endpoint for thinking models (non-streaming doesn't return thinking blocks)
@@ -264,10 +397,22 @@ function buildHeaders(token, model, accept = 'application/json') {
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('./account-manager.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForReset=true] - Wait out short rate limits; false fails fast so a fallback model can be tried
  * @returns {Promise<Object>} Anthropic-format response object
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function sendMessage(anthropicRequest, accountManager) {
+export function sendMessage(anthropicRequest, accountManager, { waitForReset = true } = {}) {
+    const attributes = { 'gen_ai.request.model': anthropicRequest.model, stream: false };
+    return withSpan('sendMessage', { attributes }, span => (
+        sendWithFailover(anthropicRequest, accountManager, waitForReset, span)
+    ));
+}
+
+/**
+ * Try accounts and endpoints in turn until one answers (see sendMessage)
+ */
+async function sendWithFailover(anthropicRequest, accountManager, waitForReset, span) {
     const model = normalizeModelName(anthropicRequest.model);
     const isThinking = isThinkingModel(model);
 
@@ -277,48 +422,18 @@ export async function sendMessage(anthropicRequest, accountManager) {
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        // Use sticky account selection for cache continuity
-        const { account: stickyAccount, waitMs } = accountManager.pickStickyAccount();
-        let account = stickyAccount;
-
-        // Handle waiting for sticky account
-        if (!account && waitMs > 0) {
-            // Silent wait for sticky account (only log if wait is significant)
-            await sleep(waitMs);
-            accountManager.clearExpiredLimits();
-            account = accountManager.getCurrentStickyAccount();
-        }
-
-        // Handle all accounts rate-limited
-        if (!account) {
-            if (accountManager.isAllRateLimited()) {
-                const allWaitMs = accountManager.getMinWaitTimeMs();
-                const resetTime = new Date(Date.now() + allWaitMs).toISOString();
-
-                // If wait time is too long (> 2 minutes), throw error immediately
-                if (allWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
-                    throw new Error(
-                        `RESOURCE_EXHAUSTED: Rate limited. Quota will reset after ${formatDuration(allWaitMs)}. Next available: ${resetTime}`
-                    );
-                }
-
-                // Wait for reset (applies to both single and multi-account modes)
-                const accountCount = accountManager.getAccountCount();
-                await sleep(allWaitMs);
-                accountManager.clearExpiredLimits();
-                account = accountManager.pickNext();
-            }
-
-            if (!account) {
-                throw new Error('No accounts available');
-            }
-        }
+        // Pick an account with the configured strategy (sticky by default, for cache continuity)
+        const account = await withSpan('account.pick', { parent: span, attributes: { attempt } }, () => (
+            pickAccount(accountManager, model, waitForReset)
+        ));
+        span.setAttributes({ 'account.email': account.email, attempts: attempt + 1 });
+        await waitForAccountThrottle(account.email, model);
 
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
             const project = await accountManager.getProjectForAccount(account, token);
-            const payload = buildCloudCodeRequest(anthropicRequest, project);
+            const payload = withSpan('request.convert', { parent: span }, () => buildCloudCodeRequest(anthropicRequest, project));
             // Remove _toolMetadata before sending to API (it's only for internal tracking)
             const toolMetadata = payload._toolMetadata;
             delete payload._toolMetadata;
@@ -328,11 +443,12 @@ export async function sendMessage(anthropicRequest, accountManager) {
             // Try each endpoint
             let lastError = null;
             const isClaudeModel = (anthropicRequest.model || '').toLowerCase().includes('claude');
-            for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+            const endpoints = getEndpointOrder();
+            for (const endpoint of endpoints) {
                 try {
                     // CRITICAL: Log Google request for Claude tool usage debugging
                     // Log before first request attempt
-                    if (isClaudeModel && payload.request?.tools && endpoint === ANTIGRAVITY_ENDPOINT_FALLBACKS[0]) {
+                    if (isClaudeModel && payload.request?.tools && endpoint === endpoints[0]) {
                         try {
                             logToolUsage(payload.requestId || 'unknown', 'google-request', {
                                 googleRequest: payload.request,
@@ -359,11 +475,11 @@ export async function sendMessage(anthropicRequest, accountManager) {
                     }
                     */
 
-                    const response = await fetch(url, {
+                    const response = await fetchUpstream(endpoint, url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
                         body: JSON.stringify(payload)
-                    });
+                    }, model, span);
 
                     if (!response.ok) {
                         const errorText = await response.text();
@@ -380,6 +496,7 @@ export async function sendMessage(anthropicRequest, accountManager) {
                             console.log('[CloudCode] Auth error, refreshing token...');
                             accountManager.clearTokenCache(account.email);
                             accountManager.clearProjectCache(account.email);
+                            recordUpstreamRetry(model, 'auth');
                             continue;
                         }
 
@@ -391,23 +508,28 @@ export async function sendMessage(anthropicRequest, accountManager) {
                             if (!lastError?.is429 || (resetMs && (!lastError.resetMs || resetMs < lastError.resetMs))) {
                                 lastError = { is429: true, response, errorText, resetMs };
                             }
+                            recordUpstreamRetry(model, 'rate_limit');
                             continue;
                         }
 
                         if (response.status >= 400) {
                             lastError = new Error(`API error ${response.status}: ${errorText}`);
+                            recordUpstreamRetry(model, 'error');
                             continue;
                         }
                     }
 
                     // For thinking models, parse SSE and accumulate all parts
                     if (isThinking) {
-                        const responseData = await parseThinkingSSEResponse(response, anthropicRequest.model);
+                        const responseData = await withSpan('sse.stream', { parent: span }, () => (
+                            parseThinkingSSEResponse(response, anthropicRequest.model)
+                        ));
+                        recordThrottleResult(model, account.email);
                         return { ...responseData, _account: account.email };
                     }
 
                     // Non-thinking models use regular JSON
-                    const data = await response.json();
+                    const data = await withSpan('response.read', { parent: span }, () => response.json());
 
                     // CRITICAL: Log Google response for Claude tool usage debugging
                     if (isClaudeModel && payload.request?.tools) {
@@ -432,6 +554,7 @@ export async function sendMessage(anthropicRequest, accountManager) {
                     */
 
                     // Response received successfully (no logging needed)
+                    recordThrottleResult(model, account.email);
                     return {
                         ...convertGoogleToAnthropic(data, anthropicRequest.model),
                         _account: account.email
@@ -443,6 +566,7 @@ export async function sendMessage(anthropicRequest, accountManager) {
                     }
                     console.log(`[CloudCode] Error at ${endpoint}:`, endpointError.message);
                     lastError = endpointError;
+                    recordUpstreamRetry(model, 'error');
                 }
             }
 
@@ -450,8 +574,9 @@ export async function sendMessage(anthropicRequest, accountManager) {
             if (lastError) {
                 // If all endpoints returned 429, mark account as rate-limited
                 if (lastError.is429) {
-                    console.log(`[CloudCode] All endpoints rate-limited for ${account.email}`);
-                    accountManager.markRateLimited(account.email, lastError.resetMs);
+                    console.log(`[CloudCode] All endpoints rate-limited for ${account.email} (${model})`);
+                    accountManager.markRateLimited(account.email, lastError.resetMs, model);
+                    recordThrottleResult(model, account.email, { rateLimited: true, resetMs: lastError.resetMs });
                     throw new Error(`Rate limited: ${lastError.errorText}`);
                 }
                 throw lastError;
@@ -461,11 +586,13 @@ export async function sendMessage(anthropicRequest, accountManager) {
             if (is429Error(error)) {
                 // Rate limited - already marked, continue to next account
                 console.log(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                recordAccountFailover(model, 'rate_limit');
                 continue;
             }
             if (isAuthInvalidError(error)) {
                 // Auth invalid - already marked, continue to next account
                 console.log(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                recordAccountFailover(model, 'invalid_credentials');
                 continue;
             }
             // Non-rate-limit error: throw immediately
@@ -587,11 +714,110 @@ async function parseThinkingSSEResponse(response, originalModel) {
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('./account-manager.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForReset=true] - Wait out short rate limits; false fails fast so a fallback model can be tried
  * @yields {Object} Anthropic-format SSE events (message_start, content_block_start, content_block_delta, etc.)
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function* sendMessageStream(anthropicRequest, accountManager) {
+export async function* sendMessageStream(anthropicRequest, accountManager, { waitForReset = true } = {}) {
+    const span = startSpan('sendMessageStream', {
+        attributes: { 'gen_ai.request.model': anthropicRequest.model, stream: true }
+    });
+    try {
+        yield* streamWithFailover(anthropicRequest, accountManager, waitForReset, span);
+    } catch (error) {
+        span.recordError(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * Build the Cloud Code payload for a request
+ * _toolMetadata is removed (it's only for internal tracking).
+ */
+function buildPayload(anthropicRequest, project, span) {
+    const payload = withSpan('request.convert', { parent: span }, () => buildCloudCodeRequest(anthropicRequest, project));
+    delete payload._toolMetadata;
+    return payload;
+}
+
+/**
+ * Check whether a stream has sent the client any text
+ */
+function hasStreamedText(stream) {
+    return stream.content.some(block => block.type === 'text' && block.text);
+}
+
+/**
+ * Check whether an interrupted stream can be continued
+ * A stream that has only sent thinking starts over. One that has sent text is
+ * continued with an assistant prefill, which Claude does not accept while
+ * thinking is enabled, so streams from Claude thinking models are not resumed
+ * once text has been sent.
+ * @param {string} model - Model name
+ * @param {Object} stream - Stream state (see createStreamState)
+ * @returns {boolean} True if the stream can be resumed
+ */
+function canResumeStream(model, stream) {
+    return !hasStreamedText(stream) || !(getModelFamily(model) === 'claude' && isThinkingModel(model));
+}
+
+/**
+ * Build the request that continues an interrupted stream that has sent text
+ * The text streamed so far (with any signed thinking before it) is sent back as
+ * an assistant prefill, so the model carries on where it stopped. Prefills may
+ * not end with whitespace, so trailing whitespace is left out and dropped again
+ * from the start of the continuation.
+ * @param {Object} anthropicRequest - The original Anthropic-format request
+ * @param {Object} stream - Stream state (see createStreamState)
+ * @returns {Object} Request to send to the next endpoint or account
+ */
+function buildResumeRequest(anthropicRequest, stream) {
+    const signed = stream.content.filter(block => block.type === 'text' ? block.text : block.signature);
+    const lastText = signed.findLastIndex(block => block.type === 'text');
+
+    // The prefill ends with text; thinking after it is not sent back
+    const blocks = signed.slice(0, lastText + 1);
+    const last = blocks[lastText];
+    const prefill = blocks.map(block => block === last ? { ...block, text: block.text.trimEnd() } : { ...block });
+    stream.trimLeadingText = last.text !== last.text.trimEnd();
+
+    const messages = [...anthropicRequest.messages];
+    const previous = messages[messages.length - 1];
+    if (previous?.role === 'assistant') {
+        // The client sent its own prefill: the streamed text continues it
+        const content = typeof previous.content === 'string'
+            ? [{ type: 'text', text: previous.content }]
+            : previous.content;
+        messages[messages.length - 1] = { ...previous, content: [...content, ...prefill] };
+    } else {
+        messages.push({ role: 'assistant', content: prefill });
+    }
+    return { ...anthropicRequest, messages };
+}
+
+/**
+ * Try accounts and endpoints in turn until one starts streaming (see sendMessageStream)
+ *
+ * If the upstream stream breaks after it has started (the connection drops, it
+ * reports an error, or it ends without a finish reason), it is resumed up to
+ * STREAM_RESUME_ATTEMPTS times: on the next endpoint, or on another account if
+ * the error was a rate limit. The client keeps receiving the same message, so
+ * it never sees duplicated text or block indices. If only thinking had been
+ * sent, the request starts over and its thinking follows as a new block. A
+ * stream that breaks after a tool call is ended there instead, as the call is
+ * already complete, and so is one that keeps ending without a finish reason
+ * once the attempts are used up or that cannot be resumed (see canResumeStream).
+ */
+async function* streamWithFailover(anthropicRequest, accountManager, waitForReset, span) {
     const model = normalizeModelName(anthropicRequest.model);
+    const startTime = Date.now();
+    const stream = createStreamState(anthropicRequest.model);
+    let request = anthropicRequest;
+    let resumes = 0;
+    let sentMetadata = false;
 
     // Retry loop with account failover
     // Ensure we try at least as many times as there are accounts to cycle through everyone
@@ -599,62 +825,31 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        // Use sticky account selection for cache continuity
-        const { account: stickyAccount, waitMs } = accountManager.pickStickyAccount();
-        let account = stickyAccount;
-
-        // Handle waiting for sticky account
-        if (!account && waitMs > 0) {
-            // Silent wait for sticky account (only log if wait is significant)
-            await sleep(waitMs);
-            accountManager.clearExpiredLimits();
-            account = accountManager.getCurrentStickyAccount();
-        }
-
-        // Handle all accounts rate-limited
-        if (!account) {
-            if (accountManager.isAllRateLimited()) {
-                const allWaitMs = accountManager.getMinWaitTimeMs();
-                const resetTime = new Date(Date.now() + allWaitMs).toISOString();
-
-                // If wait time is too long (> 2 minutes), throw error immediately
-                if (allWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
-                    throw new Error(
-                        `RESOURCE_EXHAUSTED: Rate limited. Quota will reset after ${formatDuration(allWaitMs)}. Next available: ${resetTime}`
-                    );
-                }
-
-                // Wait for reset (applies to both single and multi-account modes)
-                const accountCount = accountManager.getAccountCount();
-                await sleep(allWaitMs);
-                accountManager.clearExpiredLimits();
-                account = accountManager.pickNext();
-            }
-
-            if (!account) {
-                throw new Error('No accounts available');
-            }
-        }
+        // Pick an account with the configured strategy (sticky by default, for cache continuity)
+        const account = await withSpan('account.pick', { parent: span, attributes: { attempt } }, () => (
+            pickAccount(accountManager, model, waitForReset)
+        ));
+        span.setAttributes({ 'account.email': account.email, attempts: attempt + 1 });
+        await waitForAccountThrottle(account.email, model);
 
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
             const project = await accountManager.getProjectForAccount(account, token);
-            const payload = buildCloudCodeRequest(anthropicRequest, project);
-            // Remove _toolMetadata before sending to API (it's only for internal tracking)
-            const toolMetadata = payload._toolMetadata;
-            delete payload._toolMetadata;
+            let payload = buildPayload(request, project, span);
 
             // Removed verbose logging - only log errors
 
             // Try each endpoint for streaming
             let lastError = null;
             const isClaudeModel = (anthropicRequest.model || '').toLowerCase().includes('claude');
-            for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+            const endpoints = getEndpointOrder();
+            for (const endpoint of endpoints) {
+                let connectedAt = null;
                 try {
                     // CRITICAL: Log Google request for Claude tool usage debugging (Streaming)
                     // Log before first request attempt
-                    if (isClaudeModel && payload.request?.tools && endpoint === ANTIGRAVITY_ENDPOINT_FALLBACKS[0]) {
+                    if (isClaudeModel && payload.request?.tools && endpoint === endpoints[0]) {
                         try {
                             logToolUsage(payload.requestId || 'unknown', 'google-request', {
                                 googleRequest: payload.request,
@@ -669,11 +864,11 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
 
                     const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
 
-                    const response = await fetch(url, {
+                    const response = await fetchUpstream(endpoint, url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, 'text/event-stream'),
                         body: JSON.stringify(payload)
-                    });
+                    }, model, span);
 
                     /* DEBUG: Log full request for Gemini loop debugging (Streaming)
                     if (payload.request.contents && payload.request.contents.length > 0) {
@@ -701,6 +896,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
                             // Auth error - clear caches and retry
                             accountManager.clearTokenCache(account.email);
                             accountManager.clearProjectCache(account.email);
+                            recordUpstreamRetry(model, 'auth');
                             continue;
                         }
 
@@ -712,26 +908,76 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
                             if (!lastError?.is429 || (resetMs && (!lastError.resetMs || resetMs < lastError.resetMs))) {
                                 lastError = { is429: true, response, errorText, resetMs };
                             }
+                            recordUpstreamRetry(model, 'rate_limit');
                             continue;
                         }
 
                         lastError = new Error(`API error ${response.status}: ${errorText}`);
+                        recordUpstreamRetry(model, 'error');
                         continue;
                     }
 
                     // Stream the response - yield events as they arrive
-                    yield { type: 'internal_metadata', account: account.email };
-                    yield* streamSSEResponse(response, anthropicRequest.model);
+                    recordThrottleResult(model, account.email);
+                    connectedAt = Date.now();
+                    if (!sentMetadata) {
+                        sentMetadata = true;
+                        yield { type: 'internal_metadata', account: account.email };
+                    }
+                    // Time to first token is only measured on the response that starts the message
+                    const firstTokenStart = stream.hasEmittedStart ? null : startTime;
+                    yield* observeStream(streamSSEResponse(response, stream), model, firstTokenStart, span);
 
                     // Stream completed successfully (no logging needed)
                     return;
 
                 } catch (endpointError) {
+                    if (connectedAt !== null) {
+                        // The stream broke after it started: continue it rather than start over
+                        if (stream.hasToolUse) {
+                            console.log(`[CloudCode] Stream from ${endpoint} broke after a tool call (${endpointError.message}), ending the turn there`);
+                            yield* finishStream(stream);
+                            return;
+                        }
+                        if (resumes >= STREAM_RESUME_ATTEMPTS || !canResumeStream(model, stream)) {
+                            if (!canResumeStream(model, stream)) {
+                                console.log(`[CloudCode] Stream from ${endpoint} broke after text from ${model}, which cannot be continued with a prefill while thinking`);
+                            }
+                            if (!endpointError.incomplete) throw endpointError;
+                            // The upstream closed the stream cleanly, so end it as it is
+                            console.log(`[CloudCode] Stream from ${endpoint} ended without a finish reason, not resuming it${resumes > 0 ? ' again' : ''}`);
+                            yield* finishStream(stream);
+                            return;
+                        }
+                        resumes++;
+                        if (hasStreamedText(stream)) {
+                            request = buildResumeRequest(anthropicRequest, stream);
+                            stream.resume();
+                        } else {
+                            request = anthropicRequest;
+                            yield* restartStream(stream);
+                        }
+                        payload = buildPayload(request, project, span);
+                        recordUpstreamRetry(model, 'stream_interrupted');
+
+                        if (is429Error(endpointError)) {
+                            console.log(`[CloudCode] Stream rate limited mid-response for ${account.email}, resuming on another account (${resumes}/${STREAM_RESUME_ATTEMPTS})...`);
+                            const resetMs = parseResetTime(endpointError);
+                            accountManager.markRateLimited(account.email, resetMs, model);
+                            recordThrottleResult(model, account.email, { rateLimited: true, resetMs });
+                            throw endpointError; // Re-throw to trigger account switch
+                        }
+                        console.log(`[CloudCode] Stream from ${endpoint} broke mid-response (${endpointError.message}), resuming (${resumes}/${STREAM_RESUME_ATTEMPTS})...`);
+                        recordEndpointResult(endpoint, { ok: false, latencyMs: Date.now() - connectedAt });
+                        continue;
+                    }
+
                     if (is429Error(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
                     console.log(`[CloudCode] Stream error at ${endpoint}:`, endpointError.message);
                     lastError = endpointError;
+                    recordUpstreamRetry(model, 'error');
                 }
             }
 
@@ -739,8 +985,9 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
             if (lastError) {
                 // If all endpoints returned 429, mark account as rate-limited
                 if (lastError.is429) {
-                    console.log(`[CloudCode] All endpoints rate-limited for ${account.email}`);
-                    accountManager.markRateLimited(account.email, lastError.resetMs);
+                    console.log(`[CloudCode] All endpoints rate-limited for ${account.email} (${model})`);
+                    accountManager.markRateLimited(account.email, lastError.resetMs, model);
+                    recordThrottleResult(model, account.email, { rateLimited: true, resetMs: lastError.resetMs });
                     throw new Error(`Rate limited: ${lastError.errorText}`);
                 }
                 throw lastError;
@@ -750,11 +997,13 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
             if (is429Error(error)) {
                 // Rate limited - already marked, continue to next account
                 console.log(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                recordAccountFailover(model, 'rate_limit');
                 continue;
             }
             if (isAuthInvalidError(error)) {
                 // Auth invalid - already marked, continue to next account
                 console.log(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                recordAccountFailover(model, 'invalid_credentials');
                 continue;
             }
             // Non-rate-limit error: throw immediately
@@ -766,268 +1015,371 @@ export async function* sendMessageStream(anthropicRequest, accountManager) {
 }
 
 /**
- * Stream SSE response and yield Anthropic-format events
+ * Create the state of a stream as the client sees it
+ * It outlives a single upstream response, so a resumed stream continues the
+ * same message, block and block index.
+ * @param {string} originalModel - Model name reported to the client
+ * @returns {Object} Stream state
  */
-async function* streamSSEResponse(response, originalModel) {
-    const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
-    let hasEmittedStart = false;
-    let blockIndex = 0;
-    let currentBlockType = null;
-    let currentThinkingSignature = '';
-    let inputTokens = 0;
-    let outputTokens = 0;
-    let cacheReadTokens = 0;
-    let stopReason = 'end_turn';
+function createStreamState(originalModel) {
+    return {
+        messageId: `msg_${crypto.randomBytes(16).toString('hex')}`,
+        originalModel,
+        hasEmittedStart: false,
+        blockIndex: 0,
+        currentBlockType: null,
+        currentThinkingSignature: '',
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        thinkingTokens: 0,
+        priorOutputTokens: 0, // Output of earlier, interrupted responses
+        priorThinkingTokens: 0,
+        stopReason: 'end_turn',
+        finished: false, // The current response sent a finish reason
+        content: [], // Text and thinking blocks emitted so far, for the resume prefill
+        hasToolUse: false,
+        resumed: false, // Input tokens are kept from the first response
+        skipThinking: false, // Thinking of a continued response is not streamed again
+        trimLeadingText: false,
+
+        /**
+         * Prepare for the next upstream response to continue this stream
+         */
+        resume() {
+            this.resumed = true;
+            this.skipThinking = true;
+            this.finished = false;
+            this.priorOutputTokens += this.outputTokens;
+            this.priorThinkingTokens += this.thinkingTokens;
+            this.outputTokens = 0;
+            this.thinkingTokens = 0;
+        }
+    };
+}
 
+/**
+ * Stream SSE response and yield Anthropic-format events
+ * @param {Response} response - Upstream SSE response
+ * @param {Object} state - Stream state (see createStreamState), updated as events are emitted
+ * @yields {Object} Anthropic-format SSE events, ending with message_stop
+ * @throws {Error} If the response breaks off: the connection drops, the upstream sends an
+ *   error, or it ends without a finish reason after content has been emitted
+ */
+async function* streamSSEResponse(response, state) {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    let done = false;
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+    try {
+        while (true) {
+            const chunk = await reader.read();
+            done = chunk.done;
+            if (done) break;
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+            buffer += decoder.decode(chunk.value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
 
-        for (const line of lines) {
-            if (!line.startsWith('data:')) continue;
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
 
-            const jsonText = line.slice(5).trim();
-            if (!jsonText) continue;
+                const jsonText = line.slice(5).trim();
+                if (!jsonText) continue;
 
-            try {
-                const data = JSON.parse(jsonText);
-                const innerResponse = data.response || data;
+                let data;
+                try {
+                    data = JSON.parse(jsonText);
+                } catch (parseError) {
+                    console.log('[CloudCode] SSE parse error:', parseError.message);
+                    continue;
+                }
 
-                // Extract usage metadata (including cache tokens)
-                const usage = innerResponse.usageMetadata;
-                if (usage) {
-                    inputTokens = usage.promptTokenCount || inputTokens;
-                    outputTokens = usage.candidatesTokenCount || outputTokens;
-                    cacheReadTokens = usage.cachedContentTokenCount || cacheReadTokens;
+                // Errors can arrive in the stream itself (e.g. RESOURCE_EXHAUSTED after some output)
+                if (data.error) {
+                    throw new Error(`API error ${data.error.code}: ${jsonText}`);
                 }
 
-                const candidates = innerResponse.candidates || [];
-                const firstCandidate = candidates[0] || {};
-                const content = firstCandidate.content || {};
-                const parts = content.parts || [];
-
-                // Emit message_start on first data
-                // Note: input_tokens = promptTokenCount - cachedContentTokenCount (Antigravity includes cached in total)
-                if (!hasEmittedStart && parts.length > 0) {
-                    hasEmittedStart = true;
-                    yield {
-                        type: 'message_start',
-                        message: {
-                            id: messageId,
-                            type: 'message',
-                            role: 'assistant',
-                            content: [],
-                            model: originalModel,
-                            stop_reason: null,
-                            stop_sequence: null,
-                            usage: {
-                                input_tokens: inputTokens - cacheReadTokens,
-                                output_tokens: 0,
-                                cache_read_input_tokens: cacheReadTokens,
-                                cache_creation_input_tokens: 0
-                            }
-                        }
-                    };
+                yield* emitResponseChunk(data.response || data, state);
+            }
+        }
+    } finally {
+        if (!done) {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    if (state.hasEmittedStart && !state.finished) {
+        throw Object.assign(new Error('Upstream stream ended without a finish reason'), { incomplete: true });
+    }
+
+    yield* finishStream(state);
+}
+
+/**
+ * Close the content block being streamed, emitting the thinking signature first
+ */
+function* closeCurrentBlock(state) {
+    if (state.currentBlockType === 'thinking' && state.currentThinkingSignature) {
+        yield {
+            type: 'content_block_delta',
+            index: state.blockIndex,
+            delta: { type: 'signature_delta', signature: state.currentThinkingSignature }
+        };
+        state.content[state.content.length - 1].signature = state.currentThinkingSignature;
+        state.currentThinkingSignature = '';
+    }
+    if (state.currentBlockType !== null) {
+        yield { type: 'content_block_stop', index: state.blockIndex };
+        state.blockIndex++;
+    }
+}
+
+/**
+ * Prepare for an upstream response that starts the message over
+ * Used when a stream breaks before any text. The thinking block being streamed
+ * is closed without a signature, so it is dropped when the client sends it
+ * back, and the new response's thinking and signature follow as a new block.
+ * @param {Object} state - Stream state (see createStreamState)
+ */
+function* restartStream(state) {
+    state.currentThinkingSignature = '';
+    yield* closeCurrentBlock(state);
+    state.currentBlockType = null;
+    state.resume();
+    state.skipThinking = false;
+}
+
+/**
+ * Yield the Anthropic-format events for one chunk of an SSE response
+ * @param {Object} innerResponse - Parsed chunk (Google generateContent response)
+ * @param {Object} state - Stream state (see createStreamState)
+ */
+function* emitResponseChunk(innerResponse, state) {
+    // Extract usage metadata (including cache tokens)
+    // A resumed response's prompt includes the prefill, so input tokens are kept from the first one
+    const usage = innerResponse.usageMetadata;
+    if (usage) {
+        if (!state.resumed) {
+            state.inputTokens = usage.promptTokenCount || state.inputTokens;
+            state.cacheReadTokens = usage.cachedContentTokenCount || state.cacheReadTokens;
+        }
+        state.outputTokens = usage.candidatesTokenCount || state.outputTokens;
+        state.thinkingTokens = usage.thoughtsTokenCount || state.thinkingTokens;
+    }
+
+    const candidates = innerResponse.candidates || [];
+    const firstCandidate = candidates[0] || {};
+    const content = firstCandidate.content || {};
+    const parts = content.parts || [];
+
+    // Emit message_start on first data
+    // Note: input_tokens = promptTokenCount - cachedContentTokenCount (Antigravity includes cached in total)
+    if (!state.hasEmittedStart && parts.length > 0) {
+        state.hasEmittedStart = true;
+        yield {
+            type: 'message_start',
+            message: {
+                id: state.messageId,
+                type: 'message',
+                role: 'assistant',
+                content: [],
+                model: state.originalModel,
+                stop_reason: null,
+                stop_sequence: null,
+                usage: {
+                    input_tokens: state.inputTokens - state.cacheReadTokens,
+                    output_tokens: 0,
+                    cache_read_input_tokens: state.cacheReadTokens,
+                    cache_creation_input_tokens: 0
                 }
+            }
+        };
+    }
 
-                // Process each part
-                for (const part of parts) {
-                    if (part.thought === true) {
-                        // Handle thinking block
-                        const text = part.text || '';
-                        const signature = part.thoughtSignature || '';
-
-                        if (currentBlockType !== 'thinking') {
-                            if (currentBlockType !== null) {
-                                yield { type: 'content_block_stop', index: blockIndex };
-                                blockIndex++;
-                            }
-                            currentBlockType = 'thinking';
-                            currentThinkingSignature = '';
-                            yield {
-                                type: 'content_block_start',
-                                index: blockIndex,
-                                content_block: { type: 'thinking', thinking: '' }
-                            };
-                        }
+    // Process each part
+    for (const part of parts) {
+        if (part.thought === true) {
+            // The client already has the thinking of an interrupted response
+            if (state.skipThinking) continue;
+
+            // Handle thinking block
+            const text = part.text || '';
+            const signature = part.thoughtSignature || '';
+
+            if (state.currentBlockType !== 'thinking') {
+                yield* closeCurrentBlock(state);
+                state.currentBlockType = 'thinking';
+                state.currentThinkingSignature = '';
+                state.content.push({ type: 'thinking', thinking: '', signature: '' });
+                yield {
+                    type: 'content_block_start',
+                    index: state.blockIndex,
+                    content_block: { type: 'thinking', thinking: '' }
+                };
+            }
 
-                        if (signature && signature.length >= MIN_SIGNATURE_LENGTH) {
-                            currentThinkingSignature = signature;
-                        }
+            if (signature && signature.length >= MIN_SIGNATURE_LENGTH) {
+                state.currentThinkingSignature = signature;
+            }
 
-                        yield {
-                            type: 'content_block_delta',
-                            index: blockIndex,
-                            delta: { type: 'thinking_delta', thinking: text }
-                        };
+            state.content[state.content.length - 1].thinking += text;
+            yield {
+                type: 'content_block_delta',
+                index: state.blockIndex,
+                delta: { type: 'thinking_delta', thinking: text }
+            };
 
-                    } else if (part.text !== undefined) {
-                        // Skip empty text parts
-                        if (!part.text || part.text.trim().length === 0) {
-                            continue;
-                        }
+        } else if (part.text !== undefined) {
+            // Skip empty text parts
+            if (!part.text || part.text.trim().length === 0) {
+                continue;
+            }
 
-                        // SAFETY FILTER: Block "Textify" tags from reaching the user
-                        // The model might mimic these tags if it sees them in history.
-                        // We must strip them to prevent the user from seeing internal logs.
-                        const trimmedText = part.text.trim();
-                        if (trimmedText.includes('>>> PAST_TOOL_ACTION') ||
-                            trimmedText.includes('>>> PAST_TOOL_RESULT') ||
-                            trimmedText.includes('>>> PAST_TOOL_USAGE') ||
-                            trimmedText.includes('} <<<') || // Fragmented end tag
-                            (trimmedText.includes('with input:') && trimmedText.includes('tool'))) { // Leaked tool action description
+            // SAFETY FILTER: Block "Textify" tags from reaching the user
+            // The model might mimic these tags if it sees them in history.
+            // We must strip them to prevent the user from seeing internal logs.
+            const trimmedText = part.text.trim();
+            if (trimmedText.includes('>>> PAST_TOOL_ACTION') ||
+                trimmedText.includes('>>> PAST_TOOL_RESULT') ||
+                trimmedText.includes('>>> PAST_TOOL_USAGE') ||
+                trimmedText.includes('} <<<') || // Fragmented end tag
+                (trimmedText.includes('with input:') && trimmedText.includes('tool'))) { // Leaked tool action description
 
-                            continue;
-                        }
+                continue;
+            }
 
-                        // Handle regular text
-                        if (currentBlockType !== 'text') {
-                            if (currentBlockType === 'thinking' && currentThinkingSignature) {
-                                yield {
-                                    type: 'content_block_delta',
-                                    index: blockIndex,
-                                    delta: { type: 'signature_delta', signature: currentThinkingSignature }
-                                };
-                                currentThinkingSignature = '';
-                            }
-                            if (currentBlockType !== null) {
-                                yield { type: 'content_block_stop', index: blockIndex };
-                                blockIndex++;
-                            }
-                            currentBlockType = 'text';
-                            yield {
-                                type: 'content_block_start',
-                                index: blockIndex,
-                                content_block: { type: 'text', text: '' }
-                            };
-                        }
+            // The whitespace left out of a resume prefill has already been streamed
+            let text = part.text;
+            if (state.trimLeadingText) {
+                text = text.trimStart();
+                state.trimLeadingText = false;
+            }
 
-                        yield {
-                            type: 'content_block_delta',
-                            index: blockIndex,
-                            delta: { type: 'text_delta', text: part.text }
-                        };
+            // Handle regular text
+            if (state.currentBlockType !== 'text') {
+                yield* closeCurrentBlock(state);
+                state.currentBlockType = 'text';
+                state.content.push({ type: 'text', text: '' });
+                yield {
+                    type: 'content_block_start',
+                    index: state.blockIndex,
+                    content_block: { type: 'text', text: '' }
+                };
+            }
 
-                    } else if (part.functionCall) {
-                        // Handle tool use
-                        // For Gemini 3+, capture thoughtSignature from the functionCall part
-                        // The signature is a sibling to functionCall, not inside it
-                        const functionCallSignature = part.thoughtSignature || '';
-
-                        if (currentBlockType === 'thinking' && currentThinkingSignature) {
-                            yield {
-                                type: 'content_block_delta',
-                                index: blockIndex,
-                                delta: { type: 'signature_delta', signature: currentThinkingSignature }
-                            };
-                            currentThinkingSignature = '';
-                        }
-                        if (currentBlockType !== null) {
-                            yield { type: 'content_block_stop', index: blockIndex };
-                            blockIndex++;
-                        }
-                        currentBlockType = 'tool_use';
-                        stopReason = 'tool_use';
-
-                        const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
-
-                        // CRITICAL FIX: Validate and sanitize args to prevent "invalid arguments" errors
-                        let args = part.functionCall.args || {};
-                        
-                        // Ensure args is always a plain object, not null/undefined/string/array
-                        if (typeof args === 'string') {
-                            try {
-                                args = JSON.parse(args);
-                            } catch (e) {
-                                console.warn(`[CloudCode] Failed to parse streaming tool call args as JSON for "${part.functionCall.name}", using empty object: ${e.message}`);
-                                args = {};
-                            }
-                        } else if (!args || typeof args !== 'object' || Array.isArray(args)) {
-                            console.warn(`[CloudCode] Invalid streaming tool call args type (${typeof args}) for "${part.functionCall.name}", using empty object`);
-                            args = {};
-                        }
-                        
-                        // Remove any non-serializable values (functions, undefined, circular refs, etc.)
-                        try {
-                            JSON.stringify(args);
-                        } catch (e) {
-                            console.warn(`[CloudCode] Streaming tool call args for "${part.functionCall.name}" contains non-serializable values, using empty object: ${e.message}`);
-                            args = {};
-                        }
+            state.content[state.content.length - 1].text += text;
+            yield {
+                type: 'content_block_delta',
+                index: state.blockIndex,
+                delta: { type: 'text_delta', text }
+            };
 
-                        // For Gemini, include the thoughtSignature in the tool_use block
-                        // so it can be sent back in subsequent requests
-                        const toolUseBlock = {
-                            type: 'tool_use',
-                            id: toolId,
-                            name: part.functionCall.name,
-                            input: args
-                        };
-
-                        // Store the signature in the tool_use block for later retrieval
-                        if (functionCallSignature && functionCallSignature.length >= MIN_SIGNATURE_LENGTH) {
-                            toolUseBlock.thoughtSignature = functionCallSignature;
-                            // Cache for future requests (Claude Code may strip this field)
-                            cacheSignature(toolId, functionCallSignature);
-                        }
+        } else if (part.functionCall) {
+            // Handle tool use
+            // For Gemini 3+, capture thoughtSignature from the functionCall part
+            // The signature is a sibling to functionCall, not inside it
+            const functionCallSignature = part.thoughtSignature || '';
 
-                        yield {
-                            type: 'content_block_start',
-                            index: blockIndex,
-                            content_block: toolUseBlock
-                        };
-
-                        yield {
-                            type: 'content_block_delta',
-                            index: blockIndex,
-                            delta: {
-                                type: 'input_json_delta',
-                                partial_json: JSON.stringify(args)
-                            }
-                        };
-                    }
-                }
+            yield* closeCurrentBlock(state);
+            state.currentBlockType = 'tool_use';
+            state.stopReason = 'tool_use';
+            state.hasToolUse = true;
 
-                // Check finish reason
-                if (firstCandidate.finishReason) {
-                    if (firstCandidate.finishReason === 'MAX_TOKENS') {
-                        stopReason = 'max_tokens';
-                    } else if (firstCandidate.finishReason === 'STOP') {
-                        stopReason = 'end_turn';
-                    }
+            const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
+
+            // CRITICAL FIX: Validate and sanitize args to prevent "invalid arguments" errors
+            let args = part.functionCall.args || {};
+
+            // Ensure args is always a plain object, not null/undefined/string/array
+            if (typeof args === 'string') {
+                try {
+                    args = JSON.parse(args);
+                } catch (e) {
+                    console.warn(`[CloudCode] Failed to parse streaming tool call args as JSON for "${part.functionCall.name}", using empty object: ${e.message}`);
+                    args = {};
                 }
+            } else if (!args || typeof args !== 'object' || Array.isArray(args)) {
+                console.warn(`[CloudCode] Invalid streaming tool call args type (${typeof args}) for "${part.functionCall.name}", using empty object`);
+                args = {};
+            }
 
-            } catch (parseError) {
-                console.log('[CloudCode] SSE parse error:', parseError.message);
+            // Remove any non-serializable values (functions, undefined, circular refs, etc.)
+            try {
+                JSON.stringify(args);
+            } catch (e) {
+                console.warn(`[CloudCode] Streaming tool call args for "${part.functionCall.name}" contains non-serializable values, using empty object: ${e.message}`);
+                args = {};
             }
+
+            // For Gemini, include the thoughtSignature in the tool_use block
+            // so it can be sent back in subsequent requests
+            const toolUseBlock = {
+                type: 'tool_use',
+                id: toolId,
+                name: part.functionCall.name,
+                input: args
+            };
+
+            // Store the signature in the tool_use block for later retrieval
+            if (functionCallSignature && functionCallSignature.length >= MIN_SIGNATURE_LENGTH) {
+                toolUseBlock.thoughtSignature = functionCallSignature;
+                // Cache for future requests (Claude Code may strip this field)
+                cacheSignature(toolId, functionCallSignature);
+            }
+
+            yield {
+                type: 'content_block_start',
+                index: state.blockIndex,
+                content_block: toolUseBlock
+            };
+
+            yield {
+                type: 'content_block_delta',
+                index: state.blockIndex,
+                delta: {
+                    type: 'input_json_delta',
+                    partial_json: JSON.stringify(args)
+                }
+            };
         }
     }
 
+    // Check finish reason
+    if (firstCandidate.finishReason) {
+        state.finished = true;
+        if (firstCandidate.finishReason === 'MAX_TOKENS') {
+            state.stopReason = 'max_tokens';
+        } else if (firstCandidate.finishReason === 'STOP') {
+            state.stopReason = 'end_turn';
+        }
+    }
+}
+
+/**
+ * Yield the events that end a stream: the open block's stop, message_delta and message_stop
+ * A stream that emitted nothing gets a placeholder text block instead.
+ * @param {Object} state - Stream state (see createStreamState)
+ */
+function* finishStream(state) {
     // Handle no content received
-    if (!hasEmittedStart) {
+    if (!state.hasEmittedStart) {
         console.log('[CloudCode] WARNING: No content parts received, emitting empty message');
         yield {
             type: 'message_start',
             message: {
-                id: messageId,
+                id: state.messageId,
                 type: 'message',
                 role: 'assistant',
                 content: [],
-                model: originalModel,
+                model: state.originalModel,
                 stop_reason: null,
                 stop_sequence: null,
                 usage: {
-                    input_tokens: inputTokens - cacheReadTokens,
+                    input_tokens: state.inputTokens - state.cacheReadTokens,
                     output_tokens: 0,
-                    cache_read_input_tokens: cacheReadTokens,
+                    cache_read_input_tokens: state.cacheReadTokens,
                     cache_creation_input_tokens: 0
                 }
             }
@@ -1046,26 +1398,19 @@ async function* streamSSEResponse(response, originalModel) {
         yield { type: 'content_block_stop', index: 0 };
     } else {
         // Close any open block
-        if (currentBlockType !== null) {
-            if (currentBlockType === 'thinking' && currentThinkingSignature) {
-                yield {
-                    type: 'content_block_delta',
-                    index: blockIndex,
-                    delta: { type: 'signature_delta', signature: currentThinkingSignature }
-                };
-            }
-            yield { type: 'content_block_stop', index: blockIndex };
-        }
+        yield* closeCurrentBlock(state);
     }
 
     // Emit message_delta and message_stop
     yield {
         type: 'message_delta',
-        delta: { stop_reason: stopReason, stop_sequence: null },
+        delta: { stop_reason: state.stopReason, stop_sequence: null },
         usage: {
-            output_tokens: outputTokens,
-            cache_read_input_tokens: cacheReadTokens,
-            cache_creation_input_tokens: 0
+            input_tokens: state.inputTokens - state.cacheReadTokens,
+            output_tokens: state.priorOutputTokens + state.outputTokens,
+            cache_read_input_tokens: state.cacheReadTokens,
+            cache_creation_input_tokens: 0,
+            thinking_tokens: state.priorThinkingTokens + state.thinkingTokens
         }
     };
 
@@ -1107,34 +1452,167 @@ export async function listModels(token) {
  * @returns {Promise<Object>} Raw response from fetchAvailableModels API
  */
 export async function fetchAvailableModels(token) {
-    const headers = {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        ...ANTIGRAVITY_HEADERS
-    };
+    for (const endpoint of getEndpointOrder()) {
+        try {
+            return await fetchAvailableModelsAt(endpoint, token);
+        } catch (error) {
+            console.log(`[CloudCode] fetchAvailableModels failed at ${endpoint}:`, error.message);
+        }
+    }
+
+    throw new Error('Failed to fetch available models from all endpoints');
+}
+
+/**
+ * Fetch available models from one Cloud Code endpoint
+ *
+ * @param {string} endpoint - Endpoint URL (see getConfiguredEndpoints)
+ * @param {string} token - OAuth access token
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the call
+ * @returns {Promise<Object>} Raw response from fetchAvailableModels API
+ * @throws {Error} On a network error or non-2xx status (message includes the status)
+ */
+export async function fetchAvailableModelsAt(endpoint, token, { signal } = {}) {
+    const response = await callEndpoint(endpoint, () => fetch(`${endpoint}/v1internal:fetchAvailableModels`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            ...ANTIGRAVITY_HEADERS
+        },
+        body: JSON.stringify({}),
+        signal
+    }));
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API error ${response.status}: ${errorText.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    addKnownModels(Object.keys(data?.models || {}));
+    return data;
+}
+
+/**
+ * Count input tokens for a request via the Cloud Code countTokens endpoint.
+ * The system instruction is counted as a leading user turn; tool schemas are
+ * not sent (callers estimate those separately).
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {import('./account-manager.js').default} accountManager - The account manager instance
+ * @returns {Promise<number>} Total token count reported by the API
+ * @throws {Error} If no account is available or all endpoints fail
+ */
+export async function countTokens(anthropicRequest, accountManager) {
+    const model = normalizeModelName(anthropicRequest.model);
+
+    // Counting doesn't consume quota, so don't rotate the sticky account
+    const account = accountManager.getAvailableAccounts()[0];
+    if (!account) {
+        throw new Error('No accounts available');
+    }
+
+    const token = await accountManager.getTokenForAccount(account);
+    const { googleRequest } = convertAnthropicToGoogle({
+        ...anthropicRequest,
+        model
+    });
+
+    const contents = [...googleRequest.contents];
+    if (googleRequest.systemInstruction?.parts?.length > 0) {
+        contents.unshift({ role: 'user', parts: googleRequest.systemInstruction.parts });
+    }
 
-    for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    let lastError = null;
+    for (const endpoint of getEndpointOrder()) {
         try {
-            const url = `${endpoint}/v1internal:fetchAvailableModels`;
-            const response = await fetch(url, {
+            const response = await callEndpoint(endpoint, () => fetch(`${endpoint}/v1internal:countTokens`, {
                 method: 'POST',
-                headers,
-                body: JSON.stringify({})
-            });
+                headers: buildHeaders(token, model),
+                body: JSON.stringify({
+                    request: {
+                        model: `models/${model}`,
+                        contents
+                    }
+                })
+            }));
 
             if (!response.ok) {
                 const errorText = await response.text();
-                console.log(`[CloudCode] fetchAvailableModels error at ${endpoint}: ${response.status}`);
+                console.log(`[CloudCode] countTokens error at ${endpoint}: ${response.status}`);
+                lastError = new Error(`API error ${response.status}: ${errorText}`);
                 continue;
             }
 
-            return await response.json();
+            const data = await response.json();
+            if (typeof data.totalTokens === 'number') {
+                return data.totalTokens;
+            }
+            lastError = new Error('countTokens response missing totalTokens');
         } catch (error) {
-            console.log(`[CloudCode] fetchAvailableModels failed at ${endpoint}:`, error.message);
+            console.log(`[CloudCode] countTokens failed at ${endpoint}:`, error.message);
+            lastError = error;
         }
     }
 
-    throw new Error('Failed to fetch available models from all endpoints');
+    throw lastError || new Error('Failed to count tokens from all endpoints');
+}
+
+/**
+ * Embed texts via the Cloud Code batchEmbedContents endpoint.
+ * Like countTokens, this uses the first available account.
+ *
+ * @param {string[]} texts - Texts to embed (one batch)
+ * @param {string} model - Embedding model ID
+ * @param {import('./account-manager.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - Output dimensionality, if the model supports truncation
+ * @returns {Promise<number[][]>} One vector per text
+ * @throws {Error} If no account is available or all endpoints fail
+ */
+export async function embedContents(texts, model, accountManager, { dimensions } = {}) {
+    const account = accountManager.getAvailableAccounts()[0];
+    if (!account) {
+        throw new Error('No accounts available');
+    }
+
+    const token = await accountManager.getTokenForAccount(account);
+    const requests = texts.map(text => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] },
+        ...(dimensions && { outputDimensionality: dimensions })
+    }));
+
+    let lastError = null;
+    for (const endpoint of getEndpointOrder()) {
+        try {
+            const response = await callEndpoint(endpoint, () => fetch(`${endpoint}/v1internal:batchEmbedContents`, {
+                method: 'POST',
+                headers: buildHeaders(token, model),
+                body: JSON.stringify({ requests })
+            }));
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.log(`[CloudCode] batchEmbedContents error at ${endpoint}: ${response.status}`);
+                lastError = new Error(`API error ${response.status}: ${errorText}`);
+                continue;
+            }
+
+            const data = await response.json();
+            if (Array.isArray(data.embeddings) && data.embeddings.length === texts.length) {
+                return data.embeddings.map(embedding => embedding.values || []);
+            }
+            lastError = new Error('batchEmbedContents response is missing embeddings');
+        } catch (error) {
+            console.log(`[CloudCode] batchEmbedContents failed at ${endpoint}:`, error.message);
+            lastError = error;
+        }
+    }
+
+    throw lastError || new Error('Failed to embed texts from all endpoints');
 }
 
 /**
@@ -1166,5 +1644,8 @@ export default {
     sendMessageStream,
     listModels,
     fetchAvailableModels,
-    getModelQuotas
+    fetchAvailableModelsAt,
+    getModelQuotas,
+    countTokens,
+    embedContents
 };
@@ -45,6 +45,13 @@ export const ANTIGRAVITY_ENDPOINT_FALLBACKS = [
     ANTIGRAVITY_ENDPOINT_PROD
 ];
 
+// Extra Cloud Code endpoints tried after the built-in ones, comma-separated
+// (more can be added at runtime through PUT /api/endpoints)
+export const ANTIGRAVITY_EXTRA_ENDPOINTS = (process.env.ANTIGRAVITY_EXTRA_ENDPOINTS || '')
+    .split(',')
+    .map(endpoint => endpoint.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
 // Required headers for Antigravity API requests
 export const ANTIGRAVITY_HEADERS = {
     'User-Agent': getPlatformUserAgent(),
@@ -76,6 +83,63 @@ export const API_KEY_PATH = join(
     '.config/antigravity-proxy/api-key.txt'
 );
 
+// Admin token storage path (credential for dashboard and management endpoints)
+export const ADMIN_TOKEN_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/admin-token.txt'
+);
+
+// Scoped API keys storage path (named keys with model allow-lists, expiry and rate limits)
+export const API_KEYS_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/api-keys.json'
+);
+
+// Token/request budgets and their usage counters
+export const BUDGETS_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/budgets.json'
+);
+
+// Model alias table (alias -> target model with default parameters)
+export const MODEL_ALIASES_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/model-aliases.json'
+);
+
+// Cross-model fallback chains (model -> models to try when its quota is exhausted)
+export const MODEL_FALLBACKS_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/model-fallbacks.json'
+);
+
+// Throttle limits (request rates per model and per account, queue size, backoff)
+export const THROTTLE_CONFIG_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/throttle.json'
+);
+
+// Message batches database (queued /v1/messages/batches requests and their results)
+export const MESSAGE_BATCHES_DB_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/message-batches.db'
+);
+
+// Response cache database (optional persistent tier of the response cache)
+export const RESPONSE_CACHE_DB_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/response-cache.db'
+);
+
+// Request history database path (persistent dashboard history)
+export const REQUEST_HISTORY_DB_PATH = join(
+    homedir(),
+    '.config/antigravity-proxy/request-history.db'
+);
+
+// Request history retention (days). Override with REQUEST_HISTORY_RETENTION_DAYS
+export const REQUEST_HISTORY_RETENTION_DAYS = parseInt(process.env.REQUEST_HISTORY_RETENTION_DAYS, 10) || 30;
+
 // Antigravity app database path (for legacy single-account token extraction)
 // Uses platform-specific path detection
 export const ANTIGRAVITY_DB_PATH = getAntigravityDbPath();
@@ -84,11 +148,30 @@ export const DEFAULT_COOLDOWN_MS = 60 * 1000; // 1 minute default cooldown
 export const MAX_RETRIES = 5; // Max retry attempts across accounts
 export const MAX_ACCOUNTS = 10; // Maximum number of accounts allowed
 
+// Account selection strategy: sticky | round-robin | most-quota | lru
+// A strategy chosen via /api/accounts/strategy is saved in settings and takes precedence
+export const DEFAULT_SELECTION_STRATEGY = process.env.ACCOUNT_SELECTION_STRATEGY || 'sticky';
+export const QUOTA_REFRESH_INTERVAL_MS = parseInt(process.env.QUOTA_REFRESH_INTERVAL_MS, 10) || 5 * 60 * 1000; // 5 minutes
+export const QUOTA_LOW_THRESHOLD = 0.05; // Avoid accounts with less than 5% of a model's quota left
+
+// Deep health probe (/health/deep): how long results are reused and how long each upstream call may take
+export const HEALTH_PROBE_CACHE_MS = (parseInt(process.env.HEALTH_PROBE_CACHE_SECONDS, 10) || 60) * 1000;
+export const HEALTH_PROBE_TIMEOUT_MS = 10 * 1000;
+
 // API Key authentication
 // Set via environment variable ANTIGRAVITY_PROXY_API_KEY
 // If not set, generates a random key on startup (logged to console)
 export const API_KEY = process.env.ANTIGRAVITY_PROXY_API_KEY || null;
 
+// Admin authentication for /api/* management endpoints
+// Set ANTIGRAVITY_PROXY_ADMIN_TOKEN for a fixed token; otherwise one is generated and saved.
+// Admin access is localhost-only unless ANTIGRAVITY_PROXY_ALLOW_REMOTE_ADMIN=true
+export const ADMIN_TOKEN = process.env.ANTIGRAVITY_PROXY_ADMIN_TOKEN || null;
+export const ALLOW_REMOTE_ADMIN = process.env.ANTIGRAVITY_PROXY_ALLOW_REMOTE_ADMIN === 'true' ||
+    process.env.ANTIGRAVITY_PROXY_ALLOW_REMOTE_ADMIN === '1';
+export const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+export const ADMIN_SESSION_COOKIE = 'ag_admin_session';
+
 // Rate limit wait thresholds
 export const MAX_WAIT_BEFORE_ERROR_MS = 120000; // 2 minutes - throw error if wait exceeds this
 
@@ -111,6 +194,75 @@ export const GEMINI_SIGNATURE_CACHE_TTL_MS = 2 * 60 * 60 * 1000;
 // e.g., "antigravity-gemini-3-flash" -> "gemini-3-flash"
 export const MODEL_PREFIX = 'antigravity-';
 
+// Fallbacks for requests that omit model or max_tokens and have no "default" alias
+export const DEFAULT_MODEL = 'claude-sonnet-4-5-thinking';
+export const DEFAULT_MAX_TOKENS = 4096;
+
+// Send thinking as reasoning_content on /chat/completions by default
+// Can also be enabled per API key or per request (include_reasoning)
+export const OPENAI_INCLUDE_REASONING = process.env.OPENAI_INCLUDE_REASONING === 'true' ||
+    process.env.OPENAI_INCLUDE_REASONING === '1';
+
+// Upper bound for n on /chat/completions (each choice is a separate upstream request)
+export const MAX_CHOICES = 8;
+
+// Texts per upstream call on /v1/embeddings (larger inputs are split into batches)
+export const EMBEDDING_BATCH_SIZE = 100;
+
+// Retries when a structured output response does not match its schema (0 disables)
+const structuredOutputRetries = parseInt(process.env.STRUCTURED_OUTPUT_RETRIES, 10);
+export const STRUCTURED_OUTPUT_RETRIES = Number.isNaN(structuredOutputRetries) ? 1 : Math.max(0, structuredOutputRetries);
+
+// Streams cut off upstream after output has started are resumed on another endpoint or
+// account, with the partial output as a prefill, at most this many times (0 disables)
+const streamResumeAttempts = parseInt(process.env.STREAM_RESUME_ATTEMPTS, 10);
+export const STREAM_RESUME_ATTEMPTS = Number.isNaN(streamResumeAttempts) ? 2 : Math.max(0, streamResumeAttempts);
+
+// Streaming responses send a ping after this long without an event, so proxies keep the connection open
+export const STREAM_KEEPALIVE_MS = (parseInt(process.env.STREAM_KEEPALIVE_SECONDS, 10) || 15) * 1000;
+
+// Message batches: requests per batch, time to finish before unprocessed requests expire,
+// and how long ended batches and their results are kept
+export const MESSAGE_BATCH_MAX_REQUESTS = 100000;
+export const MESSAGE_BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const MESSAGE_BATCH_RETENTION_DAYS = parseInt(process.env.MESSAGE_BATCH_RETENTION_DAYS, 10) || 29;
+
+// Response cache (off by default): serves repeated temperature-0 requests, or requests
+// sent with "x-response-cache: on", without calling upstream again
+export const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE === 'true' || process.env.RESPONSE_CACHE === '1';
+export const RESPONSE_CACHE_TTL_MS = (parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 3600) * 1000;
+export const RESPONSE_CACHE_MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+export const RESPONSE_CACHE_PERSIST = process.env.RESPONSE_CACHE_PERSIST === 'true' || process.env.RESPONSE_CACHE_PERSIST === '1';
+
+// OpenTelemetry trace export over OTLP/HTTP (JSON), off unless an endpoint is set
+// Uses the standard OTEL_* variables; headers are "key=value" pairs separated by commas
+export const OTLP_TRACES_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+    (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces` : null);
+export const OTLP_HEADERS = Object.fromEntries(
+    (process.env.OTEL_EXPORTER_OTLP_TRACES_HEADERS || process.env.OTEL_EXPORTER_OTLP_HEADERS || '')
+        .split(',')
+        .map(pair => {
+            const separator = pair.indexOf('=');
+            return separator > 0 ? [pair.slice(0, separator).trim(), decodeURIComponent(pair.slice(separator + 1).trim())] : null;
+        })
+        .filter(Boolean)
+);
+export const OTEL_SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'antigravity-proxy';
+
+// Images: larger ones are downscaled (PNG) before they are sent upstream
+export const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048; // Longest edge in pixels
+export const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024; // 5 MB
+
+// Fetch http(s) image URLs and send them inline (off by default)
+// IMAGE_FETCH_ALLOWED_HOSTS is a comma-separated list, e.g. "i.imgur.com,*.githubusercontent.com"; empty allows any public host
+export const IMAGE_FETCH_ENABLED = process.env.IMAGE_FETCH === 'true' || process.env.IMAGE_FETCH === '1';
+export const IMAGE_FETCH_ALLOWED_HOSTS = (process.env.IMAGE_FETCH_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+export const IMAGE_FETCH_MAX_BYTES = parseInt(process.env.IMAGE_FETCH_MAX_BYTES, 10) || 20 * 1024 * 1024; // 20 MB
+export const IMAGE_FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS, 10) || 10 * 1000;
+
 /**
  * Normalize model name by stripping the antigravity- prefix if present.
  * This allows users to add models like "antigravity-gemini-3-flash" in Cursor
@@ -182,6 +334,7 @@ export const OAUTH_REDIRECT_URI = `http://localhost:${OAUTH_CONFIG.callbackPort}
 
 export default {
     ANTIGRAVITY_ENDPOINT_FALLBACKS,
+    ANTIGRAVITY_EXTRA_ENDPOINTS,
     ANTIGRAVITY_HEADERS,
     DEFAULT_PROJECT_ID,
     TOKEN_REFRESH_INTERVAL_MS,
@@ -190,17 +343,60 @@ export default {
     DEFAULT_PORT,
     ACCOUNT_CONFIG_PATH,
     API_KEY_PATH,
+    API_KEYS_PATH,
+    ADMIN_TOKEN_PATH,
+    BUDGETS_PATH,
+    MODEL_ALIASES_PATH,
+    MODEL_FALLBACKS_PATH,
+    THROTTLE_CONFIG_PATH,
+    MESSAGE_BATCHES_DB_PATH,
+    RESPONSE_CACHE_DB_PATH,
+    REQUEST_HISTORY_DB_PATH,
+    REQUEST_HISTORY_RETENTION_DAYS,
     ANTIGRAVITY_DB_PATH,
     DEFAULT_COOLDOWN_MS,
     MAX_RETRIES,
     MAX_ACCOUNTS,
+    DEFAULT_SELECTION_STRATEGY,
+    QUOTA_REFRESH_INTERVAL_MS,
+    QUOTA_LOW_THRESHOLD,
+    HEALTH_PROBE_CACHE_MS,
+    HEALTH_PROBE_TIMEOUT_MS,
     MAX_WAIT_BEFORE_ERROR_MS,
     MIN_SIGNATURE_LENGTH,
     GEMINI_MAX_OUTPUT_TOKENS,
     GEMINI_SKIP_SIGNATURE,
     GEMINI_SIGNATURE_CACHE_TTL_MS,
     MODEL_PREFIX,
+    DEFAULT_MODEL,
+    DEFAULT_MAX_TOKENS,
+    OPENAI_INCLUDE_REASONING,
+    MAX_CHOICES,
+    EMBEDDING_BATCH_SIZE,
+    STRUCTURED_OUTPUT_RETRIES,
+    STREAM_RESUME_ATTEMPTS,
+    STREAM_KEEPALIVE_MS,
+    MESSAGE_BATCH_MAX_REQUESTS,
+    MESSAGE_BATCH_EXPIRY_MS,
+    MESSAGE_BATCH_RETENTION_DAYS,
+    RESPONSE_CACHE_ENABLED,
+    RESPONSE_CACHE_TTL_MS,
+    RESPONSE_CACHE_MAX_ENTRIES,
+    RESPONSE_CACHE_PERSIST,
+    OTLP_TRACES_ENDPOINT,
+    OTLP_HEADERS,
+    OTEL_SERVICE_NAME,
+    IMAGE_MAX_DIMENSION,
+    IMAGE_MAX_BYTES,
+    IMAGE_FETCH_ENABLED,
+    IMAGE_FETCH_ALLOWED_HOSTS,
+    IMAGE_FETCH_MAX_BYTES,
+    IMAGE_FETCH_TIMEOUT_MS,
     API_KEY,
+    ADMIN_TOKEN,
+    ALLOW_REMOTE_ADMIN,
+    ADMIN_SESSION_TTL_MS,
+    ADMIN_SESSION_COOKIE,
     normalizeModelName,
     getModelFamily,
     isThinkingModel,
@@ -0,0 +1,312 @@
+/**
+ * Message Batch Database
+ * Persists message batches, their requests and results to a local SQLite
+ * database so queued work and results survive restarts.
+ *
+ * Schema changes are applied as numbered migrations tracked with
+ * PRAGMA user_version.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { MESSAGE_BATCHES_DB_PATH } from '../constants.js';
+
+// Each entry upgrades the schema by one version (index + 1)
+const MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS batches (
+        id TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        cancel_initiated_at INTEGER,
+        processing_status TEXT NOT NULL,
+        api_key TEXT,
+        client_id TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_batches_created_at ON batches (created_at);
+    CREATE INDEX IF NOT EXISTS idx_batches_status ON batches (processing_status, created_at);
+    CREATE TABLE IF NOT EXISTS batch_requests (
+        batch_id TEXT NOT NULL REFERENCES batches (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        custom_id TEXT NOT NULL,
+        params TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        PRIMARY KEY (batch_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS idx_batch_requests_status ON batch_requests (batch_id, status);`,
+    `ALTER TABLE batches ADD COLUMN api_key_id TEXT;`
+];
+
+// Request statuses; every request starts out as 'processing'
+export const REQUEST_STATUSES = ['processing', 'succeeded', 'errored', 'canceled', 'expired'];
+
+/**
+ * Apply pending schema migrations
+ * @param {Database} db - Open database connection
+ */
+function migrate(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+    }
+}
+
+/**
+ * Convert a database row to a batch record
+ * @param {Object} row - Batch row
+ * @param {Array<Object>} counts - Rows of { status, count } for the batch
+ * @returns {Object} Batch record
+ */
+function rowToBatch(row, counts) {
+    const requestCounts = Object.fromEntries(REQUEST_STATUSES.map(status => [status, 0]));
+    for (const { status, count } of counts) {
+        requestCounts[status] = count;
+    }
+
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        endedAt: row.ended_at,
+        cancelInitiatedAt: row.cancel_initiated_at,
+        processingStatus: row.processing_status,
+        apiKey: row.api_key,
+        apiKeyId: row.api_key_id,
+        clientId: row.client_id,
+        requestCounts
+    };
+}
+
+/**
+ * Open (or create) the message batch database
+ * @param {string} [dbPath] - Optional custom database path
+ * @returns {Object} Store with batch and request methods
+ * @throws {Error} If the database cannot be opened
+ */
+export function createMessageBatchStore(dbPath = MESSAGE_BATCHES_DB_PATH) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+
+    const insertBatchStmt = db.prepare(`
+        INSERT INTO batches (id, created_at, expires_at, processing_status, api_key, api_key_id, client_id)
+        VALUES (@id, @createdAt, @expiresAt, 'in_progress', @apiKey, @apiKeyId, @clientId)
+    `);
+    const insertRequestStmt = db.prepare(`
+        INSERT INTO batch_requests (batch_id, position, custom_id, params, status)
+        VALUES (?, ?, ?, ?, 'processing')
+    `);
+    const getBatchStmt = db.prepare('SELECT * FROM batches WHERE id = ?');
+    const countsStmt = db.prepare('SELECT status, COUNT(*) AS count FROM batch_requests WHERE batch_id = ? GROUP BY status');
+    const nextRequestStmt = db.prepare(`
+        SELECT r.batch_id, r.position, r.custom_id, r.params, b.api_key, b.api_key_id, b.client_id
+        FROM batch_requests r JOIN batches b ON b.id = r.batch_id
+        WHERE b.processing_status = 'in_progress' AND r.status = 'processing'
+        ORDER BY b.created_at, r.position
+        LIMIT 1
+    `);
+    const completeRequestStmt = db.prepare(`
+        UPDATE batch_requests SET status = ?, result = ?
+        WHERE batch_id = ? AND position = ? AND status = 'processing'
+    `);
+    const settleRemainingStmt = db.prepare(`
+        UPDATE batch_requests SET status = ?
+        WHERE batch_id = ? AND status = 'processing' AND position != ?
+    `);
+    const pendingCountStmt = db.prepare(`SELECT COUNT(*) AS count FROM batch_requests WHERE batch_id = ? AND status = 'processing'`);
+    const endBatchStmt = db.prepare(`UPDATE batches SET processing_status = 'ended', ended_at = ? WHERE id = ? AND processing_status != 'ended'`);
+    const cancelBatchStmt = db.prepare(`UPDATE batches SET processing_status = 'canceling', cancel_initiated_at = ? WHERE id = ? AND processing_status = 'in_progress'`);
+    const expiredBatchesStmt = db.prepare(`SELECT id FROM batches WHERE processing_status = 'in_progress' AND expires_at <= ?`);
+    const cancelingBatchesStmt = db.prepare(`SELECT id FROM batches WHERE processing_status = 'canceling'`);
+    const resultsStmt = db.prepare('SELECT custom_id, status, result FROM batch_requests WHERE batch_id = ? ORDER BY position');
+    const deleteBatchStmt = db.prepare('DELETE FROM batches WHERE id = ?');
+    const pruneStmt = db.prepare(`DELETE FROM batches WHERE processing_status = 'ended' AND ended_at < ?`);
+
+    /**
+     * Mark a batch's unprocessed requests with a final status and end the batch
+     * once nothing is left in flight
+     */
+    const settleBatch = db.transaction((batchId, status, inFlightPosition, now) => {
+        settleRemainingStmt.run(status, batchId, inFlightPosition ?? -1);
+        if (pendingCountStmt.get(batchId).count === 0) {
+            endBatchStmt.run(now, batchId);
+        }
+    });
+
+    return {
+        /**
+         * Insert a batch and its requests
+         * @param {Object} batch - { id, createdAt, expiresAt, apiKey, apiKeyId, clientId }
+         * @param {Array<{custom_id: string, params: Object}>} requests - Batch requests, in order
+         */
+        createBatch: db.transaction((batch, requests) => {
+            insertBatchStmt.run({ apiKey: null, apiKeyId: null, clientId: null, ...batch });
+            requests.forEach((request, position) => {
+                insertRequestStmt.run(batch.id, position, request.custom_id, JSON.stringify(request.params));
+            });
+        }),
+
+        /**
+         * Get a batch with its request counts
+         * @param {string} id - Batch ID
+         * @returns {Object|null} Batch record, or null if not found
+         */
+        getBatch(id) {
+            const row = getBatchStmt.get(id);
+            return row ? rowToBatch(row, countsStmt.all(id)) : null;
+        },
+
+        /**
+         * List batches, newest first
+         * With an API key, only its batches are listed: those saved with its id,
+         * or with its name if they have no id.
+         * @param {Object} options - { apiKey, apiKeyId, limit, beforeId, afterId }
+         * @returns {{batches: Array<Object>, hasMore: boolean}} Page of batch records
+         */
+        listBatches({ apiKey, apiKeyId, limit = 20, beforeId, afterId } = {}) {
+            const clauses = [];
+            const params = { limit: limit + 1 };
+            if (apiKeyId) {
+                clauses.push('(api_key_id = @apiKeyId OR (api_key_id IS NULL AND api_key = @apiKey))');
+                params.apiKeyId = apiKeyId;
+                params.apiKey = apiKey ?? null;
+            } else if (apiKey) {
+                clauses.push('api_key = @apiKey');
+                params.apiKey = apiKey;
+            }
+            // before_id pages towards older batches, after_id towards newer ones
+            if (beforeId) {
+                clauses.push('created_at < (SELECT created_at FROM batches WHERE id = @beforeId)');
+                params.beforeId = beforeId;
+            }
+            if (afterId) {
+                clauses.push('created_at > (SELECT created_at FROM batches WHERE id = @afterId)');
+                params.afterId = afterId;
+            }
+
+            const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+            const order = afterId && !beforeId ? 'ASC' : 'DESC';
+            const rows = db.prepare(
+                `SELECT * FROM batches ${where} ORDER BY created_at ${order} LIMIT @limit`
+            ).all(params);
+
+            const hasMore = rows.length > limit;
+            const page = rows.slice(0, limit);
+            if (order === 'ASC') page.reverse();
+            return { batches: page.map(row => rowToBatch(row, countsStmt.all(row.id))), hasMore };
+        },
+
+        /**
+         * Get the next request to process: oldest in-progress batch first, in request order
+         * @returns {Object|null} { batchId, position, customId, params, apiKey, apiKeyId, clientId }, or null if idle
+         */
+        nextRequest() {
+            const row = nextRequestStmt.get();
+            if (!row) return null;
+            return {
+                batchId: row.batch_id,
+                position: row.position,
+                customId: row.custom_id,
+                params: JSON.parse(row.params),
+                apiKey: row.api_key,
+                apiKeyId: row.api_key_id,
+                clientId: row.client_id
+            };
+        },
+
+        /**
+         * Store a request's result and end its batch if it was the last one
+         * Requests that were canceled or expired meanwhile keep that status.
+         * @param {string} batchId - Batch ID
+         * @param {number} position - Request position
+         * @param {string} status - 'succeeded' or 'errored'
+         * @param {Object} result - Result object returned in the results JSONL
+         * @param {number} now - Epoch milliseconds
+         */
+        completeRequest: db.transaction((batchId, position, status, result, now) => {
+            completeRequestStmt.run(status, JSON.stringify(result), batchId, position);
+            if (pendingCountStmt.get(batchId).count === 0) {
+                endBatchStmt.run(now, batchId);
+            }
+        }),
+
+        /**
+         * Start canceling a batch and cancel its unprocessed requests
+         * @param {string} id - Batch ID
+         * @param {number|null} inFlightPosition - Position of the request being sent, which is left to finish
+         * @param {number} now - Epoch milliseconds
+         * @returns {boolean} False if the batch was not in progress
+         */
+        cancelBatch(id, inFlightPosition, now) {
+            if (cancelBatchStmt.run(now, id).changes === 0) return false;
+            settleBatch(id, 'canceled', inFlightPosition, now);
+            return true;
+        },
+
+        /**
+         * Expire unprocessed requests of batches past their expiry and finish
+         * cancellations interrupted by a restart
+         * @param {Object|null} inFlight - { batchId, position } of the request being sent
+         * @param {number} now - Epoch milliseconds
+         * @returns {string[]} IDs of batches that expired
+         */
+        settleBatches(inFlight, now) {
+            const expired = expiredBatchesStmt.all(now).map(row => row.id);
+            for (const id of expired) {
+                settleBatch(id, 'expired', inFlight?.batchId === id ? inFlight.position : null, now);
+            }
+            for (const { id } of cancelingBatchesStmt.all()) {
+                settleBatch(id, 'canceled', inFlight?.batchId === id ? inFlight.position : null, now);
+            }
+            return expired;
+        },
+
+        /**
+         * Iterate over a batch's results in request order
+         * @param {string} batchId - Batch ID
+         * @returns {Iterable<{customId: string, status: string, result: Object|null}>}
+         */
+        *iterateResults(batchId) {
+            for (const row of resultsStmt.iterate(batchId)) {
+                yield {
+                    customId: row.custom_id,
+                    status: row.status,
+                    result: row.result ? JSON.parse(row.result) : null
+                };
+            }
+        },
+
+        /**
+         * Delete a batch and its requests
+         * @param {string} id - Batch ID
+         * @returns {boolean} True if the batch existed
+         */
+        deleteBatch(id) {
+            return deleteBatchStmt.run(id).changes > 0;
+        },
+
+        /**
+         * Delete ended batches older than the given timestamp
+         * @param {number} cutoff - Epoch milliseconds
+         * @returns {number} Number of deleted batches
+         */
+        prune(cutoff) {
+            return pruneStmt.run(cutoff).changes;
+        },
+
+        /**
+         * Close the database connection
+         */
+        close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * Request History Database
+ * Persists request records to a local SQLite database so dashboard
+ * history survives restarts.
+ *
+ * Schema changes are applied as numbered migrations tracked with
+ * PRAGMA user_version.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { REQUEST_HISTORY_DB_PATH } from '../constants.js';
+
+// Each entry upgrades the schema by one version (index + 1)
+const MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS requests (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        method TEXT,
+        path TEXT,
+        status TEXT,
+        model TEXT,
+        account TEXT,
+        stream INTEGER,
+        duration_ms INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        cache_read_tokens INTEGER,
+        cache_creation_tokens INTEGER,
+        tool_count INTEGER,
+        tool_tokens INTEGER,
+        tool_names TEXT,
+        error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_requests_timestamp ON requests (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_requests_model ON requests (model, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_requests_account ON requests (account, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_requests_status ON requests (status, timestamp);`,
+    `ALTER TABLE requests ADD COLUMN api_key TEXT;
+    CREATE INDEX IF NOT EXISTS idx_requests_api_key ON requests (api_key, timestamp);`,
+    `ALTER TABLE requests ADD COLUMN client_id TEXT;
+    CREATE INDEX IF NOT EXISTS idx_requests_client_id ON requests (client_id, timestamp);`,
+    `ALTER TABLE requests ADD COLUMN cached INTEGER;`
+];
+
+// Equality filters: query option -> column
+const FILTER_COLUMNS = {
+    model: 'model',
+    account: 'account',
+    status: 'status',
+    path: 'path',
+    apiKey: 'api_key',
+    clientId: 'client_id'
+};
+
+// Request path with /v1 added, so /chat/completions and /v1/chat/completions group together
+const ROUTE_EXPRESSION = `CASE WHEN path IS NULL OR path = '' THEN 'unknown' WHEN substr(path, 1, 4) = '/v1/' THEN path ELSE '/v1' || path END`;
+
+// Usage analytics groupings: name -> SQL expression of the group key
+const GROUP_EXPRESSIONS = {
+    total: `'total'`,
+    bucket: 'CAST((timestamp - @firstBucket) / @bucketMs AS INTEGER)',
+    model: `COALESCE(NULLIF(model, ''), 'unknown')`,
+    account: `COALESCE(NULLIF(account, ''), 'unknown')`,
+    route: ROUTE_EXPRESSION,
+    apiKey: `COALESCE(NULLIF(api_key, ''), 'unknown')`
+};
+
+/**
+ * Apply pending schema migrations
+ * @param {Database} db - Open database connection
+ */
+function migrate(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+    }
+}
+
+/**
+ * Convert a request record to database column values
+ * @param {Object} record - Request history record
+ * @returns {Object} Named parameters for the insert statement
+ */
+function recordToRow(record) {
+    const timestamp = Date.parse(record.timestamp);
+    return {
+        id: record.id,
+        timestamp: Number.isNaN(timestamp) ? Date.now() : timestamp,
+        method: record.method ?? null,
+        path: record.path ?? null,
+        status: record.status ?? null,
+        model: record.model ?? null,
+        account: record.account ?? null,
+        stream: record.stream === undefined ? null : (record.stream ? 1 : 0),
+        duration_ms: record.duration ?? null,
+        input_tokens: record.usage?.input_tokens ?? null,
+        output_tokens: record.usage?.output_tokens ?? null,
+        cache_read_tokens: record.usage?.cache_read_input_tokens ?? null,
+        cache_creation_tokens: record.usage?.cache_creation_input_tokens ?? null,
+        tool_count: record.tools?.count ?? null,
+        tool_tokens: record.tools?.tokens ?? null,
+        tool_names: record.tools?.names ? JSON.stringify(record.tools.names) : null,
+        error: record.error ?? null,
+        api_key: record.apiKey ?? null,
+        client_id: record.clientId ?? null,
+        cached: record.cached ? 1 : null
+    };
+}
+
+/**
+ * Convert a database row back to the request record shape used by the dashboard
+ * @param {Object} row - Database row
+ * @returns {Object} Request history record
+ */
+function rowToRecord(row) {
+    const record = {
+        id: row.id,
+        method: row.method,
+        path: row.path,
+        status: row.status,
+        timestamp: new Date(row.timestamp).toISOString()
+    };
+
+    if (row.model !== null) record.model = row.model;
+    if (row.account !== null) record.account = row.account;
+    if (row.stream !== null) record.stream = row.stream === 1;
+    if (row.duration_ms !== null) record.duration = row.duration_ms;
+    if (row.error !== null) record.error = row.error;
+    if (row.api_key !== null) record.apiKey = row.api_key;
+    if (row.client_id !== null) record.clientId = row.client_id;
+    if (row.cached === 1) record.cached = true;
+
+    if (row.input_tokens !== null || row.output_tokens !== null) {
+        record.usage = {
+            input_tokens: row.input_tokens || 0,
+            output_tokens: row.output_tokens || 0,
+            cache_read_input_tokens: row.cache_read_tokens || 0,
+            cache_creation_input_tokens: row.cache_creation_tokens || 0
+        };
+    }
+
+    if (row.tool_count !== null) {
+        let names = [];
+        try {
+            names = JSON.parse(row.tool_names || '[]');
+        } catch (e) {
+            // Keep empty list for malformed rows
+        }
+        record.tools = {
+            count: row.tool_count,
+            tokens: row.tool_tokens || 0,
+            names
+        };
+    }
+
+    return record;
+}
+
+/**
+ * Build a WHERE clause from query filters
+ * @param {Object} filters - { model, account, status, path, route, apiKey, clientId, from, to }
+ * @returns {{where: string, params: Object}} SQL fragment and named parameters
+ */
+function buildWhere(filters) {
+    const clauses = [];
+    const params = {};
+
+    for (const [key, column] of Object.entries(FILTER_COLUMNS)) {
+        if (filters[key]) {
+            clauses.push(`${column} = @${key}`);
+            params[key] = filters[key];
+        }
+    }
+    if (filters.route) {
+        clauses.push(`${ROUTE_EXPRESSION} = @route`);
+        params.route = filters.route;
+    }
+    if (filters.from !== undefined && filters.from !== null) {
+        clauses.push('timestamp >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to !== undefined && filters.to !== null) {
+        clauses.push('timestamp <= @to');
+        params.to = filters.to;
+    }
+
+    return {
+        where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Open (or create) the request history database
+ * @param {string} [dbPath] - Optional custom database path
+ * @returns {Object} Store with insert/query/aggregate/prune/clear/close methods
+ * @throws {Error} If the database cannot be opened
+ */
+export function createRequestHistoryStore(dbPath = REQUEST_HISTORY_DB_PATH) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+
+    const insertStmt = db.prepare(`
+        INSERT OR REPLACE INTO requests (
+            id, timestamp, method, path, status, model, account, stream, duration_ms,
+            input_tokens, output_tokens, cache_read_tokens, cache_creation_tokens,
+            tool_count, tool_tokens, tool_names, error, api_key, client_id, cached
+        ) VALUES (
+            @id, @timestamp, @method, @path, @status, @model, @account, @stream, @duration_ms,
+            @input_tokens, @output_tokens, @cache_read_tokens, @cache_creation_tokens,
+            @tool_count, @tool_tokens, @tool_names, @error, @api_key, @client_id, @cached
+        )
+    `);
+    const pruneStmt = db.prepare('DELETE FROM requests WHERE timestamp < ?');
+    const clearStmt = db.prepare('DELETE FROM requests');
+
+    return {
+        /**
+         * Insert a request record
+         * @param {Object} record - Request history record
+         */
+        insert(record) {
+            insertStmt.run(recordToRow(record));
+        },
+
+        /**
+         * Query request records, newest first
+         * @param {Object} filters - { model, account, status, path, apiKey, clientId, from, to, limit, offset }
+         * @returns {{total: number, requests: Array}} Matching page and total count
+         */
+        query(filters = {}) {
+            const { where, params } = buildWhere(filters);
+            const limit = filters.limit ?? 50;
+            const offset = filters.offset ?? 0;
+
+            const total = db.prepare(`SELECT COUNT(*) AS count FROM requests ${where}`).get(params).count;
+            const rows = db.prepare(
+                `SELECT * FROM requests ${where} ORDER BY timestamp DESC LIMIT @limit OFFSET @offset`
+            ).all({ ...params, limit, offset });
+
+            return { total, requests: rows.map(rowToRecord) };
+        },
+
+        /**
+         * Aggregate matching records into groups
+         * Latency percentiles use the nearest-rank method.
+         * @param {Object} filters - { model, account, status, path, route, apiKey, clientId, from, to }
+         * @param {string} groupBy - 'total', 'bucket', 'model', 'account', 'route' or 'apiKey'
+         * @param {Object} [bucket] - { firstBucket, bucketMs } when grouping by time bucket (key is the bucket index)
+         * @returns {Array<{key: string|number, requests: number, errors: number, inputTokens: number, outputTokens: number, cacheReadTokens: number, latencyP50: number|null, latencyP95: number|null}>}
+         */
+        aggregate(filters, groupBy, bucket = {}) {
+            const { where, params } = buildWhere(filters);
+            if (groupBy === 'bucket') {
+                params.firstBucket = bucket.firstBucket;
+                params.bucketMs = bucket.bucketMs;
+            }
+
+            return db.prepare(`
+                WITH matching AS (
+                    SELECT ${GROUP_EXPRESSIONS[groupBy]} AS key, status, duration_ms,
+                        input_tokens, output_tokens, cache_read_tokens
+                    FROM requests ${where}
+                ),
+                groups AS (
+                    SELECT key,
+                        COUNT(*) AS requests,
+                        COUNT(CASE WHEN status = 'error' THEN 1 END) AS errors,
+                        COALESCE(SUM(input_tokens), 0) AS inputTokens,
+                        COALESCE(SUM(output_tokens), 0) AS outputTokens,
+                        COALESCE(SUM(cache_read_tokens), 0) AS cacheReadTokens,
+                        COUNT(duration_ms) AS timed
+                    FROM matching GROUP BY key
+                ),
+                ranked AS (
+                    SELECT key, duration_ms,
+                        ROW_NUMBER() OVER (PARTITION BY key ORDER BY duration_ms) AS position
+                    FROM matching WHERE duration_ms IS NOT NULL
+                )
+                SELECT g.key, g.requests, g.errors, g.inputTokens, g.outputTokens, g.cacheReadTokens,
+                    MAX(CASE WHEN r.position = (50 * g.timed + 99) / 100 THEN r.duration_ms END) AS latencyP50,
+                    MAX(CASE WHEN r.position = (95 * g.timed + 99) / 100 THEN r.duration_ms END) AS latencyP95
+                FROM groups g LEFT JOIN ranked r ON r.key = g.key
+                GROUP BY g.key
+            `).all(params);
+        },
+
+        /**
+         * Get distinct values for filter dropdowns
+         * @returns {{models: string[], accounts: string[], statuses: string[], paths: string[], apiKeys: string[]}}
+         */
+        getFilterOptions() {
+            const distinct = (column) => db.prepare(
+                `SELECT DISTINCT ${column} AS value FROM requests WHERE ${column} IS NOT NULL ORDER BY ${column}`
+            ).all().map(row => row.value);
+
+            return {
+                models: distinct('model'),
+                accounts: distinct('account'),
+                statuses: distinct('status'),
+                paths: distinct('path'),
+                apiKeys: distinct('api_key')
+            };
+        },
+
+        /**
+         * Delete records older than the given timestamp
+         * @param {number} cutoff - Epoch milliseconds
+         * @returns {number} Number of deleted records
+         */
+        prune(cutoff) {
+            return pruneStmt.run(cutoff).changes;
+        },
+
+        /**
+         * Delete all records
+         */
+        clear() {
+            clearStmt.run();
+        },
+
+        /**
+         * Close the database connection
+         */
+        close() {
+            db.close();
+        }
+    };
+}
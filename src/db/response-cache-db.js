@@ -0,0 +1,106 @@
+/**
+ * Response Cache Database
+ * Persistent tier of the response cache: responses cached before a restart,
+ * or evicted from the in-memory LRU, are still served from here.
+ *
+ * Schema changes are applied as numbered migrations tracked with
+ * PRAGMA user_version.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { RESPONSE_CACHE_DB_PATH } from '../constants.js';
+
+// Each entry upgrades the schema by one version (index + 1)
+const MIGRATIONS = [
+    `CREATE TABLE IF NOT EXISTS responses (
+        key TEXT PRIMARY KEY,
+        response TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_responses_expires_at ON responses (expires_at);`
+];
+
+/**
+ * Apply pending schema migrations
+ * @param {Database} db - Open database connection
+ */
+function migrate(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+    }
+}
+
+/**
+ * Open (or create) the response cache database
+ * @param {string} [dbPath] - Optional custom database path
+ * @returns {Object} Store with get/set/prune/clear/close methods
+ * @throws {Error} If the database cannot be opened
+ */
+export function createResponseCacheStore(dbPath = RESPONSE_CACHE_DB_PATH) {
+    mkdirSync(dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+
+    const getStmt = db.prepare('SELECT response, expires_at FROM responses WHERE key = ? AND expires_at > ?');
+    const setStmt = db.prepare(`
+        INSERT OR REPLACE INTO responses (key, response, created_at, expires_at)
+        VALUES (?, ?, ?, ?)
+    `);
+    const pruneStmt = db.prepare('DELETE FROM responses WHERE expires_at <= ?');
+    const clearStmt = db.prepare('DELETE FROM responses');
+
+    return {
+        /**
+         * Get an unexpired response
+         * @param {string} key - Cache key
+         * @param {number} now - Epoch milliseconds
+         * @returns {{response: Object, expiresAt: number}|null} Cached entry, or null on a miss
+         */
+        get(key, now) {
+            const row = getStmt.get(key, now);
+            return row ? { response: JSON.parse(row.response), expiresAt: row.expires_at } : null;
+        },
+
+        /**
+         * Store a response
+         * @param {string} key - Cache key
+         * @param {Object} response - Anthropic-format response
+         * @param {number} expiresAt - Epoch milliseconds
+         */
+        set(key, response, expiresAt) {
+            setStmt.run(key, JSON.stringify(response), Date.now(), expiresAt);
+        },
+
+        /**
+         * Delete expired responses
+         * @param {number} now - Epoch milliseconds
+         * @returns {number} Number of deleted responses
+         */
+        prune(now) {
+            return pruneStmt.run(now).changes;
+        },
+
+        /**
+         * Delete all responses
+         */
+        clear() {
+            clearStmt.run();
+        },
+
+        /**
+         * Close the database connection
+         */
+        close() {
+            db.close();
+        }
+    };
+}
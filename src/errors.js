@@ -118,6 +118,35 @@ export class ApiError extends AntigravityError {
     }
 }
 
+/**
+ * Too many requests are already waiting for a model's throttle
+ */
+export class ThrottleQueueFullError extends ApiError {
+    /**
+     * @param {string} model - Model whose queue is full
+     * @param {number} maxQueue - Queue size limit
+     */
+    constructor(model, maxQueue) {
+        super(`Too many requests are waiting for ${model} (at most ${maxQueue}). Try again shortly.`, 429, 'rate_limit_error');
+        this.name = 'ThrottleQueueFullError';
+        this.model = model;
+    }
+}
+
+/**
+ * The client disconnected while its request was waiting for a model's throttle
+ */
+export class ThrottleWaitAbortedError extends ApiError {
+    /**
+     * @param {string} model - Model the request was waiting for
+     */
+    constructor(model) {
+        super(`The client disconnected while waiting for ${model}.`, 499, 'invalid_request_error');
+        this.name = 'ThrottleWaitAbortedError';
+        this.model = model;
+    }
+}
+
 /**
  * Check if an error is a rate limit error
  * Works with both custom error classes and legacy string-based errors
@@ -147,6 +176,57 @@ export function isAuthError(error) {
         msg.includes('TOKEN REFRESH FAILED');
 }
 
+/**
+ * Classify an error as an API error response
+ * Upstream failures are recognised from their message and given a client-facing
+ * message; ApiErrors keep their own type, status and message.
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {{errorType: string, statusCode: number, errorMessage: string}}
+ */
+export function parseError(error) {
+    if (error instanceof ApiError) {
+        return { errorType: error.errorType, statusCode: error.statusCode, errorMessage: error.message };
+    }
+
+    let errorType = 'api_error';
+    let statusCode = 500;
+    let errorMessage = error.message;
+
+    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
+        errorType = 'authentication_error';
+        statusCode = 401;
+        errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
+    } else if (error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED') || error.message.includes('QUOTA_EXHAUSTED')) {
+        errorType = 'invalid_request_error';
+        statusCode = 400;
+
+        const resetMatch = error.message.match(/quota will reset after (\d+h\d+m\d+s|\d+m\d+s|\d+s)/i);
+        const modelMatch = error.message.match(/"model":\s*"([^"]+)"/);
+        const model = modelMatch ? modelMatch[1] : 'the model';
+
+        if (resetMatch) {
+            errorMessage = `You have exhausted your capacity on ${model}. Quota will reset after ${resetMatch[1]}.`;
+        } else {
+            errorMessage = `You have exhausted your capacity on ${model}. Please wait for your quota to reset.`;
+        }
+    } else if (error.message.includes('invalid_request_error') || error.message.includes('INVALID_ARGUMENT')) {
+        errorType = 'invalid_request_error';
+        statusCode = 400;
+        const msgMatch = error.message.match(/"message":"([^"]+)"/);
+        if (msgMatch) errorMessage = msgMatch[1];
+    } else if (error.message.includes('All endpoints failed')) {
+        errorType = 'api_error';
+        statusCode = 503;
+        errorMessage = 'Unable to connect to Claude API. Check that Antigravity is running.';
+    } else if (error.message.includes('PERMISSION_DENIED')) {
+        errorType = 'permission_error';
+        statusCode = 403;
+        errorMessage = 'Permission denied. Check your Antigravity license.';
+    }
+
+    return { errorType, statusCode, errorMessage };
+}
+
 export default {
     AntigravityError,
     RateLimitError,
@@ -154,6 +234,9 @@ export default {
     NoAccountsError,
     MaxRetriesError,
     ApiError,
+    ThrottleQueueFullError,
+    ThrottleWaitAbortedError,
     isRateLimitError,
-    isAuthError
+    isAuthError,
+    parseError
 };
@@ -0,0 +1,149 @@
+/**
+ * Anthropic Stream Helpers
+ * Converts between Anthropic SSE events and complete Messages API responses
+ *
+ * Replayed streams use the same event sequence as streamSSEResponse in
+ * cloudcode-client.js, so every stream converter handles them unchanged.
+ */
+
+/**
+ * Create an accumulator that rebuilds the complete response from stream events
+ * @returns {{add: function(Object): void, getResponse: function(): Object|null}}
+ *   getResponse returns null until message_stop has been seen
+ */
+export function createStreamAccumulator() {
+    let message = null;
+    let complete = false;
+    const blocks = [];
+    const toolInput = new Map(); // block index -> streamed JSON
+
+    function add(event) {
+        switch (event.type) {
+            case 'message_start':
+                message = { ...event.message, content: [] };
+                break;
+
+            case 'content_block_start': {
+                const { type } = event.content_block;
+                if (type === 'tool_use') {
+                    blocks[event.index] = { ...event.content_block };
+                    toolInput.set(event.index, '');
+                } else {
+                    blocks[event.index] = { ...event.content_block, ...(type === 'thinking' && { signature: '' }) };
+                }
+                break;
+            }
+
+            case 'content_block_delta': {
+                const block = blocks[event.index];
+                const delta = event.delta || {};
+                if (!block) break;
+                if (delta.type === 'text_delta') {
+                    block.text += delta.text;
+                } else if (delta.type === 'thinking_delta') {
+                    block.thinking += delta.thinking;
+                } else if (delta.type === 'signature_delta') {
+                    block.signature = delta.signature;
+                } else if (delta.type === 'input_json_delta') {
+                    toolInput.set(event.index, toolInput.get(event.index) + (delta.partial_json || ''));
+                }
+                break;
+            }
+
+            case 'message_delta':
+                if (!message) break;
+                message.stop_reason = event.delta?.stop_reason ?? message.stop_reason;
+                message.stop_sequence = event.delta?.stop_sequence ?? message.stop_sequence;
+                if (event.usage) {
+                    message.usage = { ...message.usage, ...event.usage };
+                }
+                if (event.tool_calls_truncated) {
+                    message.tool_calls_truncated = event.tool_calls_truncated;
+                }
+                break;
+
+            case 'message_stop':
+                complete = true;
+                break;
+        }
+    }
+
+    function getResponse() {
+        if (!message || !complete) return null;
+
+        const content = blocks.map((block, index) => {
+            // The input streamed as JSON replaces the (possibly empty) input of content_block_start
+            if (block.type !== 'tool_use' || !toolInput.get(index)) return block;
+            try {
+                return { ...block, input: JSON.parse(toolInput.get(index)) };
+            } catch {
+                return block;
+            }
+        }).filter(Boolean);
+        return { ...message, content };
+    }
+
+    return { add, getResponse };
+}
+
+/**
+ * Replay a complete response as stream events
+ * @param {Object} response - Anthropic-format response
+ * @returns {Array<Object>} Anthropic SSE events, message_start through message_stop
+ */
+export function responseToStreamEvents(response) {
+    const {
+        content = [],
+        usage = {},
+        stop_reason: stopReason,
+        stop_sequence: stopSequence,
+        tool_calls_truncated: toolCallsTruncated,
+        ...message
+    } = response;
+    const events = [{
+        type: 'message_start',
+        message: {
+            ...message,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { ...usage, output_tokens: 0 }
+        }
+    }];
+
+    content.forEach((block, index) => {
+        if (block.type === 'text') {
+            events.push(
+                { type: 'content_block_start', index, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } }
+            );
+        } else if (block.type === 'thinking') {
+            events.push(
+                { type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } },
+                { type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } }
+            );
+            if (block.signature) {
+                events.push({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+            }
+        } else if (block.type === 'tool_use') {
+            events.push(
+                { type: 'content_block_start', index, content_block: block },
+                { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input || {}) } }
+            );
+        } else {
+            events.push({ type: 'content_block_start', index, content_block: block });
+        }
+        events.push({ type: 'content_block_stop', index });
+    });
+
+    events.push(
+        {
+            type: 'message_delta',
+            delta: { stop_reason: stopReason ?? null, stop_sequence: stopSequence ?? null },
+            usage,
+            ...(toolCallsTruncated && { tool_calls_truncated: toolCallsTruncated })
+        },
+        { type: 'message_stop' }
+    );
+    return events;
+}
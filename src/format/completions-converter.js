@@ -0,0 +1,97 @@
+/**
+ * OpenAI Completions API Format Converter
+ * Converts between the legacy Completions API (/v1/completions) and
+ * Anthropic Messages API formats
+ *
+ * Each prompt becomes a single user turn. With a suffix the model is asked
+ * to fill in the middle, and only the text that goes between is returned.
+ */
+
+import { convertUsageToOpenAI } from './openai-converter.js';
+
+const CONTINUE_INSTRUCTION = 'Continue the text the user sends. Reply with only the continuation, exactly as it should be appended: do not repeat the text, explain, or wrap the reply in code fences.';
+
+const FILL_IN_THE_MIDDLE_INSTRUCTION = 'The user sends the text before a gap (<prefix>) and after it (<suffix>). Reply with only the text that fills the gap, exactly as it should be inserted: do not repeat either part, explain, or wrap the reply in code fences.';
+
+/**
+ * Get the prompts of a Completions request
+ * @param {string|string[]} prompt - Completions prompt
+ * @returns {string[]|null} Prompts, or null if the prompt is not text (e.g. token arrays)
+ */
+export function getPrompts(prompt) {
+    if (typeof prompt === 'string') return [prompt];
+    if (Array.isArray(prompt) && prompt.length > 0 && prompt.every(p => typeof p === 'string')) return prompt;
+    return null;
+}
+
+/**
+ * Convert a Completions request for one prompt to Anthropic Messages API format
+ * model and max_tokens are left unset when omitted; applyModelAlias fills them in.
+ *
+ * @param {Object} completionRequest - Completions API request
+ * @param {string} prompt - One prompt of the request
+ * @returns {Object} Anthropic format request
+ */
+export function convertCompletionToAnthropic(completionRequest, prompt) {
+    const { model, suffix, max_tokens, temperature, top_p, stop, stream } = completionRequest;
+    const text = suffix ? `<prefix>${prompt}</prefix>\n<suffix>${suffix}</suffix>` : prompt;
+
+    return {
+        model,
+        system: suffix ? FILL_IN_THE_MIDDLE_INSTRUCTION : CONTINUE_INSTRUCTION,
+        messages: [{ role: 'user', content: [{ type: 'text', text }] }],
+        max_tokens,
+        temperature,
+        top_p,
+        stop_sequences: stop ? (Array.isArray(stop) ? stop : [stop]) : undefined,
+        stream
+    };
+}
+
+/**
+ * Map Anthropic stop_reason to Completions finish_reason
+ */
+export function mapFinishReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'length' : 'stop';
+}
+
+/**
+ * Convert an Anthropic response to a Completions choice
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {number} index - Choice index
+ * @param {string} [echo] - Prompt to prepend (echo: true)
+ * @returns {Object} Completions choice
+ */
+export function convertAnthropicToCompletionChoice(anthropicResponse, index, echo = '') {
+    const text = (anthropicResponse.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    return {
+        text: echo + text,
+        index,
+        logprobs: null,
+        finish_reason: mapFinishReason(anthropicResponse.stop_reason)
+    };
+}
+
+/**
+ * Build a Completions response or stream chunk
+ * @param {Object} params
+ * @param {string} params.id - Completion ID
+ * @param {string} params.model - Model name
+ * @param {Array<Object>} params.choices - Completions choices
+ * @param {Object} [params.usage] - Anthropic usage (omitted from stream chunks)
+ * @returns {Object} Completions API object
+ */
+export function buildCompletion({ id, model, choices, usage }) {
+    return {
+        id,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices,
+        ...(usage && { usage: convertUsageToOpenAI(usage) })
+    };
+}
@@ -1,10 +1,68 @@
 /**
  * OpenAI API Format Converter
  * Converts between OpenAI Chat Completions API and Anthropic Messages API formats
+ *
+ * Thinking is only sent to clients as reasoning_content when includeReasoning
+ * is set. The signed blocks behind it are cached so reasoning_content sent back
+ * on the next turn can be restored as signed thinking.
  */
 
+import { getModelFamily } from '../constants.js';
+import { cacheThinkingBlocks } from './signature-cache.js';
+import { toOutputFormat } from './structured-output.js';
+import { urlToSource } from '../utils/helpers.js';
+
+// Separator between thinking blocks when they are joined into reasoning_content
+const REASONING_SEPARATOR = '\n\n';
+
+/**
+ * Get the text of OpenAI message content (a string or an array of content parts)
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .map(part => (typeof part === 'string' ? part : part?.text || ''))
+            .filter(Boolean)
+            .join('\n');
+    }
+    return content == null ? '' : JSON.stringify(content);
+}
+
+/**
+ * Prefix a message's content with its participant name
+ * @param {Array} content - Anthropic content blocks
+ * @param {string} name - OpenAI participant name
+ * @returns {Array} Content with the first text block attributed to the name
+ */
+function attributeToName(content, name) {
+    const index = content.findIndex(block => block.type === 'text');
+    if (index === -1) {
+        return [{ type: 'text', text: `${name}:` }, ...content];
+    }
+    return content.map((block, i) => (i === index ? { ...block, text: `${name}: ${block.text}` } : block));
+}
+
+/**
+ * Append content to the conversation, merging it into the previous message
+ * when the role repeats (Anthropic requires alternating turns). Tool results
+ * are kept at the start of a user turn.
+ */
+function pushMessage(messages, role, content) {
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== role) {
+        messages.push({ role, content });
+        return;
+    }
+    const merged = [...last.content, ...content];
+    last.content = role === 'user'
+        ? [...merged.filter(block => block.type === 'tool_result'), ...merged.filter(block => block.type !== 'tool_result')]
+        : merged;
+}
+
 /**
  * Convert OpenAI Chat Completions request to Anthropic Messages API format
+ * model and max_tokens are left unset when omitted; applyModelAlias fills them in.
  * 
  * @param {Object} openaiRequest - OpenAI format request
  * @returns {Object} Anthropic format request
@@ -19,6 +77,9 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         stop,
         tools,
         tool_choice,
+        parallel_tool_calls,
+        response_format,
+        seed,
         stream
     } = openaiRequest;
 
@@ -27,17 +88,21 @@ export function convertOpenAIToAnthropic(openaiRequest) {
     const anthropicMessages = [];
 
     for (const msg of messages || []) {
-        if (msg.role === 'system') {
-            // Combine multiple system messages
-            if (system) {
-                system += '\n\n' + (typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content));
-            } else {
-                system = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
-            }
+        if (msg.role === 'system' || msg.role === 'developer') {
+            // developer is the newer name for system; combine multiple messages
+            let text = contentToText(msg.content);
+            if (msg.name) text = `${msg.name}: ${text}`;
+            system = system ? `${system}\n\n${text}` : text;
         } else if (msg.role === 'user' || msg.role === 'assistant') {
             // Convert OpenAI message to Anthropic format
             let content = [];
 
+            // 0. reasoning_content from an earlier response -> unsigned thinking block
+            // (its signature is restored from the cache when the request is built)
+            if (msg.role === 'assistant' && typeof msg.reasoning_content === 'string' && msg.reasoning_content) {
+                content.push({ type: 'thinking', thinking: msg.reasoning_content });
+            }
+
             // 1. Handle text content (and scrub polluted history)
             if (msg.content) {
                 if (typeof msg.content === 'string') {
@@ -70,13 +135,11 @@ export function convertOpenAIToAnthropic(openaiRequest) {
                                 content.push({ type: 'text', text: scrubbed });
                             }
                         } else if (block.type === 'image_url') {
-                            content.push({
-                                type: 'image',
-                                source: {
-                                    type: 'url',
-                                    url: block.image_url.url
-                                }
-                            });
+                            // data: URLs (e.g. pasted screenshots) are sent inline
+                            const url = typeof block.image_url === 'string' ? block.image_url : block.image_url?.url;
+                            if (url) {
+                                content.push({ type: 'image', source: urlToSource(url) });
+                            }
                         }
                     });
                 }
@@ -103,27 +166,23 @@ export function convertOpenAIToAnthropic(openaiRequest) {
                 });
             }
 
-            anthropicMessages.push({
-                role: msg.role === 'assistant' ? 'assistant' : 'user',
-                content: content
-            });
+            // 3. Keep the participant name (e.g. in multi-user chats) as attribution.
+            // Assistant names are dropped: prefixing the model's own earlier turns
+            // teaches it to start its reply with a name too.
+            if (msg.name && msg.role === 'user') {
+                content = attributeToName(content, msg.name);
+            }
+
+            pushMessage(anthropicMessages, msg.role === 'assistant' ? 'assistant' : 'user', content);
 
         } else if (msg.role === 'tool') {
             // Convert OpenAI tool response to Anthropic tool_result
-            // Anthropic expects tool results in 'user' blocks
-
-            // Check if deeper user message merging is needed? 
-            // For now, simply append as a user message with tool_result block.
-            // Note: Anthropic allows multiple tool_results in one user block, but separate blocks are safer for simple conversion.
-
-            anthropicMessages.push({
-                role: 'user',
-                content: [{
-                    type: 'tool_result',
-                    tool_use_id: msg.tool_call_id,
-                    content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
-                }]
-            });
+            // Consecutive tool results (and the user message that follows) share one user turn
+            pushMessage(anthropicMessages, 'user', [{
+                type: 'tool_result',
+                tool_use_id: msg.tool_call_id,
+                content: contentToText(msg.content)
+            }]);
         }
     }
 
@@ -146,40 +205,60 @@ export function convertOpenAIToAnthropic(openaiRequest) {
 
     // Convert tool_choice
     let anthropicToolChoice = null;
-    if (tool_choice) {
-        if (tool_choice === 'none' || tool_choice === 'auto') {
-            anthropicToolChoice = tool_choice;
-        } else if (tool_choice.type === 'function') {
-            anthropicToolChoice = {
-                type: 'tool',
-                name: tool_choice.function?.name
-            };
-        }
+    if (tool_choice === 'none' || tool_choice === 'auto') {
+        anthropicToolChoice = { type: tool_choice };
+    } else if (tool_choice === 'required') {
+        anthropicToolChoice = { type: 'any' };
+    } else if (tool_choice?.type === 'function') {
+        anthropicToolChoice = {
+            type: 'tool',
+            name: tool_choice.function?.name
+        };
+    }
+    if (parallel_tool_calls === false) {
+        anthropicToolChoice = { ...(anthropicToolChoice || { type: 'auto' }), disable_parallel_tool_use: true };
     }
 
     return {
-        model: model || 'claude-sonnet-4-5-thinking',
+        model: model,
         messages: anthropicMessages,
         system: system,
-        max_tokens: max_tokens || 4096,
+        max_tokens: max_tokens,
         temperature: temperature,
         top_p: top_p,
         stop_sequences: stop ? (Array.isArray(stop) ? stop : [stop]) : undefined,
         tools: anthropicTools,
         tool_choice: anthropicToolChoice,
+        output_format: toOutputFormat(response_format),
+        seed: Number.isInteger(seed) ? seed : undefined,
         stream: stream
     };
 }
 
+/**
+ * Join thinking blocks into reasoning_content and cache their signatures
+ * @param {Array<Object>} blocks - Thinking blocks ({ thinking, signature })
+ * @param {string} servedModel - Model that produced the blocks
+ * @returns {string} Reasoning text
+ */
+function toReasoningContent(blocks, servedModel) {
+    const text = blocks.map(block => block.thinking || '').join(REASONING_SEPARATOR);
+    cacheThinkingBlocks(text, blocks, getModelFamily(servedModel));
+    return text;
+}
+
 /**
  * Convert Anthropic Messages API response to OpenAI Chat Completions format
  * 
  * @param {Object} anthropicResponse - Anthropic format response
  * @param {string} model - Model name
  * @param {boolean} stream - Whether this is a streaming response
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReasoning] - Add thinking as message.reasoning_content
+ * @param {string} [options.servedModel] - Model that answered, if model is an alias
  * @returns {Object} OpenAI format response
  */
-export function convertAnthropicToOpenAI(anthropicResponse, model, stream = false) {
+export function convertAnthropicToOpenAI(anthropicResponse, model, stream = false, { includeReasoning = false, servedModel = model } = {}) {
     if (stream) {
         // Streaming responses are handled separately
         return anthropicResponse;
@@ -188,6 +267,7 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, stream = fals
     const content = anthropicResponse.content || [];
     let textContent = '';
     const toolCalls = [];
+    const thinkingBlocks = [];
 
     // Extract text and tool calls from content blocks
     for (const block of content) {
@@ -202,8 +282,10 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, stream = fals
                     arguments: JSON.stringify(block.input || {})
                 }
             });
+        } else if (block.type === 'thinking' && includeReasoning) {
+            thinkingBlocks.push(block);
         }
-        // Skip thinking blocks in OpenAI format
+        // Otherwise skip thinking blocks in OpenAI format
     }
 
     const response = {
@@ -216,20 +298,90 @@ export function convertAnthropicToOpenAI(anthropicResponse, model, stream = fals
             message: {
                 role: 'assistant',
                 content: textContent || null,
+                ...(thinkingBlocks.length > 0 && { reasoning_content: toReasoningContent(thinkingBlocks, servedModel) }),
                 ...(toolCalls.length > 0 && { tool_calls: toolCalls })
             },
-            finish_reason: mapStopReason(anthropicResponse.stop_reason)
+            finish_reason: mapStopReason(anthropicResponse.stop_reason),
+            ...(anthropicResponse.tool_calls_truncated && { tool_calls_truncated: anthropicResponse.tool_calls_truncated })
         }],
-        usage: anthropicResponse.usage ? {
-            prompt_tokens: anthropicResponse.usage.input_tokens || 0,
-            completion_tokens: anthropicResponse.usage.output_tokens || 0,
-            total_tokens: (anthropicResponse.usage.input_tokens || 0) + (anthropicResponse.usage.output_tokens || 0)
-        } : undefined
+        usage: anthropicResponse.usage ? convertUsageToOpenAI(anthropicResponse.usage) : undefined
     };
 
     return response;
 }
 
+/**
+ * Convert Anthropic usage to OpenAI usage
+ * OpenAI counts cached tokens as part of prompt_tokens; Anthropic reports them separately.
+ * @param {Object} usage - Anthropic usage (input_tokens, output_tokens, cache_read_input_tokens, thinking_tokens)
+ * @returns {Object} OpenAI usage
+ */
+export function convertUsageToOpenAI(usage) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cachedTokens;
+    const completionTokens = usage.output_tokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: cachedTokens },
+        completion_tokens_details: { reasoning_tokens: usage.thinking_tokens || 0 }
+    };
+}
+
+/**
+ * Add up Anthropic usage objects (e.g. from the choices of an n>1 request)
+ * @param {Array<Object>} usages - Anthropic usage objects
+ * @returns {Object} Summed Anthropic usage
+ */
+export function sumUsage(usages) {
+    const total = {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0,
+        thinking_tokens: 0
+    };
+    for (const usage of usages) {
+        for (const key of Object.keys(total)) {
+            total[key] += usage?.[key] || 0;
+        }
+    }
+    return total;
+}
+
+/**
+ * Combine single-choice responses into one response with multiple choices
+ * @param {Array<Object>} responses - OpenAI responses, in choice order
+ * @param {Array<Object>} usages - Anthropic usage of each response
+ * @returns {Object} OpenAI response with one choice per response and the summed usage
+ */
+export function combineChoices(responses, usages) {
+    return {
+        ...responses[0],
+        choices: responses.map((response, index) => ({ ...response.choices[0], index })),
+        usage: convertUsageToOpenAI(sumUsage(usages))
+    };
+}
+
+/**
+ * Build the final streaming chunk sent when stream_options.include_usage is set
+ * @param {string} messageId - Message ID
+ * @param {string} model - Model name
+ * @param {Object} usage - Anthropic usage accumulated over the stream
+ * @returns {Object} OpenAI chunk with empty choices and the usage
+ */
+export function buildUsageChunk(messageId, model, usage) {
+    return {
+        id: messageId,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [],
+        usage: convertUsageToOpenAI(usage)
+    };
+}
+
 /**
  * Map Anthropic stop_reason to OpenAI finish_reason
  */
@@ -249,19 +401,54 @@ function mapStopReason(stopReason) {
 // State tracking for tool calls during streaming
 const toolCallState = new Map();
 
+// State tracking for thinking blocks during streaming: messageId -> { blocks, current }
+const reasoningState = new Map();
+
+/**
+ * Build a streaming chunk carrying a reasoning_content delta
+ */
+function reasoningChunk(messageId, model, text) {
+    return {
+        id: messageId,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+            index: 0,
+            delta: { reasoning_content: text },
+            finish_reason: null
+        }]
+    };
+}
+
+/**
+ * Cache the signed thinking streamed for a message and clear its state
+ */
+function finishReasoning(messageId, servedModel) {
+    const state = reasoningState.get(messageId);
+    if (state?.blocks.length > 0) {
+        toReasoningContent(state.blocks, servedModel);
+    }
+    reasoningState.delete(messageId);
+}
+
 /**
  * Convert Anthropic streaming events to OpenAI streaming format
  * @param {Object} event - Anthropic SSE event
  * @param {string} model - Model name
  * @param {string} messageId - Message ID (passed from outside)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReasoning] - Emit thinking as reasoning_content deltas
+ * @param {string} [options.servedModel] - Model that answered, if model is an alias
  * @returns {Object|null} OpenAI format event or null if should be skipped
  */
-export function convertAnthropicStreamToOpenAI(event, model, messageId = 'chatcmpl-stream') {
+export function convertAnthropicStreamToOpenAI(event, model, messageId = 'chatcmpl-stream', { includeReasoning = false, servedModel = model } = {}) {
     // Handle different event types
     switch (event.type) {
         case 'message_start':
-            // Clear tool call state for new message
+            // Clear tool call and reasoning state for new message
             toolCallState.delete(messageId);
+            reasoningState.delete(messageId);
             return {
                 id: event.message?.id || messageId,
                 object: 'chat.completion.chunk',
@@ -332,6 +519,16 @@ export function convertAnthropicStreamToOpenAI(event, model, messageId = 'chatcm
                         finish_reason: null
                     }]
                 };
+            } else if (event.content_block?.type === 'thinking' && includeReasoning) {
+                if (!reasoningState.has(messageId)) {
+                    reasoningState.set(messageId, { blocks: [], current: null });
+                }
+                const state = reasoningState.get(messageId);
+                state.current = { thinking: '', signature: null };
+                state.blocks.push(state.current);
+
+                // Keep consecutive thinking blocks apart in the joined reasoning text
+                return state.blocks.length > 1 ? reasoningChunk(messageId, model, REASONING_SEPARATOR) : null;
             }
             // Skip thinking blocks in OpenAI format
             return null;
@@ -384,18 +581,34 @@ export function convertAnthropicStreamToOpenAI(event, model, messageId = 'chatcm
                         }]
                     };
                 }
+            } else if (event.delta?.type === 'thinking_delta' || event.delta?.type === 'signature_delta') {
+                const current = reasoningState.get(messageId)?.current;
+                if (!current) {
+                    // Thinking is not being sent to this client
+                    return null;
+                }
+                if (event.delta.type === 'signature_delta') {
+                    current.signature = event.delta.signature;
+                    return null;
+                }
+                current.thinking += event.delta.thinking || '';
+                return event.delta.thinking ? reasoningChunk(messageId, model, event.delta.thinking) : null;
             }
-            // Skip thinking deltas and other non-text deltas
+            // Skip other non-text deltas
             return null;
 
-        case 'content_block_stop':
+        case 'content_block_stop': {
             // OpenAI doesn't have explicit content block stop events
             // But we can use this to finalize tool calls if needed
+            const state = reasoningState.get(messageId);
+            if (state) state.current = null;
             return null;
+        }
 
         case 'message_delta':
-            // Clean up tool call state
+            // Clean up tool call state and cache streamed thinking
             toolCallState.delete(messageId);
+            finishReasoning(messageId, servedModel);
 
             return {
                 id: messageId,
@@ -405,13 +618,15 @@ export function convertAnthropicStreamToOpenAI(event, model, messageId = 'chatcm
                 choices: [{
                     index: 0,
                     delta: {},
-                    finish_reason: mapStopReason(event.delta?.stop_reason)
+                    finish_reason: mapStopReason(event.delta?.stop_reason),
+                    ...(event.tool_calls_truncated && { tool_calls_truncated: event.tool_calls_truncated })
                 }]
             };
 
         case 'message_stop':
             // Clean up tool call state
             toolCallState.delete(messageId);
+            finishReasoning(messageId, servedModel);
 
             return {
                 id: messageId,
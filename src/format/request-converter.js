@@ -16,8 +16,33 @@ import {
     reorderAssistantContent,
     filterUnsignedThinkingBlocks
 } from './thinking-utils.js';
+import {
+    buildStructuredOutputTool,
+    getStructuredOutputHint,
+    usesNativeJsonMode,
+    STRUCTURED_OUTPUT_TOOL
+} from './structured-output.js';
+import { normalizeToolChoice, getForcedToolHint, SINGLE_TOOL_CALL_HINT } from './tool-choice.js';
 import { estimateTokenCount } from '../utils/helpers.js';
 
+/**
+ * Append a hint to the system instruction, creating it if needed
+ * @param {Object} googleRequest - Google-format request
+ * @param {string} hint - Text to append
+ */
+function appendSystemHint(googleRequest, hint) {
+    if (!googleRequest.systemInstruction) {
+        googleRequest.systemInstruction = { parts: [{ text: hint }] };
+        return;
+    }
+    const lastPart = googleRequest.systemInstruction.parts[googleRequest.systemInstruction.parts.length - 1];
+    if (lastPart && lastPart.text) {
+        lastPart.text = `${lastPart.text}\n\n${hint}`;
+    } else {
+        googleRequest.systemInstruction.parts.push({ text: hint });
+    }
+}
+
 /**
  * Extract tool names used in message history
  * @param {Array} messages - Message history
@@ -63,7 +88,7 @@ function filterToolsByChoice(tools, tool_choice, messages) {
     // Only exception: if tool_choice is "none", return empty array (required by API spec)
     if (!tools || tools.length === 0) return tools;
 
-    if (tool_choice === 'none') {
+    if (normalizeToolChoice(tool_choice)?.type === 'none') {
         return [];
     }
 
@@ -71,6 +96,15 @@ function filterToolsByChoice(tools, tool_choice, messages) {
     return tools;
 }
 
+/**
+ * Sanitize a tool name to the characters Google function declarations allow
+ * @param {string} name - Tool name
+ * @returns {string} Sanitized name
+ */
+function sanitizeToolName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
 /**
  * Calculate token count for tool definitions
  * @param {Array} tools - Array of tool definitions
@@ -115,7 +149,7 @@ function calculateToolTokens(tools) {
  * @returns {Object} Request body for Cloud Code API and tool metadata
  */
 export function convertAnthropicToGoogle(anthropicRequest) {
-    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking } = anthropicRequest;
+    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking, output_format, seed } = anthropicRequest;
     const modelName = anthropicRequest.model || '';
     const modelFamily = getModelFamily(modelName);
     const isClaudeModel = modelFamily === 'claude';
@@ -149,17 +183,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
 
     // Add interleaved thinking hint for Claude thinking models with tools
     if (isClaudeModel && isThinking && tools && tools.length > 0) {
-        const hint = 'Interleaved thinking is enabled. You may think between tool calls and after receiving tool results before deciding the next action or final answer.';
-        if (!googleRequest.systemInstruction) {
-            googleRequest.systemInstruction = { parts: [{ text: hint }] };
-        } else {
-            const lastPart = googleRequest.systemInstruction.parts[googleRequest.systemInstruction.parts.length - 1];
-            if (lastPart && lastPart.text) {
-                lastPart.text = `${lastPart.text}\n\n${hint}`;
-            } else {
-                googleRequest.systemInstruction.parts.push({ text: hint });
-            }
-        }
+        appendSystemHint(googleRequest, 'Interleaved thinking is enabled. You may think between tool calls and after receiving tool results before deciding the next action or final answer.');
     }
 
     // NOTE: Anti-Mimicry instruction removed - we no longer convert tool_use/tool_result to text.
@@ -261,6 +285,10 @@ export function convertAnthropicToGoogle(anthropicRequest) {
     if (stop_sequences && stop_sequences.length > 0) {
         googleRequest.generationConfig.stopSequences = stop_sequences;
     }
+    // Only Gemini supports sampling seeds
+    if (seed !== undefined && isGeminiModel) {
+        googleRequest.generationConfig.seed = seed;
+    }
 
     // Enable thinking for thinking models (Claude and Gemini 3+)
     if (isThinking) {
@@ -325,6 +353,17 @@ export function convertAnthropicToGoogle(anthropicRequest) {
         };
     }
 
+    const toolChoice = normalizeToolChoice(tool_choice);
+    const userToolCount = filteredTools?.length || 0;
+
+    // Structured output: Gemini without tools has a native JSON mode,
+    // everything else answers through a synthetic tool call
+    const nativeJsonMode = output_format && usesNativeJsonMode(anthropicRequest);
+    if (output_format && !nativeJsonMode) {
+        filteredTools = [...(filteredTools || []), buildStructuredOutputTool(output_format)];
+        appendSystemHint(googleRequest, getStructuredOutputHint(output_format));
+    }
+
     // Convert tools to Google format (all tools, no filtering)
     if (filteredTools && filteredTools.length > 0) {
         const functionDeclarations = filteredTools.map((tool, idx) => {
@@ -367,10 +406,8 @@ export function convertAnthropicToGoogle(anthropicRequest) {
                 parameters = sanitizeSchema(schema);
             }
 
-            const sanitizedName = String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
-
             return {
-                name: sanitizedName,
+                name: sanitizeToolName(name),
                 description: description,
                 parameters
             };
@@ -379,6 +416,36 @@ export function convertAnthropicToGoogle(anthropicRequest) {
         googleRequest.tools = [{ functionDeclarations }];
     }
 
+    if (nativeJsonMode) {
+        googleRequest.generationConfig.responseMimeType = 'application/json';
+        if (output_format.type === 'json_schema') {
+            googleRequest.generationConfig.responseSchema = cleanSchemaForGemini(sanitizeSchema(output_format.schema));
+        }
+    } else if (userToolCount > 0 && (toolChoice?.type === 'any' || toolChoice?.type === 'tool')) {
+        if (isClaudeModel && isThinking) {
+            // Claude rejects forced tool use while thinking, so ask for it instead
+            appendSystemHint(googleRequest, getForcedToolHint(toolChoice));
+        } else {
+            googleRequest.toolConfig = {
+                functionCallingConfig: {
+                    mode: 'ANY',
+                    ...(toolChoice.type === 'tool' && { allowedFunctionNames: [sanitizeToolName(toolChoice.name)] })
+                }
+            };
+        }
+    } else if (output_format && filteredTools.length === 1 && !(isClaudeModel && isThinking)) {
+        // Force the synthetic tool when it is the only one; Claude rejects
+        // forced tool use while thinking, so it relies on the system hint
+        googleRequest.toolConfig = {
+            functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [STRUCTURED_OUTPUT_TOOL] }
+        };
+    }
+
+    // Google has no one-call-per-turn setting; extra calls are dropped from the response
+    if (userToolCount > 0 && toolChoice?.disable_parallel_tool_use) {
+        appendSystemHint(googleRequest, SINGLE_TOOL_CALL_HINT);
+    }
+
     // Cap max tokens for Gemini models
     if (isGeminiModel && googleRequest.generationConfig.maxOutputTokens > GEMINI_MAX_OUTPUT_TOKENS) {
         googleRequest.generationConfig.maxOutputTokens = GEMINI_MAX_OUTPUT_TOKENS;
@@ -195,7 +195,8 @@ export function convertGoogleToAnthropic(googleResponse, model) {
             input_tokens: promptTokens - cachedTokens,
             output_tokens: usageMetadata.candidatesTokenCount || 0,
             cache_read_input_tokens: cachedTokens,
-            cache_creation_input_tokens: 0
+            cache_creation_input_tokens: 0,
+            thinking_tokens: usageMetadata.thoughtsTokenCount || 0
         }
     };
 }
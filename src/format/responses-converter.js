@@ -0,0 +1,621 @@
+/**
+ * OpenAI Responses API Format Converter
+ * Converts between OpenAI Responses API and Anthropic Messages API formats
+ */
+
+import crypto from 'crypto';
+import { MIN_SIGNATURE_LENGTH } from '../constants.js';
+import { urlToSource } from '../utils/helpers.js';
+import { toOutputFormat } from './structured-output.js';
+
+// Thinking budgets for reasoning.effort
+const REASONING_EFFORT_BUDGETS = {
+    minimal: 1024,
+    low: 4096,
+    medium: 16000,
+    high: 32000
+};
+
+/**
+ * Generate an ID with the given prefix (e.g. "resp", "msg", "fc", "rs")
+ * @param {string} prefix - ID prefix
+ * @returns {string} Prefixed random ID
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Pack a thinking block into an opaque encrypted_content string.
+ * Claude validates the signature against the exact thinking text, so both
+ * must survive the round trip through the client.
+ * @param {string} thinking - Thinking text
+ * @param {string} signature - Thinking signature
+ * @returns {string} base64url-encoded reasoning state
+ */
+function encodeReasoningState(thinking, signature) {
+    return Buffer.from(JSON.stringify({ thinking, signature })).toString('base64url');
+}
+
+/**
+ * Unpack encrypted_content produced by encodeReasoningState
+ * @param {string} encrypted - encrypted_content from a reasoning item
+ * @returns {{thinking: string, signature: string}|null} Reasoning state or null if not ours
+ */
+function decodeReasoningState(encrypted) {
+    if (!encrypted || typeof encrypted !== 'string') return null;
+    try {
+        const state = JSON.parse(Buffer.from(encrypted, 'base64url').toString('utf8'));
+        if (typeof state?.signature === 'string') {
+            return { thinking: state.thinking || '', signature: state.signature };
+        }
+    } catch (e) {
+        // Not produced by this bridge
+    }
+    return null;
+}
+
+/**
+ * Convert Responses API content (string or content part array) to Anthropic blocks
+ * @param {string|Array} content - Responses message content
+ * @returns {Array} Anthropic content blocks
+ */
+function convertInputContent(content) {
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const blocks = [];
+    for (const part of content) {
+        switch (part?.type) {
+            case 'input_text':
+            case 'output_text':
+            case 'text':
+                if (part.text) blocks.push({ type: 'text', text: part.text });
+                break;
+            case 'refusal':
+                if (part.refusal) blocks.push({ type: 'text', text: part.refusal });
+                break;
+            case 'input_image': {
+                const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+                if (url) blocks.push({ type: 'image', source: urlToSource(url) });
+                break;
+            }
+            case 'input_file':
+                if (part.file_data) {
+                    const source = urlToSource(part.file_data);
+                    if (source.type === 'url') {
+                        // Bare base64 without a data: prefix
+                        blocks.push({
+                            type: 'document',
+                            source: { type: 'base64', media_type: 'application/pdf', data: part.file_data }
+                        });
+                    } else {
+                        blocks.push({ type: 'document', source });
+                    }
+                } else if (part.file_url) {
+                    blocks.push({ type: 'document', source: { type: 'url', url: part.file_url } });
+                }
+                break;
+            default:
+                console.log(`[ResponsesConverter] Skipping unsupported content part: ${part?.type}`);
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Flatten Responses content to plain text (for system/developer messages)
+ * @param {string|Array} content - Responses message content
+ * @returns {string} Text content
+ */
+function contentToText(content) {
+    return convertInputContent(content)
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * Parse function_call arguments into an object
+ * @param {string|Object} args - JSON string or object
+ * @returns {Object} Parsed arguments
+ */
+function parseArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        const parsed = JSON.parse(args || '{}');
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (e) {
+        console.warn('[ResponsesConverter] Failed to parse function_call arguments:', args);
+        return {};
+    }
+}
+
+/**
+ * Convert Responses API tool_choice to Anthropic tool_choice
+ * parallel_tool_calls: false becomes disable_parallel_tool_use.
+ * @param {string|Object} toolChoice - Responses tool_choice
+ * @param {boolean} [parallelToolCalls] - Responses parallel_tool_calls
+ * @returns {Object|null} Anthropic tool_choice
+ */
+function convertToolChoice(toolChoice, parallelToolCalls) {
+    let converted = null;
+    if (toolChoice === 'none' || toolChoice === 'auto') {
+        converted = { type: toolChoice };
+    } else if (toolChoice === 'required') {
+        converted = { type: 'any' };
+    } else if (toolChoice?.type === 'function' && toolChoice.name) {
+        converted = { type: 'tool', name: toolChoice.name };
+    }
+    if (parallelToolCalls === false) {
+        converted = { ...(converted || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+    return converted;
+}
+
+/**
+ * Convert OpenAI Responses API request to Anthropic Messages API format
+ * model and max_tokens are left unset when omitted; applyModelAlias fills them in.
+ *
+ * @param {Object} responsesRequest - Responses API request
+ * @returns {Object} Anthropic format request
+ */
+export function convertResponsesToAnthropic(responsesRequest) {
+    const {
+        model,
+        input,
+        instructions,
+        tools,
+        tool_choice,
+        parallel_tool_calls,
+        max_output_tokens,
+        temperature,
+        top_p,
+        reasoning,
+        text: textConfig,
+        stream
+    } = responsesRequest;
+
+    const systemParts = [];
+    if (instructions) systemParts.push(instructions);
+
+    const messages = [];
+
+    // Append blocks to the last message when the role matches, so function calls,
+    // reasoning and tool outputs end up in a single assistant/user turn
+    const pushBlocks = (role, blocks) => {
+        if (blocks.length === 0) return;
+        const last = messages[messages.length - 1];
+        if (last && last.role === role) {
+            last.content.push(...blocks);
+        } else {
+            messages.push({ role, content: [...blocks] });
+        }
+    };
+
+    const items = typeof input === 'string'
+        ? [{ type: 'message', role: 'user', content: input }]
+        : (Array.isArray(input) ? input : []);
+
+    for (const item of items) {
+        const type = item.type || 'message';
+
+        switch (type) {
+            case 'message':
+                if (item.role === 'system' || item.role === 'developer') {
+                    const text = contentToText(item.content);
+                    if (text) systemParts.push(text);
+                } else {
+                    pushBlocks(item.role === 'assistant' ? 'assistant' : 'user', convertInputContent(item.content));
+                }
+                break;
+
+            case 'function_call':
+                pushBlocks('assistant', [{
+                    type: 'tool_use',
+                    id: item.call_id,
+                    name: item.name,
+                    input: parseArguments(item.arguments)
+                }]);
+                break;
+
+            case 'function_call_output': {
+                const output = item.output;
+                let content;
+                if (typeof output === 'string') {
+                    content = output;
+                } else if (Array.isArray(output)) {
+                    content = convertInputContent(output);
+                } else {
+                    content = JSON.stringify(output ?? '');
+                }
+                pushBlocks('user', [{
+                    type: 'tool_result',
+                    tool_use_id: item.call_id,
+                    content
+                }]);
+                break;
+            }
+
+            case 'reasoning': {
+                const state = decodeReasoningState(item.encrypted_content);
+                const summaryText = (item.summary || []).map(s => s.text || '').join('\n');
+                pushBlocks('assistant', [{
+                    type: 'thinking',
+                    thinking: state ? state.thinking : summaryText,
+                    signature: state ? state.signature : ''
+                }]);
+                break;
+            }
+
+            default:
+                console.log(`[ResponsesConverter] Skipping unsupported input item: ${type}`);
+        }
+    }
+
+    // Only function tools can be forwarded (built-in tools like web_search are not available)
+    let anthropicTools = null;
+    if (Array.isArray(tools) && tools.length > 0) {
+        anthropicTools = tools
+            .filter(tool => tool.type === 'function')
+            .map(tool => ({
+                name: tool.name,
+                description: tool.description || '',
+                input_schema: tool.parameters || {
+                    type: 'object',
+                    properties: {},
+                    required: []
+                }
+            }));
+        if (anthropicTools.length === 0) anthropicTools = null;
+    }
+
+    let thinking;
+    const budget = REASONING_EFFORT_BUDGETS[reasoning?.effort];
+    if (budget) {
+        thinking = { type: 'enabled', budget_tokens: budget };
+    }
+
+    return {
+        model,
+        messages,
+        system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+        max_tokens: max_output_tokens,
+        temperature,
+        top_p,
+        tools: anthropicTools,
+        tool_choice: convertToolChoice(tool_choice, parallel_tool_calls),
+        thinking,
+        output_format: toOutputFormat(textConfig?.format),
+        stream
+    };
+}
+
+/**
+ * Build a reasoning output item from a thinking block
+ * @param {string} id - Item ID
+ * @param {string} thinking - Thinking text
+ * @param {string} signature - Thinking signature
+ * @param {boolean} includeSummary - Whether to expose the thinking text as a summary
+ * @returns {Object} Responses reasoning item
+ */
+function buildReasoningItem(id, thinking, signature, includeSummary) {
+    const item = {
+        id,
+        type: 'reasoning',
+        summary: includeSummary && thinking ? [{ type: 'summary_text', text: thinking }] : []
+    };
+    if (signature && signature.length >= MIN_SIGNATURE_LENGTH) {
+        item.encrypted_content = encodeReasoningState(thinking, signature);
+    }
+    return item;
+}
+
+/**
+ * Build a Responses API usage object from Anthropic usage
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object} Responses usage
+ */
+function buildUsage(usage = {}) {
+    const cached = usage.cache_read_input_tokens || 0;
+    const inputTokens = (usage.input_tokens || 0) + cached;
+    const outputTokens = usage.output_tokens || 0;
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: cached },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: usage.thinking_tokens || 0 },
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Build the top-level Responses API response object
+ * @param {Object} params - Response fields
+ * @returns {Object} Responses API response
+ */
+function buildResponseObject({ id, createdAt, model, status, output, usage, stopReason, toolCallsTruncated, request = {} }) {
+    return {
+        id,
+        object: 'response',
+        created_at: createdAt,
+        status,
+        error: null,
+        incomplete_details: status === 'incomplete' && stopReason === 'max_tokens'
+            ? { reason: 'max_output_tokens' }
+            : null,
+        instructions: request.instructions ?? null,
+        max_output_tokens: request.max_output_tokens ?? null,
+        model,
+        output,
+        parallel_tool_calls: request.parallel_tool_calls ?? true,
+        previous_response_id: null,
+        reasoning: request.reasoning ?? null,
+        temperature: request.temperature ?? null,
+        tool_choice: request.tool_choice ?? 'auto',
+        tools: request.tools ?? [],
+        top_p: request.top_p ?? null,
+        usage: usage ? buildUsage(usage) : null,
+        ...(toolCallsTruncated && { tool_calls_truncated: toolCallsTruncated })
+    };
+}
+
+/**
+ * Convert Anthropic Messages API response to OpenAI Responses API format
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} model - Model name
+ * @param {Object} [request] - Original Responses API request (echoed fields)
+ * @returns {Object} Responses API response
+ */
+export function convertAnthropicToResponses(anthropicResponse, model, request = {}) {
+    const includeSummary = !!request.reasoning?.summary;
+    const output = [];
+    let message = null;
+
+    for (const block of anthropicResponse.content || []) {
+        if (block.type === 'thinking') {
+            message = null;
+            output.push(buildReasoningItem(generateId('rs'), block.thinking, block.signature, includeSummary));
+        } else if (block.type === 'text') {
+            if (!block.text) continue;
+            if (!message) {
+                message = {
+                    id: generateId('msg'),
+                    type: 'message',
+                    status: 'completed',
+                    role: 'assistant',
+                    content: []
+                };
+                output.push(message);
+            }
+            message.content.push({ type: 'output_text', text: block.text, annotations: [] });
+        } else if (block.type === 'tool_use') {
+            message = null;
+            output.push({
+                id: generateId('fc'),
+                type: 'function_call',
+                status: 'completed',
+                call_id: block.id,
+                name: block.name,
+                arguments: JSON.stringify(block.input || {})
+            });
+        }
+    }
+
+    return buildResponseObject({
+        id: generateId('resp'),
+        createdAt: Math.floor(Date.now() / 1000),
+        model,
+        status: anthropicResponse.stop_reason === 'max_tokens' ? 'incomplete' : 'completed',
+        output,
+        usage: anthropicResponse.usage,
+        stopReason: anthropicResponse.stop_reason,
+        toolCallsTruncated: anthropicResponse.tool_calls_truncated,
+        request
+    });
+}
+
+/**
+ * Create a converter from Anthropic streaming events to Responses API events.
+ * Each call to convert() returns zero or more Responses events, in order.
+ *
+ * @param {string} model - Model name
+ * @param {Object} [request] - Original Responses API request (echoed fields)
+ * @returns {{convert: function(Object): Array<Object>}} Stream converter
+ */
+export function createResponsesStreamConverter(model, request = {}) {
+    const includeSummary = !!request.reasoning?.summary;
+    const responseId = generateId('resp');
+    const createdAt = Math.floor(Date.now() / 1000);
+    const output = [];
+    const blocks = new Map(); // Anthropic block index -> { item, outputIndex, text, thinking, signature }
+    const usage = {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0
+    };
+    let stopReason = null;
+    let toolCallsTruncated = 0;
+    let sequenceNumber = 0;
+
+    const emit = (type, payload) => ({ type, sequence_number: sequenceNumber++, ...payload });
+
+    const snapshot = (status) => buildResponseObject({
+        id: responseId,
+        createdAt,
+        model,
+        status,
+        output: [...output],
+        usage: status === 'in_progress' ? null : usage,
+        stopReason,
+        toolCallsTruncated,
+        request
+    });
+
+    function convert(event) {
+        switch (event.type) {
+            case 'message_start': {
+                const startUsage = event.message?.usage || {};
+                usage.input_tokens = startUsage.input_tokens || 0;
+                usage.cache_read_input_tokens = startUsage.cache_read_input_tokens || 0;
+                return [
+                    emit('response.created', { response: snapshot('in_progress') }),
+                    emit('response.in_progress', { response: snapshot('in_progress') })
+                ];
+            }
+
+            case 'content_block_start': {
+                const block = event.content_block || {};
+                const outputIndex = output.length;
+                let item;
+
+                if (block.type === 'text') {
+                    item = { id: generateId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+                } else if (block.type === 'thinking') {
+                    item = { id: generateId('rs'), type: 'reasoning', summary: [] };
+                } else if (block.type === 'tool_use') {
+                    item = {
+                        id: generateId('fc'),
+                        type: 'function_call',
+                        status: 'in_progress',
+                        call_id: block.id,
+                        name: block.name,
+                        arguments: ''
+                    };
+                } else {
+                    return [];
+                }
+
+                output.push(item);
+                blocks.set(event.index, { item, outputIndex, text: '', thinking: '', signature: '' });
+
+                const events = [emit('response.output_item.added', { output_index: outputIndex, item: { ...item } })];
+                if (block.type === 'text') {
+                    events.push(emit('response.content_part.added', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        part: { type: 'output_text', text: '', annotations: [] }
+                    }));
+                } else if (block.type === 'thinking' && includeSummary) {
+                    events.push(emit('response.reasoning_summary_part.added', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        summary_index: 0,
+                        part: { type: 'summary_text', text: '' }
+                    }));
+                }
+                return events;
+            }
+
+            case 'content_block_delta': {
+                const state = blocks.get(event.index);
+                if (!state) return [];
+                const { item, outputIndex } = state;
+                const delta = event.delta || {};
+
+                if (delta.type === 'text_delta') {
+                    state.text += delta.text;
+                    return [emit('response.output_text.delta', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        delta: delta.text
+                    })];
+                }
+                if (delta.type === 'thinking_delta') {
+                    state.thinking += delta.thinking;
+                    if (!includeSummary || !delta.thinking) return [];
+                    return [emit('response.reasoning_summary_text.delta', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        summary_index: 0,
+                        delta: delta.thinking
+                    })];
+                }
+                if (delta.type === 'signature_delta') {
+                    state.signature += delta.signature;
+                    return [];
+                }
+                if (delta.type === 'input_json_delta') {
+                    item.arguments += delta.partial_json;
+                    return [emit('response.function_call_arguments.delta', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        delta: delta.partial_json
+                    })];
+                }
+                return [];
+            }
+
+            case 'content_block_stop': {
+                const state = blocks.get(event.index);
+                if (!state) return [];
+                const { item, outputIndex } = state;
+                const events = [];
+
+                if (item.type === 'message') {
+                    const part = { type: 'output_text', text: state.text, annotations: [] };
+                    item.content = [part];
+                    item.status = 'completed';
+                    events.push(
+                        emit('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: state.text }),
+                        emit('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part })
+                    );
+                } else if (item.type === 'reasoning') {
+                    const finalItem = buildReasoningItem(item.id, state.thinking, state.signature, includeSummary);
+                    Object.assign(item, finalItem);
+                    if (includeSummary) {
+                        const part = { type: 'summary_text', text: state.thinking };
+                        events.push(
+                            emit('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text: state.thinking }),
+                            emit('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part })
+                        );
+                    }
+                } else if (item.type === 'function_call') {
+                    if (!item.arguments) item.arguments = '{}';
+                    item.status = 'completed';
+                    events.push(emit('response.function_call_arguments.done', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        arguments: item.arguments
+                    }));
+                }
+
+                events.push(emit('response.output_item.done', { output_index: outputIndex, item: { ...item } }));
+                blocks.delete(event.index);
+                return events;
+            }
+
+            case 'message_delta':
+                if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+                if (event.tool_calls_truncated) toolCallsTruncated = event.tool_calls_truncated;
+                if (event.usage) {
+                    usage.output_tokens = event.usage.output_tokens || 0;
+                    usage.thinking_tokens = event.usage.thinking_tokens || 0;
+                    if (event.usage.input_tokens !== undefined) {
+                        usage.input_tokens = event.usage.input_tokens;
+                    }
+                    if (event.usage.cache_read_input_tokens !== undefined) {
+                        usage.cache_read_input_tokens = event.usage.cache_read_input_tokens;
+                    }
+                }
+                return [];
+
+            case 'message_stop': {
+                const status = stopReason === 'max_tokens' ? 'incomplete' : 'completed';
+                const type = status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+                return [emit(type, { response: snapshot(status) })];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    return { convert };
+}
@@ -5,12 +5,20 @@
  * Gemini models require thoughtSignature on tool calls, but Claude Code
  * strips non-standard fields. This cache stores signatures by tool_use_id
  * so they can be restored in subsequent requests.
+ *
+ * It also stores signed thinking blocks by their text, so reasoning that
+ * OpenAI clients send back as plain reasoning_content can be turned into
+ * signed thinking blocks again on the next turn.
  */
 
+import crypto from 'crypto';
 import { GEMINI_SIGNATURE_CACHE_TTL_MS } from '../constants.js';
 
 const signatureCache = new Map();
 
+// sha256(reasoning text) -> { blocks, family, timestamp }
+const thinkingCache = new Map();
+
 /**
  * Store a signature for a tool_use_id
  * @param {string} toolUseId - The tool use ID
@@ -43,15 +51,59 @@ export function getCachedSignature(toolUseId) {
     return entry.signature;
 }
 
+/**
+ * Hash reasoning text for use as a thinking cache key
+ */
+function thinkingKey(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Store signed thinking blocks under the reasoning text shown to the client
+ * @param {string} text - Reasoning text as sent to the client
+ * @param {Array<{thinking: string, signature: string}>} blocks - Signed thinking blocks it was built from
+ * @param {string} family - Model family that produced the signatures ('claude' or 'gemini')
+ */
+export function cacheThinkingBlocks(text, blocks, family) {
+    if (!text || !blocks?.length || !blocks.every(b => b.signature)) return;
+    thinkingCache.set(thinkingKey(text), {
+        blocks: blocks.map(({ thinking, signature }) => ({ type: 'thinking', thinking, signature })),
+        family,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * Get the signed thinking blocks behind a reasoning text
+ * Signatures only verify on the model family that produced them.
+ * @param {string} text - Reasoning text sent back by the client
+ * @param {string} family - Model family the request is for
+ * @returns {Array<Object>|null} Signed thinking blocks or null if not found/expired/other family
+ */
+export function getCachedThinkingBlocks(text, family) {
+    if (!text) return null;
+    const entry = thinkingCache.get(thinkingKey(text));
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
+        thinkingCache.delete(thinkingKey(text));
+        return null;
+    }
+
+    return entry.family === family ? entry.blocks : null;
+}
+
 /**
  * Clear expired entries from the cache
  * Can be called periodically to prevent memory buildup
  */
 export function cleanupCache() {
     const now = Date.now();
-    for (const [key, entry] of signatureCache) {
-        if (now - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
-            signatureCache.delete(key);
+    for (const cache of [signatureCache, thinkingCache]) {
+        for (const [key, entry] of cache) {
+            if (now - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
+                cache.delete(key);
+            }
         }
     }
 }
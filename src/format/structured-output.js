@@ -0,0 +1,167 @@
+/**
+ * Structured Output
+ * Support for OpenAI response_format (json_object / json_schema).
+ *
+ * Requests carry the format as output_format: { type: 'json_object' } or
+ * { type: 'json_schema', name, schema, strict }. Gemini models without tools
+ * use the native JSON mode (responseMimeType + responseSchema). Otherwise
+ * the format is emulated with a synthetic tool whose arguments are the
+ * answer; responses are unwrapped so clients only see the JSON text.
+ */
+
+import { getModelFamily } from '../constants.js';
+import { validateJsonSchema } from '../utils/json-schema.js';
+import { ApiError } from '../errors.js';
+
+export const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+
+/**
+ * Convert an OpenAI response_format or Responses text.format to output_format
+ * Chat Completions nests the schema under json_schema; Responses does not.
+ * @param {Object} format - { type, json_schema?: { name, schema, strict } } or { type, name, schema, strict }
+ * @returns {Object|undefined} output_format, or undefined for plain text
+ * @throws {ApiError} If the schema is given but is not a JSON Schema object
+ */
+export function toOutputFormat(format) {
+    if (!format || typeof format !== 'object') return undefined;
+    if (format.type === 'json_object') {
+        return { type: 'json_object' };
+    }
+    if (format.type === 'json_schema') {
+        const spec = format.json_schema || format;
+        if (spec.schema !== undefined && (!spec.schema || typeof spec.schema !== 'object' || Array.isArray(spec.schema))) {
+            throw new ApiError('json_schema.schema must be a JSON Schema object', 400, 'invalid_request_error');
+        }
+        return {
+            type: 'json_schema',
+            name: spec.name || 'response',
+            schema: spec.schema || { type: 'object' },
+            strict: spec.strict === true
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Check whether a request can use the backend's native JSON mode
+ * Gemini rejects a JSON response type combined with function calling.
+ * @param {Object} request - Anthropic-format request with output_format
+ * @returns {boolean} True for Gemini requests without tools
+ */
+export function usesNativeJsonMode(request) {
+    return getModelFamily(request.model) === 'gemini' && !(request.tools && request.tools.length > 0);
+}
+
+/**
+ * Build the synthetic tool used to emulate structured output
+ * @param {Object} outputFormat - output_format
+ * @returns {Object} Anthropic-format tool definition
+ */
+export function buildStructuredOutputTool(outputFormat) {
+    const isSchema = outputFormat.type === 'json_schema';
+    return {
+        name: STRUCTURED_OUTPUT_TOOL,
+        description: isSchema
+            ? `Return the final answer (${outputFormat.name}) as this tool's arguments.`
+            : 'Return the final answer as a JSON object in this tool\'s arguments.',
+        input_schema: isSchema ? outputFormat.schema : { type: 'object', additionalProperties: true }
+    };
+}
+
+/**
+ * Get the system instruction that steers the model to the synthetic tool
+ * @param {Object} outputFormat - output_format
+ * @returns {string} Instruction text
+ */
+export function getStructuredOutputHint(outputFormat) {
+    const shape = outputFormat.type === 'json_schema'
+        ? `matching the "${outputFormat.name}" schema`
+        : 'as a JSON object';
+    return `When you give your final answer, call the ${STRUCTURED_OUTPUT_TOOL} tool with the answer ${shape} as its arguments instead of replying with text.`;
+}
+
+/**
+ * Replace the synthetic tool call in a response with its JSON as text
+ * Other text blocks are dropped so the text content is exactly the JSON.
+ * @param {Object} response - Anthropic-format response
+ * @returns {Object} Response with the structured output as a text block
+ */
+export function unwrapStructuredOutput(response) {
+    const blocks = response.content || [];
+    const call = blocks.find(block => block.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL);
+    if (!call) return response;
+
+    const otherToolUse = blocks.some(block => block.type === 'tool_use' && block !== call);
+    const content = blocks
+        .filter(block => block.type !== 'text')
+        .map(block => (block === call ? { type: 'text', text: JSON.stringify(call.input ?? {}) } : block));
+
+    return {
+        ...response,
+        content,
+        stop_reason: !otherToolUse && response.stop_reason === 'tool_use' ? 'end_turn' : response.stop_reason
+    };
+}
+
+/**
+ * Create a stream event mapper that turns the synthetic tool call into text
+ * @returns {(event: Object) => Object} Maps each Anthropic SSE event
+ */
+export function createStructuredOutputStreamUnwrapper() {
+    let callIndex = null;
+    let otherToolUse = false;
+
+    return (event) => {
+        if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+            if (event.content_block.name !== STRUCTURED_OUTPUT_TOOL) {
+                otherToolUse = true;
+                return event;
+            }
+            callIndex = event.index;
+            return { ...event, content_block: { type: 'text', text: '' } };
+        }
+        if (event.type === 'content_block_delta' && event.index === callIndex && event.delta?.type === 'input_json_delta') {
+            return { ...event, delta: { type: 'text_delta', text: event.delta.partial_json || '' } };
+        }
+        if (event.type === 'message_delta' && callIndex !== null && !otherToolUse && event.delta?.stop_reason === 'tool_use') {
+            return { ...event, delta: { ...event.delta, stop_reason: 'end_turn' } };
+        }
+        return event;
+    };
+}
+
+/**
+ * Get the text content of a response
+ * @param {Object} response - Anthropic-format response
+ * @returns {string} Concatenated text blocks
+ */
+export function getResponseText(response) {
+    return (response.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+/**
+ * Validate response text against an output_format
+ * A surrounding ```json fence is tolerated.
+ * @param {string} text - Response text
+ * @param {Object} outputFormat - output_format
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateStructuredOutput(text, outputFormat) {
+    const json = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (error) {
+        return [`response is not valid JSON (${error.message})`];
+    }
+
+    if (outputFormat.type === 'json_object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value)
+            ? []
+            : ['response must be a JSON object'];
+    }
+    return validateJsonSchema(value, outputFormat.schema);
+}
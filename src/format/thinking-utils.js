@@ -4,6 +4,7 @@
  */
 
 import { MIN_SIGNATURE_LENGTH } from '../constants.js';
+import { getCachedThinkingBlocks } from './signature-cache.js';
 
 /**
  * Check if a part is a thinking block
@@ -199,7 +200,9 @@ function isValidGeminiSignature(signature) {
 
 /**
  * Filter thinking blocks: keep only those with valid signatures.
- * Blocks without signatures are dropped (API requires signatures).
+ * Unsigned blocks whose text matches cached signed thinking (e.g. reasoning_content
+ * sent back by OpenAI clients) are replaced with the cached blocks; other
+ * blocks without signatures are dropped (API requires signatures).
  * Also sanitizes blocks to remove extra fields like cache_control.
  *
  * @param {Array<Object>} content - Array of content blocks
@@ -218,6 +221,14 @@ export function restoreThinkingSignatures(content, isGeminiModel = false) {
             continue;
         }
 
+        if (!block.signature) {
+            const cached = getCachedThinkingBlocks(block.thinking, isGeminiModel ? 'gemini' : 'claude');
+            if (cached) {
+                filtered.push(...cached);
+                continue;
+            }
+        }
+
         // For Gemini models, accept placeholder signatures
         if (isGeminiModel) {
             if (isValidGeminiSignature(block.signature)) {
@@ -458,12 +469,13 @@ export function needsThinkingRecovery(messages, isGeminiModel = false) {
 
 /**
  * Strip all thinking blocks from messages.
- * Used before injecting synthetic messages for recovery.
+ * Used before injecting synthetic messages for recovery, and when a request
+ * falls back to a model family that cannot verify the existing signatures.
  *
  * @param {Array<Object>} messages - Array of messages
  * @returns {Array<Object>} Messages with all thinking blocks removed
  */
-function stripAllThinkingBlocks(messages) {
+export function stripAllThinkingBlocks(messages) {
     return messages.map(msg => {
         const content = msg.content || msg.parts;
         if (!Array.isArray(content)) return msg;
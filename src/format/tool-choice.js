@@ -0,0 +1,91 @@
+/**
+ * Tool Choice
+ * Normalizes Anthropic tool_choice and enforces disable_parallel_tool_use
+ *
+ * Google's functionCallingConfig can force or forbid tool calls but has no
+ * setting for one call per turn. When parallel tool use is disabled the
+ * model is asked for a single call, and any extra calls it makes anyway are
+ * dropped from the response and counted in tool_calls_truncated.
+ */
+
+const TOOL_CHOICE_TYPES = ['auto', 'any', 'tool', 'none'];
+
+export const SINGLE_TOOL_CALL_HINT = 'Call at most one tool per response, then wait for its result before calling another.';
+
+/**
+ * Normalize a tool_choice to Anthropic's object form
+ * Accepts the string shorthands 'auto', 'none', 'any' and 'required'.
+ * @param {string|Object} [toolChoice] - tool_choice
+ * @returns {Object|null} { type, name?, disable_parallel_tool_use? }, or null if unset or unknown
+ */
+export function normalizeToolChoice(toolChoice) {
+    if (!toolChoice) return null;
+    const choice = typeof toolChoice === 'string'
+        ? { type: toolChoice === 'required' ? 'any' : toolChoice }
+        : toolChoice;
+    return TOOL_CHOICE_TYPES.includes(choice.type) ? choice : null;
+}
+
+/**
+ * Check whether a request allows at most one tool call per response
+ * @param {Object} request - Anthropic-format request
+ * @returns {boolean}
+ */
+export function isParallelToolUseDisabled(request) {
+    return normalizeToolChoice(request.tool_choice)?.disable_parallel_tool_use === true;
+}
+
+/**
+ * Get the system hint asking for a tool call when it cannot be forced
+ * @param {Object} toolChoice - Normalized tool_choice of type 'any' or 'tool'
+ * @returns {string} Hint text
+ */
+export function getForcedToolHint(toolChoice) {
+    return toolChoice.type === 'tool'
+        ? `You must call the ${toolChoice.name} tool in this response.`
+        : 'You must call one of the available tools in this response.';
+}
+
+/**
+ * Keep only the first tool call of a response
+ * @param {Object} response - Anthropic-format response
+ * @returns {Object} The response, with tool_calls_truncated set if calls were dropped
+ */
+export function limitToolCalls(response) {
+    let toolCalls = 0;
+    const content = (response.content || []).filter(block => block.type !== 'tool_use' || ++toolCalls === 1);
+    if (toolCalls <= 1) return response;
+    return { ...response, content, tool_calls_truncated: toolCalls - 1 };
+}
+
+/**
+ * Create a stream event mapper that keeps only the first tool call
+ * Events of dropped blocks map to null; later blocks are renumbered so
+ * indices stay contiguous, and message_delta carries tool_calls_truncated.
+ * @returns {(event: Object) => Object|null} Maps each Anthropic SSE event
+ */
+export function createToolCallLimiter() {
+    const indices = new Map(); // upstream block index -> emitted index, or null if dropped
+    let toolCalls = 0;
+    let dropped = 0;
+
+    return (event) => {
+        switch (event.type) {
+            case 'content_block_start': {
+                const keep = event.content_block?.type !== 'tool_use' || ++toolCalls === 1;
+                if (!keep) dropped++;
+                indices.set(event.index, keep ? event.index - dropped : null);
+                return keep ? { ...event, index: event.index - dropped } : null;
+            }
+            case 'content_block_delta':
+            case 'content_block_stop': {
+                const index = indices.has(event.index) ? indices.get(event.index) : event.index;
+                return index === null ? null : { ...event, index };
+            }
+            case 'message_delta':
+                return dropped > 0 ? { ...event, tool_calls_truncated: dropped } : event;
+            default:
+                return event;
+        }
+    };
+}
@@ -27,6 +27,7 @@ app.listen(PORT, async () => {
 ║  Endpoints:                                                  ║
 ║    POST /v1/messages      - Anthropic Messages API            ║
 ║    POST /chat/completions - OpenAI Chat Completions API       ║
+║    POST /v1/responses     - OpenAI Responses API              ║
 ║    GET  /v1/models        - List available models             ║
 ║    GET  /health           - Health check                      ║
 ║    GET  /account-limits   - Account status & quotas          ║
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management CLI
+ *
+ * Create, list and revoke named scoped API keys. Changes are picked up by
+ * a running server without a restart.
+ *
+ * Usage:
+ *   node src/keys-cli.js list
+ *   node src/keys-cli.js create <name> [--models a,b] [--expires 30d|YYYY-MM-DD] [--rate-limit N] [--reasoning on|off]
+ *   node src/keys-cli.js revoke <id|name>
+ */
+
+import { API_KEYS_PATH } from './constants.js';
+import { createScopedApiKey, listScopedApiKeys, revokeScopedApiKey } from './services/api-key.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse --flag value pairs from the argument list
+ * @returns {{positional: string[], flags: Object}}
+ */
+function parseArgs(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const [flag, inlineValue] = args[i].slice(2).split('=');
+            flags[flag] = inlineValue ?? args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
+/**
+ * Parse an expiry given as a number of days ("30d") or a date
+ * @returns {string|null} ISO date or null when not set
+ */
+function parseExpiry(value) {
+    if (!value) return null;
+    const days = value.match(/^(\d+)d$/);
+    if (days) {
+        return new Date(Date.now() + parseInt(days[1], 10) * DAY_MS).toISOString();
+    }
+    return value;
+}
+
+/**
+ * Describe a key's state for listing
+ */
+function describeStatus(key) {
+    if (key.revoked) return 'revoked';
+    if (key.expired) return 'expired';
+    return 'active';
+}
+
+/**
+ * List keys
+ */
+function listKeys() {
+    const keys = listScopedApiKeys();
+    if (keys.length === 0) {
+        console.log('\nNo scoped API keys configured.');
+        return;
+    }
+
+    console.log(`\n${keys.length} API key(s):`);
+    for (const key of keys) {
+        const details = [
+            describeStatus(key),
+            key.models ? `models: ${key.models.join(', ')}` : 'all models',
+            key.rateLimit ? `${key.rateLimit} req/min` : 'no rate limit',
+            key.expiresAt ? `expires ${key.expiresAt}` : 'no expiry',
+            ...(key.includeReasoning !== null && key.includeReasoning !== undefined
+                ? [`reasoning ${key.includeReasoning ? 'on' : 'off'}`]
+                : [])
+        ];
+        console.log(`  ${key.id}  ${key.name}  (${key.prefix}...)  ${details.join(' | ')}`);
+    }
+    console.log(`\nKeys file: ${API_KEYS_PATH}`);
+}
+
+/**
+ * Create a key and print it once
+ */
+function createKey(positional, flags) {
+    const rateLimit = flags['rate-limit'] !== undefined ? Number(flags['rate-limit']) : undefined;
+    if (flags.reasoning !== undefined && !['on', 'off'].includes(flags.reasoning)) {
+        throw new Error('--reasoning must be "on" or "off"');
+    }
+    const { key, apiKey } = createScopedApiKey({
+        name: positional[0],
+        models: flags.models ? flags.models.split(',').map(m => m.trim()).filter(Boolean) : undefined,
+        expiresAt: parseExpiry(flags.expires),
+        rateLimit,
+        includeReasoning: flags.reasoning !== undefined ? flags.reasoning === 'on' : undefined
+    });
+
+    console.log(`\n✓ Created API key "${apiKey.name}" (${apiKey.id})`);
+    console.log(`\n  ${key}\n`);
+    console.log('Store this key now; it will not be shown again.');
+}
+
+/**
+ * Revoke a key
+ */
+function revokeKey(positional) {
+    if (!positional[0]) {
+        throw new Error('Usage: keys revoke <id|name>');
+    }
+    const apiKey = revokeScopedApiKey(positional[0]);
+    console.log(`\n✓ Revoked API key "${apiKey.name}" (${apiKey.id})`);
+}
+
+function showHelp() {
+    console.log('\nUsage:');
+    console.log('  node src/keys-cli.js list                      List API keys');
+    console.log('  node src/keys-cli.js create <name> [options]   Create a new API key');
+    console.log('      --models a,b        Allowed models (use a trailing * for prefixes, e.g. gemini-*)');
+    console.log('      --expires 30d       Expiry as days from now or a date (YYYY-MM-DD)');
+    console.log('      --rate-limit 60     Max requests per minute');
+    console.log('      --reasoning on      Send thinking as reasoning_content on /chat/completions');
+    console.log('  node src/keys-cli.js revoke <id|name>          Revoke an API key');
+    console.log('  node src/keys-cli.js help                      Show this help');
+}
+
+/**
+ * Main CLI
+ */
+function main() {
+    const [command = 'list', ...rest] = process.argv.slice(2);
+    const { positional, flags } = parseArgs(rest);
+
+    switch (command) {
+        case 'list':
+            listKeys();
+            break;
+        case 'create':
+            createKey(positional, flags);
+            break;
+        case 'revoke':
+            revokeKey(positional);
+            break;
+        case 'help':
+            showHelp();
+            break;
+        default:
+            console.log(`Unknown command: ${command}`);
+            console.log('Run with "help" for usage information.');
+            process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,99 @@
+/**
+ * Admin Authentication Middleware
+ * Guards the dashboard and management endpoints under /api/
+ *
+ * Requests must come from localhost (unless remote admin is enabled) and
+ * carry either an admin session cookie or the admin token in the
+ * x-admin-token header. The /api/admin/* login routes only require locality.
+ */
+
+import { ALLOW_REMOTE_ADMIN, ADMIN_SESSION_COOKIE } from '../constants.js';
+import { verifyAdminToken, verifyAdminSession } from '../services/admin-auth.js';
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1', 'localhost']);
+
+/**
+ * Check whether a request originates on this machine
+ * Proxies that forward to us from localhost (ngrok, the Next.js dev server)
+ * append the real client address to X-Forwarded-For, so every hop must be loopback.
+ * @param {Request} req - Express request
+ * @returns {boolean} True if the socket and all forwarded hops are loopback
+ */
+export function isLocalRequest(req) {
+    if (!LOOPBACK_ADDRESSES.has(req.socket?.remoteAddress)) {
+        return false;
+    }
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (!forwardedFor) return true;
+
+    return String(forwardedFor)
+        .split(',')
+        .map(address => address.trim())
+        .every(address => LOOPBACK_ADDRESSES.has(address));
+}
+
+/**
+ * Read the admin session id from the Cookie header
+ * @param {Request} req - Express request
+ * @returns {string|null} Session id, or null if absent
+ */
+export function getAdminSessionId(req) {
+    const cookies = req.headers.cookie;
+    if (!cookies) return null;
+
+    for (const part of cookies.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name === ADMIN_SESSION_COOKIE) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a request carries a valid admin credential
+ * @param {Request} req - Express request
+ * @returns {boolean} True if the session cookie or admin token header is valid
+ */
+export function hasAdminCredential(req) {
+    return verifyAdminSession(getAdminSessionId(req)) ||
+        verifyAdminToken(req.headers['x-admin-token']);
+}
+
+/**
+ * Admin authentication middleware
+ * Only applies to /api/* paths; everything else falls through to API key auth.
+ */
+export function authenticateAdmin(req, res, next) {
+    if (!req.path.startsWith('/api/')) {
+        return next();
+    }
+
+    if (!ALLOW_REMOTE_ADMIN && !isLocalRequest(req)) {
+        return res.status(403).json({
+            type: 'error',
+            error: {
+                type: 'permission_error',
+                message: 'Admin endpoints are only available from localhost. Set ANTIGRAVITY_PROXY_ALLOW_REMOTE_ADMIN=true to allow remote admin access.'
+            }
+        });
+    }
+
+    // Login/logout/session routes handle credentials themselves
+    if (req.path.startsWith('/api/admin/')) {
+        return next();
+    }
+
+    if (!hasAdminCredential(req)) {
+        return res.status(401).json({
+            type: 'error',
+            error: {
+                type: 'authentication_error',
+                message: 'Admin authentication required. Log in to the dashboard or send the admin token in the x-admin-token header.'
+            }
+        });
+    }
+
+    next();
+}
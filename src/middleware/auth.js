@@ -3,42 +3,60 @@
  * API Key authentication for protected endpoints
  */
 
-import { getApiKey } from '../services/api-key.js';
+import { resolveApiKey, consumeKeyRateLimit } from '../services/api-key.js';
+
+const PUBLIC_PATHS = new Set(['/health', '/health/live', '/health/ready']);
+
+const REJECTION_MESSAGES = {
+    revoked: 'This API key has been revoked.',
+    expired: 'This API key has expired.'
+};
 
 /**
  * API Key authentication middleware
  * Checks for API key in Authorization header (Bearer token) or x-api-key header
- * Health check and dashboard endpoints are excluded from authentication
+ * Health checks and /api/* endpoints (guarded by authenticateAdmin) are excluded
+ *
+ * Accepts the server API key or a scoped key. The resolved identity is
+ * attached as req.apiKey and scoped keys have their per-minute rate limit
+ * enforced here. Model allow-lists are checked by the routes, once aliases and
+ * the default model have been resolved.
  */
 export function authenticateApiKey(req, res, next) {
-    // Skip authentication for health check, dashboard API, ngrok control, and cursor settings endpoints
-    if (req.path === '/health' ||
-        req.path === '/api/dashboard' ||
-        req.path === '/api/account-limits' ||
-        req.path === '/account-limits' ||
-        req.path === '/api/regenerate-api-key' ||
-        req.path.startsWith('/api/accounts/') ||
-        req.path.startsWith('/api/ngrok/') ||
-        req.path.startsWith('/api/cursor/') ||
-        req.path.startsWith('/api/auth/')) {
+    // Health checks are public (except the deep probe, which calls upstream);
+    // /api/* management endpoints use admin auth instead
+    if (PUBLIC_PATHS.has(req.path) || req.path.startsWith('/api/')) {
         return next();
     }
 
-    const serverApiKey = getApiKey();
-
     // Get API key from headers
     const authHeader = req.headers.authorization || req.headers['x-api-key'] || '';
     const providedKey = authHeader.startsWith('Bearer ')
         ? authHeader.slice(7).trim()
         : authHeader.trim();
 
-    // Check if key matches
-    if (!providedKey || providedKey !== serverApiKey) {
+    // Check if key matches the server key or an active scoped key
+    const { identity, reason } = resolveApiKey(providedKey);
+    if (!identity) {
         return res.status(401).json({
             type: 'error',
             error: {
                 type: 'authentication_error',
-                message: 'Invalid API key. Please provide a valid API key in the Authorization header (Bearer token) or x-api-key header.'
+                message: REJECTION_MESSAGES[reason] ||
+                    'Invalid API key. Please provide a valid API key in the Authorization header (Bearer token) or x-api-key header.'
+            }
+        });
+    }
+    req.apiKey = identity;
+
+    const { allowed, retryAfterMs } = consumeKeyRateLimit(identity);
+    if (!allowed) {
+        res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+        return res.status(429).json({
+            type: 'error',
+            error: {
+                type: 'rate_limit_error',
+                message: `Rate limit of ${identity.rateLimit} requests per minute exceeded for API key "${identity.name}".`
             }
         });
     }
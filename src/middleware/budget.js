@@ -0,0 +1,58 @@
+/**
+ * Budget Middleware
+ * Refuses model requests once the caller's API key or client budget is spent
+ */
+
+import { getSubjects, checkBudgets } from '../services/budget.js';
+
+const MAX_CLIENT_ID_LENGTH = 64;
+
+/**
+ * Read the client identifier from the x-client-id header
+ * @param {Request} req - Express request
+ * @returns {string|null} Trimmed client id, or null if absent
+ */
+function getClientId(req) {
+    const value = req.headers['x-client-id'];
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return value.trim().slice(0, MAX_CLIENT_ID_LENGTH);
+}
+
+/**
+ * Format a duration for a budget error message
+ */
+function formatRetry(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.ceil((ms % 3600000) / 60000);
+    return hours > 0 ? `${hours}h${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Budget enforcement middleware
+ * Runs after API key auth so req.apiKey is available. Sets req.clientId for
+ * request history attribution.
+ */
+export function enforceBudgets(req, res, next) {
+    // Canceling a message batch spends nothing, so it stays possible with a spent budget
+    if (req.method !== 'POST' || req.path.startsWith('/api/') || req.path === '/refresh-token' ||
+        /^\/v1\/messages\/batches\/[^/]+\/cancel$/.test(req.path)) {
+        return next();
+    }
+
+    req.clientId = getClientId(req);
+
+    const result = checkBudgets(getSubjects({ apiKeyId: req.apiKey?.id, clientId: req.clientId }));
+    if (result.allowed) {
+        return next();
+    }
+
+    const retryAfterSeconds = Math.ceil(result.retryAfterMs / 1000);
+    res.setHeader('Retry-After', retryAfterSeconds);
+    return res.status(429).json({
+        type: 'error',
+        error: {
+            type: 'rate_limit_error',
+            message: `The ${result.period} ${result.metric} budget (${result.limit}) for ${result.subject} has been used up. It resets in ${formatRetry(result.retryAfterMs)}.`
+        }
+    });
+}
@@ -9,11 +9,11 @@
 import crypto from 'crypto';
 import http from 'http';
 import {
-    ANTIGRAVITY_ENDPOINT_FALLBACKS,
     ANTIGRAVITY_HEADERS,
     OAUTH_CONFIG,
     OAUTH_REDIRECT_URI
 } from './constants.js';
+import { getEndpointOrder, callEndpoint } from './services/endpoint-health.js';
 
 /**
  * Generate PKCE code verifier and challenge
@@ -274,9 +274,9 @@ export async function getUserEmail(accessToken) {
  * @returns {Promise<string|null>} Project ID or null if not found
  */
 export async function discoverProjectId(accessToken) {
-    for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    for (const endpoint of getEndpointOrder()) {
         try {
-            const response = await fetch(`${endpoint}/v1internal:loadCodeAssist`, {
+            const response = await callEndpoint(endpoint, () => fetch(`${endpoint}/v1internal:loadCodeAssist`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
@@ -290,7 +290,7 @@ export async function discoverProjectId(accessToken) {
                         pluginType: 'GEMINI'
                     }
                 })
-            });
+            }));
 
             if (!response.ok) continue;
 
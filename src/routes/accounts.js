@@ -7,6 +7,8 @@ import { getModelQuotas } from '../cloudcode-client.js';
 import { formatDuration } from '../utils/helpers.js';
 import { regenerateApiKey, setApiKey } from '../services/api-key.js';
 import { forceRefresh } from '../token-extractor.js';
+import { SELECTION_STRATEGIES } from '../services/account-selection.js';
+import { getEndpointStatus } from '../services/endpoint-health.js';
 
 export function createAccountsRouter(accountManager, ensureInitialized) {
     const router = Router();
@@ -261,6 +263,68 @@ export function createAccountsRouter(accountManager, ensureInitialized) {
         }
     });
 
+    /**
+     * Get the account selection strategy
+     */
+    router.get('/api/accounts/strategy', async (req, res) => {
+        try {
+            await ensureInitialized();
+            res.json({
+                status: 'ok',
+                strategy: accountManager.getSelectionStrategy(),
+                strategies: SELECTION_STRATEGIES
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    /**
+     * Set the account selection strategy
+     */
+    router.put('/api/accounts/strategy', async (req, res) => {
+        try {
+            await ensureInitialized();
+            accountManager.setSelectionStrategy(req.body?.strategy);
+            res.json({ status: 'ok', strategy: accountManager.getSelectionStrategy() });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    /**
+     * Get Cloud Code endpoint health (circuit state, error rate, latency)
+     */
+    router.get('/api/endpoints', async (req, res) => {
+        try {
+            await ensureInitialized();
+            res.json({
+                status: 'ok',
+                endpoints: getEndpointStatus(),
+                extraEndpoints: accountManager.getExtraEndpoints()
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', message: error.message });
+        }
+    });
+
+    /**
+     * Set the extra Cloud Code endpoints saved in settings
+     */
+    router.put('/api/endpoints', async (req, res) => {
+        try {
+            await ensureInitialized();
+            accountManager.setExtraEndpoints(req.body?.endpoints);
+            res.json({
+                status: 'ok',
+                endpoints: getEndpointStatus(),
+                extraEndpoints: accountManager.getExtraEndpoints()
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({ status: 'error', message: error.message });
+        }
+    });
+
     /**
      * Regenerate API key endpoint
      */
@@ -0,0 +1,59 @@
+/**
+ * Admin Session Route
+ * Dashboard login/logout with the admin token
+ */
+
+import { Router } from 'express';
+import { ADMIN_SESSION_COOKIE, ALLOW_REMOTE_ADMIN } from '../constants.js';
+import { verifyAdminToken, createAdminSession, destroyAdminSession } from '../services/admin-auth.js';
+import { getAdminSessionId, hasAdminCredential } from '../middleware/admin-auth.js';
+
+/**
+ * Build the Set-Cookie value for the admin session
+ */
+function sessionCookie(value, maxAgeSeconds) {
+    return `${ADMIN_SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}`;
+}
+
+export function createAdminRouter() {
+    const router = Router();
+
+    /**
+     * Current session status
+     */
+    router.get('/api/admin/session', (req, res) => {
+        res.json({
+            authenticated: hasAdminCredential(req),
+            remoteAdmin: ALLOW_REMOTE_ADMIN
+        });
+    });
+
+    /**
+     * Exchange the admin token for a session cookie
+     */
+    router.post('/api/admin/login', (req, res) => {
+        const { token } = req.body || {};
+
+        if (!verifyAdminToken(token)) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'Invalid admin token'
+            });
+        }
+
+        const session = createAdminSession();
+        res.setHeader('Set-Cookie', sessionCookie(session.id, Math.floor(session.maxAgeMs / 1000)));
+        res.json({ status: 'success', message: 'Logged in' });
+    });
+
+    /**
+     * End the current session
+     */
+    router.post('/api/admin/logout', (req, res) => {
+        destroyAdminSession(getAdminSessionId(req));
+        res.setHeader('Set-Cookie', sessionCookie('', 0));
+        res.json({ status: 'success', message: 'Logged out' });
+    });
+
+    return router;
+}
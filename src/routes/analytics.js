@@ -0,0 +1,67 @@
+/**
+ * Usage Analytics API Route
+ * Time-bucketed token, request, error and latency aggregates
+ */
+
+import { Router } from 'express';
+import { getUsageAnalytics, BUCKET_SIZES, MAX_BUCKETS } from '../services/usage-analytics.js';
+import { parseTimeBound } from '../utils/helpers.js';
+
+const RANGES = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+export function createAnalyticsRouter() {
+    const router = Router();
+
+    /**
+     * Usage aggregates
+     * Query: range (24h|7d|30d) or from/to, bucket (hour|day), model, account, route, apiKey
+     */
+    router.get('/api/analytics', (req, res) => {
+        const { model, account, route, apiKey } = req.query;
+        const range = req.query.range || '7d';
+
+        if (!RANGES[range]) {
+            return res.status(400).json({
+                error: `range must be one of: ${Object.keys(RANGES).join(', ')}`
+            });
+        }
+
+        let to = parseTimeBound(req.query.to);
+        let from = parseTimeBound(req.query.from);
+        if (from === null || to === null) {
+            return res.status(400).json({
+                error: 'from and to must be epoch milliseconds or ISO 8601 dates'
+            });
+        }
+        to = to ?? Date.now();
+        from = from ?? to - RANGES[range];
+        if (from > to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+
+        // Default to hourly buckets for short ranges
+        const bucket = req.query.bucket || (to - from <= RANGES['24h'] ? 'hour' : 'day');
+        if (!BUCKET_SIZES[bucket]) {
+            return res.status(400).json({
+                error: `bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}`
+            });
+        }
+        if ((to - from) / BUCKET_SIZES[bucket] >= MAX_BUCKETS) {
+            return res.status(400).json({
+                error: `Time range is too large for ${bucket} buckets (max ${MAX_BUCKETS})`
+            });
+        }
+
+        try {
+            res.json(getUsageAnalytics({ from, to, bucket, model, account, route, apiKey }));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,62 @@
+/**
+ * Budgets Route
+ * View consumption and manage token/request budgets per API key or client
+ */
+
+import { Router } from 'express';
+import { listBudgets, setBudget, removeBudget } from '../services/budget.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * Send an error response, using the status code carried by ApiError
+ */
+function sendError(res, error) {
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    res.status(statusCode).json({
+        status: 'error',
+        message: error.message
+    });
+}
+
+export function createBudgetsRouter() {
+    const router = Router();
+
+    /**
+     * List budgets and current daily/monthly consumption
+     */
+    router.get('/api/budgets', (req, res) => {
+        try {
+            res.json({ budgets: listBudgets() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Set a budget
+     * Params: type ('key' or 'client'), id (API key id or name, or x-client-id value)
+     * Body: { daily?: { tokens?, requests? }, monthly?: { tokens?, requests? } }
+     */
+    router.put('/api/budgets/:type/:id', (req, res) => {
+        try {
+            const budget = setBudget(req.params.type, req.params.id, req.body || {});
+            res.json({ status: 'success', budget });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Remove a budget
+     */
+    router.delete('/api/budgets/:type/:id', (req, res) => {
+        try {
+            removeBudget(req.params.type, req.params.id);
+            res.json({ status: 'success', message: `Budget for ${req.params.type}:${req.params.id} removed` });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
@@ -5,54 +5,56 @@
 
 import { Router } from 'express';
 import crypto from 'crypto';
-import { sendMessage, sendMessageStream } from '../cloudcode-client.js';
 import { forceRefresh } from '../token-extractor.js';
-import { estimateTokenCount } from '../utils/helpers.js';
+import { estimateTokenCount, interleaveAsync, withKeepalive } from '../utils/helpers.js';
 import { addRequestToHistory } from '../services/request-history.js';
-import { waitForThrottle } from '../services/request-throttle.js';
-import { convertOpenAIToAnthropic, convertAnthropicToOpenAI, convertAnthropicStreamToOpenAI } from '../format/openai-converter.js';
+import { waitForThrottle, getRequestPriority, getDisconnectSignal } from '../services/request-throttle.js';
+import { getCacheDirective, sendMessageCached, sendMessageStreamCached } from '../services/response-cache.js';
+import { applyModelAlias } from '../services/model-aliases.js';
+import { assertModelAllowed } from '../services/api-key.js';
+import { prepareImages } from '../services/image-preparation.js';
+import { ApiError, parseError } from '../errors.js';
+import {
+    convertOpenAIToAnthropic,
+    convertAnthropicToOpenAI,
+    convertAnthropicStreamToOpenAI,
+    buildUsageChunk,
+    combineChoices,
+    sumUsage
+} from '../format/openai-converter.js';
+import { MAX_CHOICES, OPENAI_INCLUDE_REASONING, STREAM_KEEPALIVE_MS } from '../constants.js';
 
 /**
- * Parse error message to extract error type, status code, and user-friendly message
+ * Decide whether thinking is sent as reasoning_content
+ * The request's include_reasoning wins over the API key setting, which wins
+ * over the OPENAI_INCLUDE_REASONING default.
  */
-function parseError(error) {
-    let errorType = 'api_error';
-    let statusCode = 500;
-    let errorMessage = error.message;
-
-    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
-        errorType = 'authentication_error';
-        statusCode = 401;
-        errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
-    } else if (error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED') || error.message.includes('QUOTA_EXHAUSTED')) {
-        errorType = 'invalid_request_error';
-        statusCode = 400;
-
-        const resetMatch = error.message.match(/quota will reset after (\d+h\d+m\d+s|\d+m\d+s|\d+s)/i);
-        const modelMatch = error.message.match(/"model":\s*"([^"]+)"/);
-        const model = modelMatch ? modelMatch[1] : 'the model';
-
-        if (resetMatch) {
-            errorMessage = `You have exhausted your capacity on ${model}. Quota will reset after ${resetMatch[1]}.`;
-        } else {
-            errorMessage = `You have exhausted your capacity on ${model}. Please wait for your quota to reset.`;
-        }
-    } else if (error.message.includes('invalid_request_error') || error.message.includes('INVALID_ARGUMENT')) {
-        errorType = 'invalid_request_error';
-        statusCode = 400;
-        const msgMatch = error.message.match(/"message":"([^"]+)"/);
-        if (msgMatch) errorMessage = msgMatch[1];
-    } else if (error.message.includes('All endpoints failed')) {
-        errorType = 'api_error';
-        statusCode = 503;
-        errorMessage = 'Unable to connect to Claude API. Check that Antigravity is running.';
-    } else if (error.message.includes('PERMISSION_DENIED')) {
-        errorType = 'permission_error';
-        statusCode = 403;
-        errorMessage = 'Permission denied. Check your Antigravity license.';
+function shouldIncludeReasoning(openaiRequest, apiKey) {
+    if (typeof openaiRequest.include_reasoning === 'boolean') return openaiRequest.include_reasoning;
+    if (typeof apiKey?.includeReasoning === 'boolean') return apiKey.includeReasoning;
+    return OPENAI_INCLUDE_REASONING;
+}
+
+/**
+ * Read the number of choices (n) requested
+ * @throws {ApiError} If n is not an integer between 1 and MAX_CHOICES
+ */
+function parseChoiceCount(n) {
+    if (n === undefined || n === null) return 1;
+    if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+        throw new ApiError(`n must be an integer between 1 and ${MAX_CHOICES}`, 400, 'invalid_request_error');
     }
+    return n;
+}
 
-    return { errorType, statusCode, errorMessage };
+/**
+ * Build the request for each choice
+ * Seeds are offset per choice so the choices differ but stay reproducible.
+ */
+function buildChoiceRequests(request, n) {
+    return Array.from({ length: n }, (_, index) => (
+        index === 0 || request.seed === undefined ? request : { ...request, seed: request.seed + index }
+    ));
 }
 
 export function createChatCompletionsRouter(accountManager, ensureInitialized) {
@@ -76,6 +78,7 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
 
             const openaiRequest = req.body;
             const { model, messages, stream, tools } = openaiRequest;
+            const includeReasoning = shouldIncludeReasoning(openaiRequest, req.apiKey);
 
             // Calculate tool token usage for logging
             let toolInfo = null;
@@ -104,6 +107,9 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                     id: requestId,
                     method: req.method,
                     path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
                     status: 'error',
                     error: 'messages is required and must be an array',
                     duration,
@@ -117,8 +123,15 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                 });
             }
 
-            // Convert OpenAI format to Anthropic format
-            const anthropicRequest = convertOpenAIToAnthropic(openaiRequest);
+            const choiceCount = parseChoiceCount(openaiRequest.n);
+            // Choices of one request are meant to differ, so they never share a cached answer
+            const cache = choiceCount > 1 ? 'off' : getCacheDirective(req);
+            const priority = getRequestPriority(req);
+
+            // Convert OpenAI format to Anthropic format and resolve model aliases
+            const resolved = applyModelAlias(convertOpenAIToAnthropic(openaiRequest));
+            assertModelAllowed(req.apiKey, resolved.model);
+            const anthropicRequest = await prepareImages(resolved);
 
             // Get tool metadata from request conversion
             const { toolMetadata } = await import('../format/request-converter.js').then(m => {
@@ -142,47 +155,83 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                 res.setHeader('X-Accel-Buffering', 'no');
                 res.flushHeaders();
 
-                let messageId = 'chatcmpl-' + Date.now();
-                let streamUsage = {
-                    input_tokens: 0,
-                    output_tokens: 0,
-                    cache_read_input_tokens: 0,
-                    cache_creation_input_tokens: 0
-                };
+                let messageId = null;
+                const choiceUsage = Array.from({ length: choiceCount }, () => sumUsage([]));
+                const includeUsage = openaiRequest.stream_options?.include_usage === true;
                 let selectedAccountEmail = null;
+                let servedModel = anthropicRequest.model;
+                let responseModel = model || anthropicRequest.model;
+                let cached = false;
 
                 try {
-                    // Apply throttling to prevent rate limiting
-                    await waitForThrottle(model || anthropicRequest.model);
-
-                    for await (const event of sendMessageStream(anthropicRequest, accountManager)) {
+                    // Apply throttling to prevent rate limiting; cache hits skip it
+                    const signal = getDisconnectSignal(res);
+                    const throttle = () => waitForThrottle(anthropicRequest.model, { priority, signal });
+                    const streams = buildChoiceRequests(anthropicRequest, choiceCount).map(choiceRequest => (
+                        withKeepalive(sendMessageStreamCached(choiceRequest, accountManager, { cache, throttle, identity: req.apiKey }), STREAM_KEEPALIVE_MS)
+                    ));
+
+                    // Choices stream concurrently; chunks are interleaved and tagged with their choice index
+                    for await (const { index, value: event } of interleaveAsync(streams)) {
+                        if (event.type === 'ping') {
+                            // SSE comment: keeps the connection open without an OpenAI chunk
+                            res.write(': ping\n\n');
+                            if (res.flush) res.flush();
+                            continue;
+                        }
                         if (event.type === 'internal_metadata') {
+                            if (index > 0) continue;
                             selectedAccountEmail = event.account;
+                            servedModel = event.model;
+                            cached = event.cached === true;
+                            // Report the substitute model when a fallback answered
+                            if (event.fallback) responseModel = event.model;
                             continue;
                         }
 
-                        // Extract message ID from message_start event
-                        if (event.type === 'message_start' && event.message?.id) {
-                            messageId = event.message.id;
+                        // All choices share the ID of the first message to start
+                        if (!messageId) {
+                            messageId = (event.type === 'message_start' && event.message?.id) || 'chatcmpl-' + Date.now();
                         }
 
                         // Capture usage
+                        const usage = choiceUsage[index];
                         if (event.type === 'message_start' && event.message?.usage) {
-                            streamUsage.input_tokens = event.message.usage.input_tokens || 0;
-                            streamUsage.cache_read_input_tokens = event.message.usage.cache_read_input_tokens || 0;
-                            streamUsage.cache_creation_input_tokens = event.message.usage.cache_creation_input_tokens || 0;
+                            usage.input_tokens = event.message.usage.input_tokens || 0;
+                            usage.cache_read_input_tokens = event.message.usage.cache_read_input_tokens || 0;
+                            usage.cache_creation_input_tokens = event.message.usage.cache_creation_input_tokens || 0;
                         }
                         if (event.type === 'message_delta' && event.usage) {
-                            streamUsage.output_tokens = event.usage.output_tokens || 0;
+                            // Final usage; input counts are only known once the upstream stream ends
+                            usage.output_tokens = event.usage.output_tokens || 0;
+                            usage.thinking_tokens = event.usage.thinking_tokens || 0;
+                            if (event.usage.input_tokens !== undefined) {
+                                usage.input_tokens = event.usage.input_tokens;
+                                usage.cache_read_input_tokens = event.usage.cache_read_input_tokens || 0;
+                            }
                         }
 
                         // Convert Anthropic SSE event to OpenAI format
-                        const openaiEvent = convertAnthropicStreamToOpenAI(event, model || anthropicRequest.model, messageId);
+                        // (converter state is kept per choice, so each gets its own key)
+                        const openaiEvent = convertAnthropicStreamToOpenAI(
+                            event,
+                            responseModel,
+                            choiceCount > 1 ? `${messageId}:${index}` : messageId,
+                            { includeReasoning, servedModel }
+                        );
                         if (openaiEvent) {
+                            openaiEvent.id = messageId;
+                            for (const choice of openaiEvent.choices) choice.index = index;
+                            // With include_usage, every chunk but the last carries usage: null
+                            if (includeUsage) openaiEvent.usage = null;
                             res.write(`data: ${JSON.stringify(openaiEvent)}\n\n`);
                             if (res.flush) res.flush();
                         }
                     }
+                    const streamUsage = sumUsage(choiceUsage);
+                    if (includeUsage) {
+                        res.write(`data: ${JSON.stringify(buildUsageChunk(messageId, responseModel, streamUsage))}\n\n`);
+                    }
                     res.write('data: [DONE]\n\n');
                     res.end();
 
@@ -192,10 +241,14 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                         id: requestId,
                         method: req.method,
                         path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
                         status: 'success',
-                        model: model || anthropicRequest.model,
+                        model: servedModel,
                         account: selectedAccountEmail,
                         stream: true,
+                        cached,
                         duration,
                         timestamp: new Date().toISOString(),
                         usage: streamUsage,
@@ -230,9 +283,12 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                         id: requestId,
                         method: req.method,
                         path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
                         status: 'error',
                         error: errorMessage,
-                        model: model || anthropicRequest.model,
+                        model: anthropicRequest.model,
                         account: selectedAccountEmail,
                         stream: true,
                         duration,
@@ -242,24 +298,42 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
 
             } else {
                 // Handle non-streaming response
-                // Apply throttling to prevent rate limiting
-                await waitForThrottle(model || anthropicRequest.model);
-
-                const anthropicResponse = await sendMessage(anthropicRequest, accountManager);
-                const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, model || anthropicRequest.model);
-                res.json(openaiResponse);
+                // Apply throttling to prevent rate limiting; choices run in parallel and cache hits skip it
+                const signal = getDisconnectSignal(res);
+                const throttle = () => waitForThrottle(anthropicRequest.model, { priority, signal });
+                const anthropicResponses = await Promise.all(
+                    buildChoiceRequests(anthropicRequest, choiceCount).map(choiceRequest => (
+                        sendMessageCached(choiceRequest, accountManager, { cache, throttle, identity: req.apiKey })
+                    ))
+                );
+                const openaiResponses = anthropicResponses.map(anthropicResponse => {
+                    const choiceModel = anthropicResponse.fallback?.model || anthropicRequest.model;
+                    return convertAnthropicToOpenAI(
+                        anthropicResponse,
+                        anthropicResponse.fallback ? choiceModel : model || anthropicRequest.model,
+                        false,
+                        { includeReasoning, servedModel: choiceModel }
+                    );
+                });
+                const usages = anthropicResponses.map(anthropicResponse => anthropicResponse.usage);
+                res.json(choiceCount > 1 ? combineChoices(openaiResponses, usages) : openaiResponses[0]);
 
                 const duration = Date.now() - requestStartTime;
-                const usage = anthropicResponse.usage || {};
-                const selectedAccountEmail = anthropicResponse._account;
+                const usage = sumUsage(usages);
+                const servedModel = anthropicResponses[0].fallback?.model || anthropicRequest.model;
+                const selectedAccountEmail = anthropicResponses[0]._account;
                 addRequestToHistory({
                     id: requestId,
                     method: req.method,
                     path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
                     status: 'success',
-                    model: model || anthropicRequest.model,
+                    model: servedModel,
                     account: selectedAccountEmail,
                     stream: false,
+                    cached: anthropicResponses[0]._cached === true,
                     duration,
                     timestamp: new Date().toISOString(),
                     usage: {
@@ -313,6 +387,9 @@ export function createChatCompletionsRouter(accountManager, ensureInitialized) {
                 id: requestId,
                 method: req.method,
                 path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
                 status: 'error',
                 error: errorMessage,
                 duration,
@@ -0,0 +1,257 @@
+/**
+ * OpenAI Completions API Route
+ * /v1/completions endpoint - legacy OpenAI text completions (autocomplete, fill-in-the-middle)
+ */
+
+import { Router } from 'express';
+import crypto from 'crypto';
+import { forceRefresh } from '../token-extractor.js';
+import { interleaveAsync, withKeepalive } from '../utils/helpers.js';
+import { addRequestToHistory } from '../services/request-history.js';
+import { waitForThrottle, getRequestPriority, getDisconnectSignal } from '../services/request-throttle.js';
+import { getCacheDirective, sendMessageCached, sendMessageStreamCached } from '../services/response-cache.js';
+import { applyModelAlias } from '../services/model-aliases.js';
+import { assertModelAllowed } from '../services/api-key.js';
+import { ApiError, parseError } from '../errors.js';
+import { MAX_CHOICES, STREAM_KEEPALIVE_MS } from '../constants.js';
+import { sumUsage } from '../format/openai-converter.js';
+import {
+    getPrompts,
+    convertCompletionToAnthropic,
+    convertAnthropicToCompletionChoice,
+    buildCompletion,
+    mapFinishReason
+} from '../format/completions-converter.js';
+
+
+/**
+ * Build one Anthropic request per choice: every prompt, n times each
+ * @throws {ApiError} If the prompt is not text or there are too many choices
+ */
+function buildChoiceRequests(completionRequest) {
+    const prompts = getPrompts(completionRequest.prompt);
+    if (!prompts) {
+        throw new ApiError('prompt is required and must be a string or an array of strings (token arrays are not supported)', 400, 'invalid_request_error');
+    }
+    const n = completionRequest.n ?? 1;
+    if (!Number.isInteger(n) || n < 1 || prompts.length * n > MAX_CHOICES) {
+        throw new ApiError(`A request can produce at most ${MAX_CHOICES} choices (prompts x n)`, 400, 'invalid_request_error');
+    }
+
+    // Choices are ordered by prompt, then by n, as in the OpenAI API
+    return prompts.flatMap(prompt => Array.from({ length: n }, () => ({
+        prompt,
+        request: applyModelAlias(convertCompletionToAnthropic(completionRequest, prompt))
+    })));
+}
+
+export function createCompletionsRouter(accountManager, ensureInitialized) {
+    const router = Router();
+
+    /**
+     * OpenAI-compatible legacy Completions endpoint
+     */
+    router.post(['/v1/completions', '/completions'], async (req, res) => {
+        const requestStartTime = Date.now();
+        const requestId = crypto.randomUUID();
+        const completionId = 'cmpl-' + crypto.randomBytes(12).toString('hex');
+
+        try {
+            await ensureInitialized();
+
+            // Optimistic Retry: If ALL accounts are rate-limited, reset them
+            if (accountManager.isAllRateLimited()) {
+                console.log('[Server] All accounts rate-limited. Resetting state for optimistic retry.');
+                accountManager.resetAllRateLimits();
+            }
+
+            const completionRequest = req.body;
+            const choices = buildChoiceRequests(completionRequest);
+            const anthropicModel = choices[0].request.model;
+            assertModelAllowed(req.apiKey, anthropicModel);
+            const responseModel = completionRequest.model || anthropicModel;
+            const echo = index => (completionRequest.echo ? choices[index].prompt : '');
+
+            // Apply throttling to prevent rate limiting; choices run in parallel and cache hits skip it
+            const priority = getRequestPriority(req);
+            const signal = getDisconnectSignal(res);
+            const throttle = () => waitForThrottle(anthropicModel, { priority, signal });
+            // Choices for the same prompt are meant to differ, so they never share a cached answer
+            const cache = (completionRequest.n ?? 1) > 1 ? 'off' : getCacheDirective(req);
+
+            if (completionRequest.stream) {
+                res.setHeader('Content-Type', 'text/event-stream');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('Connection', 'keep-alive');
+                res.setHeader('X-Accel-Buffering', 'no');
+                res.flushHeaders();
+
+                const writeChunk = chunk => {
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                    if (res.flush) res.flush();
+                };
+                const textChunk = (index, text, finishReason = null) => buildCompletion({
+                    id: completionId,
+                    model: responseModel,
+                    choices: [{ text, index, logprobs: null, finish_reason: finishReason }]
+                });
+
+                const choiceUsage = choices.map(() => sumUsage([]));
+                const stopReasons = [];
+                let selectedAccountEmail = null;
+                let servedModel = anthropicModel;
+                const cachedChoices = [];
+
+                const streams = choices.map(({ request }) => (
+                    withKeepalive(sendMessageStreamCached(request, accountManager, { cache, throttle, identity: req.apiKey }), STREAM_KEEPALIVE_MS)
+                ));
+
+                for await (const { index, value: event } of interleaveAsync(streams)) {
+                    const usage = choiceUsage[index];
+                    switch (event.type) {
+                        case 'ping':
+                            // SSE comment: keeps the connection open without a completion chunk
+                            res.write(': ping\n\n');
+                            if (res.flush) res.flush();
+                            break;
+                        case 'internal_metadata':
+                            cachedChoices[index] = event.cached === true;
+                            if (index === 0) {
+                                selectedAccountEmail = event.account;
+                                servedModel = event.model;
+                            }
+                            break;
+                        case 'message_start':
+                            usage.input_tokens = event.message?.usage?.input_tokens || 0;
+                            usage.cache_read_input_tokens = event.message?.usage?.cache_read_input_tokens || 0;
+                            if (echo(index)) writeChunk(textChunk(index, echo(index)));
+                            break;
+                        case 'content_block_delta':
+                            if (event.delta?.type === 'text_delta' && event.delta.text) {
+                                writeChunk(textChunk(index, event.delta.text));
+                            }
+                            break;
+                        case 'message_delta':
+                            stopReasons[index] = event.delta?.stop_reason;
+                            if (event.usage) {
+                                usage.output_tokens = event.usage.output_tokens || 0;
+                                if (event.usage.input_tokens !== undefined) {
+                                    usage.input_tokens = event.usage.input_tokens;
+                                    usage.cache_read_input_tokens = event.usage.cache_read_input_tokens || 0;
+                                }
+                            }
+                            break;
+                        case 'message_stop':
+                            writeChunk(textChunk(index, '', mapFinishReason(stopReasons[index])));
+                            break;
+                    }
+                }
+
+                const streamUsage = sumUsage(choiceUsage);
+                if (completionRequest.stream_options?.include_usage === true) {
+                    writeChunk(buildCompletion({ id: completionId, model: responseModel, choices: [], usage: streamUsage }));
+                }
+                res.write('data: [DONE]\n\n');
+                res.end();
+
+                addRequestToHistory({
+                    id: requestId,
+                    method: req.method,
+                    path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
+                    status: 'success',
+                    model: servedModel,
+                    account: selectedAccountEmail,
+                    stream: true,
+                    cached: cachedChoices.every(Boolean),
+                    duration: Date.now() - requestStartTime,
+                    timestamp: new Date().toISOString(),
+                    usage: streamUsage
+                });
+
+            } else {
+                const anthropicResponses = await Promise.all(choices.map(({ request }) => (
+                    sendMessageCached(request, accountManager, { cache, throttle, identity: req.apiKey })
+                )));
+                const usage = sumUsage(anthropicResponses.map(response => response.usage));
+
+                res.json(buildCompletion({
+                    id: completionId,
+                    model: anthropicResponses[0].fallback?.model || responseModel,
+                    choices: anthropicResponses.map((response, index) => convertAnthropicToCompletionChoice(response, index, echo(index))),
+                    usage
+                }));
+
+                addRequestToHistory({
+                    id: requestId,
+                    method: req.method,
+                    path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
+                    status: 'success',
+                    model: anthropicResponses[0].fallback?.model || anthropicModel,
+                    account: anthropicResponses[0]._account,
+                    stream: false,
+                    cached: anthropicResponses.every(response => response._cached === true),
+                    duration: Date.now() - requestStartTime,
+                    timestamp: new Date().toISOString(),
+                    usage
+                });
+            }
+
+        } catch (error) {
+            console.error('[API] Completions endpoint error:', error);
+            let { errorType, statusCode, errorMessage } = parseError(error);
+
+            if (errorType === 'authentication_error') {
+                console.log('[API] Token might be expired, attempting refresh...');
+                try {
+                    accountManager.clearProjectCache();
+                    accountManager.clearTokenCache();
+                    await forceRefresh();
+                    errorMessage = 'Token was expired and has been refreshed. Please retry your request.';
+                } catch (refreshError) {
+                    errorMessage = 'Could not refresh token. Make sure Antigravity is running.';
+                }
+            }
+
+            if (res.headersSent && !res.writableEnded) {
+                try {
+                    res.write(`data: ${JSON.stringify({
+                        error: { type: errorType, message: errorMessage }
+                    })}\n\n`);
+                    res.end();
+                } catch (writeError) {
+                    if (writeError.code !== 'ERR_STREAM_WRITE_AFTER_END') {
+                        console.error('[API] Error writing to stream:', writeError);
+                    }
+                }
+            } else if (!res.headersSent) {
+                res.status(statusCode).json({
+                    error: {
+                        type: errorType,
+                        message: errorMessage
+                    }
+                });
+            }
+
+            addRequestToHistory({
+                id: requestId,
+                method: req.method,
+                path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
+                status: 'error',
+                error: errorMessage,
+                duration: Date.now() - requestStartTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
@@ -5,6 +5,7 @@
 import { Router } from 'express';
 import { getRequestHistory } from '../services/request-history.js';
 import { getApiKey } from '../services/api-key.js';
+import { getThrottleStatus } from '../services/request-throttle.js';
 
 // Ngrok status cache (30 seconds TTL)
 let ngrokStatusCache = null;
@@ -99,6 +100,7 @@ export function createDashboardRouter(accountManager, ensureInitialized, serverS
                 apiKey: getApiKey(),
                 ngrok: ngrokStatus,
                 requests: recentRequests,
+                throttle: getThrottleStatus(),
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
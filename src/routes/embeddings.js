@@ -0,0 +1,123 @@
+/**
+ * OpenAI Embeddings API Route
+ * /v1/embeddings endpoint - OpenAI-compatible embeddings
+ */
+
+import { Router } from 'express';
+import crypto from 'crypto';
+import { estimateTokenCount } from '../utils/helpers.js';
+import { addRequestToHistory } from '../services/request-history.js';
+import { resolveEmbeddingModel, createEmbeddings } from '../services/embeddings.js';
+import { ApiError, parseError } from '../errors.js';
+
+
+/**
+ * Validate an embeddings request
+ * @returns {{texts: string[], dimensions: number|undefined, encodingFormat: string}}
+ * @throws {ApiError} If the input or options are invalid
+ */
+function parseEmbeddingsRequest({ input, dimensions, encoding_format }) {
+    const texts = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(texts) || texts.length === 0 || !texts.every(text => typeof text === 'string')) {
+        throw new ApiError('input is required and must be a string or an array of strings (token arrays are not supported)', 400, 'invalid_request_error');
+    }
+    if (texts.some(text => text.length === 0)) {
+        throw new ApiError('input cannot contain empty strings', 400, 'invalid_request_error');
+    }
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+        throw new ApiError('dimensions must be a positive integer', 400, 'invalid_request_error');
+    }
+    const encodingFormat = encoding_format || 'float';
+    if (encodingFormat !== 'float' && encodingFormat !== 'base64') {
+        throw new ApiError('encoding_format must be "float" or "base64"', 400, 'invalid_request_error');
+    }
+    return { texts, dimensions, encodingFormat };
+}
+
+/**
+ * Encode a vector as base64 little-endian float32, as OpenAI does
+ */
+function toBase64(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+export function createEmbeddingsRouter(accountManager, ensureInitialized) {
+    const router = Router();
+
+    /**
+     * OpenAI-compatible Embeddings endpoint
+     */
+    router.post(['/v1/embeddings', '/embeddings'], async (req, res) => {
+        const requestStartTime = Date.now();
+        const requestId = crypto.randomUUID();
+
+        try {
+            await ensureInitialized();
+
+            const { texts, dimensions, encodingFormat } = parseEmbeddingsRequest(req.body);
+            const model = await resolveEmbeddingModel(req.body.model, accountManager, req.apiKey);
+            const vectors = await createEmbeddings(texts, model, accountManager, { dimensions });
+            const promptTokens = texts.reduce((sum, text) => sum + estimateTokenCount(text), 0);
+
+            res.json({
+                object: 'list',
+                data: vectors.map((vector, index) => ({
+                    object: 'embedding',
+                    index,
+                    embedding: encodingFormat === 'base64' ? toBase64(vector) : vector
+                })),
+                model,
+                usage: {
+                    prompt_tokens: promptTokens,
+                    total_tokens: promptTokens
+                }
+            });
+
+            addRequestToHistory({
+                id: requestId,
+                method: req.method,
+                path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
+                status: 'success',
+                model,
+                stream: false,
+                duration: Date.now() - requestStartTime,
+                timestamp: new Date().toISOString(),
+                usage: {
+                    input_tokens: promptTokens,
+                    output_tokens: 0,
+                    cache_read_input_tokens: 0,
+                    cache_creation_input_tokens: 0
+                }
+            });
+
+        } catch (error) {
+            console.error('[API] Embeddings endpoint error:', error);
+            const { errorType, statusCode, errorMessage } = parseError(error);
+
+            res.status(statusCode).json({
+                error: {
+                    type: errorType,
+                    message: errorMessage
+                }
+            });
+
+            addRequestToHistory({
+                id: requestId,
+                method: req.method,
+                path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
+                status: 'error',
+                error: errorMessage,
+                duration: Date.now() - requestStartTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
@@ -1,8 +1,14 @@
 /**
- * Health Check Route
+ * Health Check Routes
+ *
+ * /health/live   - the process is up (never touches accounts or upstream)
+ * /health/ready  - accounts are loaded and at least one can serve requests
+ * /health/deep   - token refresh and Cloud Code reachability for every account (cached)
+ * /health        - account summary, kept for existing monitors
  */
 
 import { Router } from 'express';
+import { getDeepHealth, getRecentDeepHealth } from '../services/health-probe.js';
 
 export function createHealthRouter(accountManager, ensureInitialized) {
     const router = Router();
@@ -30,5 +36,63 @@ export function createHealthRouter(accountManager, ensureInitialized) {
         }
     });
 
+    router.get('/health/live', (req, res) => {
+        res.json({
+            status: 'ok',
+            uptimeSeconds: Math.floor(process.uptime()),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    /**
+     * Ready when accounts are loaded, at least one is enabled and valid, and
+     * the last deep probe (if it ran within HEALTH_PROBE_CACHE_MS) found an
+     * account that works upstream.
+     * Rate-limited accounts still count: requests wait for them or fail over.
+     */
+    router.get('/health/ready', async (req, res) => {
+        const timestamp = new Date().toISOString();
+        try {
+            await ensureInitialized();
+        } catch (error) {
+            return res.status(503).json({ status: 'error', reason: `Initialization failed: ${error.message}`, timestamp });
+        }
+
+        const status = accountManager.getStatus();
+        const usable = status.total - status.invalid - status.disabled;
+        const probe = getRecentDeepHealth();
+
+        let reason = null;
+        if (status.total === 0) {
+            reason = 'No accounts configured';
+        } else if (usable <= 0) {
+            reason = 'All accounts are invalid or disabled';
+        } else if (probe?.status === 'error') {
+            reason = `No account could reach Cloud Code at the last deep check (${probe.checkedAt})`;
+        }
+
+        res.status(reason ? 503 : 200).json({
+            status: reason ? 'error' : 'ok',
+            ...(reason && { reason }),
+            accounts: status.summary,
+            lastDeepCheck: probe ? { status: probe.status, checkedAt: probe.checkedAt } : null,
+            timestamp
+        });
+    });
+
+    router.get('/health/deep', async (req, res) => {
+        try {
+            await ensureInitialized();
+            const result = await getDeepHealth(accountManager, { refresh: req.query.refresh === 'true' });
+            res.status(result.status === 'error' ? 503 : 200).json(result);
+        } catch (error) {
+            res.status(503).json({
+                status: 'error',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
     return router;
 }
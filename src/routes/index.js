@@ -4,13 +4,25 @@
  */
 
 import { createHealthRouter } from './health.js';
+import { createMetricsRouter } from './metrics.js';
 import { createNgrokRouter } from './ngrok.js';
 import { createCursorRouter } from './cursor.js';
 import { createDashboardRouter } from './dashboard.js';
+import { createRequestsRouter } from './requests.js';
+import { createAnalyticsRouter } from './analytics.js';
 import { createAuthRouter } from './auth.js';
+import { createAdminRouter } from './admin.js';
 import { createAccountsRouter } from './accounts.js';
+import { createKeysRouter } from './keys.js';
+import { createBudgetsRouter } from './budgets.js';
+import { createModelAliasesRouter } from './model-aliases.js';
+import { createModelFallbacksRouter } from './model-fallbacks.js';
 import { createMessagesRouter } from './messages.js';
+import { createMessageBatchesRouter } from './message-batches.js';
 import { createChatCompletionsRouter } from './chat-completions.js';
+import { createResponsesRouter } from './responses.js';
+import { createCompletionsRouter } from './completions.js';
+import { createEmbeddingsRouter } from './embeddings.js';
 
 /**
  * Setup all routes on the Express app
@@ -23,6 +35,9 @@ export function setupRoutes(app, accountManager, ensureInitialized, serverStartT
     // Health check
     app.use(createHealthRouter(accountManager, ensureInitialized));
 
+    // Prometheus metrics
+    app.use(createMetricsRouter(accountManager));
+
     // ngrok control
     app.use(createNgrokRouter());
 
@@ -32,18 +47,51 @@ export function setupRoutes(app, accountManager, ensureInitialized, serverStartT
     // Dashboard API
     app.use(createDashboardRouter(accountManager, ensureInitialized, serverStartTime));
 
+    // Request history API
+    app.use(createRequestsRouter());
+
+    // Usage analytics API
+    app.use(createAnalyticsRouter());
+
+    // Admin login/logout
+    app.use(createAdminRouter());
+
     // OAuth authentication
     app.use(createAuthRouter(accountManager));
 
     // Account management
     app.use(createAccountsRouter(accountManager, ensureInitialized));
 
+    // Scoped API key management
+    app.use(createKeysRouter());
+
+    // Token/request budgets
+    app.use(createBudgetsRouter());
+
+    // Model alias table
+    app.use(createModelAliasesRouter());
+
+    // Cross-model fallback chains
+    app.use(createModelFallbacksRouter());
+
     // Anthropic Messages API
     app.use(createMessagesRouter(accountManager, ensureInitialized));
 
+    // Anthropic Message Batches API
+    app.use(createMessageBatchesRouter());
+
     // OpenAI Chat Completions API
     app.use(createChatCompletionsRouter(accountManager, ensureInitialized));
 
+    // OpenAI Responses API
+    app.use(createResponsesRouter(accountManager, ensureInitialized));
+
+    // OpenAI legacy Completions API
+    app.use(createCompletionsRouter(accountManager, ensureInitialized));
+
+    // OpenAI Embeddings API
+    app.use(createEmbeddingsRouter(accountManager, ensureInitialized));
+
     // Catch-all for unsupported endpoints
     app.use('*', (req, res) => {
         res.status(404).json({
@@ -0,0 +1,72 @@
+/**
+ * API Keys Route
+ * Create, list and revoke named scoped API keys
+ */
+
+import { Router } from 'express';
+import { createScopedApiKey, listScopedApiKeys, revokeScopedApiKey } from '../services/api-key.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * Send an error response, using the status code carried by ApiError
+ */
+function sendError(res, error) {
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    res.status(statusCode).json({
+        status: 'error',
+        message: error.message
+    });
+}
+
+export function createKeysRouter() {
+    const router = Router();
+
+    /**
+     * List scoped API keys (plaintext keys are never returned here)
+     */
+    router.get('/api/keys', (req, res) => {
+        try {
+            res.json({ keys: listScopedApiKeys() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Create a scoped API key
+     * Body: { name, models?, expiresAt?, rateLimit?, includeReasoning? }
+     */
+    router.post('/api/keys', (req, res) => {
+        try {
+            const { name, models, expiresAt, rateLimit, includeReasoning } = req.body || {};
+            const { key, apiKey } = createScopedApiKey({ name, models, expiresAt, rateLimit, includeReasoning });
+
+            res.status(201).json({
+                status: 'success',
+                message: 'API key created. Store it now; it will not be shown again.',
+                key,
+                apiKey
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Revoke a scoped API key by id or name
+     */
+    router.delete('/api/keys/:id', (req, res) => {
+        try {
+            const apiKey = revokeScopedApiKey(req.params.id);
+            res.json({
+                status: 'success',
+                message: `API key "${apiKey.name}" revoked`,
+                apiKey
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
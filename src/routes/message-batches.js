@@ -0,0 +1,152 @@
+/**
+ * Anthropic Message Batches API Route
+ * /v1/messages/batches endpoints - queue Messages requests for background processing
+ */
+
+import { Router } from 'express';
+import { ApiError } from '../errors.js';
+import {
+    createMessageBatch,
+    getMessageBatch,
+    listMessageBatches,
+    cancelMessageBatch,
+    deleteMessageBatch,
+    getMessageBatchResults
+} from '../services/message-batches.js';
+
+/**
+ * Send an Anthropic-style error response, using the status code carried by ApiError
+ */
+function sendError(res, error) {
+    if (!(error instanceof ApiError)) {
+        console.error('[API] Message batches error:', error);
+    }
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    res.status(statusCode).json({
+        type: 'error',
+        error: {
+            type: error instanceof ApiError ? error.errorType : 'api_error',
+            message: error.message
+        }
+    });
+}
+
+/**
+ * Convert a batch record to an Anthropic message_batch object
+ * @param {Object} batch - Batch record from the service
+ * @param {Request} req - Express request (for the results URL)
+ * @returns {Object} message_batch
+ */
+function toMessageBatch(batch, req) {
+    const isoTime = ms => (ms ? new Date(ms).toISOString() : null);
+    const ended = batch.processingStatus === 'ended';
+
+    return {
+        id: batch.id,
+        type: 'message_batch',
+        processing_status: batch.processingStatus,
+        request_counts: batch.requestCounts,
+        ended_at: isoTime(batch.endedAt),
+        created_at: isoTime(batch.createdAt),
+        expires_at: isoTime(batch.expiresAt),
+        archived_at: null,
+        cancel_initiated_at: isoTime(batch.cancelInitiatedAt),
+        results_url: ended ? `${req.protocol}://${req.get('host')}/v1/messages/batches/${batch.id}/results` : null
+    };
+}
+
+export function createMessageBatchesRouter() {
+    const router = Router();
+
+    /**
+     * Create a batch
+     * Body: { requests: [{ custom_id, params }] } where params is a Messages API request
+     */
+    router.post('/v1/messages/batches', (req, res) => {
+        try {
+            const batch = createMessageBatch(req.body?.requests, { identity: req.apiKey, clientId: req.clientId });
+            res.json(toMessageBatch(batch, req));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * List batches, newest first
+     * Query: limit (default 20), before_id, after_id
+     */
+    router.get('/v1/messages/batches', (req, res) => {
+        try {
+            const { limit, before_id: beforeId, after_id: afterId } = req.query;
+            const { batches, hasMore } = listMessageBatches({
+                identity: req.apiKey,
+                limit: limit === undefined ? undefined : Number(limit),
+                beforeId,
+                afterId
+            });
+            const data = batches.map(batch => toMessageBatch(batch, req));
+            res.json({
+                data,
+                has_more: hasMore,
+                first_id: data[0]?.id ?? null,
+                last_id: data[data.length - 1]?.id ?? null
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Get a batch
+     */
+    router.get('/v1/messages/batches/:id', (req, res) => {
+        try {
+            res.json(toMessageBatch(getMessageBatch(req.params.id, req.apiKey), req));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Get the results of an ended batch as JSONL, one line per request
+     */
+    router.get('/v1/messages/batches/:id/results', (req, res) => {
+        let results;
+        try {
+            results = getMessageBatchResults(req.params.id, req.apiKey);
+        } catch (error) {
+            return sendError(res, error);
+        }
+
+        res.setHeader('Content-Type', 'application/x-jsonl');
+        for (const line of results) {
+            res.write(JSON.stringify(line) + '\n');
+        }
+        res.end();
+    });
+
+    /**
+     * Cancel a batch
+     */
+    router.post('/v1/messages/batches/:id/cancel', (req, res) => {
+        try {
+            res.json(toMessageBatch(cancelMessageBatch(req.params.id, req.apiKey), req));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Delete an ended batch and its results
+     */
+    router.delete('/v1/messages/batches/:id', (req, res) => {
+        try {
+            deleteMessageBatch(req.params.id, req.apiKey);
+            res.json({ id: req.params.id, type: 'message_batch_deleted' });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
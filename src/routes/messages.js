@@ -5,12 +5,20 @@
 
 import { Router } from 'express';
 import crypto from 'crypto';
-import { sendMessage, sendMessageStream, listModels } from '../cloudcode-client.js';
+import { listModels } from '../cloudcode-client.js';
 import { forceRefresh } from '../token-extractor.js';
-import { estimateTokenCount } from '../utils/helpers.js';
+import { estimateTokenCount, withKeepalive } from '../utils/helpers.js';
 import { logDebugFile, logToolUsage } from '../utils/logger.js';
 import { addRequestToHistory } from '../services/request-history.js';
-import { waitForThrottle } from '../services/request-throttle.js';
+import { waitForThrottle, getRequestPriority, getDisconnectSignal } from '../services/request-throttle.js';
+import { getCacheDirective, sendMessageCached, sendMessageStreamCached } from '../services/response-cache.js';
+import { countRequestTokens } from '../services/token-counter.js';
+import { isModelAllowed, assertModelAllowed } from '../services/api-key.js';
+import { applyModelAlias, listModelAliases } from '../services/model-aliases.js';
+import { prepareImages } from '../services/image-preparation.js';
+import { parseError } from '../errors.js';
+import { toOutputFormat } from '../format/structured-output.js';
+import { STREAM_KEEPALIVE_MS } from '../constants.js';
 
 /**
  * Debug helper: Log response content for loop detection
@@ -38,49 +46,6 @@ function logResponseForDebug(response, model) {
     }
 }
 
-/**
- * Parse error message to extract error type, status code, and user-friendly message
- */
-function parseError(error) {
-    let errorType = 'api_error';
-    let statusCode = 500;
-    let errorMessage = error.message;
-
-    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
-        errorType = 'authentication_error';
-        statusCode = 401;
-        errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
-    } else if (error.message.includes('429') || error.message.includes('RESOURCE_EXHAUSTED') || error.message.includes('QUOTA_EXHAUSTED')) {
-        errorType = 'invalid_request_error';
-        statusCode = 400;
-
-        const resetMatch = error.message.match(/quota will reset after (\d+h\d+m\d+s|\d+m\d+s|\d+s)/i);
-        const modelMatch = error.message.match(/"model":\s*"([^"]+)"/);
-        const model = modelMatch ? modelMatch[1] : 'the model';
-
-        if (resetMatch) {
-            errorMessage = `You have exhausted your capacity on ${model}. Quota will reset after ${resetMatch[1]}.`;
-        } else {
-            errorMessage = `You have exhausted your capacity on ${model}. Please wait for your quota to reset.`;
-        }
-    } else if (error.message.includes('invalid_request_error') || error.message.includes('INVALID_ARGUMENT')) {
-        errorType = 'invalid_request_error';
-        statusCode = 400;
-        const msgMatch = error.message.match(/"message":"([^"]+)"/);
-        if (msgMatch) errorMessage = msgMatch[1];
-    } else if (error.message.includes('All endpoints failed')) {
-        errorType = 'api_error';
-        statusCode = 503;
-        errorMessage = 'Unable to connect to Claude API. Check that Antigravity is running.';
-    } else if (error.message.includes('PERMISSION_DENIED')) {
-        errorType = 'permission_error';
-        statusCode = 403;
-        errorMessage = 'Permission denied. Check your Antigravity license.';
-    }
-
-    return { errorType, statusCode, errorMessage };
-}
-
 export function createMessagesRouter(accountManager, ensureInitialized) {
     const router = Router();
 
@@ -102,6 +67,24 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
             }
             const token = await accountManager.getTokenForAccount(account);
             const models = await listModels(token);
+
+            // Advertise aliases alongside the real models
+            const created = Math.floor(Date.now() / 1000);
+            for (const { alias, model, description } of listModelAliases()) {
+                models.data.push({
+                    id: alias,
+                    object: 'model',
+                    created,
+                    owned_by: 'alias',
+                    alias_for: model,
+                    description: description || `Alias for ${model}`
+                });
+            }
+
+            // Scoped keys only see the models they are allowed to use
+            if (req.apiKey?.models) {
+                models.data = models.data.filter(m => isModelAllowed(req.apiKey, m.id));
+            }
             res.json(models);
         } catch (error) {
             console.error('[API] Error listing models:', error);
@@ -116,16 +99,50 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
     });
 
     /**
-     * Count tokens endpoint (not supported)
+     * Count tokens endpoint - Anthropic count_tokens compatible
+     * Uses the Cloud Code token counter, falling back to a local estimate
      */
-    router.post('/v1/messages/count_tokens', (req, res) => {
-        res.status(501).json({
-            type: 'error',
-            error: {
-                type: 'not_implemented',
-                message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+    router.post('/v1/messages/count_tokens', async (req, res) => {
+        try {
+            await ensureInitialized();
+
+            const { model, messages, system, tools, tool_choice, thinking, output_format } = req.body;
+
+            if (!messages || !Array.isArray(messages)) {
+                return res.status(400).json({
+                    type: 'error',
+                    error: {
+                        type: 'invalid_request_error',
+                        message: 'messages is required and must be an array'
+                    }
+                });
             }
-        });
+
+            const request = applyModelAlias({
+                model,
+                messages,
+                system,
+                tools,
+                tool_choice,
+                thinking,
+                output_format: toOutputFormat(output_format)
+            });
+            assertModelAllowed(req.apiKey, request.model);
+
+            const result = await countRequestTokens(request, accountManager);
+
+            res.json(result);
+        } catch (error) {
+            console.error('[API] Error counting tokens:', error);
+            const { errorType, statusCode, errorMessage } = parseError(error);
+            res.status(statusCode).json({
+                type: 'error',
+                error: {
+                    type: errorType,
+                    message: errorMessage
+                }
+            });
+        }
     });
 
     /**
@@ -155,7 +172,8 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                 thinking,
                 top_p,
                 top_k,
-                temperature
+                temperature,
+                output_format
             } = req.body;
 
             // Calculate tool token usage for logging
@@ -185,6 +203,9 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                     id: requestId,
                     method: req.method,
                     path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
                     status: 'error',
                     error: 'messages is required and must be an array',
                     duration,
@@ -199,11 +220,11 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                 });
             }
 
-            // Build the request object
-            const request = {
-                model: model || 'claude-3-5-sonnet-20241022',
+            // Build the request object, resolving model aliases and their defaults
+            const resolved = applyModelAlias({
+                model,
                 messages,
-                max_tokens: max_tokens || 4096,
+                max_tokens,
                 stream,
                 system,
                 tools,
@@ -211,8 +232,11 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                 thinking,
                 top_p,
                 top_k,
-                temperature
-            };
+                temperature,
+                output_format: toOutputFormat(output_format)
+            });
+            assertModelAllowed(req.apiKey, resolved.model);
+            const request = await prepareImages(resolved);
 
             // Get tool metadata from request conversion
             const { googleRequest, toolMetadata } = await import('../format/request-converter.js').then(m => {
@@ -229,7 +253,7 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
             }
 
             // Log tool usage for Claude models
-            const isClaudeModel = (model || '').toLowerCase().includes('claude');
+            const isClaudeModel = request.model.toLowerCase().includes('claude');
             if (isClaudeModel && (tools?.length > 0 || messages.some(m => {
                 if (Array.isArray(m.content)) {
                     return m.content.some(b => b.type === 'tool_use' || b.type === 'tool_result');
@@ -277,9 +301,6 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                 res.setHeader('X-Accel-Buffering', 'no');
                 res.flushHeaders();
 
-                // Apply throttling to prevent rate limiting
-                await waitForThrottle(request.model);
-
                 try {
                     let streamUsage = {
                         input_tokens: 0,
@@ -291,13 +312,33 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                     const contentBlocks = [];
                     let currentBlockIndex = -1;
                     let selectedAccountEmail = null;
+                    let servedModel = request.model;
+                    let cached = false;
                     const streamToolCalls = [];
-
-                    for await (const event of sendMessageStream(request, accountManager)) {
+                    let messageStarted = false;
+
+                    // Throttling (to prevent rate limiting) is skipped for cache hits
+                    // Pings keep the connection open during long pauses. Anthropic SDKs reject
+                    // a ping event before message_start, so until then an SSE comment is sent.
+                    const events = withKeepalive(sendMessageStreamCached(request, accountManager, {
+                        cache: getCacheDirective(req),
+                        throttle: () => waitForThrottle(request.model, { priority: getRequestPriority(req), signal: getDisconnectSignal(res) }),
+                        identity: req.apiKey
+                    }), STREAM_KEEPALIVE_MS);
+                    for await (const event of events) {
                         if (event.type === 'internal_metadata') {
                             selectedAccountEmail = event.account;
+                            servedModel = event.model;
+                            cached = event.cached === true;
+                            continue;
+                        }
+
+                        if (event.type === 'ping' && !messageStarted) {
+                            res.write(': ping\n\n');
+                            if (res.flush) res.flush();
                             continue;
                         }
+                        messageStarted ||= event.type === 'message_start';
 
                         res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                         if (res.flush) res.flush();
@@ -391,10 +432,14 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                         id: requestId,
                         method: req.method,
                         path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
                         status: 'success',
-                        model: request.model,
+                        model: servedModel,
                         account: selectedAccountEmail,
                         stream: true,
+                        cached,
                         duration,
                         timestamp: new Date().toISOString(),
                         usage: streamUsage,
@@ -416,6 +461,9 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                         id: requestId,
                         method: req.method,
                         path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
                         status: 'error',
                         error: errorMessage,
                         model: request.model,
@@ -427,9 +475,12 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
 
             } else {
                 // Handle non-streaming response
-                // Apply throttling to prevent rate limiting
-                await waitForThrottle(request.model);
-                const response = await sendMessage(request, accountManager);
+                // Throttling (to prevent rate limiting) is skipped for cache hits
+                const { _cached: cached, ...response } = await sendMessageCached(request, accountManager, {
+                    cache: getCacheDirective(req),
+                    throttle: () => waitForThrottle(request.model, { priority: getRequestPriority(req), signal: getDisconnectSignal(res) }),
+                    identity: req.apiKey
+                });
 
                 if (isClaudeModel && (tools?.length > 0 || response.content?.some(b => b.type === 'tool_use'))) {
                     try {
@@ -451,10 +502,14 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                     id: requestId,
                     method: req.method,
                     path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
                     status: 'success',
-                    model: request.model,
+                    model: response.fallback?.model || request.model,
                     account: selectedAccountEmail,
                     stream: false,
+                    cached,
                     duration,
                     timestamp: new Date().toISOString(),
                     usage: {
@@ -504,6 +559,9 @@ export function createMessagesRouter(accountManager, ensureInitialized) {
                 id: requestId,
                 method: req.method,
                 path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
                 status: 'error',
                 error: errorMessage,
                 duration,
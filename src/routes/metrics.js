@@ -0,0 +1,17 @@
+/**
+ * Metrics Route
+ * /metrics endpoint - Prometheus text exposition format
+ */
+
+import { Router } from 'express';
+import { renderMetrics } from '../services/metrics.js';
+
+export function createMetricsRouter(accountManager) {
+    const router = Router();
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics(accountManager));
+    });
+
+    return router;
+}
@@ -0,0 +1,62 @@
+/**
+ * Model Aliases Route
+ * Manage the alias -> model routing table and per-alias default parameters
+ */
+
+import { Router } from 'express';
+import { listModelAliases, setModelAlias, removeModelAlias } from '../services/model-aliases.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * Send an error response, using the status code carried by ApiError
+ */
+function sendError(res, error) {
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    res.status(statusCode).json({
+        status: 'error',
+        message: error.message
+    });
+}
+
+export function createModelAliasesRouter() {
+    const router = Router();
+
+    /**
+     * List model aliases
+     */
+    router.get('/api/model-aliases', (req, res) => {
+        try {
+            res.json({ aliases: listModelAliases() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Create or replace a model alias
+     * Body: { model, description?, defaults?: { maxTokens?, temperature?, topP?, thinkingBudget? } }
+     */
+    router.put('/api/model-aliases/:alias', (req, res) => {
+        try {
+            const { model, description, defaults } = req.body || {};
+            const alias = setModelAlias(req.params.alias, { model, description, defaults });
+            res.json({ status: 'success', alias });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Remove a model alias
+     */
+    router.delete('/api/model-aliases/:alias', (req, res) => {
+        try {
+            removeModelAlias(req.params.alias);
+            res.json({ status: 'success', message: `Model alias ${req.params.alias} removed` });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
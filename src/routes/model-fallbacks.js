@@ -0,0 +1,61 @@
+/**
+ * Model Fallbacks Route
+ * Manage the fallback chains used when a model's quota is exhausted
+ */
+
+import { Router } from 'express';
+import { listFallbackChains, setFallbackChain, removeFallbackChain } from '../services/model-fallback.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * Send an error response, using the status code carried by ApiError
+ */
+function sendError(res, error) {
+    const statusCode = error instanceof ApiError ? error.statusCode : 500;
+    res.status(statusCode).json({
+        status: 'error',
+        message: error.message
+    });
+}
+
+export function createModelFallbacksRouter() {
+    const router = Router();
+
+    /**
+     * List fallback chains
+     */
+    router.get('/api/model-fallbacks', (req, res) => {
+        try {
+            res.json({ chains: listFallbackChains() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Set the fallback chain for a model
+     * Body: { fallbacks: ["claude-sonnet-4-5-thinking", "gemini-3-pro-high"] }
+     */
+    router.put('/api/model-fallbacks/:model', (req, res) => {
+        try {
+            const chain = setFallbackChain(req.params.model, req.body?.fallbacks);
+            res.json({ status: 'success', chain });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    /**
+     * Remove the fallback chain for a model
+     */
+    router.delete('/api/model-fallbacks/:model', (req, res) => {
+        try {
+            removeFallbackChain(req.params.model);
+            res.json({ status: 'success', message: `Fallback chain for ${req.params.model} removed` });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
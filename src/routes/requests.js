@@ -0,0 +1,53 @@
+/**
+ * Request History API Route
+ * Paginated, filterable access to persisted request history
+ */
+
+import { Router } from 'express';
+import { queryRequestHistory, getRequestHistoryFilters } from '../services/request-history.js';
+import { parseTimeBound } from '../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+export function createRequestsRouter() {
+    const router = Router();
+
+    /**
+     * List requests, newest first
+     * Query: model, account, status, path, apiKey, clientId, from, to, limit, offset
+     */
+    router.get('/api/requests', (req, res) => {
+        const { model, account, status, path, apiKey, clientId } = req.query;
+        const from = parseTimeBound(req.query.from);
+        const to = parseTimeBound(req.query.to);
+
+        if (from === null || to === null) {
+            return res.status(400).json({
+                error: 'from and to must be epoch milliseconds or ISO 8601 dates'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        try {
+            res.json(queryRequestHistory({ model, account, status, path, apiKey, clientId, from, to, limit, offset }));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Distinct values available for the request filters
+     */
+    router.get('/api/requests/filters', (req, res) => {
+        try {
+            res.json(getRequestHistoryFilters());
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
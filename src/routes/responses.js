@@ -0,0 +1,319 @@
+/**
+ * OpenAI Responses API Route
+ * /v1/responses endpoint - OpenAI Responses-compatible format
+ */
+
+import { Router } from 'express';
+import crypto from 'crypto';
+import { forceRefresh } from '../token-extractor.js';
+import { withKeepalive } from '../utils/helpers.js';
+import { addRequestToHistory } from '../services/request-history.js';
+import { waitForThrottle, getRequestPriority, getDisconnectSignal } from '../services/request-throttle.js';
+import { getCacheDirective, sendMessageCached, sendMessageStreamCached } from '../services/response-cache.js';
+import { applyModelAlias } from '../services/model-aliases.js';
+import { assertModelAllowed } from '../services/api-key.js';
+import { prepareImages } from '../services/image-preparation.js';
+import { parseError } from '../errors.js';
+import { convertAnthropicToGoogle } from '../format/request-converter.js';
+import {
+    convertResponsesToAnthropic,
+    convertAnthropicToResponses,
+    createResponsesStreamConverter
+} from '../format/responses-converter.js';
+import { STREAM_KEEPALIVE_MS } from '../constants.js';
+
+
+/**
+ * Write a Responses API SSE event
+ */
+function writeEvent(res, event) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (res.flush) res.flush();
+}
+
+export function createResponsesRouter(accountManager, ensureInitialized) {
+    const router = Router();
+
+    /**
+     * OpenAI-compatible Responses endpoint
+     */
+    router.post(['/v1/responses', '/responses'], async (req, res) => {
+        const requestStartTime = Date.now();
+        const requestId = crypto.randomUUID();
+
+        try {
+            await ensureInitialized();
+
+            // Optimistic Retry: If ALL accounts are rate-limited, reset them
+            if (accountManager.isAllRateLimited()) {
+                console.log('[Server] All accounts rate-limited. Resetting state for optimistic retry.');
+                accountManager.resetAllRateLimits();
+            }
+
+            const responsesRequest = req.body;
+            const { model, input, stream, previous_response_id } = responsesRequest;
+
+            // Validate required fields
+            let validationError = null;
+            if (input === undefined || input === null || (typeof input !== 'string' && !Array.isArray(input))) {
+                validationError = 'input is required and must be a string or an array';
+            } else if (previous_response_id) {
+                // Responses are not stored, so there is nothing to continue from
+                validationError = 'previous_response_id is not supported. Send the full conversation in input instead.';
+            }
+
+            if (validationError) {
+                const duration = Date.now() - requestStartTime;
+                addRequestToHistory({
+                    id: requestId,
+                    method: req.method,
+                    path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
+                    status: 'error',
+                    error: validationError,
+                    duration,
+                    timestamp: new Date().toISOString()
+                });
+                return res.status(400).json({
+                    error: {
+                        type: 'invalid_request_error',
+                        message: validationError
+                    }
+                });
+            }
+
+            // Convert Responses format to Anthropic format and resolve model aliases
+            const resolved = applyModelAlias(convertResponsesToAnthropic(responsesRequest));
+            assertModelAllowed(req.apiKey, resolved.model);
+            const anthropicRequest = await prepareImages(resolved);
+            const responseModel = model || anthropicRequest.model;
+
+            // Get tool metadata from request conversion
+            let toolInfo = null;
+            const { toolMetadata } = convertAnthropicToGoogle(anthropicRequest);
+            if (toolMetadata) {
+                toolInfo = {
+                    count: toolMetadata.filteredCount,
+                    tokens: toolMetadata.filteredTokens,
+                    names: toolMetadata.toolNames
+                };
+            }
+
+            if (stream) {
+                // Handle streaming response (Responses event format)
+                res.setHeader('Content-Type', 'text/event-stream');
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('Connection', 'keep-alive');
+                res.setHeader('X-Accel-Buffering', 'no');
+                res.flushHeaders();
+
+                let converter = createResponsesStreamConverter(responseModel, responsesRequest);
+                let streamUsage = {
+                    input_tokens: 0,
+                    output_tokens: 0,
+                    cache_read_input_tokens: 0,
+                    cache_creation_input_tokens: 0
+                };
+                let selectedAccountEmail = null;
+                let servedModel = anthropicRequest.model;
+                let cached = false;
+
+                try {
+                    // Apply throttling to prevent rate limiting; cache hits skip it
+                    const events = withKeepalive(sendMessageStreamCached(anthropicRequest, accountManager, {
+                        cache: getCacheDirective(req),
+                        throttle: () => waitForThrottle(anthropicRequest.model, { priority: getRequestPriority(req), signal: getDisconnectSignal(res) }),
+                        identity: req.apiKey
+                    }), STREAM_KEEPALIVE_MS);
+                    for await (const event of events) {
+                        if (event.type === 'ping') {
+                            // SSE comment: keeps the connection open without a Responses API event
+                            res.write(': ping\n\n');
+                            if (res.flush) res.flush();
+                            continue;
+                        }
+                        if (event.type === 'internal_metadata') {
+                            selectedAccountEmail = event.account;
+                            servedModel = event.model;
+                            cached = event.cached === true;
+                            // Report the substitute model when a fallback answered (nothing is emitted yet)
+                            if (event.fallback) {
+                                converter = createResponsesStreamConverter(event.model, responsesRequest);
+                            }
+                            continue;
+                        }
+
+                        // Capture usage
+                        if (event.type === 'message_start' && event.message?.usage) {
+                            streamUsage.input_tokens = event.message.usage.input_tokens || 0;
+                            streamUsage.cache_read_input_tokens = event.message.usage.cache_read_input_tokens || 0;
+                            streamUsage.cache_creation_input_tokens = event.message.usage.cache_creation_input_tokens || 0;
+                        }
+                        if (event.type === 'message_delta' && event.usage) {
+                            streamUsage.output_tokens = event.usage.output_tokens || 0;
+                        }
+
+                        for (const responsesEvent of converter.convert(event)) {
+                            writeEvent(res, responsesEvent);
+                        }
+                    }
+                    res.end();
+
+                    // Track successful streaming request
+                    const duration = Date.now() - requestStartTime;
+                    addRequestToHistory({
+                        id: requestId,
+                        method: req.method,
+                        path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
+                        status: 'success',
+                        model: servedModel,
+                        account: selectedAccountEmail,
+                        stream: true,
+                        cached,
+                        duration,
+                        timestamp: new Date().toISOString(),
+                        usage: streamUsage,
+                        tools: toolInfo
+                    });
+
+                } catch (streamError) {
+                    console.error('[API] Responses stream error:', streamError);
+                    const { errorType, errorMessage } = parseError(streamError);
+
+                    if (!res.writableEnded) {
+                        try {
+                            writeEvent(res, {
+                                type: 'error',
+                                code: errorType,
+                                message: errorMessage,
+                                param: null
+                            });
+                            res.end();
+                        } catch (writeError) {
+                            if (writeError.code !== 'ERR_STREAM_WRITE_AFTER_END') {
+                                console.error('[API] Error writing to stream:', writeError);
+                            }
+                        }
+                    }
+
+                    const duration = Date.now() - requestStartTime;
+                    addRequestToHistory({
+                        id: requestId,
+                        method: req.method,
+                        path: req.path,
+                        apiKey: req.apiKey?.name,
+                        apiKeyId: req.apiKey?.id,
+                        clientId: req.clientId,
+                        status: 'error',
+                        error: errorMessage,
+                        model: anthropicRequest.model,
+                        account: selectedAccountEmail,
+                        stream: true,
+                        duration,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+            } else {
+                // Handle non-streaming response
+                // Apply throttling to prevent rate limiting; cache hits skip it
+                const anthropicResponse = await sendMessageCached(anthropicRequest, accountManager, {
+                    cache: getCacheDirective(req),
+                    throttle: () => waitForThrottle(anthropicRequest.model, { priority: getRequestPriority(req), signal: getDisconnectSignal(res) }),
+                    identity: req.apiKey
+                });
+                const servedModel = anthropicResponse.fallback?.model || anthropicRequest.model;
+                res.json(convertAnthropicToResponses(
+                    anthropicResponse,
+                    anthropicResponse.fallback ? servedModel : responseModel,
+                    responsesRequest
+                ));
+
+                const duration = Date.now() - requestStartTime;
+                const usage = anthropicResponse.usage || {};
+                addRequestToHistory({
+                    id: requestId,
+                    method: req.method,
+                    path: req.path,
+                    apiKey: req.apiKey?.name,
+                    apiKeyId: req.apiKey?.id,
+                    clientId: req.clientId,
+                    status: 'success',
+                    model: servedModel,
+                    account: anthropicResponse._account,
+                    stream: false,
+                    cached: anthropicResponse._cached === true,
+                    duration,
+                    timestamp: new Date().toISOString(),
+                    usage: {
+                        input_tokens: usage.input_tokens || 0,
+                        output_tokens: usage.output_tokens || 0,
+                        cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+                        cache_creation_input_tokens: usage.cache_creation_input_tokens || 0
+                    },
+                    tools: toolInfo
+                });
+            }
+
+        } catch (error) {
+            console.error('[API] Responses endpoint error:', error);
+            let { errorType, statusCode, errorMessage } = parseError(error);
+
+            if (errorType === 'authentication_error') {
+                console.log('[API] Token might be expired, attempting refresh...');
+                try {
+                    accountManager.clearProjectCache();
+                    accountManager.clearTokenCache();
+                    await forceRefresh();
+                    errorMessage = 'Token was expired and has been refreshed. Please retry your request.';
+                } catch (refreshError) {
+                    errorMessage = 'Could not refresh token. Make sure Antigravity is running.';
+                }
+            }
+
+            if (res.headersSent && !res.writableEnded) {
+                try {
+                    writeEvent(res, {
+                        type: 'error',
+                        code: errorType,
+                        message: errorMessage,
+                        param: null
+                    });
+                    res.end();
+                } catch (writeError) {
+                    if (writeError.code !== 'ERR_STREAM_WRITE_AFTER_END') {
+                        console.error('[API] Error writing to stream:', writeError);
+                    }
+                }
+            } else if (!res.headersSent) {
+                res.status(statusCode).json({
+                    error: {
+                        type: errorType,
+                        message: errorMessage
+                    }
+                });
+            }
+
+            const duration = Date.now() - requestStartTime;
+            addRequestToHistory({
+                id: requestId,
+                method: req.method,
+                path: req.path,
+                apiKey: req.apiKey?.name,
+                apiKeyId: req.apiKey?.id,
+                clientId: req.clientId,
+                status: 'error',
+                error: errorMessage,
+                duration,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
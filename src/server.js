@@ -11,7 +11,15 @@ import cors from 'cors';
 import { REQUEST_BODY_LIMIT } from './constants.js';
 import { AccountManager } from './account-manager.js';
 import { loadOrGenerateApiKey } from './services/api-key.js';
+import { loadOrGenerateAdminToken } from './services/admin-auth.js';
 import { authenticateApiKey } from './middleware/auth.js';
+import { authenticateAdmin } from './middleware/admin-auth.js';
+import { enforceBudgets } from './middleware/budget.js';
+import { onRequestRecorded } from './services/request-history.js';
+import { chargeRequest } from './services/budget.js';
+import { recordRequestMetrics } from './services/metrics.js';
+import { startQuotaRefresher } from './services/model-quotas.js';
+import { startMessageBatchProcessor } from './services/message-batches.js';
 import { setupRoutes } from './routes/index.js';
 
 const app = express();
@@ -22,6 +30,15 @@ const accountManager = new AccountManager();
 // Generate or load API key
 loadOrGenerateApiKey();
 
+// Generate or load admin token (dashboard and management endpoints)
+loadOrGenerateAdminToken();
+
+// Charge every recorded request against its key and client budgets
+onRequestRecorded(chargeRequest);
+
+// Count every recorded request in the /metrics counters
+onRequestRecorded(recordRequestMetrics);
+
 // Track initialization status
 let isInitialized = false;
 let initError = null;
@@ -56,12 +73,20 @@ async function ensureInitialized() {
     return initPromise;
 }
 
+// Keep per-account, per-model quota snapshots fresh for account selection
+startQuotaRefresher(accountManager, ensureInitialized);
+
+// Resume queued message batches and process new ones in the background
+startMessageBatchProcessor(accountManager, ensureInitialized);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
 // Apply authentication middleware
+app.use(authenticateAdmin);
 app.use(authenticateApiKey);
+app.use(enforceBudgets);
 
 // Setup all routes
 setupRoutes(app, accountManager, ensureInitialized, serverStartTime);
@@ -0,0 +1,86 @@
+/**
+ * Account Selection Strategies
+ * Decide which usable account serves the next request for a model.
+ *
+ * - sticky: keep the current account until it is rate-limited (best for prompt caching)
+ * - round-robin: rotate to the next account on every request
+ * - most-quota: pick the account with the most remaining quota for the model
+ * - lru: pick the account that was used least recently
+ *
+ * Sticky selection also waits out short rate limits, so it is implemented by
+ * AccountManager.pickStickyAccount; the other strategies are plain pickers.
+ */
+
+/**
+ * Order candidates starting with the first one after the current account
+ * Used as the tie-breaking order, so equal candidates are taken in turn.
+ */
+function inTurn(candidates, { accounts, currentIndex }) {
+    const ordered = [];
+    for (let i = 1; i <= accounts.length; i++) {
+        const account = accounts[(currentIndex + i) % accounts.length];
+        if (candidates.includes(account)) ordered.push(account);
+    }
+    return ordered;
+}
+
+/**
+ * Pick the first candidate after the current account, wrapping around
+ */
+function nextAfterCurrent(candidates, context) {
+    return inTurn(candidates, context)[0] || null;
+}
+
+/**
+ * Pick the candidate with the oldest lastUsed (never-used accounts first)
+ */
+function leastRecentlyUsed(candidates, context) {
+    let best = null;
+    for (const account of inTurn(candidates, context)) {
+        if (!best || (account.lastUsed || 0) < (best.lastUsed || 0)) {
+            best = account;
+        }
+    }
+    return best;
+}
+
+/**
+ * Pick the candidate with the highest remaining quota for the model
+ * Accounts without quota data rank as full; ties go to the least recently used.
+ */
+function mostRemainingQuota(candidates, context) {
+    let bestRemaining = -1;
+    let best = [];
+    for (const account of candidates) {
+        const remaining = context.remainingQuota(account) ?? 1;
+        if (remaining > bestRemaining) {
+            bestRemaining = remaining;
+            best = [account];
+        } else if (remaining === bestRemaining) {
+            best.push(account);
+        }
+    }
+    return leastRecentlyUsed(best, context);
+}
+
+/**
+ * Pickers for the non-sticky strategies
+ * Each receives the usable candidates and a context of
+ * { accounts, currentIndex, remainingQuota(account) } and returns an account or null.
+ */
+export const ACCOUNT_PICKERS = {
+    'round-robin': nextAfterCurrent,
+    'most-quota': mostRemainingQuota,
+    'lru': leastRecentlyUsed
+};
+
+export const SELECTION_STRATEGIES = ['sticky', ...Object.keys(ACCOUNT_PICKERS)];
+
+/**
+ * Check whether a name is a known selection strategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} True if the strategy exists
+ */
+export function isSelectionStrategy(name) {
+    return SELECTION_STRATEGIES.includes(name);
+}
@@ -0,0 +1,108 @@
+/**
+ * Admin Authentication Service
+ * Manages the admin token that guards the dashboard and management
+ * endpoints, and the browser sessions created by logging in with it.
+ *
+ * The admin token is separate from the API key so that clients holding
+ * an API key (or anyone who reaches the ngrok URL) cannot read or rotate it.
+ */
+
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { ADMIN_TOKEN, ADMIN_TOKEN_PATH, ADMIN_SESSION_TTL_MS } from '../constants.js';
+
+let adminToken = null;
+
+// Session id -> expiry timestamp (ms)
+const sessions = new Map();
+
+/**
+ * Load admin token from environment or file, or generate a new one
+ */
+export function loadOrGenerateAdminToken() {
+    // First priority: environment variable
+    if (ADMIN_TOKEN) {
+        console.log('[Server] Using admin token from environment variable');
+        adminToken = ADMIN_TOKEN;
+        return adminToken;
+    }
+
+    // Second priority: load from file
+    if (existsSync(ADMIN_TOKEN_PATH)) {
+        try {
+            const savedToken = readFileSync(ADMIN_TOKEN_PATH, 'utf8').trim();
+            if (savedToken) {
+                console.log(`[Server] Loaded admin token from ${ADMIN_TOKEN_PATH}`);
+                adminToken = savedToken;
+                return adminToken;
+            }
+        } catch (error) {
+            console.error('[Server] Failed to read admin token file:', error.message);
+        }
+    }
+
+    // Generate new token and save it
+    const newToken = 'agadm_' + crypto.randomBytes(24).toString('hex');
+
+    try {
+        const dir = dirname(ADMIN_TOKEN_PATH);
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+        writeFileSync(ADMIN_TOKEN_PATH, newToken, { encoding: 'utf8', mode: 0o600 });
+        console.log(`[Server] Generated admin token for the dashboard, saved to: ${ADMIN_TOKEN_PATH}`);
+    } catch (error) {
+        console.error('[Server] Failed to save admin token to file:', error.message);
+        console.log(`[Server] Admin token for this run: ${newToken}`);
+    }
+
+    adminToken = newToken;
+    return newToken;
+}
+
+/**
+ * Check a presented admin token in constant time
+ * @param {string} token - Token from the request
+ * @returns {boolean} True if it matches the admin token
+ */
+export function verifyAdminToken(token) {
+    if (!adminToken || typeof token !== 'string' || !token) return false;
+    const expected = Buffer.from(adminToken);
+    const provided = Buffer.from(token);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Start a new admin session
+ * @returns {{id: string, maxAgeMs: number}} Session id and lifetime
+ */
+export function createAdminSession() {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, Date.now() + ADMIN_SESSION_TTL_MS);
+    return { id, maxAgeMs: ADMIN_SESSION_TTL_MS };
+}
+
+/**
+ * Check whether a session id is valid, dropping it if it has expired
+ * @param {string} id - Session id from the cookie
+ * @returns {boolean} True if the session is active
+ */
+export function verifyAdminSession(id) {
+    if (!id) return false;
+    const expiresAt = sessions.get(id);
+    if (!expiresAt) return false;
+    if (expiresAt <= Date.now()) {
+        sessions.delete(id);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * End an admin session
+ * @param {string} id - Session id from the cookie
+ */
+export function destroyAdminSession(id) {
+    if (id) sessions.delete(id);
+}
@@ -1,15 +1,41 @@
 /**
  * API Key Management Service
- * Handles generation, loading, and regeneration of API keys
+ * Handles generation, loading, and regeneration of the server API key,
+ * plus named scoped keys with model allow-lists, expiry, rate limits and
+ * per-key output options.
+ *
+ * Scoped keys are stored hashed in API_KEYS_PATH; the plaintext key is
+ * only returned once, when the key is created.
  */
 
 import crypto from 'crypto';
-import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, statSync } from 'fs';
 import { dirname } from 'path';
-import { API_KEY, API_KEY_PATH } from '../constants.js';
+import { API_KEY, API_KEY_PATH, API_KEYS_PATH, normalizeModelName } from '../constants.js';
+import { getAliasTarget } from './model-aliases.js';
+import { ApiError } from '../errors.js';
 
 let serverApiKey = null;
 
+// Identity attached to requests authenticated with the server API key
+export const DEFAULT_KEY_IDENTITY = Object.freeze({
+    id: 'default',
+    name: 'default',
+    models: null,
+    rateLimit: null,
+    includeReasoning: null,
+    scoped: false
+});
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Scoped keys cache, reloaded when the file changes (e.g. edited by the CLI)
+let scopedKeys = [];
+let scopedKeysMtime = null;
+
+// Per-key request timestamps for the sliding rate limit window
+const keyRequestLog = new Map();
+
 /**
  * Load API key from file or generate new one
  */
@@ -109,3 +135,285 @@ export function getApiKey() {
 export function setApiKey(key) {
     serverApiKey = key;
 }
+
+/**
+ * Hash a plaintext key for storage and lookup
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Load scoped keys from disk if the file changed since the last read
+ * @returns {Array} Stored key records (including hashes)
+ */
+function loadScopedKeys() {
+    try {
+        if (!existsSync(API_KEYS_PATH)) {
+            scopedKeys = [];
+            scopedKeysMtime = null;
+            return scopedKeys;
+        }
+        const mtime = statSync(API_KEYS_PATH).mtimeMs;
+        if (mtime !== scopedKeysMtime) {
+            const config = JSON.parse(readFileSync(API_KEYS_PATH, 'utf8'));
+            scopedKeys = config.keys || [];
+            scopedKeysMtime = mtime;
+        }
+    } catch (error) {
+        console.error('[Server] Failed to read API keys file:', error.message);
+    }
+    return scopedKeys;
+}
+
+/**
+ * Save scoped keys to disk
+ */
+function saveScopedKeys(keys) {
+    const dir = dirname(API_KEYS_PATH);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(API_KEYS_PATH, JSON.stringify({ keys }, null, 2), { encoding: 'utf8', mode: 0o600 });
+    scopedKeys = keys;
+    scopedKeysMtime = statSync(API_KEYS_PATH).mtimeMs;
+}
+
+/**
+ * Strip the hash from a stored key record
+ */
+function toPublicKey(record) {
+    const { hash, ...rest } = record;
+    return {
+        ...rest,
+        expired: !!record.expiresAt && Date.parse(record.expiresAt) <= Date.now(),
+        revoked: !!record.revokedAt
+    };
+}
+
+/**
+ * Create a named scoped API key
+ * @param {Object} options
+ * @param {string} options.name - Unique key name (e.g. the person or tool using it)
+ * @param {string[]} [options.models] - Allowed models; entries ending in * match by prefix
+ * @param {string} [options.expiresAt] - ISO 8601 expiry date
+ * @param {number} [options.rateLimit] - Max requests per minute
+ * @param {boolean} [options.includeReasoning] - Send thinking as reasoning_content on /chat/completions
+ * @returns {{key: string, apiKey: Object}} Plaintext key (shown once) and public key record
+ * @throws {ApiError} If the options are invalid or the name is already in use
+ */
+export function createScopedApiKey({ name, models, expiresAt, rateLimit, includeReasoning } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ApiError('name is required', 400, 'invalid_request_error');
+    }
+    name = name.trim();
+    if (name === DEFAULT_KEY_IDENTITY.name) {
+        throw new ApiError(`"${name}" is reserved for the server API key`, 400, 'invalid_request_error');
+    }
+    if (models !== undefined && models !== null &&
+        (!Array.isArray(models) || models.some(m => typeof m !== 'string' || !m))) {
+        throw new ApiError('models must be an array of model names', 400, 'invalid_request_error');
+    }
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const expiry = Date.parse(expiresAt);
+        if (Number.isNaN(expiry)) {
+            throw new ApiError('expiresAt must be an ISO 8601 date', 400, 'invalid_request_error');
+        }
+        if (expiry <= Date.now()) {
+            throw new ApiError('expiresAt must be in the future', 400, 'invalid_request_error');
+        }
+    }
+    if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+        throw new ApiError('rateLimit must be a positive integer (requests per minute)', 400, 'invalid_request_error');
+    }
+    if (includeReasoning !== undefined && includeReasoning !== null && typeof includeReasoning !== 'boolean') {
+        throw new ApiError('includeReasoning must be a boolean', 400, 'invalid_request_error');
+    }
+
+    const keys = loadScopedKeys();
+    if (keys.some(k => k.name === name && !k.revokedAt)) {
+        throw new ApiError(`An active key named "${name}" already exists`, 409, 'invalid_request_error');
+    }
+
+    const key = 'ag_' + crypto.randomBytes(32).toString('hex');
+    const record = {
+        id: 'key_' + crypto.randomBytes(6).toString('hex'),
+        name,
+        prefix: key.slice(0, 10),
+        hash: hashKey(key),
+        models: models && models.length > 0 ? models : null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        rateLimit: rateLimit ?? null,
+        includeReasoning: includeReasoning ?? null,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+
+    saveScopedKeys([...keys, record]);
+    console.log(`[Server] Created API key "${name}" (${record.id})`);
+
+    return { key, apiKey: toPublicKey(record) };
+}
+
+/**
+ * List scoped API keys (without hashes)
+ * @returns {Array} Public key records
+ */
+export function listScopedApiKeys() {
+    return loadScopedKeys().map(toPublicKey);
+}
+
+/**
+ * Revoke a scoped API key by id or name
+ * @param {string} idOrName - Key id (key_...) or name
+ * @returns {Object} Public record of the revoked key
+ * @throws {ApiError} If no active key matches
+ */
+export function revokeScopedApiKey(idOrName) {
+    const keys = loadScopedKeys();
+    const record = keys.find(k => k.id === idOrName) ||
+        keys.find(k => k.name === idOrName && !k.revokedAt);
+
+    if (!record) {
+        throw new ApiError(`API key "${idOrName}" not found`, 404, 'not_found_error');
+    }
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        saveScopedKeys(keys);
+        keyRequestLog.delete(record.id);
+        console.log(`[Server] Revoked API key "${record.name}" (${record.id})`);
+    }
+
+    return toPublicKey(record);
+}
+
+/**
+ * Find a key by id, or by name among active keys
+ * @param {string} idOrName - Key id (key_...), key name, or "default" for the server key
+ * @returns {{id: string, name: string}|null} Key id and name, or null if no key matches
+ */
+export function findApiKey(idOrName) {
+    if (idOrName === DEFAULT_KEY_IDENTITY.id) {
+        return { id: DEFAULT_KEY_IDENTITY.id, name: DEFAULT_KEY_IDENTITY.name };
+    }
+    const keys = loadScopedKeys();
+    const record = keys.find(k => k.id === idOrName) ||
+        keys.find(k => k.name === idOrName && !k.revokedAt);
+    return record ? { id: record.id, name: record.name } : null;
+}
+
+/**
+ * Resolve a presented API key to its identity
+ * @param {string} providedKey - Key from the request headers
+ * @returns {{identity: Object|null, reason: string|null}} Identity on success, otherwise the rejection reason
+ */
+export function resolveApiKey(providedKey) {
+    if (!providedKey) {
+        return { identity: null, reason: 'missing' };
+    }
+    if (providedKey === serverApiKey) {
+        return { identity: DEFAULT_KEY_IDENTITY, reason: null };
+    }
+
+    const hash = hashKey(providedKey);
+    return toIdentity(loadScopedKeys().find(k => k.hash === hash));
+}
+
+/**
+ * Look up the current identity of a key by id
+ * Work queued under a key, such as batch requests, is checked with this before
+ * it runs, so it stops once the key is revoked or expires and follows changes
+ * to the key's allow-list.
+ * @param {string} id - Key id (key_...), or "default" for the server key
+ * @returns {{identity: Object|null, reason: string|null}} Identity on success, otherwise the rejection reason
+ */
+export function getApiKeyIdentity(id) {
+    if (id === DEFAULT_KEY_IDENTITY.id) {
+        return { identity: DEFAULT_KEY_IDENTITY, reason: null };
+    }
+    return toIdentity(loadScopedKeys().find(k => k.id === id));
+}
+
+/**
+ * Build the identity of a stored key record, unless it is revoked or expired
+ * @param {Object|undefined} record - Stored key record
+ * @returns {{identity: Object|null, reason: string|null}} Identity on success, otherwise the rejection reason
+ */
+function toIdentity(record) {
+    if (!record) {
+        return { identity: null, reason: 'invalid' };
+    }
+    if (record.revokedAt) {
+        return { identity: null, reason: 'revoked' };
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+        return { identity: null, reason: 'expired' };
+    }
+
+    return {
+        identity: {
+            id: record.id,
+            name: record.name,
+            models: record.models,
+            rateLimit: record.rateLimit,
+            includeReasoning: record.includeReasoning ?? null,
+            scoped: true
+        },
+        reason: null
+    };
+}
+
+/**
+ * Check whether a key identity may use a model
+ * A model alias is allowed only if the model it points to is; the alias name
+ * itself is never matched. Requests must be checked with the model that will
+ * actually be used, i.e. after applyModelAlias has filled in DEFAULT_MODEL.
+ * @param {Object} identity - Identity from resolveApiKey
+ * @param {string} model - Model or alias name
+ * @returns {boolean} True if allowed
+ */
+export function isModelAllowed(identity, model) {
+    if (!identity?.models) return true;
+    if (!model) return false;
+    const name = normalizeModelName(getAliasTarget(model) || model);
+
+    return identity.models.some(allowed => allowed.endsWith('*')
+        ? name.startsWith(allowed.slice(0, -1))
+        : name === allowed);
+}
+
+/**
+ * Reject a request for a model the key may not use
+ * @param {Object} identity - Identity from resolveApiKey
+ * @param {string} model - Resolved model (see applyModelAlias)
+ * @throws {ApiError} If the key's allow-list does not include the model
+ */
+export function assertModelAllowed(identity, model) {
+    if (!isModelAllowed(identity, model)) {
+        throw new ApiError(`API key "${identity.name}" is not allowed to use model ${model}.`, 403, 'permission_error');
+    }
+}
+
+/**
+ * Record a request against a key's per-minute rate limit
+ * @param {Object} identity - Identity from resolveApiKey
+ * @returns {{allowed: boolean, retryAfterMs: number}} Whether the request may proceed
+ */
+export function consumeKeyRateLimit(identity) {
+    if (!identity?.rateLimit) {
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    const now = Date.now();
+    const windowStart = now - RATE_LIMIT_WINDOW_MS;
+    const log = (keyRequestLog.get(identity.id) || []).filter(t => t > windowStart);
+
+    if (log.length >= identity.rateLimit) {
+        keyRequestLog.set(identity.id, log);
+        return { allowed: false, retryAfterMs: log[0] + RATE_LIMIT_WINDOW_MS - now };
+    }
+
+    log.push(now);
+    keyRequestLog.set(identity.id, log);
+    return { allowed: true, retryAfterMs: 0 };
+}
@@ -0,0 +1,368 @@
+/**
+ * Budget Service
+ * Daily and monthly token/request budgets per API key or client identifier
+ *
+ * Subjects are identified as "key:<api key id>" or "client:<x-client-id>".
+ * Keys are tracked by id, so a budget does not carry over to a new key that
+ * reuses a revoked key's name. Usage counters are kept per UTC day and UTC
+ * month and persisted to BUDGETS_PATH together with the configured limits.
+ * Usage is recorded for every key but only for clients that have a budget,
+ * and counters from past months are dropped when the state is saved.
+ *
+ * Client budgets are advisory: x-client-id is chosen by the caller, so they
+ * help well-behaved tools stay within limits but cannot stop a client that
+ * changes its header. Use key budgets to enforce a limit.
+ *
+ * Budgets are checked before a request is sent upstream and charged when it
+ * is recorded in request history, so a single in-flight request can
+ * overshoot a budget; the next one is then refused until the period resets.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { BUDGETS_PATH } from '../constants.js';
+import { ApiError } from '../errors.js';
+import { findApiKey } from './api-key.js';
+
+export const SUBJECT_TYPES = ['key', 'client'];
+export const PERIODS = ['daily', 'monthly'];
+
+const SAVE_DELAY_MS = 2000;
+
+let state = null;
+let saveTimer = null;
+
+/**
+ * Load budgets and usage from disk on first use
+ */
+function getState() {
+    if (state) return state;
+
+    state = { budgets: {}, usage: {} };
+    try {
+        if (existsSync(BUDGETS_PATH)) {
+            const config = JSON.parse(readFileSync(BUDGETS_PATH, 'utf8'));
+            state.budgets = config.budgets || {};
+            state.usage = config.usage || {};
+            migrateKeyNames();
+        }
+    } catch (error) {
+        console.error('[Budget] Failed to load budgets:', error.message);
+    }
+    return state;
+}
+
+/**
+ * Re-key budgets and usage saved by name (before keys were tracked by id)
+ * to the id of the active key with that name
+ */
+function migrateKeyNames() {
+    for (const table of [state.budgets, state.usage]) {
+        for (const subject of Object.keys(table)) {
+            if (!subject.startsWith('key:')) continue;
+            const key = findApiKey(subject.slice(4));
+            const migrated = key && `key:${key.id}`;
+            if (migrated && migrated !== subject && !table[migrated]) {
+                table[migrated] = table[subject];
+                delete table[subject];
+            }
+        }
+    }
+}
+
+/**
+ * Whether usage is recorded for a subject: every key, and clients with a budget
+ */
+function isTracked(subject) {
+    return subject.startsWith('key:') || !!getState().budgets[subject];
+}
+
+/**
+ * Drop usage counters nothing refers to any more: untracked subjects and
+ * subjects without a budget that have no usage this month
+ */
+function pruneUsage() {
+    const { budgets, usage } = getState();
+    const month = periodKey('monthly');
+    for (const [subject, entry] of Object.entries(usage)) {
+        if (!isTracked(subject) || (!budgets[subject] && entry.monthly?.period !== month)) {
+            delete usage[subject];
+        }
+    }
+}
+
+/**
+ * Persist state to disk
+ */
+async function saveToDisk() {
+    saveTimer = null;
+    pruneUsage();
+    try {
+        await mkdir(dirname(BUDGETS_PATH), { recursive: true });
+        await writeFile(BUDGETS_PATH, JSON.stringify(getState(), null, 2));
+    } catch (error) {
+        console.error('[Budget] Failed to save budgets:', error.message);
+    }
+}
+
+/**
+ * Schedule a save, coalescing bursts of usage updates into one write
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveToDisk, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * Get the current period key for a budget period
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} [now] - Reference time
+ * @returns {string} e.g. "2026-10-19" or "2026-10"
+ */
+function periodKey(period, now = new Date()) {
+    const iso = now.toISOString();
+    return period === 'daily' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+/**
+ * Get when the current period ends (next UTC midnight or first of next month)
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} [now] - Reference time
+ * @returns {number} Epoch ms of the reset
+ */
+function periodResetTime(period, now = new Date()) {
+    return period === 'daily'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Get a subject's usage counters for the current periods, resetting stale ones
+ * @param {string} subject - Subject id
+ * @returns {Object} { daily: {period, tokens, requests}, monthly: {...} }
+ */
+function currentUsage(subject) {
+    const { usage } = getState();
+    const now = new Date();
+    const entry = usage[subject] || (usage[subject] = {});
+
+    for (const period of PERIODS) {
+        const key = periodKey(period, now);
+        if (!entry[period] || entry[period].period !== key) {
+            entry[period] = { period: key, tokens: 0, requests: 0 };
+        }
+    }
+    return entry;
+}
+
+/**
+ * Build the subject ids that apply to a request
+ * @param {Object} identity - { apiKeyId, clientId }
+ * @returns {string[]} Subject ids
+ */
+export function getSubjects({ apiKeyId, clientId }) {
+    const subjects = [];
+    if (apiKeyId) subjects.push(`key:${apiKeyId}`);
+    if (clientId) subjects.push(`client:${clientId}`);
+    return subjects;
+}
+
+/**
+ * Check whether any budget that applies to the request is exhausted
+ * @param {string[]} subjects - Subject ids from getSubjects
+ * @returns {{allowed: boolean, subject?: string, period?: string, metric?: string, limit?: number, retryAfterMs?: number}}
+ */
+export function checkBudgets(subjects) {
+    const { budgets } = getState();
+
+    for (const subject of subjects) {
+        const budget = budgets[subject];
+        if (!budget) continue;
+
+        const usage = currentUsage(subject);
+        for (const period of PERIODS) {
+            const limits = budget[period];
+            if (!limits) continue;
+
+            for (const metric of ['tokens', 'requests']) {
+                if (limits[metric] && usage[period][metric] >= limits[metric]) {
+                    return {
+                        allowed: false,
+                        subject,
+                        period,
+                        metric,
+                        limit: limits[metric],
+                        retryAfterMs: periodResetTime(period) - Date.now()
+                    };
+                }
+            }
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Charge a completed request against its subjects' usage
+ * @param {string[]} subjects - Subject ids from getSubjects
+ * @param {number} tokens - Input + output tokens consumed
+ */
+function recordUsage(subjects, tokens) {
+    if (subjects.length === 0) return;
+
+    for (const subject of subjects) {
+        if (!isTracked(subject)) continue;
+        const usage = currentUsage(subject);
+        for (const period of PERIODS) {
+            usage[period].tokens += tokens;
+            usage[period].requests += 1;
+        }
+    }
+    scheduleSave();
+}
+
+/**
+ * Charge a request history record against its key and client budgets
+ * Tokens charged are input (including cache reads and writes) plus output.
+ * @param {Object} record - Request history record (with apiKeyId and clientId)
+ */
+export function chargeRequest(record) {
+    // Responses served from the response cache count as requests but spend no tokens
+    const usage = record.cached ? {} : (record.usage || {});
+    const tokens = (usage.input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.output_tokens || 0);
+    recordUsage(getSubjects(record), tokens);
+}
+
+/**
+ * Validate a budget limits object
+ * @throws {ApiError} If the shape is invalid
+ */
+function validateLimits(limits) {
+    if (limits === undefined || limits === null) return null;
+    if (typeof limits !== 'object') {
+        throw new ApiError('Budget periods must be objects like { "tokens": 1000000, "requests": 500 }', 400, 'invalid_request_error');
+    }
+
+    const result = {};
+    for (const metric of ['tokens', 'requests']) {
+        const value = limits[metric];
+        if (value === undefined || value === null) continue;
+        if (!Number.isInteger(value) || value < 1) {
+            throw new ApiError(`${metric} must be a positive integer`, 400, 'invalid_request_error');
+        }
+        result[metric] = value;
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Set the budget for a subject
+ * @param {string} type - 'key' or 'client'
+ * @param {string} id - API key id or name, or client identifier
+ * @param {Object} limits - { daily?: {tokens?, requests?}, monthly?: {tokens?, requests?} }
+ * @returns {Object} Budget summary for the subject
+ * @throws {ApiError} If the subject type, key or limits are invalid
+ */
+export function setBudget(type, id, limits = {}) {
+    if (!SUBJECT_TYPES.includes(type)) {
+        throw new ApiError(`type must be one of: ${SUBJECT_TYPES.join(', ')}`, 400, 'invalid_request_error');
+    }
+    if (!id) {
+        throw new ApiError('id is required', 400, 'invalid_request_error');
+    }
+    if (type === 'key') {
+        const key = findApiKey(id);
+        if (!key) {
+            throw new ApiError(`API key "${id}" not found`, 404, 'not_found_error');
+        }
+        id = key.id;
+    }
+
+    const budget = {};
+    for (const period of PERIODS) {
+        const validated = validateLimits(limits[period]);
+        if (validated) budget[period] = validated;
+    }
+    if (Object.keys(budget).length === 0) {
+        throw new ApiError('Set at least one of daily or monthly tokens/requests', 400, 'invalid_request_error');
+    }
+
+    const subject = `${type}:${id}`;
+    getState().budgets[subject] = budget;
+    scheduleSave();
+    console.log(`[Budget] Set budget for ${subject}`);
+
+    return describeSubject(subject);
+}
+
+/**
+ * Remove the budget for a subject (usage counters of keys are kept)
+ * @param {string} type - 'key' or 'client'
+ * @param {string} id - API key id or name, or client identifier
+ * @throws {ApiError} If the subject has no budget
+ */
+export function removeBudget(type, id) {
+    const keyId = type === 'key' ? findApiKey(id)?.id : null;
+    const subject = `${type}:${keyId || id}`;
+    const { budgets } = getState();
+    if (!budgets[subject]) {
+        throw new ApiError(`No budget set for ${subject}`, 404, 'not_found_error');
+    }
+    delete budgets[subject];
+    scheduleSave();
+    console.log(`[Budget] Removed budget for ${subject}`);
+}
+
+/**
+ * Describe a subject's limits and current consumption
+ * @param {string} subject - Subject id
+ * @returns {Object} { subject, type, id, name, daily: {...}, monthly: {...} }
+ */
+function describeSubject(subject) {
+    const budget = getState().budgets[subject] || {};
+    const usage = currentUsage(subject);
+    const separator = subject.indexOf(':');
+    const type = subject.slice(0, separator);
+    const id = subject.slice(separator + 1);
+
+    const summary = {
+        subject,
+        type,
+        id,
+        // Key name for key subjects; null if the key no longer exists
+        name: type === 'key' ? (findApiKey(id)?.name ?? null) : id
+    };
+    for (const period of PERIODS) {
+        summary[period] = {
+            tokens: usage[period].tokens,
+            requests: usage[period].requests,
+            tokenLimit: budget[period]?.tokens ?? null,
+            requestLimit: budget[period]?.requests ?? null,
+            resetsAt: new Date(periodResetTime(period)).toISOString()
+        };
+    }
+    return summary;
+}
+
+/**
+ * List every subject with a budget or usage in the current month
+ * @returns {Array} Subject summaries, budgeted subjects first
+ */
+export function listBudgets() {
+    const { budgets, usage } = getState();
+    const month = periodKey('monthly');
+    const subjects = new Set(Object.keys(budgets));
+    for (const [subject, entry] of Object.entries(usage)) {
+        if (entry.monthly?.period === month) subjects.add(subject);
+    }
+
+    return [...subjects]
+        .map(describeSubject)
+        .sort((a, b) => Number(!budgets[a.subject]) - Number(!budgets[b.subject]) ||
+            b.monthly.tokens - a.monthly.tokens);
+}
@@ -0,0 +1,96 @@
+/**
+ * Embeddings Service
+ * Serves /v1/embeddings with whichever embedding models the backend lists.
+ *
+ * Clients usually ask for OpenAI model names (text-embedding-3-small), so
+ * those are answered by the first embedding model the backend has. Any other
+ * model the backend does not have is rejected rather than substituted, since
+ * vectors from different models cannot be mixed in one index.
+ *
+ * Keys with a model allow-list only see the embedding models they may use,
+ * and a model they may not use is refused before the backend is asked.
+ */
+
+import { embedContents, fetchAvailableModels } from '../cloudcode-client.js';
+import { EMBEDDING_BATCH_SIZE, normalizeModelName } from '../constants.js';
+import { ApiError } from '../errors.js';
+import { assertModelAllowed, isModelAllowed } from './api-key.js';
+
+const MODEL_LIST_TTL_MS = 10 * 60 * 1000;
+
+// OpenAI embedding model names, served by the backend's first embedding model
+// when the backend has no model of that name
+const OPENAI_EMBEDDING_MODEL = /^text-(embedding|similarity|search)-/;
+
+let embeddingModels = null;
+let modelsFetchedAt = 0;
+
+/**
+ * List the backend's embedding models (cached)
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @returns {Promise<string[]>} Embedding model IDs
+ */
+async function listEmbeddingModels(accountManager) {
+    if (embeddingModels && Date.now() - modelsFetchedAt < MODEL_LIST_TTL_MS) {
+        return embeddingModels;
+    }
+
+    const account = accountManager.getAvailableAccounts()[0];
+    if (!account) {
+        throw new Error('No accounts available');
+    }
+    const token = await accountManager.getTokenForAccount(account);
+    const data = await fetchAvailableModels(token);
+    embeddingModels = Object.keys(data?.models || {}).filter(id => /embed/i.test(id));
+    modelsFetchedAt = Date.now();
+    return embeddingModels;
+}
+
+/**
+ * Resolve the embedding model to use for a request
+ * @param {string} [requested] - Model named by the client
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [identity] - Key identity from resolveApiKey
+ * @returns {Promise<string>} Backend embedding model ID
+ * @throws {ApiError} If the key may not use the model, or the backend has no embedding model, or not the requested one
+ */
+export async function resolveEmbeddingModel(requested, accountManager, identity = null) {
+    const isOpenAIName = !requested || OPENAI_EMBEDDING_MODEL.test(requested);
+    if (!isOpenAIName) {
+        assertModelAllowed(identity, requested);
+    }
+
+    const models = (await listEmbeddingModels(accountManager)).filter(id => isModelAllowed(identity, id));
+    if (models.length === 0) {
+        if (identity?.models) {
+            throw new ApiError(`API key "${identity.name}" is not allowed to use any embedding model.`, 403, 'permission_error');
+        }
+        throw new ApiError('The backend does not offer an embedding model for these accounts', 404, 'not_found_error');
+    }
+    const model = requested ? normalizeModelName(requested) : null;
+    if (models.includes(model)) {
+        return model;
+    }
+    if (isOpenAIName) {
+        return models[0];
+    }
+    throw new ApiError(`Embedding model ${requested} is not available. Available models: ${models.join(', ')}`, 400, 'invalid_request_error');
+}
+
+/**
+ * Embed texts, splitting them into batches of EMBEDDING_BATCH_SIZE
+ * @param {string[]} texts - Texts to embed
+ * @param {string} model - Backend embedding model ID
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - Output dimensionality
+ * @returns {Promise<number[][]>} One vector per text, in input order
+ */
+export async function createEmbeddings(texts, model, accountManager, options = {}) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+        vectors.push(...await embedContents(batch, model, accountManager, options));
+    }
+    return vectors;
+}
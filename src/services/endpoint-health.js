@@ -0,0 +1,278 @@
+/**
+ * Endpoint Health Service
+ * Circuit breaker and health scoring for Cloud Code endpoints
+ *
+ * Every upstream call reports whether its endpoint answered (any status below
+ * 500) or failed (network error, timeout or 5xx), and how long the response
+ * headers took. 429s are left out, as rate limits depend on the account and
+ * model rather than the endpoint. Its recent results (the last WINDOW_SIZE, at most
+ * WINDOW_MAX_AGE_MS old) give each endpoint a score, its error rate plus a
+ * latency penalty, and getEndpointOrder() tries the healthiest endpoints
+ * first; endpoints with similar scores keep their configured order
+ * (daily → prod → extra endpoints).
+ *
+ * An endpoint whose error rate reaches TRIP_ERROR_RATE, or that fails
+ * TRIP_CONSECUTIVE_FAILURES times in a row, is opened and skipped. After a
+ * cooldown it is half-open: the next call tries it first as a probe. A
+ * successful probe closes it again; a failed one reopens it with twice the
+ * cooldown, up to MAX_COOLDOWN_MS. When every endpoint is open they are all
+ * tried anyway, soonest to reopen first, rather than failing outright.
+ */
+
+import { ANTIGRAVITY_ENDPOINT_FALLBACKS, ANTIGRAVITY_EXTRA_ENDPOINTS } from '../constants.js';
+
+const WINDOW_SIZE = 20; // Results kept per endpoint
+const WINDOW_MAX_AGE_MS = 5 * 60 * 1000; // Older results are forgotten, so a demoted endpoint gets another chance
+const MIN_SAMPLES = 5; // Results needed before the error rate can trip the breaker
+const TRIP_ERROR_RATE = 0.5;
+const TRIP_CONSECUTIVE_FAILURES = 5;
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 60 * 1000; // A probe that never reports back frees the slot after this
+const LATENCY_PENALTY_MS = 10 * 1000; // Added latency that weighs as much as a 100% error rate
+const SCORE_STEP = 0.1; // Scores closer than this keep the configured order
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest latency in the moving average
+
+let settingsEndpoints = [];
+const breakers = new Map(); // endpoint -> breaker state
+
+/**
+ * Normalize an endpoint URL
+ * Only https is accepted: every call carries an account's OAuth token.
+ * @param {string} endpoint - Endpoint URL
+ * @returns {string} URL without trailing slashes
+ * @throws {Error} If it is not an https URL
+ */
+export function normalizeEndpoint(endpoint) {
+    const url = new URL(String(endpoint).trim());
+    if (url.protocol !== 'https:') {
+        throw new Error(`Unsupported protocol ${url.protocol}, endpoints must use https`);
+    }
+    return url.href.replace(/\/+$/, '');
+}
+
+/**
+ * Normalize configured endpoints, skipping invalid ones
+ * @param {string[]} endpoints - Endpoint URLs
+ * @param {string} source - Where they are configured, for the log
+ * @returns {string[]} Normalized endpoint URLs
+ */
+function validEndpoints(endpoints, source) {
+    return endpoints.flatMap(endpoint => {
+        try {
+            return [normalizeEndpoint(endpoint)];
+        } catch (error) {
+            console.warn(`[Endpoints] Ignoring ${endpoint} from ${source}: ${error.message}`);
+            return [];
+        }
+    });
+}
+
+const envEndpoints = validEndpoints(ANTIGRAVITY_EXTRA_ENDPOINTS, 'ANTIGRAVITY_EXTRA_ENDPOINTS');
+
+/**
+ * Set the extra endpoints saved in account settings
+ * Called by the account manager when settings are loaded or changed.
+ * @param {string[]} endpoints - Endpoint URLs
+ */
+export function setSettingsEndpoints(endpoints = []) {
+    settingsEndpoints = validEndpoints(endpoints, 'settings');
+}
+
+/**
+ * Get every configured endpoint in configured order
+ * @returns {string[]} Built-in endpoints, then ANTIGRAVITY_EXTRA_ENDPOINTS, then endpoints from settings
+ */
+export function getConfiguredEndpoints() {
+    return [...new Set([...ANTIGRAVITY_ENDPOINT_FALLBACKS, ...envEndpoints, ...settingsEndpoints])];
+}
+
+/**
+ * Get an endpoint's breaker, creating it on first use
+ */
+function getBreaker(endpoint) {
+    if (!breakers.has(endpoint)) {
+        breakers.set(endpoint, {
+            results: [], // { ok, at } of the last WINDOW_SIZE calls
+            latencyMs: null, // Moving average of successful calls
+            consecutiveFailures: 0,
+            state: 'closed',
+            openedAt: null,
+            cooldownMs: BASE_COOLDOWN_MS,
+            probeStartedAt: null
+        });
+    }
+    return breakers.get(endpoint);
+}
+
+function errorRate(breaker) {
+    if (breaker.results.length === 0) return 0;
+    return breaker.results.filter(result => !result.ok).length / breaker.results.length;
+}
+
+/**
+ * Lower is healthier
+ */
+function score(breaker) {
+    return errorRate(breaker) + (breaker.latencyMs || 0) / LATENCY_PENALTY_MS;
+}
+
+/**
+ * Forget old results, and move an open breaker to half-open once its cooldown has passed
+ */
+function updateState(breaker, now) {
+    breaker.results = breaker.results.filter(result => now - result.at < WINDOW_MAX_AGE_MS);
+    if (breaker.results.length === 0) {
+        breaker.latencyMs = null;
+    }
+    if (breaker.state === 'open' && now - breaker.openedAt >= breaker.cooldownMs) {
+        breaker.state = 'half-open';
+        breaker.probeStartedAt = null;
+    }
+    if (breaker.state === 'half-open' && breaker.probeStartedAt && now - breaker.probeStartedAt >= PROBE_TIMEOUT_MS) {
+        breaker.probeStartedAt = null;
+    }
+}
+
+function open(endpoint, breaker, now, reason) {
+    breaker.state = 'open';
+    breaker.openedAt = now;
+    breaker.probeStartedAt = null;
+    console.log(`[Endpoints] Circuit opened for ${endpoint} (${reason}); skipping it for ${Math.round(breaker.cooldownMs / 1000)}s`);
+}
+
+/**
+ * Get the endpoints to try for a call, healthiest first
+ * Open endpoints are left out, and a half-open endpoint comes first as a probe.
+ * @returns {string[]} Endpoint URLs (never empty)
+ */
+export function getEndpointOrder() {
+    const now = Date.now();
+    const configured = getConfiguredEndpoints();
+    const entries = configured.map((endpoint, index) => {
+        const breaker = getBreaker(endpoint);
+        updateState(breaker, now);
+        return { endpoint, index, breaker };
+    });
+
+    const rank = entry => Math.floor(score(entry.breaker) / SCORE_STEP);
+    const closed = entries
+        .filter(entry => entry.breaker.state === 'closed')
+        .sort((a, b) => rank(a) - rank(b) || a.index - b.index);
+
+    const probe = entries.find(entry => entry.breaker.state === 'half-open' && !entry.breaker.probeStartedAt);
+    if (probe) {
+        probe.breaker.probeStartedAt = now;
+        console.log(`[Endpoints] Probing ${probe.endpoint}`);
+    }
+
+    const order = [...(probe ? [probe] : []), ...closed];
+    if (order.length > 0) {
+        return order.map(entry => entry.endpoint);
+    }
+
+    // Nothing closed and no probe slot free: try everything rather than fail outright
+    return entries
+        .sort((a, b) => (a.breaker.openedAt + a.breaker.cooldownMs) - (b.breaker.openedAt + b.breaker.cooldownMs))
+        .map(entry => entry.endpoint);
+}
+
+/**
+ * Record the outcome of a call to an endpoint
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} result
+ * @param {boolean} result.ok - The endpoint answered (status below 500)
+ * @param {number} result.latencyMs - Milliseconds until response headers (or the failure)
+ */
+export function recordEndpointResult(endpoint, { ok, latencyMs }) {
+    const breaker = getBreaker(endpoint);
+    const now = Date.now();
+
+    updateState(breaker, now);
+    breaker.results.push({ ok, at: now });
+    if (breaker.results.length > WINDOW_SIZE) breaker.results.shift();
+    if (ok) {
+        breaker.latencyMs = breaker.latencyMs === null
+            ? latencyMs
+            : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * breaker.latencyMs);
+        breaker.consecutiveFailures = 0;
+    } else {
+        breaker.consecutiveFailures++;
+    }
+
+    if (breaker.state === 'half-open') {
+        if (ok) {
+            console.log(`[Endpoints] ${endpoint} recovered, circuit closed`);
+            breaker.state = 'closed';
+            breaker.cooldownMs = BASE_COOLDOWN_MS;
+            // Start over so the failures that opened the circuit do not trip it again
+            breaker.results = [{ ok, at: now }];
+            breaker.latencyMs = latencyMs;
+        } else {
+            breaker.cooldownMs = Math.min(breaker.cooldownMs * 2, MAX_COOLDOWN_MS);
+            open(endpoint, breaker, now, 'probe failed');
+        }
+        return;
+    }
+
+    if (breaker.state === 'closed' && !ok) {
+        if (breaker.consecutiveFailures >= TRIP_CONSECUTIVE_FAILURES) {
+            open(endpoint, breaker, now, `${breaker.consecutiveFailures} failures in a row`);
+        } else if (breaker.results.length >= MIN_SAMPLES && errorRate(breaker) >= TRIP_ERROR_RATE) {
+            open(endpoint, breaker, now, `${Math.round(errorRate(breaker) * 100)}% of the last ${breaker.results.length} calls failed`);
+        }
+    }
+}
+
+/**
+ * Call an endpoint, recording the outcome
+ * Responses with a status of 500 or above count as failures but are still
+ * returned. A 429 is not recorded; if the call was a probe, the next call
+ * probes again.
+ * @param {string} endpoint - Endpoint URL
+ * @param {function(): Promise<Response>} call - Makes the request
+ * @returns {Promise<Response>} The response
+ */
+export async function callEndpoint(endpoint, call) {
+    const startTime = Date.now();
+    try {
+        const response = await call();
+        if (response.status === 429) {
+            getBreaker(endpoint).probeStartedAt = null;
+        } else {
+            recordEndpointResult(endpoint, { ok: response.status < 500, latencyMs: Date.now() - startTime });
+        }
+        return response;
+    } catch (error) {
+        recordEndpointResult(endpoint, { ok: false, latencyMs: Date.now() - startTime });
+        throw error;
+    }
+}
+
+/**
+ * Get the health of every configured endpoint
+ * @returns {Array<{endpoint: string, state: string, errorRate: number, latencyMs: number|null, samples: number, consecutiveFailures: number, reopensAt: string|null}>}
+ */
+export function getEndpointStatus() {
+    const now = Date.now();
+    return getConfiguredEndpoints().map(endpoint => {
+        const breaker = getBreaker(endpoint);
+        updateState(breaker, now);
+        return {
+            endpoint,
+            state: breaker.state,
+            errorRate: Math.round(errorRate(breaker) * 100) / 100,
+            latencyMs: breaker.latencyMs,
+            samples: breaker.results.length,
+            consecutiveFailures: breaker.consecutiveFailures,
+            reopensAt: breaker.state === 'open' ? new Date(breaker.openedAt + breaker.cooldownMs).toISOString() : null
+        };
+    });
+}
+
+/**
+ * Clear breaker state (useful for testing)
+ */
+export function clearEndpointHealth() {
+    breakers.clear();
+}
@@ -0,0 +1,166 @@
+/**
+ * Deep Health Probe
+ * Checks that every account can still refresh its token and reach Cloud Code
+ *
+ * For each enabled account the probe forces a token refresh, then calls
+ * fetchAvailableModels (a cheap, quota-free call) on every configured
+ * endpoint, including any whose circuit is open. Results are reused for HEALTH_PROBE_CACHE_MS,
+ * and callers arriving while a probe runs share it, so polling is cheap.
+ */
+
+import { fetchAvailableModelsAt } from '../cloudcode-client.js';
+import { HEALTH_PROBE_CACHE_MS, HEALTH_PROBE_TIMEOUT_MS } from '../constants.js';
+import { getConfiguredEndpoints } from './endpoint-health.js';
+
+let lastResult = null;
+let pendingProbe = null;
+
+/**
+ * Run a check, measuring how long it takes
+ * @param {function(AbortSignal): Promise<any>} check - Given a signal that aborts after HEALTH_PROBE_TIMEOUT_MS
+ * @returns {Promise<{ok: boolean, latencyMs: number, error: string|null, value: any}>}
+ */
+async function timed(check) {
+    const startTime = Date.now();
+    const signal = AbortSignal.timeout(HEALTH_PROBE_TIMEOUT_MS);
+    try {
+        const timeout = new Promise((_, reject) => {
+            signal.addEventListener('abort', () => reject(new Error(`Timed out after ${HEALTH_PROBE_TIMEOUT_MS}ms`)));
+        });
+        const value = await Promise.race([check(signal), timeout]);
+        return { ok: true, latencyMs: Date.now() - startTime, error: null, value };
+    } catch (error) {
+        return { ok: false, latencyMs: Date.now() - startTime, error: error.message, value: null };
+    }
+}
+
+/**
+ * Probe one account: token refresh, then every endpoint
+ */
+async function probeAccount(account, accountManager) {
+    if (account.isDisabled) {
+        return { email: account.email, status: 'disabled', token: null, endpoints: [] };
+    }
+
+    const token = await timed(() => {
+        accountManager.clearTokenCache(account.email);
+        return accountManager.getTokenForAccount(account);
+    });
+    if (!token.ok) {
+        console.log(`[Health] Token refresh failed for ${account.email}: ${token.error}`);
+        return {
+            email: account.email,
+            status: 'error',
+            token: { ok: false, latencyMs: token.latencyMs, error: token.error },
+            endpoints: []
+        };
+    }
+
+    const endpoints = await Promise.all(getConfiguredEndpoints().map(async endpoint => {
+        const { ok, latencyMs, error } = await timed(signal => fetchAvailableModelsAt(endpoint, token.value, { signal }));
+        if (!ok) {
+            console.log(`[Health] ${account.email} cannot reach ${endpoint}: ${error}`);
+        }
+        return { endpoint, ok, latencyMs, error };
+    }));
+
+    const reachable = endpoints.filter(result => result.ok).length;
+    return {
+        email: account.email,
+        status: reachable === endpoints.length ? 'ok' : reachable > 0 ? 'degraded' : 'error',
+        token: { ok: true, latencyMs: token.latencyMs, error: null },
+        endpoints
+    };
+}
+
+/**
+ * Summarize each endpoint across accounts
+ */
+function summarizeEndpoints(accounts) {
+    return getConfiguredEndpoints().map(endpoint => {
+        const results = accounts.flatMap(account => account.endpoints.filter(result => result.endpoint === endpoint));
+        const succeeded = results.filter(result => result.ok);
+        return {
+            endpoint,
+            status: results.length === 0 ? 'unknown' : succeeded.length === results.length ? 'ok' : succeeded.length > 0 ? 'degraded' : 'error',
+            succeeded: succeeded.length,
+            failed: results.length - succeeded.length,
+            avgLatencyMs: succeeded.length > 0
+                ? Math.round(succeeded.reduce((sum, result) => sum + result.latencyMs, 0) / succeeded.length)
+                : null,
+            errors: [...new Set(results.filter(result => !result.ok).map(result => result.error))]
+        };
+    });
+}
+
+/**
+ * Probe every account and endpoint
+ * @returns {Promise<Object>} Probe result (see getDeepHealth)
+ */
+async function runProbe(accountManager) {
+    const startTime = Date.now();
+    const accounts = await Promise.all(
+        accountManager.getAllAccounts().map(account => probeAccount(account, accountManager))
+    );
+
+    const probed = accounts.filter(account => account.status !== 'disabled');
+    const usable = probed.filter(account => account.status !== 'error');
+    const status = probed.length > 0 && probed.every(account => account.status === 'ok')
+        ? 'ok'
+        : usable.length > 0 ? 'degraded' : 'error';
+
+    return {
+        status,
+        checkedAt: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        accounts,
+        endpoints: summarizeEndpoints(probed)
+    };
+}
+
+/**
+ * Check whether a probe result is recent enough to reuse
+ */
+function isFresh(result) {
+    return Date.now() - Date.parse(result.checkedAt) < HEALTH_PROBE_CACHE_MS;
+}
+
+/**
+ * Get the deep health of the proxy, probing upstream if the last result is stale
+ *
+ * status is "ok" when every enabled account refreshed its token and reached
+ * every endpoint, "degraded" when at least one account can serve requests,
+ * and "error" when none can.
+ *
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Probe even if the last result is fresh
+ * @returns {Promise<{status: string, checkedAt: string, durationMs: number, cached: boolean, accounts: Array<Object>, endpoints: Array<Object>}>}
+ */
+export async function getDeepHealth(accountManager, { refresh = false } = {}) {
+    if (!refresh && lastResult && isFresh(lastResult)) {
+        return { ...lastResult, cached: true };
+    }
+
+    if (!pendingProbe) {
+        pendingProbe = runProbe(accountManager)
+            .then(result => {
+                lastResult = result;
+                return result;
+            })
+            .finally(() => {
+                pendingProbe = null;
+            });
+    }
+    return { ...(await pendingProbe), cached: false };
+}
+
+/**
+ * Get the last deep probe result without probing
+ * Results older than HEALTH_PROBE_CACHE_MS are not returned, so a failure
+ * stops counting once upstream may have recovered.
+ * @returns {Object|null} Last result, or null if no probe has run recently
+ */
+export function getRecentDeepHealth() {
+    return lastResult && isFresh(lastResult) ? lastResult : null;
+}
@@ -0,0 +1,316 @@
+/**
+ * Image Preparation
+ * Gets image blocks into a shape the backend accepts before a request is sent.
+ *
+ * - Base64 images get their media type from their magic bytes, since clients
+ *   often label screenshots wrongly.
+ * - With IMAGE_FETCH enabled, http(s) image URLs on allowed hosts are
+ *   fetched and sent inline. Hosts are resolved first and the connection is
+ *   made to the checked address, so names resolving to loopback, private or
+ *   link-local addresses cannot be used to reach internal services.
+ * - PNGs over IMAGE_MAX_DIMENSION or IMAGE_MAX_BYTES are downscaled. Other
+ *   formats cannot be decoded here and are sent as they are.
+ *
+ * Prepared images are cached, so history resent every turn is processed once.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import {
+    IMAGE_MAX_DIMENSION,
+    IMAGE_MAX_BYTES,
+    IMAGE_FETCH_ENABLED,
+    IMAGE_FETCH_ALLOWED_HOSTS,
+    IMAGE_FETCH_MAX_BYTES,
+    IMAGE_FETCH_TIMEOUT_MS
+} from '../constants.js';
+import { ApiError } from '../errors.js';
+import { getImageDimensions, sniffImageType } from '../utils/image-utils.js';
+import { decodePng, encodePng, resizeRgba } from '../utils/png.js';
+
+const MAX_REDIRECTS = 3;
+const MAX_DOWNSCALE_ATTEMPTS = 4;
+const CACHE_LIMIT = 50;
+
+// URL or content hash -> { mediaType, data }
+const preparedCache = new Map();
+
+/**
+ * Read from the cache, refreshing the entry's position
+ */
+function getCached(key) {
+    const entry = preparedCache.get(key);
+    if (entry) {
+        preparedCache.delete(key);
+        preparedCache.set(key, entry);
+    }
+    return entry;
+}
+
+/**
+ * Store in the cache, evicting the oldest entry when full
+ */
+function setCached(key, entry) {
+    preparedCache.set(key, entry);
+    if (preparedCache.size > CACHE_LIMIT) {
+        preparedCache.delete(preparedCache.keys().next().value);
+    }
+}
+
+// Addresses images are never fetched from. IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1) are matched against the IPv4 ranges by BlockList.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8], // private
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12], // private
+    ['192.0.0.0', 24], // protocol assignments
+    ['192.168.0.0', 16], // private
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 3] // multicast, reserved, broadcast
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address (without brackets)
+ */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for image requests that refuses non-public addresses
+ * The socket connects to the address returned here, so the address that was
+ * checked is the one used, even if the name resolves differently later.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked || addresses.length === 0) {
+            const reason = blocked ? `resolves to a non-public address (${blocked.address})` : 'has no addresses';
+            return callback(Object.assign(new Error(`${hostname} ${reason}`), { code: 'EADDRBLOCKED' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Check a hostname against IMAGE_FETCH_ALLOWED_HOSTS ("*.example.com" matches subdomains)
+ * IP literals must also be public; names are checked when they are resolved.
+ */
+function isHostAllowed(hostname) {
+    const address = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && isBlockedAddress(address)) return false;
+    if (IMAGE_FETCH_ALLOWED_HOSTS.length === 0) return true;
+    return IMAGE_FETCH_ALLOWED_HOSTS.some(pattern => (pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.slice(1))
+        : hostname === pattern));
+}
+
+/**
+ * Send a GET request, connecting only to public addresses
+ * @param {URL} url - http(s) URL
+ * @param {AbortSignal} signal - Aborts the request and its response body
+ * @returns {Promise<import('http').IncomingMessage>} Response (redirects are not followed)
+ */
+function getPublic(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, { lookup: lookupPublicAddress, signal }, resolve).on('error', reject);
+    });
+}
+
+/**
+ * Read a response body, failing once it exceeds the size limit
+ */
+async function readLimited(response, url) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > IMAGE_FETCH_MAX_BYTES) {
+            throw new ApiError(`Image at ${url} is larger than ${IMAGE_FETCH_MAX_BYTES} bytes`, 400, 'invalid_request_error');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a remote image, re-checking the allow-list on every redirect
+ * @returns {Promise<Buffer|null>} Image bytes, or null if the host or its address is not allowed
+ * @throws {ApiError} If the fetch fails or the response is too large
+ */
+async function fetchImage(url) {
+    const signal = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS);
+    let current = new URL(url);
+    for (let redirects = 0; ; redirects++) {
+        if (!/^https?:$/.test(current.protocol) || !isHostAllowed(current.hostname)) return null;
+
+        let response;
+        try {
+            response = await getPublic(current, signal);
+        } catch (error) {
+            if (error.code === 'EADDRBLOCKED') {
+                console.log(`[Images] Not fetching ${current.href}: ${error.message}`);
+                return null;
+            }
+            throw new ApiError(`Failed to fetch image ${url}: ${error.message}`, 400, 'invalid_request_error');
+        }
+
+        const { statusCode, headers } = response;
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+            response.destroy();
+            if (redirects >= MAX_REDIRECTS) {
+                throw new ApiError(`Too many redirects fetching image ${url}`, 400, 'invalid_request_error');
+            }
+            current = new URL(headers.location, current);
+            continue;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+            response.destroy();
+            throw new ApiError(`Failed to fetch image ${url}: HTTP ${statusCode}`, 400, 'invalid_request_error');
+        }
+        if (parseInt(headers['content-length'], 10) > IMAGE_FETCH_MAX_BYTES) {
+            response.destroy();
+            throw new ApiError(`Image at ${url} is larger than ${IMAGE_FETCH_MAX_BYTES} bytes`, 400, 'invalid_request_error');
+        }
+        try {
+            return await readLimited(response, url);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(`Failed to fetch image ${url}: ${error.message}`, 400, 'invalid_request_error');
+        }
+    }
+}
+
+/**
+ * Downscale a PNG until it fits the dimension and size limits
+ * @returns {Buffer|null} Re-encoded PNG, or null if it cannot be decoded
+ */
+function downscalePng(buffer) {
+    const image = decodePng(buffer);
+    if (!image) return null;
+
+    let scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(image.width, image.height));
+    let encoded = null;
+    for (let attempt = 0; attempt < MAX_DOWNSCALE_ATTEMPTS; attempt++) {
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        encoded = encodePng(resizeRgba(image, width, height));
+        console.log(`[Images] Downscaled ${image.width}x${image.height} (${Math.round(buffer.length / 1024)} KB) to ${width}x${height} (${Math.round(encoded.length / 1024)} KB)`);
+        if (encoded.length <= IMAGE_MAX_BYTES) break;
+        scale *= 0.75;
+    }
+    return encoded;
+}
+
+/**
+ * Fit image bytes within the backend limits
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} mediaType - Sniffed media type
+ * @returns {{mediaType: string, data: string}} Base64 image to send
+ */
+function fitImage(buffer, mediaType) {
+    const dimensions = getImageDimensions(buffer);
+    const oversized = buffer.length > IMAGE_MAX_BYTES ||
+        (dimensions && Math.max(dimensions.width, dimensions.height) > IMAGE_MAX_DIMENSION);
+    if (!oversized) {
+        return { mediaType, data: buffer.toString('base64') };
+    }
+
+    const resized = mediaType === 'image/png' ? downscalePng(buffer) : null;
+    if (!resized) {
+        const size = dimensions ? `${dimensions.width}x${dimensions.height}, ` : '';
+        console.log(`[Images] Cannot downscale ${mediaType} image (${size}${Math.round(buffer.length / 1024)} KB), sending as is`);
+        return { mediaType, data: buffer.toString('base64') };
+    }
+    return { mediaType: 'image/png', data: resized.toString('base64') };
+}
+
+/**
+ * Prepare a single image block
+ * @returns {Promise<Object>} The block, or a base64 image block replacing it
+ */
+async function prepareImageBlock(block) {
+    const source = block.source;
+
+    if (source?.type === 'base64' && source.data) {
+        const buffer = Buffer.from(source.data, 'base64');
+        const mediaType = sniffImageType(buffer);
+        if (!mediaType) return block;
+
+        const key = crypto.createHash('sha256').update(source.data).digest('hex');
+        const prepared = getCached(key) || fitImage(buffer, mediaType);
+        setCached(key, prepared);
+        if (prepared.data === source.data && prepared.mediaType === source.media_type) return block;
+        return { ...block, source: { type: 'base64', media_type: prepared.mediaType, data: prepared.data } };
+    }
+
+    if (source?.type === 'url' && IMAGE_FETCH_ENABLED && /^https?:\/\//i.test(source.url || '')) {
+        let prepared = getCached(source.url);
+        if (!prepared) {
+            const buffer = await fetchImage(source.url);
+            if (!buffer) return block;
+            const mediaType = sniffImageType(buffer);
+            if (!mediaType) {
+                throw new ApiError(`URL does not point to a supported image (png, jpeg, gif, webp): ${source.url}`, 400, 'invalid_request_error');
+            }
+            prepared = fitImage(buffer, mediaType);
+        }
+        setCached(source.url, prepared);
+        return { ...block, source: { type: 'base64', media_type: prepared.mediaType, data: prepared.data } };
+    }
+
+    return block;
+}
+
+/**
+ * Prepare the image blocks of a content array, including images inside tool results
+ */
+async function prepareContent(content) {
+    if (!Array.isArray(content)) return content;
+    return Promise.all(content.map(async block => {
+        if (block?.type === 'image') return prepareImageBlock(block);
+        if (block?.type === 'tool_result' && Array.isArray(block.content)) {
+            return { ...block, content: await prepareContent(block.content) };
+        }
+        return block;
+    }));
+}
+
+/**
+ * Prepare every image in a request: fix media types, inline remote URLs, downscale
+ * @param {Object} request - Anthropic-format request
+ * @returns {Promise<Object>} Request with prepared image blocks
+ * @throws {ApiError} If a remote image cannot be fetched or is not an image
+ */
+export async function prepareImages(request) {
+    if (!Array.isArray(request.messages)) return request;
+    const messages = await Promise.all(request.messages.map(async msg => (
+        Array.isArray(msg.content) ? { ...msg, content: await prepareContent(msg.content) } : msg
+    )));
+    return { ...request, messages };
+}
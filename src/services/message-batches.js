@@ -0,0 +1,401 @@
+/**
+ * Message Batches Service
+ * Emulates the Anthropic Message Batches API on top of sendMessage
+ *
+ * Batches are stored in SQLite (see db/message-batch-db.js) and worked off
+ * in the background one request at a time, oldest batch first, through the
+ * same throttle, account rotation and model fallbacks as /v1/messages.
+ * Requests that are rate limited or find no usable account stay queued and
+ * are retried on the next pass; whatever is not done MESSAGE_BATCH_EXPIRY_MS
+ * after submission expires. Ended batches are deleted after
+ * MESSAGE_BATCH_RETENTION_DAYS.
+ */
+
+import crypto from 'crypto';
+import { createMessageBatchStore } from '../db/message-batch-db.js';
+import {
+    MESSAGE_BATCH_MAX_REQUESTS,
+    MESSAGE_BATCH_EXPIRY_MS,
+    MESSAGE_BATCH_RETENTION_DAYS
+} from '../constants.js';
+import { ApiError, NoAccountsError, ThrottleQueueFullError, isRateLimitError, parseError } from '../errors.js';
+import { isModelAllowed, assertModelAllowed, findApiKey, getApiKeyIdentity } from './api-key.js';
+import { getSubjects, checkBudgets } from './budget.js';
+import { addRequestToHistory } from './request-history.js';
+import { waitForThrottle } from './request-throttle.js';
+import { applyModelAlias } from './model-aliases.js';
+import { prepareImages } from './image-preparation.js';
+import { sendMessageCached } from './response-cache.js';
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const MAX_LIST_LIMIT = 1000;
+
+let store = null;
+let processor = null;
+let running = false;
+let inFlight = null; // { batchId, position } of the request being sent
+
+/**
+ * Open the batch database on first use
+ * @returns {Object} Store
+ * @throws {ApiError} If the database cannot be opened
+ */
+function getStore() {
+    if (store) return store;
+    try {
+        store = createMessageBatchStore();
+    } catch (error) {
+        console.error('[MessageBatches] Could not open batch database:', error.message);
+        throw new ApiError(`Message batches are unavailable: ${error.message}`, 500, 'api_error');
+    }
+    return store;
+}
+
+/**
+ * Check the requests of a new batch
+ * @throws {ApiError} 400 for malformed requests, 403 for models the key may not use
+ */
+function validateBatchRequests(requests, identity) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        throw new ApiError('requests must be a non-empty array', 400, 'invalid_request_error');
+    }
+    if (requests.length > MESSAGE_BATCH_MAX_REQUESTS) {
+        throw new ApiError(`A batch can contain at most ${MESSAGE_BATCH_MAX_REQUESTS} requests`, 400, 'invalid_request_error');
+    }
+
+    const customIds = new Set();
+    requests.forEach((request, index) => {
+        const { custom_id: customId, params } = request || {};
+        if (typeof customId !== 'string' || !CUSTOM_ID_PATTERN.test(customId)) {
+            throw new ApiError(`requests.${index}.custom_id must be 1-64 letters, digits, hyphens or underscores`, 400, 'invalid_request_error');
+        }
+        if (customIds.has(customId)) {
+            throw new ApiError(`requests.${index}.custom_id "${customId}" is used more than once`, 400, 'invalid_request_error');
+        }
+        customIds.add(customId);
+
+        if (!params || typeof params !== 'object' || !Array.isArray(params.messages) || params.messages.length === 0) {
+            throw new ApiError(`requests.${index}.params.messages is required and must be a non-empty array`, 400, 'invalid_request_error');
+        }
+        if (params.stream) {
+            throw new ApiError(`requests.${index}.params.stream is not supported in batches`, 400, 'invalid_request_error');
+        }
+        const { model } = applyModelAlias(params);
+        if (!isModelAllowed(identity, model)) {
+            throw new ApiError(`requests.${index}: API key "${identity.name}" is not allowed to use model ${model}.`, 403, 'permission_error');
+        }
+    });
+}
+
+/**
+ * Check whether a failed request should be retried later rather than fail
+ * Rate limits and running out of accounts clear up on their own.
+ */
+function isTransientError(error) {
+    if (error instanceof ThrottleQueueFullError) return true;
+    if (error instanceof ApiError) return false;
+    return isRateLimitError(error) ||
+        error instanceof NoAccountsError ||
+        /No accounts available|All endpoints failed|Max retries exceeded/i.test(error.message);
+}
+
+/**
+ * Look up the current identity of the key a batch was submitted with
+ * Batches created before key ids were stored only know the key name.
+ * @param {Object} item - Request from store.nextRequest()
+ * @returns {Object} Key identity
+ * @throws {ApiError} If the key has since been revoked, has expired or no longer exists
+ */
+function getBatchIdentity(item) {
+    const { identity, reason } = getApiKeyIdentity(item.apiKeyId ?? findApiKey(item.apiKey)?.id);
+    if (!identity) {
+        const state = { revoked: 'has been revoked', expired: 'has expired' }[reason] || 'no longer exists';
+        throw new ApiError(`API key "${item.apiKey}" ${state}.`, 401, 'authentication_error');
+    }
+    return identity;
+}
+
+/**
+ * Send one batch request and store its result
+ * @param {Object} item - Request from store.nextRequest()
+ * @returns {Promise<boolean>} False if the request was left queued to retry later
+ */
+async function processRequest(item) {
+    const startTime = Date.now();
+    const history = {
+        method: 'POST',
+        path: '/v1/messages/batches',
+        apiKey: item.apiKey,
+        apiKeyId: item.apiKeyId,
+        clientId: item.clientId,
+        stream: false
+    };
+    let model = item.params.model;
+
+    try {
+        const budget = checkBudgets(getSubjects(history));
+        if (!budget.allowed) {
+            throw new ApiError(`The ${budget.period} ${budget.metric} budget (${budget.limit}) for ${budget.subject} has been used up.`, 429, 'rate_limit_error');
+        }
+
+        const identity = getBatchIdentity(item);
+        const aliased = applyModelAlias({ ...item.params, stream: false });
+        model = aliased.model;
+        assertModelAllowed(identity, model);
+
+        const request = await prepareImages(aliased);
+        const { _account: account, _cached: cached, ...message } = await sendMessageCached(request, processor.accountManager, {
+            throttle: () => waitForThrottle(request.model, { priority: 'low' }),
+            identity
+        });
+        getStore().completeRequest(item.batchId, item.position, 'succeeded', { type: 'succeeded', message }, Date.now());
+
+        const usage = message.usage || {};
+        addRequestToHistory({
+            ...history,
+            id: crypto.randomUUID(),
+            status: 'success',
+            model: message.fallback?.model || request.model,
+            account,
+            cached,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+            usage: {
+                input_tokens: usage.input_tokens || 0,
+                output_tokens: usage.output_tokens || 0,
+                cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+                cache_creation_input_tokens: usage.cache_creation_input_tokens || 0
+            }
+        });
+        return true;
+
+    } catch (error) {
+        if (isTransientError(error)) {
+            console.log(`[MessageBatches] ${item.batchId} request ${item.customId} will be retried: ${error.message}`);
+            return false;
+        }
+
+        const { errorType: type, errorMessage: message } = parseError(error);
+        console.log(`[MessageBatches] ${item.batchId} request ${item.customId} failed: ${message}`);
+        getStore().completeRequest(item.batchId, item.position, 'errored', {
+            type: 'errored',
+            error: { type: 'error', error: { type, message } }
+        }, Date.now());
+
+        addRequestToHistory({
+            ...history,
+            id: crypto.randomUUID(),
+            status: 'error',
+            error: message,
+            model,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+}
+
+/**
+ * Expire overdue batches and finish pending cancellations
+ */
+function settleBatches() {
+    for (const id of getStore().settleBatches(inFlight, Date.now())) {
+        console.log(`[MessageBatches] ${id} expired before all of its requests were processed`);
+    }
+}
+
+/**
+ * Work off queued requests until none are left or one has to wait
+ */
+async function processBatches() {
+    if (!processor || running) return;
+    running = true;
+
+    try {
+        settleBatches();
+        let item = getStore().nextRequest();
+        if (item) {
+            await processor.ensureInitialized();
+        }
+
+        while (item) {
+            inFlight = { batchId: item.batchId, position: item.position };
+            const done = await processRequest(item);
+            inFlight = null;
+            settleBatches();
+            // Rate limited or no usable account: wait for the next pass
+            if (!done) break;
+
+            item = getStore().nextRequest();
+        }
+    } catch (error) {
+        console.error('[MessageBatches] Background processing failed:', error.message);
+    } finally {
+        inFlight = null;
+        running = false;
+    }
+}
+
+/**
+ * Delete ended batches older than the retention window
+ */
+function pruneEndedBatches() {
+    try {
+        const cutoff = Date.now() - MESSAGE_BATCH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const removed = getStore().prune(cutoff);
+        if (removed > 0) {
+            console.log(`[MessageBatches] Pruned ${removed} batches ended more than ${MESSAGE_BATCH_RETENTION_DAYS} days ago`);
+        }
+    } catch (error) {
+        console.error('[MessageBatches] Failed to prune batches:', error.message);
+    }
+}
+
+/**
+ * Start processing queued batches in the background
+ * Batches left unfinished by a previous run are picked up again.
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {() => Promise<void>} ensureInitialized - Resolves once accounts are loaded
+ */
+export function startMessageBatchProcessor(accountManager, ensureInitialized) {
+    if (processor) return;
+    processor = { accountManager, ensureInitialized };
+
+    setInterval(processBatches, POLL_INTERVAL_MS).unref();
+    setInterval(pruneEndedBatches, PRUNE_INTERVAL_MS).unref();
+    pruneEndedBatches();
+    processBatches();
+}
+
+/**
+ * Check whether a batch was created with the given API key
+ * Batches are matched by key id, since a revoked key's name can be reused;
+ * batches saved before key ids were stored fall back to the name.
+ */
+function isOwnBatch(batch, identity) {
+    if (batch.apiKeyId) return batch.apiKeyId === (identity?.id ?? null);
+    return batch.apiKey === (identity?.name ?? null);
+}
+
+/**
+ * Get a batch, hiding batches created with other API keys
+ * @throws {ApiError} 404 if not found
+ */
+function getOwnBatch(id, identity) {
+    const batch = getStore().getBatch(id);
+    if (!batch || !isOwnBatch(batch, identity)) {
+        throw new ApiError(`Message batch ${id} not found`, 404, 'not_found_error');
+    }
+    return batch;
+}
+
+/**
+ * Create a batch and queue its requests
+ * @param {Array<{custom_id: string, params: Object}>} requests - Messages API requests
+ * @param {Object} owner
+ * @param {Object} owner.identity - API key identity (req.apiKey)
+ * @param {string|null} [owner.clientId] - x-client-id of the submitter
+ * @returns {Object} Batch record
+ * @throws {ApiError} If the requests are invalid
+ */
+export function createMessageBatch(requests, { identity, clientId = null }) {
+    validateBatchRequests(requests, identity);
+
+    const now = Date.now();
+    const id = 'msgbatch_' + crypto.randomBytes(12).toString('hex');
+    const batchStore = getStore();
+    batchStore.createBatch({
+        id,
+        createdAt: now,
+        expiresAt: now + MESSAGE_BATCH_EXPIRY_MS,
+        apiKey: identity?.name ?? null,
+        apiKeyId: identity?.id ?? null,
+        clientId
+    }, requests.map(({ custom_id, params }) => ({ custom_id, params })));
+    console.log(`[MessageBatches] Created ${id} with ${requests.length} requests`);
+
+    processBatches();
+    return batchStore.getBatch(id);
+}
+
+/**
+ * Get a batch
+ * @param {string} id - Batch ID
+ * @param {Object|null} identity - Calling API key identity (req.apiKey)
+ * @returns {Object} Batch record
+ * @throws {ApiError} 404 if not found
+ */
+export function getMessageBatch(id, identity) {
+    return getOwnBatch(id, identity);
+}
+
+/**
+ * List the caller's batches, newest first
+ * @param {Object} options - { identity, limit, beforeId, afterId }
+ * @returns {{batches: Array<Object>, hasMore: boolean}}
+ * @throws {ApiError} If limit is out of range
+ */
+export function listMessageBatches({ identity, limit = 20, beforeId, afterId }) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw new ApiError(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`, 400, 'invalid_request_error');
+    }
+    return getStore().listBatches({ apiKey: identity?.name ?? null, apiKeyId: identity?.id ?? null, limit, beforeId, afterId });
+}
+
+/**
+ * Cancel a batch
+ * Queued requests are canceled at once; a request already being sent is
+ * allowed to finish, and the batch ends after it.
+ * @param {string} id - Batch ID
+ * @param {Object|null} identity - Calling API key identity (req.apiKey)
+ * @returns {Object} Batch record
+ * @throws {ApiError} 404 if not found
+ */
+export function cancelMessageBatch(id, identity) {
+    getOwnBatch(id, identity);
+    const inFlightPosition = inFlight?.batchId === id ? inFlight.position : null;
+    if (getStore().cancelBatch(id, inFlightPosition, Date.now())) {
+        console.log(`[MessageBatches] Canceled ${id}`);
+    }
+    return getStore().getBatch(id);
+}
+
+/**
+ * Delete an ended batch and its results
+ * @param {string} id - Batch ID
+ * @param {Object|null} identity - Calling API key identity (req.apiKey)
+ * @throws {ApiError} 404 if not found, 400 if still processing
+ */
+export function deleteMessageBatch(id, identity) {
+    const batch = getOwnBatch(id, identity);
+    if (batch.processingStatus !== 'ended') {
+        throw new ApiError(`Message batch ${id} is still processing. Cancel it before deleting it.`, 400, 'invalid_request_error');
+    }
+    getStore().deleteBatch(id);
+}
+
+/**
+ * Turn stored results into lines of the results JSONL
+ */
+function* toResultLines(results) {
+    for (const { customId, status, result } of results) {
+        yield { custom_id: customId, result: result || { type: status } };
+    }
+}
+
+/**
+ * Get the results of an ended batch, in request order
+ * @param {string} id - Batch ID
+ * @param {Object|null} identity - Calling API key identity (req.apiKey)
+ * @returns {Iterable<Object>} { custom_id, result } lines of the results JSONL
+ * @throws {ApiError} 404 if not found, 400 if still processing
+ */
+export function getMessageBatchResults(id, identity) {
+    const batch = getOwnBatch(id, identity);
+    if (batch.processingStatus !== 'ended') {
+        throw new ApiError(`Results for message batch ${id} are available once processing has ended`, 400, 'invalid_request_error');
+    }
+    return toResultLines(getStore().iterateResults(id));
+}
@@ -0,0 +1,246 @@
+/**
+ * Metrics Service
+ * Counters and histograms for the /metrics endpoint (Prometheus text format)
+ *
+ * Request, duration and token metrics are fed from request history records;
+ * upstream latency, time to first token, retries, failovers and throttle waits
+ * are reported by cloudcode-client.js and request-throttle.js as they happen.
+ * Account and endpoint gauges are read at scrape time. Models are recorded
+ * under their label (see model-labels.js), so unknown names share one series.
+ */
+
+import { getEndpointStatus } from './endpoint-health.js';
+import { getModelLabel } from './model-labels.js';
+
+const PREFIX = 'antigravity_proxy_';
+
+// Upper bounds in seconds, from fast upstream responses to long thinking streams
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// tokens_total type label -> usage field of a history record
+const TOKEN_FIELDS = {
+    input: 'input_tokens',
+    output: 'output_tokens',
+    cache_read: 'cache_read_input_tokens',
+    cache_creation: 'cache_creation_input_tokens'
+};
+
+// endpoint_circuit_state value -> breaker state
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+const metrics = []; // Renderers, in registration order
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. {model="x",status="success"}
+ */
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names, in the order values are passed to inc
+ * @returns {{inc: function(Array<string>, number=): void}}
+ */
+function createCounter(name, help, labelNames) {
+    const series = new Map(); // JSON of label values -> count
+
+    metrics.push(() => [
+        `# HELP ${PREFIX}${name} ${help}`,
+        `# TYPE ${PREFIX}${name} counter`,
+        ...[...series].map(([key, value]) => `${PREFIX}${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`)
+    ]);
+
+    return {
+        inc(values, amount = 1) {
+            const key = JSON.stringify(values);
+            series.set(key, (series.get(key) || 0) + amount);
+        }
+    };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names, in the order values are passed to observe
+ * @param {number[]} buckets - Ascending bucket upper bounds
+ * @returns {{observe: function(Array<string>, number): void}}
+ */
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map(); // JSON of label values -> { counts, sum, count }
+
+    metrics.push(() => {
+        const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+        for (const [key, { counts, sum, count }] of series) {
+            const values = JSON.parse(key);
+            buckets.forEach((bound, index) => {
+                lines.push(`${PREFIX}${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[index]}`);
+            });
+            lines.push(
+                `${PREFIX}${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`,
+                `${PREFIX}${name}_sum${formatLabels(labelNames, values)} ${sum}`,
+                `${PREFIX}${name}_count${formatLabels(labelNames, values)} ${count}`
+            );
+        }
+        return lines;
+    });
+
+    return {
+        observe(values, value) {
+            const key = JSON.stringify(values);
+            if (!series.has(key)) {
+                series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            // Buckets are cumulative: a value counts towards every bound at or above it
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+    };
+}
+
+/**
+ * Create a gauge whose values are read when metrics are rendered
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {function(Object): Array<[Array<string>, number]>} collect - Returns [label values, value] pairs
+ */
+function createGauge(name, help, labelNames, collect) {
+    metrics.push(context => [
+        `# HELP ${PREFIX}${name} ${help}`,
+        `# TYPE ${PREFIX}${name} gauge`,
+        ...collect(context).map(([values, value]) => `${PREFIX}${name}${formatLabels(labelNames, values)} ${value}`)
+    ]);
+}
+
+const requestsTotal = createCounter('requests_total', 'API requests by route, model and outcome', ['route', 'model', 'status']);
+const requestDuration = createHistogram('request_duration_seconds', 'Time to complete API requests, including throttling and retries', ['route', 'model'], LATENCY_BUCKETS);
+const tokensTotal = createCounter('tokens_total', 'Tokens used by successful requests (type: input, output, cache_read, cache_creation)', ['model', 'type']);
+const responseCacheHits = createCounter('response_cache_hits_total', 'Requests answered from the response cache', ['route', 'model']);
+const upstreamDuration = createHistogram('upstream_request_duration_seconds', 'Time until Cloud Code returned response headers', ['model', 'status'], LATENCY_BUCKETS);
+const timeToFirstToken = createHistogram('time_to_first_token_seconds', 'Time from the start of a streaming request to its first content', ['model'], LATENCY_BUCKETS);
+const upstreamRetries = createCounter('upstream_retries_total', 'Upstream calls that failed and were retried on the next endpoint or account while any were left (reason: auth, rate_limit, error, stream_interrupted)', ['model', 'reason']);
+const accountFailovers = createCounter('account_failovers_total', 'Requests moved to another account (reason: rate_limit, invalid_credentials)', ['model', 'reason']);
+const throttleWait = createHistogram('throttle_wait_seconds', 'Time requests waited for the per-model throttle', ['model'], [0, 0.5, 1, 1.5, 2, 3, 5, 10]);
+
+createGauge('accounts', 'Configured accounts by state', ['state'], ({ accountManager }) => {
+    const status = accountManager.getStatus();
+    return [
+        [['available'], status.available],
+        [['rate_limited'], status.rateLimited],
+        [['invalid'], status.invalid],
+        [['disabled'], status.disabled]
+    ];
+});
+
+createGauge('rate_limited_accounts', 'Accounts currently rate-limited for a model ("all" counts account-wide limits)', ['model'], ({ accountManager }) => {
+    const now = Date.now();
+    const counts = new Map([['all', 0]]);
+    for (const account of accountManager.getStatus().accounts) {
+        if (account.isRateLimited) {
+            counts.set('all', counts.get('all') + 1);
+        }
+        for (const [model, resetTime] of Object.entries(account.modelRateLimits)) {
+            if (resetTime > now) counts.set(model, (counts.get(model) || 0) + 1);
+        }
+    }
+    return [...counts].map(([model, count]) => [[model], count]);
+});
+
+createGauge('endpoint_circuit_state', 'Circuit breaker state per Cloud Code endpoint (0 closed, 1 half-open, 2 open)', ['endpoint'], () => (
+    getEndpointStatus().map(({ endpoint, state }) => [[endpoint], CIRCUIT_STATES.indexOf(state)])
+));
+
+/**
+ * Count a request from its history record
+ * Registered with onRequestRecorded.
+ * @param {Object} record - Request history record
+ */
+export function recordRequestMetrics(record) {
+    const model = getModelLabel(record.model) || 'unknown';
+    requestsTotal.inc([record.path, model, record.status]);
+    if (record.duration !== undefined) {
+        requestDuration.observe([record.path, model], record.duration / 1000);
+    }
+
+    if (record.cached) {
+        responseCacheHits.inc([record.path, model]);
+        return;
+    }
+    for (const [type, field] of Object.entries(TOKEN_FIELDS)) {
+        const tokens = record.usage?.[field];
+        if (tokens > 0) tokensTotal.inc([model, type], tokens);
+    }
+}
+
+/**
+ * Record the time until Cloud Code answered a call
+ * @param {string} model - Model name
+ * @param {number|string} status - HTTP status, or "network_error"
+ * @param {number} durationMs - Milliseconds until response headers
+ */
+export function recordUpstreamResponse(model, status, durationMs) {
+    upstreamDuration.observe([getModelLabel(model) || 'unknown', status], durationMs / 1000);
+}
+
+/**
+ * Record the time until a streaming request produced its first content
+ * @param {string} model - Model name
+ * @param {number} durationMs - Milliseconds since the request started
+ */
+export function recordTimeToFirstToken(model, durationMs) {
+    timeToFirstToken.observe([getModelLabel(model) || 'unknown'], durationMs / 1000);
+}
+
+/**
+ * Count an upstream call retried on the next endpoint
+ * @param {string} model - Model name
+ * @param {'auth'|'rate_limit'|'error'|'stream_interrupted'} reason - Why the call failed
+ */
+export function recordUpstreamRetry(model, reason) {
+    upstreamRetries.inc([getModelLabel(model) || 'unknown', reason]);
+}
+
+/**
+ * Count a request moved to another account
+ * @param {string} model - Model name
+ * @param {'rate_limit'|'invalid_credentials'} reason - Why the account was left
+ */
+export function recordAccountFailover(model, reason) {
+    accountFailovers.inc([getModelLabel(model) || 'unknown', reason]);
+}
+
+/**
+ * Record a throttle wait (0 when the request passed straight through)
+ * @param {string} model - Model name
+ * @param {number} waitMs - Milliseconds waited
+ */
+export function recordThrottleWait(model, waitMs) {
+    throttleWait.observe([getModelLabel(model) || 'default'], waitMs / 1000);
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @returns {string} Metrics text
+ */
+export function renderMetrics(accountManager) {
+    const context = { accountManager };
+    return metrics.flatMap(render => render(context)).join('\n') + '\n';
+}
@@ -0,0 +1,231 @@
+/**
+ * Model Alias Service
+ * Runtime-configurable table mapping alias names (e.g. "fast", "gpt-4o")
+ * to real models, with optional default parameters per alias.
+ *
+ * Aliases are stored in MODEL_ALIASES_PATH and reloaded whenever the file
+ * changes, so they can be edited by hand as well as through /api/model-aliases.
+ * An alias named "default" is used for requests that omit the model.
+ */
+
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import {
+    MODEL_ALIASES_PATH,
+    DEFAULT_MODEL,
+    DEFAULT_MAX_TOKENS,
+    normalizeModelName
+} from '../constants.js';
+import { ApiError } from '../errors.js';
+
+export const DEFAULT_ALIAS = 'default';
+
+const ALIAS_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,63}$/;
+
+// Allowed per-alias defaults and their validators
+const DEFAULT_PARAMS = {
+    maxTokens: value => Number.isInteger(value) && value > 0,
+    temperature: value => typeof value === 'number' && value >= 0 && value <= 2,
+    topP: value => typeof value === 'number' && value >= 0 && value <= 1,
+    thinkingBudget: value => Number.isInteger(value) && value > 0
+};
+
+let aliases = {};
+let aliasesMtime = null;
+
+/**
+ * Load aliases from disk if the file changed since the last read
+ * @returns {Object} Alias name -> { model, description, defaults, updatedAt }
+ */
+function loadAliases() {
+    try {
+        if (!existsSync(MODEL_ALIASES_PATH)) {
+            aliases = {};
+            aliasesMtime = null;
+            return aliases;
+        }
+        const mtime = statSync(MODEL_ALIASES_PATH).mtimeMs;
+        if (mtime !== aliasesMtime) {
+            const config = JSON.parse(readFileSync(MODEL_ALIASES_PATH, 'utf8'));
+            aliases = config.aliases || {};
+            aliasesMtime = mtime;
+        }
+    } catch (error) {
+        console.error('[Aliases] Failed to read model aliases file:', error.message);
+    }
+    return aliases;
+}
+
+/**
+ * Save aliases to disk
+ */
+function saveAliases(next) {
+    const dir = dirname(MODEL_ALIASES_PATH);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(MODEL_ALIASES_PATH, JSON.stringify({ aliases: next }, null, 2), 'utf8');
+    aliases = next;
+    aliasesMtime = statSync(MODEL_ALIASES_PATH).mtimeMs;
+}
+
+/**
+ * Look up an alias by name, also trying the name without the antigravity- prefix
+ * @param {string} name - Requested model name
+ * @returns {Object|null} Alias record or null
+ */
+function findAlias(name) {
+    if (!name) return null;
+    const table = loadAliases();
+    return table[name] || table[normalizeModelName(name)] || null;
+}
+
+/**
+ * Validate an alias's default parameters
+ * @throws {ApiError} If a parameter is unknown or out of range
+ */
+function validateDefaults(defaults) {
+    if (defaults === undefined || defaults === null) return {};
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+        throw new ApiError('defaults must be an object', 400, 'invalid_request_error');
+    }
+
+    const result = {};
+    for (const [param, value] of Object.entries(defaults)) {
+        if (value === undefined || value === null) continue;
+        const isValid = DEFAULT_PARAMS[param];
+        if (!isValid) {
+            throw new ApiError(`Unknown default "${param}". Supported: ${Object.keys(DEFAULT_PARAMS).join(', ')}`, 400, 'invalid_request_error');
+        }
+        if (!isValid(value)) {
+            throw new ApiError(`Invalid value for ${param}`, 400, 'invalid_request_error');
+        }
+        result[param] = value;
+    }
+
+    if (result.maxTokens && result.thinkingBudget && result.maxTokens <= result.thinkingBudget) {
+        throw new ApiError('maxTokens must be greater than thinkingBudget', 400, 'invalid_request_error');
+    }
+    return result;
+}
+
+/**
+ * Convert a stored alias to its public form
+ */
+function toPublicAlias(name, record) {
+    return {
+        alias: name,
+        model: record.model,
+        description: record.description || null,
+        defaults: record.defaults || {},
+        updatedAt: record.updatedAt || null
+    };
+}
+
+/**
+ * List all aliases
+ * @returns {Array} Public alias records sorted by name
+ */
+export function listModelAliases() {
+    return Object.entries(loadAliases())
+        .map(([name, record]) => toPublicAlias(name, record))
+        .sort((a, b) => a.alias.localeCompare(b.alias));
+}
+
+/**
+ * Create or replace an alias
+ * @param {string} name - Alias name
+ * @param {Object} options
+ * @param {string} options.model - Target model
+ * @param {string} [options.description] - Free-form note shown in the dashboard
+ * @param {Object} [options.defaults] - { maxTokens?, temperature?, topP?, thinkingBudget? }
+ * @returns {Object} Public alias record
+ * @throws {ApiError} If the name, target or defaults are invalid
+ */
+export function setModelAlias(name, { model, description, defaults } = {}) {
+    if (typeof name !== 'string' || !ALIAS_NAME_PATTERN.test(name)) {
+        throw new ApiError('Alias names must be 1-64 characters of letters, digits, ".", "_", ":" or "-"', 400, 'invalid_request_error');
+    }
+    if (typeof model !== 'string' || !model.trim()) {
+        throw new ApiError('model is required', 400, 'invalid_request_error');
+    }
+
+    const target = normalizeModelName(model.trim());
+    const table = loadAliases();
+    if (target === name) {
+        throw new ApiError('An alias cannot point to itself', 400, 'invalid_request_error');
+    }
+    if (table[target]) {
+        throw new ApiError(`"${target}" is itself an alias; point to a model instead`, 400, 'invalid_request_error');
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new ApiError('description must be a string', 400, 'invalid_request_error');
+    }
+
+    const record = {
+        model: target,
+        ...(description ? { description } : {}),
+        defaults: validateDefaults(defaults),
+        updatedAt: new Date().toISOString()
+    };
+    saveAliases({ ...table, [name]: record });
+    console.log(`[Aliases] ${name} -> ${target}`);
+
+    return toPublicAlias(name, record);
+}
+
+/**
+ * Remove an alias
+ * @param {string} name - Alias name
+ * @throws {ApiError} If no such alias exists
+ */
+export function removeModelAlias(name) {
+    const table = loadAliases();
+    if (!table[name]) {
+        throw new ApiError(`Model alias not found: ${name}`, 404, 'not_found_error');
+    }
+    const next = { ...table };
+    delete next[name];
+    saveAliases(next);
+    console.log(`[Aliases] Removed ${name}`);
+}
+
+/**
+ * Get the model an alias points to
+ * @param {string} name - Requested model name
+ * @returns {string|null} Target model, or null if the name is not an alias
+ */
+export function getAliasTarget(name) {
+    return findAlias(name)?.model || null;
+}
+
+/**
+ * Resolve the model of an Anthropic-format request and fill in defaults
+ * Alias defaults only apply to parameters the client left unset; the global
+ * DEFAULT_MODEL and DEFAULT_MAX_TOKENS fallbacks are applied last.
+ * @param {Object} request - Anthropic Messages request
+ * @returns {Object} New request with the real model and defaults applied
+ */
+export function applyModelAlias(request) {
+    const resolved = { ...request };
+    const alias = findAlias(request.model || DEFAULT_ALIAS);
+
+    if (alias) {
+        const defaults = alias.defaults || {};
+        resolved.model = alias.model;
+        if (resolved.max_tokens === undefined && defaults.maxTokens) resolved.max_tokens = defaults.maxTokens;
+        if (resolved.temperature === undefined && defaults.temperature !== undefined) resolved.temperature = defaults.temperature;
+        if (resolved.top_p === undefined && defaults.topP !== undefined) resolved.top_p = defaults.topP;
+        if (resolved.thinking === undefined && defaults.thinkingBudget) {
+            resolved.thinking = { type: 'enabled', budget_tokens: defaults.thinkingBudget };
+            // max_tokens must leave room for the thinking budget
+            if (!resolved.max_tokens && defaults.thinkingBudget >= DEFAULT_MAX_TOKENS) {
+                resolved.max_tokens = defaults.thinkingBudget + DEFAULT_MAX_TOKENS;
+            }
+        }
+    }
+
+    resolved.model = resolved.model || DEFAULT_MODEL;
+    resolved.max_tokens = resolved.max_tokens || DEFAULT_MAX_TOKENS;
+    return resolved;
+}
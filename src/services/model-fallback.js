@@ -0,0 +1,271 @@
+/**
+ * Model Fallback Service
+ * Configurable fallback chains that retry a request on another model when
+ * the requested model's quota is exhausted on every account, e.g.
+ * claude-opus-4-5-thinking -> claude-sonnet-4-5-thinking -> gemini-3-pro-high.
+ *
+ * Chains are stored in MODEL_FALLBACKS_PATH and reloaded whenever the file
+ * changes. Responses served by a substitute carry a "fallback" annotation
+ * naming the requested and the substitute model.
+ */
+
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { sendMessage, sendMessageStream } from '../cloudcode-client.js';
+import {
+    MODEL_FALLBACKS_PATH,
+    normalizeModelName,
+    getModelFamily,
+    isThinkingModel
+} from '../constants.js';
+import { stripAllThinkingBlocks } from '../format/thinking-utils.js';
+import { isModelExhausted } from './model-quotas.js';
+import { isModelAllowed } from './api-key.js';
+import { addKnownModels } from './model-labels.js';
+import { ApiError } from '../errors.js';
+
+const MAX_CHAIN_LENGTH = 5;
+
+let chains = {};
+let chainsMtime = null;
+
+/**
+ * Load fallback chains from disk if the file changed since the last read
+ * @returns {Object} Model -> array of fallback models
+ */
+function loadChains() {
+    try {
+        if (!existsSync(MODEL_FALLBACKS_PATH)) {
+            chains = {};
+            chainsMtime = null;
+            return chains;
+        }
+        const mtime = statSync(MODEL_FALLBACKS_PATH).mtimeMs;
+        if (mtime !== chainsMtime) {
+            const config = JSON.parse(readFileSync(MODEL_FALLBACKS_PATH, 'utf8'));
+            chains = config.chains || {};
+            chainsMtime = mtime;
+            addKnownModels(Object.entries(chains).flat(2));
+        }
+    } catch (error) {
+        console.error('[Fallback] Failed to read model fallbacks file:', error.message);
+    }
+    return chains;
+}
+
+/**
+ * Save fallback chains to disk
+ */
+function saveChains(next) {
+    const dir = dirname(MODEL_FALLBACKS_PATH);
+    if (!existsSync(dir)) {
+        mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(MODEL_FALLBACKS_PATH, JSON.stringify({ chains: next }, null, 2), 'utf8');
+    chains = next;
+    chainsMtime = statSync(MODEL_FALLBACKS_PATH).mtimeMs;
+    addKnownModels(Object.entries(chains).flat(2));
+}
+
+/**
+ * List all fallback chains
+ * @returns {Array<{model: string, fallbacks: string[]}>} Chains sorted by model
+ */
+export function listFallbackChains() {
+    return Object.entries(loadChains())
+        .map(([model, fallbacks]) => ({ model, fallbacks }))
+        .sort((a, b) => a.model.localeCompare(b.model));
+}
+
+/**
+ * Set the fallback chain for a model
+ * @param {string} model - Model whose quota exhaustion triggers the fallback
+ * @param {string[]} fallbacks - Models to try in order
+ * @returns {{model: string, fallbacks: string[]}} Saved chain
+ * @throws {ApiError} If the chain is invalid
+ */
+export function setFallbackChain(model, fallbacks) {
+    const primary = normalizeModelName(typeof model === 'string' ? model.trim() : '');
+    if (!primary) {
+        throw new ApiError('model is required', 400, 'invalid_request_error');
+    }
+    if (!Array.isArray(fallbacks) || fallbacks.length === 0 ||
+        !fallbacks.every(m => typeof m === 'string' && m.trim())) {
+        throw new ApiError('fallbacks must be a non-empty array of model names', 400, 'invalid_request_error');
+    }
+
+    const normalized = fallbacks.map(m => normalizeModelName(m.trim()));
+    if (normalized.length > MAX_CHAIN_LENGTH) {
+        throw new ApiError(`A fallback chain can have at most ${MAX_CHAIN_LENGTH} models`, 400, 'invalid_request_error');
+    }
+    if (new Set([primary, ...normalized]).size !== normalized.length + 1) {
+        throw new ApiError('A fallback chain cannot repeat a model', 400, 'invalid_request_error');
+    }
+
+    saveChains({ ...loadChains(), [primary]: normalized });
+    console.log(`[Fallback] ${[primary, ...normalized].join(' -> ')}`);
+    return { model: primary, fallbacks: normalized };
+}
+
+/**
+ * Remove the fallback chain for a model
+ * @param {string} model - Model name
+ * @throws {ApiError} If the model has no chain
+ */
+export function removeFallbackChain(model) {
+    const primary = normalizeModelName(model);
+    const table = loadChains();
+    if (!table[primary]) {
+        throw new ApiError(`No fallback chain for ${primary}`, 404, 'not_found_error');
+    }
+    const next = { ...table };
+    delete next[primary];
+    saveChains(next);
+    console.log(`[Fallback] Removed chain for ${primary}`);
+}
+
+/**
+ * Get the models to try for a request, starting with the requested one
+ * @param {string} model - Requested model
+ * @returns {string[]} Requested model followed by its fallbacks
+ */
+export function getFallbackChain(model) {
+    return [model, ...(loadChains()[normalizeModelName(model)] || [])];
+}
+
+/**
+ * Get the fallback chain for a request, without substitutes the key may not use
+ * @param {string} model - Requested model
+ * @param {Object} [identity] - API key identity (req.apiKey)
+ * @returns {string[]} Requested model followed by its allowed fallbacks
+ */
+function getAllowedChain(model, identity) {
+    return getFallbackChain(model).filter((candidate, i) => i === 0 || isModelAllowed(identity, candidate));
+}
+
+/**
+ * Check whether an error means the model's quota is exhausted on every account
+ * "Max retries exceeded" is what sendMessage throws when it runs out of
+ * accounts to try, e.g. after each one was rate limited on the model.
+ */
+function isQuotaError(error) {
+    const message = error?.message || '';
+    return message.includes('RESOURCE_EXHAUSTED') ||
+        message.includes('QUOTA_EXHAUSTED') ||
+        message.includes('Rate limited') ||
+        message.includes('Max retries exceeded');
+}
+
+/**
+ * Rewrite a request for a substitute model
+ * Thinking signatures are only valid for the model family that produced
+ * them, so thinking blocks are dropped when switching family, and the
+ * thinking config is dropped for models that do not think.
+ * @param {Object} request - Anthropic-format request
+ * @param {string} model - Substitute model
+ * @returns {Object} Request for the substitute model
+ */
+function adaptRequestForModel(request, model) {
+    const adapted = { ...request, model };
+    if (getModelFamily(request.model) !== getModelFamily(model)) {
+        adapted.messages = stripAllThinkingBlocks(request.messages);
+    }
+    if (!isThinkingModel(model)) {
+        adapted.thinking = undefined;
+    }
+    return adapted;
+}
+
+/**
+ * Build the annotation attached to responses served by a substitute model
+ */
+function fallbackInfo(requestedModel, model) {
+    return { requested_model: requestedModel, model, reason: 'quota_exhausted' };
+}
+
+/**
+ * Decide whether a fallback candidate should be skipped without trying it
+ * The requested model is always tried, as is the last model in the chain.
+ */
+async function shouldSkip(chain, index, accountManager) {
+    if (index === 0 || index === chain.length - 1) return false;
+    if (await isModelExhausted(chain[index], accountManager)) {
+        console.log(`[Fallback] Skipping ${chain[index]}: quota exhausted on all accounts`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Send a non-streaming request, falling back along the model's chain
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - API key identity; substitutes outside its allow-list are skipped
+ * @returns {Promise<Object>} Anthropic-format response; includes "fallback" if a substitute answered
+ * @throws {Error} The last model's error, or any non-quota error
+ */
+export async function sendMessageWithFallback(request, accountManager, { identity } = {}) {
+    const chain = getAllowedChain(request.model, identity);
+
+    for (let i = 0; i < chain.length; i++) {
+        if (await shouldSkip(chain, i, accountManager)) continue;
+
+        const hasNext = i < chain.length - 1;
+        try {
+            const response = await sendMessage(
+                i === 0 ? request : adaptRequestForModel(request, chain[i]),
+                accountManager,
+                { waitForReset: !hasNext }
+            );
+            return i === 0 ? response : { ...response, fallback: fallbackInfo(request.model, chain[i]) };
+        } catch (error) {
+            if (!hasNext || !isQuotaError(error)) throw error;
+            console.log(`[Fallback] ${chain[i]} quota exhausted, falling back to ${chain[i + 1]}`);
+        }
+    }
+}
+
+/**
+ * Stream a request, falling back along the model's chain
+ * Fallback only happens before the upstream stream starts; the
+ * internal_metadata event reports the model actually used.
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - API key identity; substitutes outside its allow-list are skipped
+ * @yields {Object} Anthropic-format SSE events; message_start includes "fallback" if a substitute answered
+ * @throws {Error} The last model's error, or any non-quota error
+ */
+export async function* sendMessageStreamWithFallback(request, accountManager, { identity } = {}) {
+    const chain = getAllowedChain(request.model, identity);
+
+    for (let i = 0; i < chain.length; i++) {
+        if (await shouldSkip(chain, i, accountManager)) continue;
+
+        const hasNext = i < chain.length - 1;
+        const fallback = i === 0 ? null : fallbackInfo(request.model, chain[i]);
+        let started = false;
+        try {
+            const stream = sendMessageStream(
+                i === 0 ? request : adaptRequestForModel(request, chain[i]),
+                accountManager,
+                { waitForReset: !hasNext }
+            );
+            for await (const event of stream) {
+                if (event.type === 'internal_metadata') {
+                    started = true;
+                    yield { ...event, model: chain[i], fallback };
+                } else if (fallback && event.type === 'message_start') {
+                    yield { ...event, message: { ...event.message, fallback } };
+                } else {
+                    yield event;
+                }
+            }
+            return;
+        } catch (error) {
+            if (started || !hasNext || !isQuotaError(error)) throw error;
+            console.log(`[Fallback] ${chain[i]} quota exhausted, falling back to ${chain[i + 1]}`);
+        }
+    }
+}
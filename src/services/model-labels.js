@@ -0,0 +1,50 @@
+/**
+ * Model Labels
+ * Bounds the model names used as metric labels and throttle keys.
+ *
+ * Request models come from clients, so any caller could create unlimited
+ * metric series or limiters by sending made-up names. Only models the backend
+ * lists, models in fallback chains, aliases and their targets and the default
+ * model keep their own name; everything else is counted as "other".
+ */
+
+import { DEFAULT_MODEL, normalizeModelName } from '../constants.js';
+import { getAliasTarget, listModelAliases } from './model-aliases.js';
+
+export const OTHER_MODEL_LABEL = 'other';
+
+// Models seen in the backend's model list or in fallback chains
+const knownModels = new Set([DEFAULT_MODEL]);
+
+/**
+ * Record models as known
+ * Called with each model list fetched from the backend and each fallback chain read.
+ * @param {string[]} models - Model names
+ */
+export function addKnownModels(models) {
+    for (const model of models) {
+        knownModels.add(normalizeModelName(model));
+    }
+}
+
+/**
+ * Check whether a model may be used as its own label
+ * @param {string} model - Normalized model name
+ * @returns {boolean} True if the backend, a fallback chain or an alias names the model
+ */
+function isKnownModel(model) {
+    return knownModels.has(model) ||
+        getAliasTarget(model) !== null ||
+        listModelAliases().some(alias => alias.model === model);
+}
+
+/**
+ * Get the label to record a model under
+ * @param {string} [model] - Model name from a request
+ * @returns {string|null} Normalized model name, "other" for unknown models, or null if no model was given
+ */
+export function getModelLabel(model) {
+    const name = normalizeModelName(model);
+    if (!name) return null;
+    return isKnownModel(name) ? name : OTHER_MODEL_LABEL;
+}
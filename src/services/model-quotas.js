@@ -0,0 +1,125 @@
+/**
+ * Model Quota Snapshots
+ * Caches per-account, per-model quota data from getModelQuotas so routing
+ * decisions can avoid models that are known to be exhausted.
+ *
+ * A background refresher keeps the snapshots current so account selection
+ * can read them synchronously without fetching on the request path.
+ */
+
+import { getModelQuotas } from '../cloudcode-client.js';
+import { normalizeModelName, QUOTA_REFRESH_INTERVAL_MS } from '../constants.js';
+
+const SNAPSHOT_MAX_AGE_MS = 60 * 1000;
+
+// email -> { quotas: { modelId: { remainingFraction, resetTime } }, fetchedAt }
+const snapshots = new Map();
+
+let refreshTimer = null;
+
+/**
+ * Fetch an account's model quotas and store them as its snapshot
+ * @returns {Promise<Object|null>} Quotas, or the previous snapshot's quotas if the fetch failed
+ */
+async function fetchSnapshot(account, accountManager) {
+    try {
+        const token = await accountManager.getTokenForAccount(account);
+        const quotas = await getModelQuotas(token);
+        snapshots.set(account.email, { quotas, fetchedAt: Date.now() });
+        return quotas;
+    } catch (error) {
+        console.log(`[Quota] Failed to fetch quotas for ${account.email}: ${error.message}`);
+        return snapshots.get(account.email)?.quotas || null;
+    }
+}
+
+/**
+ * Get an account's model quotas, fetching them if the snapshot is stale
+ * @param {Object} account - Account object
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @returns {Promise<Object|null>} Map of modelId -> { remainingFraction, resetTime }, or null if unavailable
+ */
+export async function getAccountQuotas(account, accountManager) {
+    const cached = snapshots.get(account.email);
+    if (cached && Date.now() - cached.fetchedAt < SNAPSHOT_MAX_AGE_MS) {
+        return cached.quotas;
+    }
+    return fetchSnapshot(account, accountManager);
+}
+
+/**
+ * Get the remaining fraction of a model quota entry
+ * Upstream reports exhausted quotas with a null fraction; quota whose reset
+ * time has passed counts as full.
+ * @returns {number|null} Remaining fraction (0-1), or null if there is no entry
+ */
+function remainingFraction(quota) {
+    if (!quota) return null;
+    if (quota.resetTime && Date.parse(quota.resetTime) <= Date.now()) return 1;
+    return quota.remainingFraction ?? 0;
+}
+
+/**
+ * Get the remaining quota for a model from an account's last snapshot (never fetches)
+ * @param {string} email - Account email
+ * @param {string} model - Model name
+ * @returns {number|null} Remaining fraction (0-1), or null if unknown
+ */
+export function getRemainingQuota(email, model) {
+    return remainingFraction(snapshots.get(email)?.quotas?.[normalizeModelName(model)]);
+}
+
+/**
+ * Refresh the snapshots of every enabled, valid account
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @returns {Promise<void>}
+ */
+export async function refreshQuotaSnapshots(accountManager) {
+    const accounts = accountManager.getAllAccounts().filter(acc => !acc.isDisabled && !acc.isInvalid);
+    await Promise.allSettled(accounts.map(account => fetchSnapshot(account, accountManager)));
+}
+
+/**
+ * Start refreshing quota snapshots in the background
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {() => Promise<void>} ensureInitialized - Resolves once accounts are loaded
+ * @param {number} [intervalMs] - Refresh interval
+ */
+export function startQuotaRefresher(accountManager, ensureInitialized, intervalMs = QUOTA_REFRESH_INTERVAL_MS) {
+    if (refreshTimer) return;
+
+    const refresh = async () => {
+        try {
+            await ensureInitialized();
+            await refreshQuotaSnapshots(accountManager);
+        } catch (error) {
+            console.error('[Quota] Background refresh failed:', error.message);
+        }
+    };
+
+    refreshTimer = setInterval(refresh, intervalMs);
+    refreshTimer.unref();
+    refresh();
+}
+
+/**
+ * Check whether a model has no quota left on any usable account
+ * Models without quota data are assumed to be available.
+ * @param {string} model - Model name
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @returns {Promise<boolean>} True if every usable account reports the model exhausted
+ */
+export async function isModelExhausted(model, accountManager) {
+    const modelId = normalizeModelName(model);
+    const accounts = accountManager.getAvailableAccounts(modelId);
+    if (accounts.length === 0) return true;
+
+    for (const account of accounts) {
+        const quotas = await getAccountQuotas(account, accountManager);
+        const remaining = remainingFraction(quotas?.[modelId]);
+        if (remaining === null || remaining > 0) {
+            return false;
+        }
+    }
+    return true;
+}
@@ -1,15 +1,106 @@
 /**
  * Request History Service
- * Tracks recent API requests for dashboard monitoring
+ * Tracks API requests for dashboard monitoring
+ *
+ * Records are persisted to SQLite (see db/request-history-db.js) and pruned
+ * after REQUEST_HISTORY_RETENTION_DAYS. If the database cannot be opened,
+ * history falls back to a bounded in-memory list.
  */
 
+import { createRequestHistoryStore } from '../db/request-history-db.js';
+import { REQUEST_HISTORY_RETENTION_DAYS } from '../constants.js';
+
 const MAX_REQUEST_HISTORY = 100;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 const requestHistory = [];
 
+let store = null;
+let storeUnavailable = false;
+
+// Callbacks notified of every recorded request (e.g. budget accounting)
+const recordListeners = [];
+
+/**
+ * Delete records older than the retention window
+ */
+function pruneExpiredRequests() {
+    if (!store) return;
+    try {
+        const cutoff = Date.now() - REQUEST_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const removed = store.prune(cutoff);
+        if (removed > 0) {
+            console.log(`[RequestHistory] Pruned ${removed} requests older than ${REQUEST_HISTORY_RETENTION_DAYS} days`);
+        }
+    } catch (error) {
+        console.error('[RequestHistory] Failed to prune history:', error.message);
+    }
+}
+
+/**
+ * Open the history database on first use
+ * @returns {Object|null} Store, or null when running in memory-only mode
+ */
+function getStore() {
+    if (store || storeUnavailable) return store;
+
+    try {
+        store = createRequestHistoryStore();
+        pruneExpiredRequests();
+        setInterval(pruneExpiredRequests, PRUNE_INTERVAL_MS).unref();
+    } catch (error) {
+        storeUnavailable = true;
+        console.error('[RequestHistory] Could not open history database, keeping history in memory:', error.message);
+    }
+    return store;
+}
+
+/**
+ * Check whether an in-memory record matches query filters
+ */
+function matchesFilters(request, filters) {
+    if (filters.model && request.model !== filters.model) return false;
+    if (filters.account && request.account !== filters.account) return false;
+    if (filters.status && request.status !== filters.status) return false;
+    if (filters.path && request.path !== filters.path) return false;
+    if (filters.apiKey && request.apiKey !== filters.apiKey) return false;
+    if (filters.clientId && request.clientId !== filters.clientId) return false;
+
+    const timestamp = Date.parse(request.timestamp);
+    if (filters.from !== undefined && filters.from !== null && timestamp < filters.from) return false;
+    if (filters.to !== undefined && filters.to !== null && timestamp > filters.to) return false;
+    return true;
+}
+
+/**
+ * Register a callback invoked with every request added to the history
+ * @param {Function} listener - Called with the request record
+ */
+export function onRequestRecorded(listener) {
+    recordListeners.push(listener);
+}
+
 /**
  * Add a request to the history
  */
 export function addRequestToHistory(request) {
+    for (const listener of recordListeners) {
+        try {
+            listener(request);
+        } catch (error) {
+            console.error('[RequestHistory] Request listener failed:', error.message);
+        }
+    }
+
+    const db = getStore();
+    if (db) {
+        try {
+            db.insert(request);
+            return;
+        } catch (error) {
+            console.error('[RequestHistory] Failed to persist request:', error.message);
+        }
+    }
+
     requestHistory.unshift(request);
     if (requestHistory.length > MAX_REQUEST_HISTORY) {
         requestHistory.pop();
@@ -20,12 +111,155 @@ export function addRequestToHistory(request) {
  * Get request history
  */
 export function getRequestHistory(limit = 50) {
-    return requestHistory.slice(0, limit);
+    return queryRequestHistory({ limit }).requests;
+}
+
+/**
+ * Query request history with filters and pagination, newest first
+ * @param {Object} [filters] - Query filters
+ * @param {string} [filters.model] - Exact model name
+ * @param {string} [filters.account] - Exact account email
+ * @param {string} [filters.status] - 'success' or 'error'
+ * @param {string} [filters.path] - Exact request path
+ * @param {string} [filters.apiKey] - API key name
+ * @param {string} [filters.clientId] - Client identifier (x-client-id header)
+ * @param {number} [filters.from] - Start of time range (epoch ms, inclusive)
+ * @param {number} [filters.to] - End of time range (epoch ms, inclusive)
+ * @param {number} [filters.limit=50] - Page size
+ * @param {number} [filters.offset=0] - Number of records to skip
+ * @returns {{total: number, limit: number, offset: number, requests: Array}}
+ */
+export function queryRequestHistory(filters = {}) {
+    const limit = filters.limit ?? 50;
+    const offset = filters.offset ?? 0;
+
+    const db = getStore();
+    if (db) {
+        try {
+            const { total, requests } = db.query({ ...filters, limit, offset });
+            return { total, limit, offset, requests };
+        } catch (error) {
+            console.error('[RequestHistory] Failed to query history:', error.message);
+        }
+    }
+
+    const matching = requestHistory.filter(request => matchesFilters(request, filters));
+    return {
+        total: matching.length,
+        limit,
+        offset,
+        requests: matching.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Normalize a request path so /chat/completions and /v1/chat/completions group together
+ */
+function normalizeRoute(path) {
+    if (!path) return 'unknown';
+    return path.startsWith('/v1/') ? path : `/v1${path}`;
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(Math.ceil((p / 100) * sorted.length), 1) - 1];
+}
+
+/**
+ * Aggregate in-memory records the way the database does (see aggregate in db/request-history-db.js)
+ */
+function aggregateInMemory(filters, groupBy, bucket) {
+    const keyOf = {
+        total: () => 'total',
+        bucket: request => Math.floor((Date.parse(request.timestamp) - bucket.firstBucket) / bucket.bucketMs),
+        model: request => request.model || 'unknown',
+        account: request => request.account || 'unknown',
+        route: request => normalizeRoute(request.path),
+        apiKey: request => request.apiKey || 'unknown'
+    }[groupBy];
+
+    const groups = new Map();
+    for (const request of requestHistory) {
+        if (!matchesFilters(request, filters)) continue;
+        if (filters.route && normalizeRoute(request.path) !== filters.route) continue;
+
+        const key = keyOf(request);
+        if (!groups.has(key)) {
+            groups.set(key, { key, requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, durations: [] });
+        }
+        const group = groups.get(key);
+        group.requests++;
+        if (request.status === 'error') group.errors++;
+        group.inputTokens += request.usage?.input_tokens || 0;
+        group.outputTokens += request.usage?.output_tokens || 0;
+        group.cacheReadTokens += request.usage?.cache_read_input_tokens || 0;
+        if (typeof request.duration === 'number') group.durations.push(request.duration);
+    }
+
+    return [...groups.values()].map(({ durations, ...group }) => {
+        const sorted = durations.sort((a, b) => a - b);
+        return { ...group, latencyP50: percentile(sorted, 50), latencyP95: percentile(sorted, 95) };
+    });
+}
+
+/**
+ * Aggregate the requests matching the filters into groups
+ * @param {Object} filters - Same filters as queryRequestHistory, plus route (path with /v1 added), without paging
+ * @param {string} groupBy - 'total', 'bucket', 'model', 'account', 'route' or 'apiKey'
+ * @param {Object} [bucket] - { firstBucket, bucketMs } when grouping by time bucket (key is the bucket index)
+ * @returns {Array<{key: string|number, requests: number, errors: number, inputTokens: number, outputTokens: number, cacheReadTokens: number, latencyP50: number|null, latencyP95: number|null}>}
+ */
+export function aggregateRequestHistory(filters, groupBy, bucket = {}) {
+    const db = getStore();
+    if (db) {
+        try {
+            return db.aggregate(filters, groupBy, bucket);
+        } catch (error) {
+            console.error('[RequestHistory] Failed to aggregate history:', error.message);
+        }
+    }
+
+    return aggregateInMemory(filters, groupBy, bucket);
+}
+
+/**
+ * Get distinct models, accounts, statuses, paths and API keys seen in history
+ * @returns {{models: string[], accounts: string[], statuses: string[], paths: string[], apiKeys: string[]}}
+ */
+export function getRequestHistoryFilters() {
+    const db = getStore();
+    if (db) {
+        try {
+            return db.getFilterOptions();
+        } catch (error) {
+            console.error('[RequestHistory] Failed to read filter options:', error.message);
+        }
+    }
+
+    const distinct = (key) => [...new Set(requestHistory.map(r => r[key]).filter(Boolean))].sort();
+    return {
+        models: distinct('model'),
+        accounts: distinct('account'),
+        statuses: distinct('status'),
+        paths: distinct('path'),
+        apiKeys: distinct('apiKey')
+    };
 }
 
 /**
  * Clear request history
  */
 export function clearRequestHistory() {
+    const db = getStore();
+    if (db) {
+        try {
+            db.clear();
+        } catch (error) {
+            console.error('[RequestHistory] Failed to clear history:', error.message);
+        }
+    }
     requestHistory.length = 0;
 }
@@ -1,161 +1,412 @@
 /**
  * Request Throttle Service
- * Prevents rate limiting by enforcing delays between consecutive requests
+ * Prevents rate limiting with adaptive token buckets in front of upstream requests
+ *
+ * Each model has a bucket that refills one request per interval and holds up
+ * to "burst" requests. Requests that find it empty wait in the model's queue,
+ * highest priority first. Each account also has a bucket per model, with no
+ * limit of its own unless configured.
+ *
+ * A 429 doubles the interval of the model's and the account's bucket (up to
+ * maxBackoff times) and pauses the account's bucket until its quota resets,
+ * when that is soon. After successStreak successes in a row the interval
+ * halves again, back down to the configured one.
+ *
+ * Limits are read from THROTTLE_CONFIG_PATH and reloaded whenever the file
+ * changes; anything it leaves out keeps the value in DEFAULT_CONFIG.
+ *
+ * Buckets are keyed by model label (see model-labels.js), so requests for
+ * unknown models share one "other" bucket instead of each creating their own.
  */
 
-// Default delay between requests (in milliseconds)
-const DEFAULT_THROTTLE_DELAY = 3000; // 3 seconds
+import { existsSync, readFileSync, statSync } from 'fs';
+import {
+    THROTTLE_CONFIG_PATH,
+    MAX_WAIT_BEFORE_ERROR_MS,
+    getModelFamily
+} from '../constants.js';
+import { ThrottleQueueFullError, ThrottleWaitAbortedError } from '../errors.js';
+import { recordThrottleWait } from './metrics.js';
+import { getModelLabel } from './model-labels.js';
 
-// Track last request time per model
-const lastRequestTime = new Map();
+const DEFAULT_CONFIG = {
+    // Keyed by model name, model family ("claude", "gemini") or "default"
+    models: {
+        default: { intervalMs: 3000, burst: 1 },
+        claude: { intervalMs: 3000, burst: 1 },
+        gemini: { intervalMs: 1500, burst: 1 }
+    },
+    // Applies to each account and model pair; intervalMs 0 means no limit
+    accounts: { intervalMs: 0, burst: 1 },
+    maxQueue: 100, // Requests waiting per model before new ones are refused
+    maxBackoff: 8, // Largest interval multiplier after 429s
+    successStreak: 5 // Successes in a row before the multiplier halves
+};
 
-// Pending request queues per model
-const requestQueues = new Map();
+// Request priorities, highest first in the queue
+export const REQUEST_PRIORITIES = ['high', 'normal', 'low'];
 
-// Processing flags per model
-const isProcessing = new Map();
+// Interval a bucket without one of its own slows down from after a 429
+const MIN_BACKOFF_INTERVAL_MS = 1000;
+
+let config = DEFAULT_CONFIG;
+let configMtime = null;
+
+const modelLimiters = new Map(); // model -> limiter
+const accountLimiters = new Map(); // "account model" -> limiter
 
 /**
- * Sleep for a specified duration
- * @param {number} ms - Milliseconds to sleep
+ * Load the throttle config from disk if the file changed since the last read
+ * @returns {Object} Config with defaults filled in
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function loadConfig() {
+    try {
+        if (!existsSync(THROTTLE_CONFIG_PATH)) {
+            config = DEFAULT_CONFIG;
+            configMtime = null;
+            return config;
+        }
+        const mtime = statSync(THROTTLE_CONFIG_PATH).mtimeMs;
+        if (mtime !== configMtime) {
+            const file = JSON.parse(readFileSync(THROTTLE_CONFIG_PATH, 'utf8'));
+            config = {
+                models: { ...DEFAULT_CONFIG.models, ...file.models },
+                accounts: { ...DEFAULT_CONFIG.accounts, ...file.accounts },
+                maxQueue: readCount(file, 'maxQueue'),
+                maxBackoff: readCount(file, 'maxBackoff'),
+                successStreak: readCount(file, 'successStreak')
+            };
+            configMtime = mtime;
+        }
+    } catch (error) {
+        console.error('[Throttle] Failed to read throttle config:', error.message);
+    }
+    return config;
 }
 
 /**
- * Get throttle delay based on model
- * Claude models get longer delays, Gemini models get shorter
- * @param {string} model - Model name
- * @returns {number} Throttle delay in milliseconds
+ * Read a count from the config file, keeping the default unless it is a positive integer
  */
-function getThrottleDelay(model) {
-    const modelLower = (model || '').toLowerCase();
-
-    // Claude models - stricter throttling
-    if (modelLower.includes('claude')) {
-        return 3000; // 3 seconds
+function readCount(file, name) {
+    const value = file[name];
+    if (value === undefined) return DEFAULT_CONFIG[name];
+    if (!Number.isInteger(value) || value < 1) {
+        console.warn(`[Throttle] Ignoring ${name} ${JSON.stringify(value)} in throttle config: must be a positive integer`);
+        return DEFAULT_CONFIG[name];
     }
+    return value;
+}
+
+/**
+ * Clean up a configured limit
+ * @returns {{intervalMs: number, burst: number}}
+ */
+function toLimit(limit) {
+    return {
+        intervalMs: Math.max(0, Number(limit?.intervalMs) || 0),
+        burst: Math.max(1, Math.floor(Number(limit?.burst) || 1))
+    };
+}
+
+/**
+ * Get the limit for a model: its own, else its family's, else the default
+ */
+function getModelLimit(model) {
+    const { models } = loadConfig();
+    return toLimit(models[model] || models[getModelFamily(model)] || models.default);
+}
 
-    // Gemini models - moderate throttling
-    if (modelLower.includes('gemini')) {
-        return 1500; // 1.5 seconds
+/**
+ * Get the limit every account has for each model
+ */
+function getAccountLimit() {
+    return toLimit(loadConfig().accounts);
+}
+
+/**
+ * Get a limiter, creating it on first use
+ * @param {Map} limiters - modelLimiters or accountLimiters
+ * @param {string} key - Map key
+ * @param {Object} identity - { model } or { account, model }
+ * @param {function(): Object} getLimit - Reads the current limit
+ */
+function getLimiter(limiters, key, identity, getLimit) {
+    if (!limiters.has(key)) {
+        limiters.set(key, {
+            ...identity,
+            getLimit,
+            tokens: null, // Filled to burst on first use
+            updatedAt: Date.now(),
+            backoff: 1,
+            successes: 0,
+            pausedUntil: 0,
+            queue: [],
+            timer: null
+        });
     }
+    return limiters.get(key);
+}
+
+/**
+ * Get the limiter key for a requested model
+ */
+function toModelKey(model) {
+    return getModelLabel(model) || 'default';
+}
 
-    // Default
-    return DEFAULT_THROTTLE_DELAY;
+function getModelLimiter(modelKey) {
+    return getLimiter(modelLimiters, modelKey, { model: modelKey }, () => getModelLimit(modelKey));
+}
+
+function getAccountLimiter(account, modelKey) {
+    return getLimiter(accountLimiters, `${account} ${modelKey}`, { account, model: modelKey }, getAccountLimit);
 }
 
 /**
- * Wait for throttle if needed
- * This ensures there's a minimum delay between requests for the same model
- * 
- * @param {string} model - Model name
- * @returns {Promise<void>}
+ * Interval between requests, including backoff
  */
-export async function waitForThrottle(model) {
-    const throttleDelay = getThrottleDelay(model);
-    const modelKey = model || 'default';
-    const now = Date.now();
-    const lastTime = lastRequestTime.get(modelKey) || 0;
-    const elapsed = now - lastTime;
+function currentInterval(limiter, limit) {
+    if (limiter.backoff === 1) return limit.intervalMs;
+    return Math.max(limit.intervalMs, MIN_BACKOFF_INTERVAL_MS) * limiter.backoff;
+}
 
-    if (elapsed < throttleDelay) {
-        const waitTime = throttleDelay - elapsed;
-        console.log(`[Throttle] Waiting ${waitTime}ms before next ${model} request...`);
-        await sleep(waitTime);
+/**
+ * Add the tokens earned since the last update
+ */
+function refill(limiter, limit, now) {
+    const interval = currentInterval(limiter, limit);
+    if (limiter.tokens === null || interval === 0) {
+        limiter.tokens = limit.burst;
+    } else {
+        limiter.tokens = Math.min(limit.burst, limiter.tokens + (now - limiter.updatedAt) / interval);
     }
+    limiter.updatedAt = now;
+}
 
-    // Update last request time
-    lastRequestTime.set(modelKey, Date.now());
+/**
+ * Let queued requests through while tokens last, then wait for the next one
+ */
+function drain(limiter) {
+    clearTimeout(limiter.timer);
+    limiter.timer = null;
+
+    while (limiter.queue.length > 0) {
+        const limit = limiter.getLimit();
+        const now = Date.now();
+        refill(limiter, limit, now);
+
+        const untilToken = limiter.tokens >= 1 ? 0 : Math.ceil((1 - limiter.tokens) * currentInterval(limiter, limit));
+        const waitMs = Math.max(untilToken, limiter.pausedUntil - now);
+        if (waitMs > 0) {
+            limiter.timer = setTimeout(() => drain(limiter), waitMs);
+            return;
+        }
+
+        limiter.tokens -= 1;
+        limiter.queue.shift().resolve();
+    }
 }
 
 /**
- * Execute a request with throttling
- * Queues requests and processes them with delays to prevent rate limiting
- * 
- * @param {string} model - Model name
- * @param {Function} requestFn - Async function to execute
- * @returns {Promise<any>} Result of the request function
+ * Wait for a token
+ * @param {Object} limiter - Limiter to take it from
+ * @param {string} priority - One of REQUEST_PRIORITIES
+ * @param {AbortSignal} [signal] - Leaves the queue without taking a token when aborted
+ * @returns {Promise<number>} Milliseconds waited
+ * @throws {ThrottleWaitAbortedError} If the signal aborts first
  */
-export async function throttledRequest(model, requestFn) {
-    const modelKey = model || 'default';
+function acquire(limiter, priority, signal) {
+    const startTime = Date.now();
+    const rank = REQUEST_PRIORITIES.indexOf(priority);
 
-    // Create a promise that will be resolved when the request completes
     return new Promise((resolve, reject) => {
-        // Initialize queue for this model if needed
-        if (!requestQueues.has(modelKey)) {
-            requestQueues.set(modelKey, []);
+        if (signal?.aborted) {
+            reject(new ThrottleWaitAbortedError(limiter.model));
+            return;
         }
 
-        // Add request to queue
-        requestQueues.get(modelKey).push({ requestFn, resolve, reject });
+        const onAbort = () => {
+            limiter.queue.splice(limiter.queue.indexOf(entry), 1);
+            reject(new ThrottleWaitAbortedError(limiter.model));
+            // The request at the head may have changed
+            drain(limiter);
+        };
+        const entry = {
+            rank,
+            priority,
+            resolve: () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(Date.now() - startTime);
+            }
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
 
-        // Start processing if not already processing
-        if (!isProcessing.get(modelKey)) {
-            processQueue(modelKey);
+        // Behind every waiting request of the same or a higher priority
+        const index = limiter.queue.findIndex(waiting => waiting.rank > rank);
+        if (index === -1) {
+            limiter.queue.push(entry);
+        } else {
+            limiter.queue.splice(index, 0, entry);
         }
+        drain(limiter);
     });
 }
 
 /**
- * Process the request queue for a model
- * @param {string} modelKey - Model key
+ * Read the request priority from the x-request-priority header
+ * @param {Request} req - Express request
+ * @returns {string} One of REQUEST_PRIORITIES ('normal' when absent or unknown)
  */
-async function processQueue(modelKey) {
-    if (isProcessing.get(modelKey)) return;
+export function getRequestPriority(req) {
+    const value = String(req.headers['x-request-priority'] || '').trim().toLowerCase();
+    return REQUEST_PRIORITIES.includes(value) ? value : 'normal';
+}
 
-    isProcessing.set(modelKey, true);
+/**
+ * Get a signal that aborts when the client disconnects
+ * Passed to waitForThrottle so a request nobody is waiting for leaves the queue.
+ * @param {Response} res - Express response
+ * @returns {AbortSignal}
+ */
+export function getDisconnectSignal(res) {
+    const controller = new AbortController();
+    if (res.closed) {
+        controller.abort();
+    } else {
+        res.once('close', () => controller.abort());
+    }
+    return controller.signal;
+}
 
-    const queue = requestQueues.get(modelKey);
+/**
+ * Wait until a request for a model may be sent
+ *
+ * @param {string} model - Model name
+ * @param {Object} [options]
+ * @param {string} [options.priority='normal'] - One of REQUEST_PRIORITIES
+ * @param {AbortSignal} [options.signal] - Aborts the wait, e.g. getDisconnectSignal(res)
+ * @returns {Promise<void>}
+ * @throws {ThrottleQueueFullError} If maxQueue requests are already waiting for the model
+ * @throws {ThrottleWaitAbortedError} If the signal aborts before the request may be sent
+ */
+export async function waitForThrottle(model, { priority = 'normal', signal } = {}) {
+    const modelKey = toModelKey(model);
+    const limiter = getModelLimiter(modelKey);
+    const { maxQueue } = loadConfig();
+    if (limiter.queue.length >= maxQueue) {
+        console.log(`[Throttle] Refused ${modelKey} request: ${limiter.queue.length} already waiting`);
+        throw new ThrottleQueueFullError(modelKey, maxQueue);
+    }
 
-    while (queue && queue.length > 0) {
-        const { requestFn, resolve, reject } = queue.shift();
+    const waitedMs = await acquire(limiter, REQUEST_PRIORITIES.includes(priority) ? priority : 'normal', signal);
+    recordThrottleWait(model, waitedMs);
+    if (waitedMs > 0) {
+        console.log(`[Throttle] Waited ${waitedMs}ms before ${modelKey} request (${priority} priority)`);
+    }
+}
 
-        try {
-            // Wait for throttle delay
-            await waitForThrottle(modelKey);
+/**
+ * Wait until an account may send another request for a model
+ * Called once the account has been picked for a request.
+ *
+ * @param {string} account - Account email
+ * @param {string} model - Model name
+ * @returns {Promise<void>}
+ */
+export async function waitForAccountThrottle(account, model) {
+    const waitedMs = await acquire(getAccountLimiter(account, toModelKey(model)), 'normal');
+    if (waitedMs > 0) {
+        console.log(`[Throttle] Waited ${waitedMs}ms for ${account} (${model})`);
+    }
+}
 
-            // Execute the request
-            const result = await requestFn();
-            resolve(result);
-        } catch (error) {
-            reject(error);
+/**
+ * Adapt the model's and the account's rate to an upstream result
+ *
+ * @param {string} model - Model name
+ * @param {string} account - Account email
+ * @param {Object} [result]
+ * @param {boolean} [result.rateLimited=false] - Upstream answered 429 on every endpoint
+ * @param {number|null} [result.resetMs] - Time until the account's quota resets, if known
+ */
+export function recordThrottleResult(model, account, { rateLimited = false, resetMs = null } = {}) {
+    const { maxBackoff, successStreak } = loadConfig();
+    const now = Date.now();
+    const modelKey = toModelKey(model);
+
+    for (const limiter of [getModelLimiter(modelKey), getAccountLimiter(account, modelKey)]) {
+        const limit = limiter.getLimit();
+        // Tokens earned so far count at the old rate
+        refill(limiter, limit, now);
+
+        if (rateLimited) {
+            limiter.successes = 0;
+            limiter.backoff = Math.max(1, Math.min(maxBackoff, limiter.backoff * 2));
+            if (limiter.account && resetMs > 0 && resetMs <= MAX_WAIT_BEFORE_ERROR_MS) {
+                limiter.pausedUntil = Math.max(limiter.pausedUntil, now + resetMs);
+            }
+            console.log(`[Throttle] ${limiter.account || modelKey} (${modelKey}) slowed to ${currentInterval(limiter, limit)}ms between requests after a 429`);
+        } else if (limiter.backoff > 1 && ++limiter.successes >= successStreak) {
+            limiter.successes = 0;
+            limiter.backoff = Math.max(1, limiter.backoff / 2);
+            console.log(`[Throttle] ${limiter.account || modelKey} (${modelKey}) back to ${currentInterval(limiter, limit)}ms between requests`);
         }
-    }
 
-    isProcessing.set(modelKey, false);
+        // The next token may now be due sooner or later than scheduled
+        if (limiter.queue.length > 0) drain(limiter);
+    }
 }
 
 /**
- * Get current throttle status
- * @returns {Object} Status object with queue lengths and last request times
+ * Describe a limiter for getThrottleStatus
  */
-export function getThrottleStatus() {
-    const status = {
-        queues: {},
-        lastRequestTimes: {}
-    };
+function describeLimiter(limiter) {
+    const limit = limiter.getLimit();
+    refill(limiter, limit, Date.now());
 
-    for (const [model, queue] of requestQueues.entries()) {
-        status.queues[model] = queue.length;
+    const queued = Object.fromEntries(REQUEST_PRIORITIES.map(priority => [priority, 0]));
+    for (const entry of limiter.queue) {
+        queued[entry.priority]++;
     }
 
-    for (const [model, time] of lastRequestTime.entries()) {
-        status.lastRequestTimes[model] = {
-            timestamp: new Date(time).toISOString(),
-            secondsAgo: Math.round((Date.now() - time) / 1000)
-        };
-    }
+    return {
+        ...(limiter.account && { account: limiter.account }),
+        model: limiter.model,
+        intervalMs: currentInterval(limiter, limit),
+        configuredIntervalMs: limit.intervalMs,
+        burst: limit.burst,
+        available: Math.floor(limiter.tokens),
+        backoff: limiter.backoff,
+        queued,
+        pausedUntil: limiter.pausedUntil > Date.now() ? new Date(limiter.pausedUntil).toISOString() : null
+    };
+}
+
+/**
+ * Get current throttle status
+ * Accounts are listed only while they are slowed down, paused or have requests waiting.
+ * @returns {{maxQueue: number, models: Array<Object>, accounts: Array<Object>}}
+ */
+export function getThrottleStatus() {
+    const accounts = [...accountLimiters.values()]
+        .map(describeLimiter)
+        .filter(status => status.backoff > 1 || status.pausedUntil || status.intervalMs > 0 && status.available < status.burst ||
+            Object.values(status.queued).some(count => count > 0));
 
-    return status;
+    return {
+        maxQueue: loadConfig().maxQueue,
+        models: [...modelLimiters.values()].map(describeLimiter).sort((a, b) => a.model.localeCompare(b.model)),
+        accounts
+    };
 }
 
 /**
  * Clear throttle state (useful for testing)
  */
 export function clearThrottleState() {
-    lastRequestTime.clear();
-    requestQueues.clear();
-    isProcessing.clear();
+    for (const limiter of [...modelLimiters.values(), ...accountLimiters.values()]) {
+        clearTimeout(limiter.timer);
+    }
+    modelLimiters.clear();
+    accountLimiters.clear();
 }
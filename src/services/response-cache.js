@@ -0,0 +1,252 @@
+/**
+ * Response Cache Service
+ * Answers repeated identical requests without calling upstream again
+ *
+ * Off unless RESPONSE_CACHE=true. A request is cached when its temperature
+ * is 0 or the client sends "x-response-cache: on"; "x-response-cache: off"
+ * skips the cache. Entries are keyed by a hash of the converted Google
+ * request and live for RESPONSE_CACHE_TTL_SECONDS in an in-memory LRU, and
+ * in SQLite as well with RESPONSE_CACHE_PERSIST=true.
+ *
+ * The cached value is the complete Anthropic response, so a streamed answer
+ * can be served to a non-streaming request and replayed as a stream for a
+ * streaming one. Identical non-streaming requests in flight at the same time
+ * share one upstream call.
+ */
+
+import crypto from 'crypto';
+import { createResponseCacheStore } from '../db/response-cache-db.js';
+import {
+    RESPONSE_CACHE_ENABLED,
+    RESPONSE_CACHE_TTL_MS,
+    RESPONSE_CACHE_MAX_ENTRIES,
+    RESPONSE_CACHE_PERSIST
+} from '../constants.js';
+import { convertAnthropicToGoogle } from '../format/request-converter.js';
+import { createStreamAccumulator, responseToStreamEvents } from '../format/anthropic-stream.js';
+import { stableStringify } from '../utils/helpers.js';
+import { sendMessageWithStructuredOutput, sendMessageStreamWithStructuredOutput } from './structured-output.js';
+import { isModelAllowed } from './api-key.js';
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const memoryCache = new Map(); // key -> { response, expiresAt }, oldest first
+const pendingRequests = new Map(); // key -> Promise of the upstream response
+
+let store = null;
+let storeUnavailable = false;
+
+/**
+ * Open the cache database on first use when persistence is enabled
+ * @returns {Object|null} Store, or null when caching in memory only
+ */
+function getStore() {
+    if (!RESPONSE_CACHE_PERSIST || store || storeUnavailable) return store;
+
+    try {
+        store = createResponseCacheStore();
+        const pruneExpired = () => {
+            try {
+                store.prune(Date.now());
+            } catch (error) {
+                console.error('[ResponseCache] Failed to prune cache:', error.message);
+            }
+        };
+        pruneExpired();
+        setInterval(pruneExpired, PRUNE_INTERVAL_MS).unref();
+    } catch (error) {
+        storeUnavailable = true;
+        console.error('[ResponseCache] Could not open cache database, caching in memory only:', error.message);
+    }
+    return store;
+}
+
+/**
+ * Read the x-response-cache header of a client request
+ * @param {Request} req - Express request
+ * @returns {'on'|'off'|null} Cache directive
+ */
+export function getCacheDirective(req) {
+    const value = String(req.headers['x-response-cache'] || '').trim().toLowerCase();
+    return value === 'on' || value === 'off' ? value : null;
+}
+
+/**
+ * Decide whether a request goes through the cache
+ */
+function isCacheable(request, directive) {
+    if (!RESPONSE_CACHE_ENABLED || directive === 'off') return false;
+    return directive === 'on' || request.temperature === 0;
+}
+
+/**
+ * Hash the request as it would be sent upstream
+ * Requests that differ only in how the client phrased them (key order,
+ * OpenAI vs Anthropic format) share an entry.
+ */
+function cacheKey(request) {
+    const { googleRequest } = convertAnthropicToGoogle(request);
+    return crypto.createHash('sha256')
+        .update(stableStringify({ model: request.model, request: googleRequest }))
+        .digest('hex');
+}
+
+/**
+ * Copy of a cached response under a new message ID, as each upstream answer has its own
+ */
+function withNewId(response) {
+    return { ...response, id: `msg_${crypto.randomBytes(16).toString('hex')}` };
+}
+
+/**
+ * Look up a cached response, refreshing its LRU position
+ * @returns {Object|null} Anthropic-format response
+ */
+function readCache(key) {
+    const now = Date.now();
+    const entry = memoryCache.get(key);
+    if (entry) {
+        memoryCache.delete(key);
+        if (entry.expiresAt > now) {
+            memoryCache.set(key, entry);
+            return entry.response;
+        }
+    }
+
+    try {
+        const stored = getStore()?.get(key, now);
+        if (stored) {
+            writeMemory(key, stored);
+            return stored.response;
+        }
+    } catch (error) {
+        console.error('[ResponseCache] Failed to read cache:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Store in memory, evicting the least recently used entry when full
+ */
+function writeMemory(key, entry) {
+    memoryCache.set(key, entry);
+    if (memoryCache.size > RESPONSE_CACHE_MAX_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * Cache a response
+ * Responses without output (e.g. an empty upstream stream) are not kept.
+ */
+function writeCache(key, response) {
+    if (!response.usage?.output_tokens) return;
+
+    const { _account, ...cached } = response;
+    const entry = { response: cached, expiresAt: Date.now() + RESPONSE_CACHE_TTL_MS };
+    writeMemory(key, entry);
+    try {
+        getStore()?.set(key, entry.response, entry.expiresAt);
+    } catch (error) {
+        console.error('[ResponseCache] Failed to write cache:', error.message);
+    }
+}
+
+/**
+ * Whether a cached answer may be given to a key
+ * An answer from a fallback model is only shared with keys allowed to use that model.
+ */
+function isServable(response, identity) {
+    return !response.fallback || isModelAllowed(identity, response.fallback.model);
+}
+
+/**
+ * Send a non-streaming request through the cache
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {'on'|'off'|null} [options.cache] - Client cache directive (getCacheDirective)
+ * @param {() => Promise<void>} [options.throttle] - Awaited before calling upstream; hits skip it
+ * @param {Object} [options.identity] - API key identity (req.apiKey); limits fallback models
+ * @returns {Promise<Object>} Anthropic-format response; "_cached: true" when served from the cache
+ */
+export async function sendMessageCached(request, accountManager, { cache = null, throttle, identity } = {}) {
+    const send = async () => {
+        if (throttle) await throttle();
+        return sendMessageWithStructuredOutput(request, accountManager, { identity });
+    };
+    if (!isCacheable(request, cache)) {
+        return send();
+    }
+
+    const key = cacheKey(request);
+    const cached = readCache(key);
+    if (cached && isServable(cached, identity)) {
+        console.log(`[ResponseCache] Hit for ${request.model}`);
+        return { ...withNewId(cached), _cached: true };
+    }
+
+    if (pendingRequests.has(key)) {
+        const response = await pendingRequests.get(key);
+        if (!isServable(response, identity)) return send();
+        const { _account, ...shared } = response;
+        return { ...withNewId(shared), _cached: true };
+    }
+
+    const pending = send();
+    pendingRequests.set(key, pending);
+    try {
+        const response = await pending;
+        writeCache(key, response);
+        return response;
+    } finally {
+        pendingRequests.delete(key);
+    }
+}
+
+/**
+ * Stream a request through the cache
+ * A hit is replayed as a complete event sequence; its internal_metadata
+ * event carries "cached: true" and no account.
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options]
+ * @param {'on'|'off'|null} [options.cache] - Client cache directive (getCacheDirective)
+ * @param {() => Promise<void>} [options.throttle] - Awaited before calling upstream; hits skip it
+ * @param {Object} [options.identity] - API key identity (req.apiKey); limits fallback models
+ * @yields {Object} Anthropic-format SSE events
+ */
+export async function* sendMessageStreamCached(request, accountManager, { cache = null, throttle, identity } = {}) {
+    if (!isCacheable(request, cache)) {
+        if (throttle) await throttle();
+        yield* sendMessageStreamWithStructuredOutput(request, accountManager, { identity });
+        return;
+    }
+
+    const key = cacheKey(request);
+    const cached = readCache(key);
+    if (cached && isServable(cached, identity)) {
+        console.log(`[ResponseCache] Hit for ${request.model} (stream)`);
+        yield {
+            type: 'internal_metadata',
+            account: null,
+            model: cached.fallback?.model || request.model,
+            fallback: cached.fallback || null,
+            cached: true
+        };
+        yield* responseToStreamEvents(withNewId(cached));
+        return;
+    }
+
+    if (throttle) await throttle();
+    const accumulator = createStreamAccumulator();
+    for await (const event of sendMessageStreamWithStructuredOutput(request, accountManager, { identity })) {
+        accumulator.add(event);
+        yield event;
+    }
+
+    const response = accumulator.getResponse();
+    if (response) {
+        writeCache(key, response);
+    }
+}
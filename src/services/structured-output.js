@@ -0,0 +1,152 @@
+/**
+ * Structured Output Service
+ * Sends requests that carry an output_format, unwrapping the synthetic tool
+ * call used to emulate it and checking the answer against the schema.
+ *
+ * Non-streaming responses that fail validation are retried with the errors
+ * fed back to the model (STRUCTURED_OUTPUT_RETRIES times). Streams cannot be
+ * retried once started, so mismatches there are only logged.
+ *
+ * Requests with tool_choice.disable_parallel_tool_use have any tool calls
+ * after the first dropped here as well, since Google cannot limit them.
+ */
+
+import { STRUCTURED_OUTPUT_RETRIES } from '../constants.js';
+import {
+    createStructuredOutputStreamUnwrapper,
+    getResponseText,
+    unwrapStructuredOutput,
+    validateStructuredOutput
+} from '../format/structured-output.js';
+import { isParallelToolUseDisabled, limitToolCalls, createToolCallLimiter } from '../format/tool-choice.js';
+import { sendMessageWithFallback, sendMessageStreamWithFallback } from './model-fallback.js';
+
+/**
+ * Build the follow-up turns asking the model to correct its answer
+ */
+function correctionMessages(text, errors) {
+    return [
+        { role: 'assistant', content: [{ type: 'text', text }] },
+        {
+            role: 'user',
+            content: [{
+                type: 'text',
+                text: `Your response does not match the required format:\n${errors.map(e => `- ${e}`).join('\n')}\nReply again with only the corrected JSON.`
+            }]
+        }
+    ];
+}
+
+/**
+ * Add the token usage of an earlier attempt to a response
+ */
+function addUsage(usage, earlier) {
+    if (!earlier) return usage;
+    return {
+        ...usage,
+        input_tokens: (usage?.input_tokens || 0) + (earlier.input_tokens || 0),
+        output_tokens: (usage?.output_tokens || 0) + (earlier.output_tokens || 0)
+    };
+}
+
+/**
+ * Send a non-streaming request, enforcing its output_format and tool call limit
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options] - Passed to the model fallback service ({ identity })
+ * @returns {Promise<Object>} Anthropic-format response; the JSON answer is its text content
+ */
+export async function sendMessageWithStructuredOutput(request, accountManager, options = {}) {
+    const response = await sendWithOutputFormat(request, accountManager, options);
+    if (!isParallelToolUseDisabled(request)) {
+        return response;
+    }
+
+    const limited = limitToolCalls(response);
+    if (limited.tool_calls_truncated) {
+        console.log(`[StructuredOutput] Dropped ${limited.tool_calls_truncated} extra tool call(s), parallel tool use is disabled`);
+    }
+    return limited;
+}
+
+/**
+ * Stream a request, enforcing its output_format and tool call limit
+ * @param {Object} request - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - Account manager instance
+ * @param {Object} [options] - Passed to the model fallback service ({ identity })
+ * @yields {Object} Anthropic-format SSE events with the synthetic tool call turned into text
+ */
+export async function* sendMessageStreamWithStructuredOutput(request, accountManager, options = {}) {
+    if (!isParallelToolUseDisabled(request)) {
+        yield* streamWithOutputFormat(request, accountManager, options);
+        return;
+    }
+
+    const limit = createToolCallLimiter();
+    for await (const event of streamWithOutputFormat(request, accountManager, options)) {
+        const mapped = limit(event);
+        if (!mapped) continue;
+        if (mapped.tool_calls_truncated) {
+            console.log(`[StructuredOutput] Dropped ${mapped.tool_calls_truncated} extra streamed tool call(s), parallel tool use is disabled`);
+        }
+        yield mapped;
+    }
+}
+
+/**
+ * Send a non-streaming request, enforcing its output_format
+ */
+async function sendWithOutputFormat(request, accountManager, options) {
+    const format = request.output_format;
+    if (!format) {
+        return sendMessageWithFallback(request, accountManager, options);
+    }
+
+    let attemptRequest = request;
+    let usage = null;
+    for (let attempt = 0; ; attempt++) {
+        const response = unwrapStructuredOutput(await sendMessageWithFallback(attemptRequest, accountManager, options));
+        usage = addUsage(response.usage, usage);
+
+        const text = getResponseText(response);
+        const errors = validateStructuredOutput(text, format);
+        if (errors.length === 0 || attempt >= STRUCTURED_OUTPUT_RETRIES) {
+            if (errors.length > 0) {
+                console.log(`[StructuredOutput] Returning response that does not match the format: ${errors[0]}`);
+            }
+            return { ...response, usage };
+        }
+
+        console.log(`[StructuredOutput] Response does not match the format (${errors[0]}), retrying`);
+        attemptRequest = {
+            ...attemptRequest,
+            messages: [...attemptRequest.messages, ...correctionMessages(text, errors)]
+        };
+    }
+}
+
+/**
+ * Stream a request, enforcing its output_format
+ */
+async function* streamWithOutputFormat(request, accountManager, options) {
+    const format = request.output_format;
+    if (!format) {
+        yield* sendMessageStreamWithFallback(request, accountManager, options);
+        return;
+    }
+
+    const unwrap = createStructuredOutputStreamUnwrapper();
+    let text = '';
+    for await (const event of sendMessageStreamWithFallback(request, accountManager, options)) {
+        const mapped = unwrap(event);
+        if (mapped.type === 'content_block_delta' && mapped.delta?.type === 'text_delta') {
+            text += mapped.delta.text;
+        }
+        yield mapped;
+    }
+
+    const errors = validateStructuredOutput(text, format);
+    if (errors.length > 0) {
+        console.log(`[StructuredOutput] Streamed response does not match the format: ${errors[0]}`);
+    }
+}
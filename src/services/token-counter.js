@@ -0,0 +1,185 @@
+/**
+ * Token Counter Service
+ * Counts input tokens for /v1/messages/count_tokens
+ *
+ * Asks the Cloud Code backend first and falls back to a local estimate
+ * (text, images, documents, tool blocks and system prompt) if that fails.
+ */
+
+import { countTokens } from '../cloudcode-client.js';
+import { convertAnthropicToGoogle } from '../format/request-converter.js';
+import { getModelFamily } from '../constants.js';
+import { estimateTokenCount } from '../utils/helpers.js';
+import { getImageDimensions } from '../utils/image-utils.js';
+
+// Per-message structural overhead (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Fallback when image dimensions can't be read (Claude's ~1.15MP ceiling)
+const DEFAULT_IMAGE_TOKENS = 1600;
+
+// Gemini bills images as 768x768 tiles; small images count as one tile
+const GEMINI_IMAGE_TILE_SIZE = 768;
+const GEMINI_TOKENS_PER_TILE = 258;
+
+// Anthropic documents PDFs at roughly 1500-3000 tokens per page
+const PDF_TOKENS_PER_PAGE = 1500;
+
+/**
+ * Estimate tokens for an image block
+ * @param {Object} source - Anthropic image source
+ * @param {string} modelFamily - 'claude' | 'gemini' | 'unknown'
+ * @returns {number} Estimated token count
+ */
+function estimateImageTokens(source, modelFamily) {
+    let dimensions = null;
+    if (source?.type === 'base64' && source.data) {
+        dimensions = getImageDimensions(Buffer.from(source.data, 'base64'));
+    }
+
+    if (!dimensions) {
+        return modelFamily === 'gemini' ? GEMINI_TOKENS_PER_TILE : DEFAULT_IMAGE_TOKENS;
+    }
+
+    const { width, height } = dimensions;
+
+    if (modelFamily === 'gemini') {
+        if (width <= 384 && height <= 384) return GEMINI_TOKENS_PER_TILE;
+        const tiles = Math.ceil(width / GEMINI_IMAGE_TILE_SIZE) * Math.ceil(height / GEMINI_IMAGE_TILE_SIZE);
+        return tiles * GEMINI_TOKENS_PER_TILE;
+    }
+
+    // Claude: tokens ≈ (width * height) / 750, capped by server-side resizing
+    return Math.min(Math.ceil((width * height) / 750), DEFAULT_IMAGE_TOKENS);
+}
+
+/**
+ * Estimate tokens for a document block (PDF page count heuristic)
+ * @param {Object} source - Anthropic document source
+ * @returns {number} Estimated token count
+ */
+function estimateDocumentTokens(source) {
+    if (source?.type === 'text') {
+        return estimateTokenCount(source.data || '');
+    }
+    if (source?.type !== 'base64' || !source.data) {
+        return PDF_TOKENS_PER_PAGE;
+    }
+
+    const raw = Buffer.from(source.data, 'base64').toString('latin1');
+    const pages = (raw.match(/\/Type\s*\/Page\b/g) || []).length;
+    return Math.max(pages, 1) * PDF_TOKENS_PER_PAGE;
+}
+
+/**
+ * Estimate tokens for Anthropic message content
+ * @param {string|Array} content - Message content
+ * @param {string} modelFamily - 'claude' | 'gemini' | 'unknown'
+ * @returns {number} Estimated token count
+ */
+function estimateContentTokens(content, modelFamily) {
+    if (typeof content === 'string') {
+        return estimateTokenCount(content);
+    }
+    if (!Array.isArray(content)) {
+        return estimateTokenCount(content);
+    }
+
+    let total = 0;
+    for (const block of content) {
+        if (!block) continue;
+
+        switch (block.type) {
+            case 'text':
+                total += estimateTokenCount(block.text || '');
+                break;
+            case 'image':
+                total += estimateImageTokens(block.source, modelFamily);
+                break;
+            case 'document':
+                total += estimateDocumentTokens(block.source);
+                break;
+            case 'tool_use':
+                total += estimateTokenCount(block.name || '') + estimateTokenCount(block.input || {});
+                break;
+            case 'tool_result':
+                total += estimateContentTokens(block.content ?? '', modelFamily);
+                break;
+            case 'thinking':
+                total += estimateTokenCount(block.thinking || '');
+                break;
+            default:
+                total += estimateTokenCount(block);
+        }
+    }
+    return total;
+}
+
+/**
+ * Estimate tokens for the system prompt (string or text block array)
+ * @param {string|Array} system - Anthropic system prompt
+ * @returns {number} Estimated token count
+ */
+function estimateSystemTokens(system) {
+    if (!system) return 0;
+    if (typeof system === 'string') return estimateTokenCount(system);
+    if (Array.isArray(system)) {
+        return system
+            .filter(block => block.type === 'text')
+            .reduce((sum, block) => sum + estimateTokenCount(block.text || ''), 0);
+    }
+    return 0;
+}
+
+/**
+ * Estimate input tokens locally (no network)
+ * @param {Object} anthropicRequest - Anthropic-format request
+ * @returns {{systemTokens: number, messageTokens: number}} Token estimates
+ */
+export function estimateRequestTokens(anthropicRequest) {
+    const modelFamily = getModelFamily(anthropicRequest.model);
+    let messageTokens = 0;
+
+    for (const msg of anthropicRequest.messages || []) {
+        messageTokens += MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(msg.content, modelFamily);
+    }
+
+    return {
+        systemTokens: estimateSystemTokens(anthropicRequest.system),
+        messageTokens
+    };
+}
+
+/**
+ * Count input tokens for an Anthropic-format request.
+ * Tool schema tokens are always estimated (calculateToolTokens via the
+ * request converter) and reported separately from message tokens.
+ *
+ * @param {Object} anthropicRequest - Anthropic-format request
+ * @param {import('../account-manager.js').default} accountManager - The account manager instance
+ * @returns {Promise<{input_tokens: number, message_tokens: number, tool_tokens: number, source: string}>}
+ */
+export async function countRequestTokens(anthropicRequest, accountManager) {
+    const { toolMetadata } = convertAnthropicToGoogle(anthropicRequest);
+    const toolTokens = toolMetadata?.filteredTokens || 0;
+
+    let messageTokens;
+    let source;
+
+    try {
+        messageTokens = await countTokens(anthropicRequest, accountManager);
+        source = 'upstream';
+    } catch (error) {
+        console.log(`[TokenCounter] Upstream count failed, using local estimate: ${error.message}`);
+        const estimate = estimateRequestTokens(anthropicRequest);
+        messageTokens = estimate.systemTokens + estimate.messageTokens;
+        source = 'estimate';
+    }
+
+    return {
+        input_tokens: messageTokens + toolTokens,
+        message_tokens: messageTokens,
+        tool_tokens: toolTokens,
+        source
+    };
+}
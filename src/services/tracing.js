@@ -0,0 +1,197 @@
+/**
+ * Tracing Service
+ * Minimal OpenTelemetry tracing, exported as OTLP/HTTP JSON
+ *
+ * Off unless OTEL_EXPORTER_OTLP_ENDPOINT (or ..._TRACES_ENDPOINT) is set;
+ * spans are then no-ops that cost nothing. Finished spans are queued and
+ * sent in batches, and dropped if the collector cannot be reached.
+ */
+
+import crypto from 'crypto';
+import { OTLP_TRACES_ENDPOINT, OTLP_HEADERS, OTEL_SERVICE_NAME } from '../constants.js';
+
+const EXPORT_INTERVAL_MS = 5000;
+const EXPORT_BATCH_SIZE = 512;
+const MAX_QUEUED_SPANS = 4096;
+
+// OTLP enums
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_ERROR = 2;
+
+const queue = [];
+let exportTimer = null;
+let exportFailing = false;
+
+const NOOP_SPAN = Object.freeze({
+    traceId: null,
+    spanId: null,
+    setAttributes() {},
+    recordError() {},
+    end() {}
+});
+
+/**
+ * Current time as nanoseconds since the epoch (string, as OTLP JSON expects for 64-bit values)
+ */
+function nowNanos() {
+    const micros = BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000));
+    return (micros * 1000n).toString();
+}
+
+/**
+ * Convert an attribute value to an OTLP AnyValue
+ */
+function toAnyValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    return { stringValue: String(value) };
+}
+
+/**
+ * Convert an attribute object to OTLP KeyValues, skipping empty values
+ */
+function toKeyValues(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Send queued spans to the collector
+ */
+async function exportSpans() {
+    while (queue.length > 0) {
+        const spans = queue.splice(0, EXPORT_BATCH_SIZE);
+        try {
+            const response = await fetch(OTLP_TRACES_ENDPOINT, {
+                method: 'POST',
+                headers: { ...OTLP_HEADERS, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    resourceSpans: [{
+                        resource: { attributes: toKeyValues({ 'service.name': OTEL_SERVICE_NAME }) },
+                        scopeSpans: [{ scope: { name: OTEL_SERVICE_NAME }, spans }]
+                    }]
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            if (exportFailing) {
+                console.log('[Tracing] Span export recovered');
+                exportFailing = false;
+            }
+        } catch (error) {
+            // Log once per outage rather than every interval
+            if (!exportFailing) {
+                console.error(`[Tracing] Failed to export ${spans.length} spans to ${OTLP_TRACES_ENDPOINT}:`, error.message);
+                exportFailing = true;
+            }
+            return;
+        }
+    }
+}
+
+/**
+ * Queue a finished span, starting the export timer on first use
+ */
+function enqueue(span) {
+    if (queue.length >= MAX_QUEUED_SPANS) {
+        queue.shift();
+    }
+    queue.push(span);
+
+    if (!exportTimer) {
+        exportTimer = setInterval(exportSpans, EXPORT_INTERVAL_MS);
+        exportTimer.unref();
+    }
+    if (queue.length >= EXPORT_BATCH_SIZE) {
+        exportSpans();
+    }
+}
+
+/**
+ * Check whether spans are exported
+ * @returns {boolean} True if an OTLP endpoint is configured
+ */
+export function isTracingEnabled() {
+    return !!OTLP_TRACES_ENDPOINT;
+}
+
+/**
+ * Start a span
+ * @param {string} name - Span name
+ * @param {Object} [options]
+ * @param {Object} [options.parent] - Parent span; omitted for a new trace
+ * @param {Object} [options.attributes] - Initial attributes
+ * @param {boolean} [options.client] - The span covers a call to another service
+ * @returns {{traceId: string, spanId: string, setAttributes: function(Object): void, recordError: function(Error): void, end: function(): void}}
+ */
+export function startSpan(name, { parent, attributes = {}, client = false } = {}) {
+    if (!isTracingEnabled()) return NOOP_SPAN;
+
+    const traceId = parent?.traceId || crypto.randomBytes(16).toString('hex');
+    const spanId = crypto.randomBytes(8).toString('hex');
+    const startTimeUnixNano = nowNanos();
+    const spanAttributes = { ...attributes };
+    let status = null;
+    let ended = false;
+
+    return {
+        traceId,
+        spanId,
+        setAttributes(values) {
+            Object.assign(spanAttributes, values);
+        },
+        recordError(error) {
+            status = { code: STATUS_CODE_ERROR, message: error?.message || String(error) };
+        },
+        end() {
+            if (ended) return;
+            ended = true;
+            enqueue({
+                traceId,
+                spanId,
+                ...(parent?.spanId && { parentSpanId: parent.spanId }),
+                name,
+                kind: client ? SPAN_KIND_CLIENT : SPAN_KIND_INTERNAL,
+                startTimeUnixNano,
+                endTimeUnixNano: nowNanos(),
+                attributes: toKeyValues(spanAttributes),
+                ...(status && { status })
+            });
+        }
+    };
+}
+
+/**
+ * Run a function inside a span, ending it when the function returns or its promise settles
+ * @param {string} name - Span name
+ * @param {Object} options - startSpan options
+ * @param {function(Object): any} fn - Called with the span
+ * @returns {any} The function's result
+ */
+export function withSpan(name, options, fn) {
+    const span = startSpan(name, options);
+    const fail = error => {
+        span.recordError(error);
+        span.end();
+        throw error;
+    };
+
+    let result;
+    try {
+        result = fn(span);
+    } catch (error) {
+        fail(error);
+    }
+    if (typeof result?.then === 'function') {
+        return result.then(value => {
+            span.end();
+            return value;
+        }, fail);
+    }
+    span.end();
+    return result;
+}
@@ -0,0 +1,99 @@
+/**
+ * Usage Analytics Service
+ * Aggregates request history into time buckets and per-model,
+ * per-account, per-route and per-API-key breakdowns for the dashboard.
+ */
+
+import { aggregateRequestHistory } from './request-history.js';
+
+export const BUCKET_SIZES = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Upper bound on timeline length to keep responses small
+export const MAX_BUCKETS = 1000;
+
+const GROUPINGS = {
+    byModel: 'model',
+    byAccount: 'account',
+    byRoute: 'route',
+    byApiKey: 'apiKey'
+};
+
+/**
+ * Turn an aggregate row into the public aggregate shape
+ */
+function finalize({ requests = 0, errors = 0, inputTokens = 0, outputTokens = 0, cacheReadTokens = 0, latencyP50 = null, latencyP95 = null } = {}) {
+    return {
+        requests,
+        errors,
+        errorRate: requests > 0 ? errors / requests : 0,
+        inputTokens,
+        outputTokens,
+        cacheReadTokens,
+        latencyP50,
+        latencyP95
+    };
+}
+
+/**
+ * Finalize grouped rows into a list sorted by total tokens, descending
+ */
+function finalizeGroups(rows) {
+    return rows
+        .map(row => ({ key: row.key, ...finalize(row) }))
+        .sort((a, b) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens) || b.requests - a.requests);
+}
+
+/**
+ * Compute usage analytics over a time range
+ * Buckets are aligned to UTC hour/day boundaries. Grouping and totals are
+ * computed by the history database, so only the aggregates are loaded.
+ *
+ * @param {Object} options
+ * @param {number} options.from - Start of range (epoch ms, inclusive)
+ * @param {number} options.to - End of range (epoch ms, inclusive)
+ * @param {string} [options.bucket='day'] - 'hour' or 'day'
+ * @param {string} [options.model] - Only include this model
+ * @param {string} [options.account] - Only include this account
+ * @param {string} [options.route] - Only include this route (e.g. /v1/messages)
+ * @param {string} [options.apiKey] - Only include this API key name
+ * @returns {Object} { from, to, bucket, totals, timeline, byModel, byAccount, byRoute, byApiKey }
+ * @throws {Error} If the bucket size is unknown or the range needs too many buckets
+ */
+export function getUsageAnalytics({ from, to, bucket = 'day', model, account, route, apiKey }) {
+    const bucketMs = BUCKET_SIZES[bucket];
+    if (!bucketMs) {
+        throw new Error(`Unknown bucket size "${bucket}". Use one of: ${Object.keys(BUCKET_SIZES).join(', ')}`);
+    }
+
+    const firstBucket = Math.floor(from / bucketMs) * bucketMs;
+    const bucketCount = Math.floor((to - firstBucket) / bucketMs) + 1;
+    if (bucketCount > MAX_BUCKETS) {
+        throw new Error(`Time range is too large for ${bucket} buckets (max ${MAX_BUCKETS})`);
+    }
+
+    const filters = { model, account, route, apiKey, from, to };
+    const [totals] = aggregateRequestHistory(filters, 'total');
+    const buckets = new Map(
+        aggregateRequestHistory(filters, 'bucket', { firstBucket, bucketMs }).map(row => [row.key, row])
+    );
+
+    const groups = {};
+    for (const [name, groupBy] of Object.entries(GROUPINGS)) {
+        groups[name] = finalizeGroups(aggregateRequestHistory(filters, groupBy));
+    }
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        bucket,
+        totals: finalize(totals),
+        timeline: Array.from({ length: bucketCount }, (_, i) => ({
+            start: new Date(firstBucket + i * bucketMs).toISOString(),
+            ...finalize(buckets.get(i))
+        })),
+        ...groups
+    };
+}
@@ -52,4 +52,134 @@ export function estimateTokenCount(content) {
     // Approximate: Claude tokenizer uses ~4 characters per token on average
     // This is a rough estimate, actual tokenization may vary
     return Math.ceil(text.length / 4);
-}
\ No newline at end of file
+}
+
+/**
+ * Parse a base64 data URL (e.g. "data:image/png;base64,iVBOR...")
+ * @param {string} url - URL to parse
+ * @returns {{mediaType: string, data: string}|null} Media type and base64 payload, or null if not a base64 data URL
+ */
+export function parseDataUrl(url) {
+    if (typeof url !== 'string') return null;
+    const match = url.match(/^data:([^;,]+)?((?:;[^;,]+)*);base64,(.*)$/s);
+    if (!match) return null;
+    return {
+        mediaType: match[1] || 'application/octet-stream',
+        data: match[3]
+    };
+}
+
+/**
+ * Convert an image/file URL to an Anthropic source object
+ * data: URLs become base64 sources; anything else stays a URL reference.
+ * @param {string} url - data: URL or remote URL
+ * @returns {Object} Anthropic source
+ */
+export function urlToSource(url) {
+    const dataUrl = parseDataUrl(url);
+    if (dataUrl) {
+        return { type: 'base64', media_type: dataUrl.mediaType, data: dataUrl.data };
+    }
+    return { type: 'url', url };
+}
+
+/**
+ * Parse a query-string time bound given as epoch milliseconds or an ISO 8601 date
+ * @param {string|undefined} value - Raw query value
+ * @returns {number|null|undefined} Epoch ms, undefined if absent, null if invalid
+ */
+export function parseTimeBound(value) {
+    if (value === undefined || value === '') return undefined;
+    const asNumber = Number(value);
+    const parsed = Number.isFinite(asNumber) ? asNumber : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Interleave several async iterables, yielding items as soon as any produces one
+ * If one iterable throws, the others are closed and the error is rethrown.
+ * @param {Array<AsyncIterable>} iterables - Sources to merge
+ * @yields {{index: number, value: *}} Item and the index of the iterable it came from
+ */
+export async function* interleaveAsync(iterables) {
+    const iterators = iterables.map(iterable => iterable[Symbol.asyncIterator]());
+    const next = index => iterators[index].next().then(result => ({ index, result }));
+    const pending = new Map(iterators.map((_, index) => [index, next(index)]));
+
+    try {
+        while (pending.size > 0) {
+            const { index, result } = await Promise.race(pending.values());
+            if (result.done) {
+                pending.delete(index);
+                continue;
+            }
+            pending.set(index, next(index));
+            yield { index, value: result.value };
+        }
+    } finally {
+        for (const [index, promise] of pending) {
+            promise.catch(() => {});
+            Promise.resolve(iterators[index].return?.()).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Pass events through, yielding { type: 'ping' } whenever the source is silent for intervalMs
+ * Keeps streaming connections open through proxies that close idle ones (e.g. during long thinking).
+ * @param {AsyncIterable<Object>} iterable - Source events
+ * @param {number} intervalMs - Silence before each ping
+ * @yields {Object} The source events, with pings in between
+ */
+export async function* withKeepalive(iterable, intervalMs) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    let pending = null;
+    let finished = false;
+
+    try {
+        while (true) {
+            pending ??= iterator.next();
+            let timer;
+            const silence = new Promise(resolve => {
+                timer = setTimeout(resolve, intervalMs, null);
+            });
+            const result = await Promise.race([pending, silence]);
+            clearTimeout(timer);
+
+            if (result === null) {
+                yield { type: 'ping' };
+                continue;
+            }
+            pending = null;
+            if (result.done) {
+                finished = true;
+                return;
+            }
+            yield result.value;
+        }
+    } finally {
+        if (!finished) {
+            pending?.catch(() => {});
+            Promise.resolve(iterator.return?.()).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal values always give the same string
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,94 @@
+/**
+ * Image Utility Functions
+ *
+ * Lightweight helpers for inspecting image data without a native
+ * image library (header parsing only).
+ */
+
+/**
+ * Read image dimensions from the file header.
+ * Supports PNG, GIF, JPEG and WebP (VP8, VP8L, VP8X).
+ * @param {Buffer} buffer - Raw image bytes
+ * @returns {{width: number, height: number}|null} Dimensions or null if unknown
+ */
+export function getImageDimensions(buffer) {
+    if (!buffer || buffer.length < 24) return null;
+
+    // PNG: 8-byte signature, IHDR chunk holds width/height at offset 16
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return {
+            width: buffer.readUInt32BE(16),
+            height: buffer.readUInt32BE(20)
+        };
+    }
+
+    // GIF: "GIF8", little-endian width/height at offset 6
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return {
+            width: buffer.readUInt16LE(6),
+            height: buffer.readUInt16LE(8)
+        };
+    }
+
+    // WebP: "RIFF" .... "WEBP"
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ' && buffer.length >= 30) {
+            return {
+                width: buffer.readUInt16LE(26) & 0x3fff,
+                height: buffer.readUInt16LE(28) & 0x3fff
+            };
+        }
+        if (chunk === 'VP8L' && buffer.length >= 25) {
+            const bits = buffer.readUInt32LE(21);
+            return {
+                width: (bits & 0x3fff) + 1,
+                height: ((bits >> 14) & 0x3fff) + 1
+            };
+        }
+        if (chunk === 'VP8X' && buffer.length >= 30) {
+            return {
+                width: buffer.readUIntLE(24, 3) + 1,
+                height: buffer.readUIntLE(27, 3) + 1
+            };
+        }
+        return null;
+    }
+
+    // JPEG: walk segments until a SOFn marker
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = buffer[offset + 1];
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return {
+                    width: buffer.readUInt16BE(offset + 7),
+                    height: buffer.readUInt16BE(offset + 5)
+                };
+            }
+            const segmentLength = buffer.readUInt16BE(offset + 2);
+            offset += 2 + segmentLength;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Detect the image type from the file's magic bytes.
+ * @param {Buffer} buffer - Raw image bytes
+ * @returns {string|null} MIME type (image/png, image/jpeg, image/gif, image/webp) or null
+ */
+export function sniffImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
@@ -0,0 +1,160 @@
+/**
+ * JSON Schema Validator
+ * Small validator for checking model output against a response_format schema.
+ *
+ * Covers the keywords structured output schemas use in practice: type,
+ * enum, const, properties, required, additionalProperties, items,
+ * prefixItems, anyOf/oneOf/allOf, local $ref (#/$defs, #/definitions),
+ * string/number/array bounds and pattern. Unknown keywords are ignored.
+ */
+
+const MAX_ERRORS = 10;
+
+/**
+ * Get the JSON Schema type of a value
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema type name ("number" also accepts integers)
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local $ref like "#/$defs/Item"
+ */
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    return ref.slice(1).split('/').filter(Boolean).reduce(
+        (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+        root
+    ) || null;
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ */
+function check(value, schema, root, path, errors) {
+    if (errors.length >= MAX_ERRORS) return;
+    if (schema === false) {
+        errors.push(`${path}: no value is allowed here`);
+        return;
+    }
+    if (!schema || typeof schema !== 'object') return;
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (target) check(value, target, root, path, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    for (const sub of schema.allOf || []) {
+        check(value, sub, root, path, errors);
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+        const options = schema[keyword];
+        if (!Array.isArray(options)) continue;
+        const matches = options.filter(sub => validateJsonSchema(value, sub, root).length === 0).length;
+        if (matches === 0 || (keyword === 'oneOf' && matches > 1)) {
+            errors.push(`${path}: must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the ${keyword} schemas`);
+        }
+    }
+
+    const type = typeOf(value);
+    if (type === 'object') {
+        checkObject(value, schema, root, path, errors);
+    } else if (type === 'array') {
+        checkArray(value, schema, root, path, errors);
+    } else if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) {
+                    errors.push(`${path}: must match pattern ${schema.pattern}`);
+                }
+            } catch {
+                // Patterns JavaScript cannot compile are not enforced
+            }
+        }
+    } else if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+}
+
+/**
+ * Validate object keywords (required, properties, additionalProperties)
+ */
+function checkObject(value, schema, root, path, errors) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+        if (!(name in value)) errors.push(`${path}: missing required property "${name}"`);
+    }
+    for (const [name, propValue] of Object.entries(value)) {
+        if (properties[name] !== undefined) {
+            check(propValue, properties[name], root, `${path}.${name}`, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${path}: unexpected property "${name}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            check(propValue, schema.additionalProperties, root, `${path}.${name}`, errors);
+        }
+    }
+}
+
+/**
+ * Validate array keywords (minItems, maxItems, prefixItems, items)
+ */
+function checkArray(value, schema, root, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+        const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+        if (itemSchema !== undefined) check(item, itemSchema, root, `${path}[${index}]`, errors);
+    });
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [root] - Root schema for resolving $ref (defaults to schema)
+ * @returns {string[]} Validation errors (empty if valid), at most 10
+ */
+export function validateJsonSchema(value, schema, root = schema) {
+    const errors = [];
+    check(value, schema, root, '$', errors);
+    return errors;
+}
@@ -0,0 +1,269 @@
+/**
+ * Minimal PNG Codec
+ *
+ * Decodes and encodes 8-bit, non-interlaced PNGs using only zlib, so
+ * oversized screenshots can be downscaled without a native image library.
+ * Decoded images are always RGBA. Images above a pixel limit and malformed
+ * files are not decoded, so untrusted input cannot exhaust memory.
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Largest image decoded by default (about 160 MB as RGBA)
+export const MAX_DECODE_PIXELS = 40 * 1000 * 1000;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ */
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Reverse the per-row filters of decompressed image data
+ */
+function unfilter(data, width, height, bpp) {
+    const stride = width * bpp;
+    const pixels = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+        for (let x = 0; x < stride; x++) {
+            const raw = data[src + x];
+            const a = x >= bpp ? pixels[row + x - bpp] : 0;
+            const b = y > 0 ? pixels[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? pixels[prev + x - bpp] : 0;
+            let value;
+            switch (filter) {
+                case 0: value = raw; break;
+                case 1: value = raw + a; break;
+                case 2: value = raw + b; break;
+                case 3: value = raw + ((a + b) >> 1); break;
+                case 4: value = raw + paeth(a, b, c); break;
+                default: throw new Error(`Invalid PNG filter type ${filter}`);
+            }
+            pixels[row + x] = value & 0xff;
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Buffer} buffer - PNG file bytes
+ * @param {Object} [options]
+ * @param {number} [options.maxPixels=MAX_DECODE_PIXELS] - Larger images are not decoded
+ * @returns {{width: number, height: number, data: Buffer}|null} RGBA image, or null if the PNG is
+ *   not supported, too large or malformed
+ */
+export function decodePng(buffer, { maxPixels = MAX_DECODE_PIXELS } = {}) {
+    try {
+        return decodeChunks(buffer, maxPixels);
+    } catch {
+        // Truncated chunks, corrupt image data and the like
+        return null;
+    }
+}
+
+/**
+ * Decode a PNG, throwing on malformed input
+ */
+function decodeChunks(buffer, maxPixels) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) return null;
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !(header.colorType in CHANNELS)) {
+        return null;
+    }
+    if (header.colorType === 3 && !palette) return null;
+
+    const { width, height, colorType } = header;
+    if (width === 0 || height === 0 || width * height > maxPixels) return null;
+
+    // Each row is prefixed with its filter type byte
+    const channels = CHANNELS[colorType];
+    const expectedLength = (width * channels + 1) * height;
+    const inflated = inflateSync(Buffer.concat(idat), { maxOutputLength: expectedLength });
+    if (inflated.length < expectedLength) return null;
+
+    const pixels = unfilter(inflated, width, height, channels);
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+        const out = i * 4;
+        switch (colorType) {
+            case 0:
+                data[out] = data[out + 1] = data[out + 2] = pixels[p];
+                data[out + 3] = 255;
+                break;
+            case 2:
+                data[out] = pixels[p];
+                data[out + 1] = pixels[p + 1];
+                data[out + 2] = pixels[p + 2];
+                data[out + 3] = 255;
+                break;
+            case 3: {
+                const index = pixels[p];
+                data[out] = palette[index * 3];
+                data[out + 1] = palette[index * 3 + 1];
+                data[out + 2] = palette[index * 3 + 2];
+                data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                break;
+            }
+            case 4:
+                data[out] = data[out + 1] = data[out + 2] = pixels[p];
+                data[out + 3] = pixels[p + 1];
+                break;
+            case 6:
+                pixels.copy(data, out, p, p + 4);
+                break;
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC)
+ */
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * Rows use the Sub filter, which compresses screenshots well.
+ * @param {{width: number, height: number, data: Buffer}} image - RGBA image
+ * @returns {Buffer} PNG file bytes
+ */
+export function encodePng({ width, height, data }) {
+    const stride = width * 4;
+    const filtered = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        const out = y * (stride + 1);
+        filtered[out] = 1;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? data[row + x - 4] : 0;
+            filtered[out + 1 + x] = (data[row + x] - left) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(filtered)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Resize an RGBA image by area averaging (for downscaling)
+ * @param {{width: number, height: number, data: Buffer}} image - RGBA image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{width: number, height: number, data: Buffer}} Resized RGBA image
+ */
+export function resizeRgba(image, width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * scaleY);
+        const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * scaleX);
+            const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    r += image.data[i];
+                    g += image.data[i + 1];
+                    b += image.data[i + 2];
+                    a += image.data[i + 3];
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const out = (y * width + x) * 4;
+            data[out] = Math.round(r / count);
+            data[out + 1] = Math.round(g / count);
+            data[out + 2] = Math.round(b / count);
+            data[out + 3] = Math.round(a / count);
+        }
+    }
+
+    return { width, height, data };
+}
@@ -13,15 +13,16 @@ const PORT = 8080;
 /**
  * Make a streaming SSE request to the API
  * @param {Object} body - Request body
+ * @param {string} [path='/v1/messages'] - Endpoint path
  * @returns {Promise<{content: Array, events: Array, statusCode: number, raw: string}>}
  */
-function streamRequest(body) {
+function streamRequest(body, path = '/v1/messages') {
     return new Promise((resolve, reject) => {
         const data = JSON.stringify(body);
         const req = http.request({
             host: BASE_URL,
             port: PORT,
-            path: '/v1/messages',
+            path,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -102,15 +103,16 @@ function streamRequest(body) {
 /**
  * Make a non-streaming JSON request to the API
  * @param {Object} body - Request body
+ * @param {string} [path='/v1/messages'] - Endpoint path
  * @returns {Promise<Object>} - Parsed JSON response with statusCode
  */
-function makeRequest(body) {
+function makeRequest(body, path = '/v1/messages') {
     return new Promise((resolve, reject) => {
         const data = JSON.stringify(body);
         const req = http.request({
             host: BASE_URL,
             port: PORT,
-            path: '/v1/messages',
+            path,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
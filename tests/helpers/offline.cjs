@@ -0,0 +1,80 @@
+/**
+ * Offline Test Utilities
+ *
+ * Helpers for tests that load the proxy's ES modules directly instead of
+ * talking to a running server. Config and database paths are derived from
+ * the home directory when src/constants.js is imported, so HOME is pointed
+ * at a fresh temporary directory before any module is loaded.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-proxy-test-'));
+process.env.HOME = home;
+process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Import a module from src/
+ * @param {string} relativePath - Path relative to src/ (e.g. 'services/api-key.js')
+ * @returns {Promise<Object>} Module namespace
+ */
+function importSource(relativePath) {
+    return import(pathToFileURL(path.join(SRC_DIR, relativePath)).href);
+}
+
+/**
+ * Create a named group of test cases with a printed summary
+ * @param {string} title - Heading printed before the tests run
+ * @returns {{test: Function, finish: Function}}
+ */
+function createSuite(title) {
+    const results = [];
+
+    console.log('='.repeat(60));
+    console.log(title);
+    console.log('='.repeat(60));
+    console.log('');
+
+    return {
+        /**
+         * Run one test case; it fails if fn throws or rejects
+         */
+        async test(name, fn) {
+            try {
+                await fn();
+                results.push({ name, passed: true });
+            } catch (error) {
+                console.log(`  ${name}: ${error.message}`);
+                results.push({ name, passed: false });
+            }
+        },
+
+        /**
+         * Print the summary and exit with the suite's status
+         */
+        finish() {
+            const allPassed = results.every(result => result.passed);
+
+            console.log('\n' + '='.repeat(60));
+            console.log('SUMMARY');
+            console.log('='.repeat(60));
+            for (const result of results) {
+                console.log(`  [${result.passed ? 'PASS' : 'FAIL'}] ${result.name}`);
+            }
+            console.log('\n' + '='.repeat(60));
+            console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+            console.log('='.repeat(60));
+
+            process.exit(allPassed ? 0 : 1);
+        }
+    };
+}
+
+module.exports = {
+    importSource,
+    createSuite
+};
@@ -14,7 +14,22 @@ const tests = [
     { name: 'Multi-turn Tools (Streaming)', file: 'test-multiturn-thinking-tools-streaming.cjs' },
     { name: 'Interleaved Thinking', file: 'test-interleaved-thinking.cjs' },
     { name: 'Image Support', file: 'test-images.cjs' },
-    { name: 'Prompt Caching', file: 'test-caching-streaming.cjs' }
+    { name: 'Prompt Caching', file: 'test-caching-streaming.cjs' },
+    { name: 'Token Counting', file: 'test-count-tokens.cjs' },
+    { name: 'Responses API', file: 'test-responses-api.cjs' },
+    { name: 'Scoped API Keys', file: 'test-api-keys.cjs' },
+    { name: 'Budgets', file: 'test-budgets.cjs' },
+    { name: 'Image Preparation', file: 'test-image-preparation.cjs' },
+    { name: 'Metrics', file: 'test-metrics.cjs' },
+    { name: 'Request Throttle', file: 'test-throttle.cjs' },
+    { name: 'Health Checks', file: 'test-health.cjs' },
+    { name: 'Endpoint Health', file: 'test-endpoint-health.cjs' },
+    { name: 'Stream Resume', file: 'test-stream-resume.cjs' },
+    { name: 'Request History', file: 'test-request-history.cjs' },
+    { name: 'Admin Auth', file: 'test-admin-auth.cjs' },
+    { name: 'Account Selection', file: 'test-account-selection.cjs' },
+    { name: 'OpenAI Converter', file: 'test-openai-converter.cjs' },
+    { name: 'Response Cache', file: 'test-response-cache.cjs' }
 ];
 
 async function runTest(test) {
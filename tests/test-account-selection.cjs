@@ -0,0 +1,142 @@
+/**
+ * Account Selection Test
+ *
+ * Tests the account selection strategies without a server:
+ * - sticky keeps the current account, waits out a short rate limit on it,
+ *   and moves to the next usable account when the limit is long or the
+ *   account is nearly out of quota for the model
+ * - round-robin rotates through the usable accounts, wrapping around
+ * - most-quota and lru pick by remaining quota and last use
+ *
+ * Accounts are read from a temporary config file; quota snapshots come from
+ * a replaced global fetch.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+delete process.env.ACCOUNT_SELECTION_STRATEGY;
+
+const MODEL = 'gemini-3-flash';
+const EMAILS = ['a@example.com', 'b@example.com', 'c@example.com'];
+
+async function runTests() {
+    const { AccountManager } = await importSource('account-manager.js');
+    const { refreshQuotaSnapshots } = await importSource('services/model-quotas.js');
+
+    const configPath = path.join(os.homedir(), 'selection', 'accounts.json');
+
+    /**
+     * Create an account manager over the three test accounts
+     * @param {Object} [options]
+     * @param {string} [options.strategy='sticky'] - Selection strategy saved in settings
+     * @param {Array<Object>} [options.overrides] - Fields merged into each account, by position
+     * @param {number} [options.activeIndex=0] - Current account
+     */
+    async function createManager({ strategy = 'sticky', overrides = [], activeIndex = 0 } = {}) {
+        fs.mkdirSync(path.dirname(configPath), { recursive: true });
+        fs.writeFileSync(configPath, JSON.stringify({
+            accounts: EMAILS.map((email, i) => ({ email, source: 'manual', apiKey: `key-${i}`, ...overrides[i] })),
+            settings: { selectionStrategy: strategy },
+            activeIndex
+        }));
+        const manager = new AccountManager(configPath);
+        await manager.initialize();
+        manager.saveToDisk = async () => {};
+        return manager;
+    }
+
+    /**
+     * Load quota snapshots with the given remaining fraction of MODEL per account
+     */
+    async function setQuotas(manager, fractions) {
+        globalThis.fetch = async (url, init) => {
+            const email = init.headers.Authorization.replace('Bearer ', '');
+            const remainingFraction = fractions[EMAILS.indexOf(email)];
+            return new Response(JSON.stringify({ models: { [MODEL]: { quotaInfo: { remainingFraction } } } }));
+        };
+        manager.getTokenForAccount = async account => account.email;
+        await refreshQuotaSnapshots(manager);
+    }
+
+    const pick = (manager, model = MODEL) => manager.selectAccount(model).account?.email ?? null;
+    const picks = (manager, times) => Array.from({ length: times }, () => pick(manager));
+
+    const suite = createSuite('ACCOUNT SELECTION TEST');
+
+    await suite.test('Sticky keeps the current account', async () => {
+        const manager = await createManager({ activeIndex: 1 });
+        assert.deepStrictEqual(picks(manager, 3), [EMAILS[1], EMAILS[1], EMAILS[1]]);
+    });
+
+    await suite.test('Sticky waits out a short rate limit on the current account', async () => {
+        const manager = await createManager();
+        manager.markRateLimited(EMAILS[0], 30 * 1000, MODEL);
+        const { account, waitMs } = manager.selectAccount(MODEL);
+        assert.strictEqual(account, null);
+        assert.ok(waitMs > 25 * 1000 && waitMs <= 30 * 1000, `waitMs ${waitMs}`);
+
+        // The limit only applies to that model
+        assert.strictEqual(pick(manager, 'claude-sonnet-4-5'), EMAILS[0]);
+    });
+
+    await suite.test('Sticky moves on past a long rate limit, skipping unusable accounts', async () => {
+        const manager = await createManager({ overrides: [{}, { isDisabled: true }] });
+        manager.markRateLimited(EMAILS[0], 10 * 60 * 1000, MODEL);
+        assert.strictEqual(pick(manager), EMAILS[2]);
+        // The new account is sticky from then on
+        assert.strictEqual(pick(manager, 'claude-sonnet-4-5'), EMAILS[2]);
+    });
+
+    await suite.test('Sticky leaves an account nearly out of quota for the model', async () => {
+        const manager = await createManager();
+        await setQuotas(manager, [0.01, 0.5, 0.9]);
+        assert.strictEqual(pick(manager), EMAILS[1]);
+        assert.strictEqual(pick(manager), EMAILS[1]);
+    });
+
+    await suite.test('Sticky keeps an account low on quota when all are low', async () => {
+        const manager = await createManager();
+        await setQuotas(manager, [0.01, 0.02, 0.03]);
+        assert.strictEqual(pick(manager), EMAILS[0]);
+    });
+
+    await suite.test('Round-robin rotates through usable accounts', async () => {
+        const manager = await createManager({ strategy: 'round-robin' });
+        await setQuotas(manager, [1, 1, 1]);
+        assert.deepStrictEqual(picks(manager, 4), [EMAILS[1], EMAILS[2], EMAILS[0], EMAILS[1]]);
+
+        manager.markRateLimited(EMAILS[2], 10 * 60 * 1000, MODEL);
+        assert.deepStrictEqual(picks(manager, 3), [EMAILS[0], EMAILS[1], EMAILS[0]]);
+    });
+
+    await suite.test('Round-robin returns no account when none is usable', async () => {
+        const manager = await createManager({ strategy: 'round-robin', overrides: [{ isInvalid: true }, { isDisabled: true }] });
+        manager.markRateLimited(EMAILS[2], 10 * 60 * 1000);
+        assert.deepStrictEqual(manager.selectAccount(MODEL), { account: null, waitMs: 0 });
+    });
+
+    await suite.test('most-quota picks the account with the most quota left', async () => {
+        const manager = await createManager({ strategy: 'most-quota' });
+        await setQuotas(manager, [0.2, 0.8, 0.5]);
+        assert.deepStrictEqual(picks(manager, 2), [EMAILS[1], EMAILS[1]]);
+    });
+
+    await suite.test('lru picks the account used least recently', async () => {
+        const manager = await createManager({
+            strategy: 'lru',
+            overrides: [{ lastUsed: 3000 }, { lastUsed: 1000 }, { lastUsed: 2000 }]
+        });
+        await setQuotas(manager, [1, 1, 1]);
+        assert.deepStrictEqual(picks(manager, 3), [EMAILS[1], EMAILS[2], EMAILS[0]]);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * Admin Authentication Test
+ *
+ * Tests the admin token, sessions and middleware without the full server:
+ * - The generated token is saved with owner-only permissions and reused
+ * - Only loopback sockets with loopback-only X-Forwarded-For hops are local
+ * - Management endpoints refuse remote callers, missing or wrong tokens and
+ *   unknown, expired or logged-out sessions
+ * - Logging in with the token sets an HttpOnly session cookie that is
+ *   accepted until logout
+ *
+ * Requests go to a local Express app with the admin middleware and router.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+// The token must be generated and admin access kept local
+delete process.env.ANTIGRAVITY_PROXY_ADMIN_TOKEN;
+delete process.env.ANTIGRAVITY_PROXY_ALLOW_REMOTE_ADMIN;
+
+async function runTests() {
+    const { ADMIN_TOKEN_PATH, ADMIN_SESSION_COOKIE, ADMIN_SESSION_TTL_MS } = await importSource('constants.js');
+    const {
+        loadOrGenerateAdminToken,
+        verifyAdminToken,
+        createAdminSession,
+        verifyAdminSession
+    } = await importSource('services/admin-auth.js');
+    const { authenticateAdmin, isLocalRequest } = await importSource('middleware/admin-auth.js');
+    const { createAdminRouter } = await importSource('routes/admin.js');
+    const { default: express } = await import('express');
+
+    const token = loadOrGenerateAdminToken();
+
+    const app = express();
+    app.use(express.json());
+    app.use(authenticateAdmin);
+    app.use(createAdminRouter());
+    app.get('/api/config', (req, res) => res.json({ ok: true }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Call the local app
+     * @returns {Promise<{status: number, headers: Headers, body: Object}>}
+     */
+    async function request(path, { method = 'GET', headers = {}, body } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    const fakeRequest = (remoteAddress, forwardedFor) => ({
+        socket: { remoteAddress },
+        headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {}
+    });
+    const cookie = id => ({ Cookie: `${ADMIN_SESSION_COOKIE}=${id}` });
+
+    const suite = createSuite('ADMIN AUTH TEST');
+
+    await suite.test('Generated token is saved privately and reused', () => {
+        assert.match(token, /^agadm_[0-9a-f]{48}$/);
+        assert.strictEqual(fs.readFileSync(ADMIN_TOKEN_PATH, 'utf8'), token);
+        assert.strictEqual(fs.statSync(ADMIN_TOKEN_PATH).mode & 0o777, 0o600);
+        assert.strictEqual(loadOrGenerateAdminToken(), token);
+    });
+
+    await suite.test('Token check rejects anything but the exact token', () => {
+        assert.strictEqual(verifyAdminToken(token), true);
+        assert.strictEqual(verifyAdminToken(token.slice(0, -1)), false);
+        assert.strictEqual(verifyAdminToken(token + '0'), false);
+        assert.strictEqual(verifyAdminToken(''), false);
+        assert.strictEqual(verifyAdminToken(undefined), false);
+        assert.strictEqual(verifyAdminToken(['x']), false);
+    });
+
+    await suite.test('Only loopback sockets and forwarded hops count as local', () => {
+        assert.strictEqual(isLocalRequest(fakeRequest('127.0.0.1')), true);
+        assert.strictEqual(isLocalRequest(fakeRequest('::1')), true);
+        assert.strictEqual(isLocalRequest(fakeRequest('::ffff:127.0.0.1', '127.0.0.1, ::1')), true);
+        assert.strictEqual(isLocalRequest(fakeRequest('192.168.1.20')), false);
+        assert.strictEqual(isLocalRequest(fakeRequest('127.0.0.1', '203.0.113.5')), false);
+        assert.strictEqual(isLocalRequest(fakeRequest('127.0.0.1', '127.0.0.1, 203.0.113.5')), false);
+        assert.strictEqual(isLocalRequest({ headers: {} }), false);
+    });
+
+    await suite.test('Remote callers are refused even with the token', async () => {
+        const config = await request('/api/config', {
+            headers: { 'x-admin-token': token, 'X-Forwarded-For': '203.0.113.5' }
+        });
+        assert.strictEqual(config.status, 403);
+        assert.strictEqual(config.body.error.type, 'permission_error');
+
+        const login = await request('/api/admin/login', {
+            method: 'POST',
+            headers: { 'X-Forwarded-For': '203.0.113.5' },
+            body: { token }
+        });
+        assert.strictEqual(login.status, 403);
+    });
+
+    await suite.test('Management endpoints need a valid token or session', async () => {
+        assert.strictEqual((await request('/api/config')).status, 401);
+        assert.strictEqual((await request('/api/config', { headers: { 'x-admin-token': 'agadm_wrong' } })).status, 401);
+        assert.strictEqual((await request('/api/config', { headers: cookie('not-a-session') })).status, 401);
+        assert.strictEqual((await request('/api/config', { headers: { 'x-admin-token': token } })).status, 200);
+    });
+
+    await suite.test('Login with a wrong token sets no cookie', async () => {
+        const login = await request('/api/admin/login', { method: 'POST', body: { token: 'agadm_wrong' } });
+        assert.strictEqual(login.status, 401);
+        assert.strictEqual(login.headers.get('set-cookie'), null);
+    });
+
+    await suite.test('Session cookie works until logout', async () => {
+        const login = await request('/api/admin/login', { method: 'POST', body: { token } });
+        assert.strictEqual(login.status, 200);
+        const setCookie = login.headers.get('set-cookie');
+        assert.match(setCookie, /HttpOnly/);
+        assert.match(setCookie, /SameSite=Strict/);
+        assert.match(setCookie, new RegExp(`Max-Age=${ADMIN_SESSION_TTL_MS / 1000}`));
+        const sessionId = setCookie.match(new RegExp(`${ADMIN_SESSION_COOKIE}=([0-9a-f]+)`))[1];
+
+        assert.strictEqual((await request('/api/config', { headers: cookie(sessionId) })).status, 200);
+        assert.strictEqual((await request('/api/admin/session', { headers: cookie(sessionId) })).body.authenticated, true);
+
+        const logout = await request('/api/admin/logout', { method: 'POST', headers: cookie(sessionId) });
+        assert.match(logout.headers.get('set-cookie'), /Max-Age=0/);
+        assert.strictEqual((await request('/api/config', { headers: cookie(sessionId) })).status, 401);
+        assert.strictEqual((await request('/api/admin/session', { headers: cookie(sessionId) })).body.authenticated, false);
+    });
+
+    await suite.test('Sessions expire after their lifetime', () => {
+        const { id } = createAdminSession();
+        assert.strictEqual(verifyAdminSession(id), true);
+
+        const realNow = Date.now;
+        const expiry = realNow() + ADMIN_SESSION_TTL_MS;
+        Date.now = () => expiry;
+        try {
+            assert.strictEqual(verifyAdminSession(id), false);
+        } finally {
+            Date.now = realNow;
+        }
+        // Expired sessions are dropped, not revived
+        assert.strictEqual(verifyAdminSession(id), false);
+    });
+
+    server.close();
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,188 @@
+/**
+ * Scoped API Key Test
+ *
+ * Tests scoped key resolution and model allow-lists without a server:
+ * - Created keys resolve to their identity; revoked keys are rejected
+ * - Requests without a model are checked against the default model
+ * - An empty model is never allowed for a key with an allow-list
+ * - Batches are checked against the resolved model
+ * - Aliases are allowed by their target model only, never by their name
+ * - Keys looked up by id (as queued batch requests are) stop once revoked
+ * - Embedding models a key may not use are refused before the backend is
+ *   asked and are never listed in errors
+ * - A new key reusing a revoked key's name cannot see its batches, except
+ *   batches saved without a key id
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+async function runTests() {
+    const {
+        createScopedApiKey,
+        revokeScopedApiKey,
+        resolveApiKey,
+        getApiKeyIdentity,
+        isModelAllowed,
+        assertModelAllowed,
+        DEFAULT_KEY_IDENTITY
+    } = await importSource('services/api-key.js');
+    const { applyModelAlias, setModelAlias } = await importSource('services/model-aliases.js');
+    const {
+        createMessageBatch,
+        getMessageBatch,
+        listMessageBatches,
+        cancelMessageBatch,
+        deleteMessageBatch,
+        getMessageBatchResults
+    } = await importSource('services/message-batches.js');
+    const { DEFAULT_MODEL } = await importSource('constants.js');
+    const { resolveEmbeddingModel } = await importSource('services/embeddings.js');
+    const { ApiError } = await importSource('errors.js');
+
+    // The backend lists two embedding models and a chat model
+    let modelListCalls = 0;
+    globalThis.fetch = async () => {
+        modelListCalls++;
+        return new Response(JSON.stringify({
+            models: { 'gemini-embedding-001': {}, 'text-embedding-004': {}, 'gemini-3-flash': {} }
+        }));
+    };
+    const accountManager = {
+        getAvailableAccounts: () => [{ email: 'a@example.com' }],
+        getTokenForAccount: async () => 'token'
+    };
+    const rejectsWith = (statusCode, check = () => true) => error =>
+        error instanceof ApiError && error.statusCode === statusCode && check(error.message);
+
+    const suite = createSuite('SCOPED API KEY TEST');
+    const { key } = createScopedApiKey({ name: 'gemini-only', models: ['gemini-*'] });
+    const { identity } = resolveApiKey(key);
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    await suite.test('Created key resolves to its identity', () => {
+        assert.strictEqual(identity.name, 'gemini-only');
+        assert.deepStrictEqual(identity.models, ['gemini-*']);
+        assert.strictEqual(identity.scoped, true);
+    });
+
+    await suite.test('Unknown keys are rejected', () => {
+        assert.deepStrictEqual(resolveApiKey('ag_nope'), { identity: null, reason: 'invalid' });
+        assert.deepStrictEqual(resolveApiKey(''), { identity: null, reason: 'missing' });
+    });
+
+    await suite.test('Wildcard entries match by prefix', () => {
+        assert.strictEqual(isModelAllowed(identity, 'gemini-3-flash'), true);
+        assert.strictEqual(isModelAllowed(identity, 'antigravity-gemini-3-flash'), true);
+        assert.strictEqual(isModelAllowed(identity, 'claude-sonnet-4-5'), false);
+    });
+
+    await suite.test('Empty model is not allowed', () => {
+        assert.strictEqual(isModelAllowed(identity, undefined), false);
+        assert.strictEqual(isModelAllowed(identity, ''), false);
+    });
+
+    await suite.test('Keys without an allow-list may use any model', () => {
+        assert.strictEqual(isModelAllowed(DEFAULT_KEY_IDENTITY, DEFAULT_MODEL), true);
+    });
+
+    await suite.test('Request without a model is checked against the default model', () => {
+        const { model } = applyModelAlias({ messages });
+        assert.strictEqual(model, DEFAULT_MODEL);
+        assert.throws(() => assertModelAllowed(identity, model), error =>
+            error.statusCode === 403 && error.errorType === 'permission_error');
+    });
+
+    await suite.test('Batch without a model is rejected for a restricted key', () => {
+        assert.throws(
+            () => createMessageBatch([{ custom_id: 'a', params: { messages, max_tokens: 16 } }], { identity }),
+            error => error.statusCode === 403 && error.message.includes(DEFAULT_MODEL)
+        );
+    });
+
+    await suite.test('Alias is allowed when its target is', () => {
+        setModelAlias('fast', { model: 'gemini-3-flash' });
+        assert.strictEqual(isModelAllowed(identity, 'fast'), true);
+    });
+
+    await suite.test('Alias name matching the allow-list does not allow its target', () => {
+        setModelAlias('gemini-smart', { model: 'claude-opus-4-5-thinking' });
+        assert.strictEqual(isModelAllowed(identity, 'gemini-smart'), false);
+        assert.throws(() => assertModelAllowed(identity, applyModelAlias({ model: 'gemini-smart', messages }).model));
+    });
+
+    await suite.test('Default alias is checked by its target', () => {
+        setModelAlias('default', { model: 'gemini-3-flash' });
+        assert.strictEqual(applyModelAlias({ messages }).model, 'gemini-3-flash');
+        assertModelAllowed(identity, applyModelAlias({ messages }).model);
+    });
+
+    await suite.test('Key id resolves to the current identity', () => {
+        assert.deepStrictEqual(getApiKeyIdentity(identity.id), { identity, reason: null });
+        assert.strictEqual(getApiKeyIdentity('default').identity, DEFAULT_KEY_IDENTITY);
+        assert.deepStrictEqual(getApiKeyIdentity('key_nope'), { identity: null, reason: 'invalid' });
+    });
+
+    await suite.test('Embedding model outside the allow-list is refused before the backend is asked', async () => {
+        await assert.rejects(resolveEmbeddingModel('text-multilingual-embedding-002', accountManager, identity), rejectsWith(403));
+        assert.strictEqual(modelListCalls, 0);
+    });
+
+    await suite.test('OpenAI embedding names use the first allowed embedding model', async () => {
+        assert.strictEqual(await resolveEmbeddingModel('text-embedding-3-small', accountManager, identity), 'gemini-embedding-001');
+        assert.strictEqual(await resolveEmbeddingModel(undefined, accountManager, DEFAULT_KEY_IDENTITY), 'gemini-embedding-001');
+        assert.strictEqual(await resolveEmbeddingModel('text-embedding-004', accountManager, DEFAULT_KEY_IDENTITY), 'text-embedding-004');
+    });
+
+    await suite.test('Unknown embedding model error lists only allowed models', async () => {
+        await assert.rejects(
+            resolveEmbeddingModel('gemini-embedding-999', accountManager, identity),
+            rejectsWith(400, message => message.includes('gemini-embedding-001') && !message.includes('text-embedding-004'))
+        );
+    });
+
+    await suite.test('Key allowed no embedding model is refused without a model list', async () => {
+        const { identity: claudeOnly } = resolveApiKey(createScopedApiKey({ name: 'claude-only', models: ['claude-*'] }).key);
+        await assert.rejects(
+            resolveEmbeddingModel('text-embedding-3-small', accountManager, claudeOnly),
+            rejectsWith(403, message => !message.includes('embedding-0'))
+        );
+    });
+
+    await suite.test('Revoked key is rejected', () => {
+        revokeScopedApiKey('gemini-only');
+        assert.deepStrictEqual(resolveApiKey(key), { identity: null, reason: 'revoked' });
+        assert.deepStrictEqual(getApiKeyIdentity(identity.id), { identity: null, reason: 'revoked' });
+    });
+
+    await suite.test('Key reusing a revoked name cannot reach its batches', () => {
+        const batchRequests = [{ custom_id: 'a', params: { model: 'gemini-3-flash', messages, max_tokens: 16 } }];
+        const oldBatch = createMessageBatch(batchRequests, { identity });
+        // Saved before key ids were stored
+        const legacyBatch = createMessageBatch(batchRequests, { identity: { name: identity.name, models: identity.models } });
+
+        const { key: newKey } = createScopedApiKey({ name: 'gemini-only', models: ['gemini-*'] });
+        const { identity: newIdentity } = resolveApiKey(newKey);
+        assert.notStrictEqual(newIdentity.id, identity.id);
+
+        const notFound = error => error.statusCode === 404;
+        assert.throws(() => getMessageBatch(oldBatch.id, newIdentity), notFound);
+        assert.throws(() => getMessageBatchResults(oldBatch.id, newIdentity), notFound);
+        assert.throws(() => cancelMessageBatch(oldBatch.id, newIdentity), notFound);
+        assert.throws(() => deleteMessageBatch(oldBatch.id, newIdentity), notFound);
+        assert.deepStrictEqual(listMessageBatches({ identity: newIdentity }).batches.map(batch => batch.id), [legacyBatch.id]);
+        assert.strictEqual(getMessageBatch(legacyBatch.id, newIdentity).id, legacyBatch.id);
+
+        assert.strictEqual(getMessageBatch(oldBatch.id, identity).id, oldBatch.id);
+        assert.deepStrictEqual(
+            listMessageBatches({ identity }).batches.map(batch => batch.id).sort(),
+            [oldBatch.id, legacyBatch.id].sort()
+        );
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
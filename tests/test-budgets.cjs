@@ -0,0 +1,71 @@
+/**
+ * Budget Test
+ *
+ * Tests key and client budgets without a server:
+ * - Key budgets follow the key id, not a reusable key name
+ * - A spent budget refuses further requests until the period resets
+ * - Usage is not recorded for clients without a budget
+ * - Cached responses count as requests but spend no tokens
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+async function runTests() {
+    const { createScopedApiKey, revokeScopedApiKey, resolveApiKey } = await importSource('services/api-key.js');
+    const { getSubjects, checkBudgets, chargeRequest, setBudget, listBudgets } = await importSource('services/budget.js');
+
+    const suite = createSuite('BUDGET TEST');
+    const { identity } = resolveApiKey(createScopedApiKey({ name: 'alice' }).key);
+    const usage = { input_tokens: 600, output_tokens: 400 };
+
+    await suite.test('Key budget is stored under the key id', () => {
+        const budget = setBudget('key', 'alice', { daily: { tokens: 1500 } });
+        assert.strictEqual(budget.subject, `key:${identity.id}`);
+        assert.strictEqual(budget.name, 'alice');
+    });
+
+    await suite.test('Budget for an unknown key is rejected', () => {
+        assert.throws(() => setBudget('key', 'nobody', { daily: { tokens: 1 } }), error => error.statusCode === 404);
+    });
+
+    await suite.test('Spent budget refuses the next request', () => {
+        const subjects = getSubjects({ apiKeyId: identity.id });
+        chargeRequest({ apiKeyId: identity.id, usage });
+        assert.strictEqual(checkBudgets(subjects).allowed, true);
+        chargeRequest({ apiKeyId: identity.id, usage });
+
+        const result = checkBudgets(subjects);
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.period, 'daily');
+        assert.strictEqual(result.metric, 'tokens');
+        assert.ok(result.retryAfterMs > 0 && result.retryAfterMs <= 24 * 60 * 60 * 1000);
+    });
+
+    await suite.test('New key reusing a revoked name starts without the budget', () => {
+        revokeScopedApiKey('alice');
+        const { identity: next } = resolveApiKey(createScopedApiKey({ name: 'alice' }).key);
+        assert.notStrictEqual(next.id, identity.id);
+        assert.strictEqual(checkBudgets(getSubjects({ apiKeyId: next.id })).allowed, true);
+    });
+
+    await suite.test('Clients without a budget are not tracked', () => {
+        chargeRequest({ clientId: 'random-1', usage });
+        chargeRequest({ clientId: 'random-2', usage });
+        assert.ok(!listBudgets().some(budget => budget.type === 'client'));
+    });
+
+    await suite.test('Cached responses spend requests but no tokens', () => {
+        setBudget('client', 'cached-tool', { daily: { tokens: 10, requests: 5 } });
+        chargeRequest({ clientId: 'cached-tool', cached: true, usage });
+        const budget = listBudgets().find(b => b.subject === 'client:cached-tool');
+        assert.strictEqual(budget.daily.requests, 1);
+        assert.strictEqual(budget.daily.tokens, 0);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
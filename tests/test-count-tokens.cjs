@@ -0,0 +1,132 @@
+/**
+ * Token Counting Test
+ *
+ * Tests the /v1/messages/count_tokens endpoint:
+ * - Returns input_tokens for a simple conversation
+ * - Reports tool schema tokens separately from message tokens
+ * - Longer conversations count more tokens
+ * - Missing messages is rejected with 400
+ *
+ * Runs for both Claude and Gemini model families.
+ */
+const { makeRequest, commonTools } = require('./helpers/http-client.cjs');
+const { getTestModels } = require('./helpers/test-models.cjs');
+
+const COUNT_PATH = '/v1/messages/count_tokens';
+
+async function runTestsForModel(family, model) {
+    console.log('='.repeat(60));
+    console.log(`TOKEN COUNTING TEST [${family.toUpperCase()}]`);
+    console.log(`Model: ${model}`);
+    console.log('Tests /v1/messages/count_tokens');
+    console.log('='.repeat(60));
+    console.log('');
+
+    let allPassed = true;
+    const results = [];
+
+    // ===== TEST 1: Simple message =====
+    console.log('TEST 1: Simple message');
+    console.log('-'.repeat(40));
+
+    const shortMessages = [{ role: 'user', content: 'Hello! How are you today?' }];
+    const result1 = await makeRequest({ model, messages: shortMessages }, COUNT_PATH);
+
+    console.log(`  Status: ${result1.statusCode}`);
+    console.log(`  input_tokens: ${result1.input_tokens} (source: ${result1.source})`);
+
+    const passed1 = result1.statusCode === 200 && result1.input_tokens > 0;
+    results.push({ name: 'Simple message returns input_tokens', passed: passed1 });
+    if (!passed1) allPassed = false;
+
+    // ===== TEST 2: Tool tokens reported separately =====
+    console.log('\nTEST 2: Tool schema tokens');
+    console.log('-'.repeat(40));
+
+    const result2 = await makeRequest({
+        model,
+        messages: shortMessages,
+        tools: [commonTools.getWeather, commonTools.searchFiles]
+    }, COUNT_PATH);
+
+    console.log(`  message_tokens: ${result2.message_tokens}`);
+    console.log(`  tool_tokens: ${result2.tool_tokens}`);
+    console.log(`  input_tokens: ${result2.input_tokens}`);
+
+    const passed2 = result2.statusCode === 200 &&
+        result2.tool_tokens > 0 &&
+        result2.input_tokens === result2.message_tokens + result2.tool_tokens;
+    results.push({ name: 'Tool tokens separated from message tokens', passed: passed2 });
+    if (!passed2) allPassed = false;
+
+    // ===== TEST 3: Longer conversation counts more =====
+    console.log('\nTEST 3: Longer conversation');
+    console.log('-'.repeat(40));
+
+    const result3 = await makeRequest({
+        model,
+        system: 'You are a helpful assistant that answers concisely.',
+        messages: [
+            ...shortMessages,
+            { role: 'assistant', content: 'I am doing well, thank you for asking!' },
+            { role: 'user', content: 'Explain the difference between TCP and UDP in detail. '.repeat(20) }
+        ]
+    }, COUNT_PATH);
+
+    console.log(`  input_tokens: ${result3.input_tokens} (vs ${result1.input_tokens})`);
+
+    const passed3 = result3.statusCode === 200 && result3.input_tokens > result1.input_tokens;
+    results.push({ name: 'Longer conversation counts more tokens', passed: passed3 });
+    if (!passed3) allPassed = false;
+
+    // ===== TEST 4: Validation =====
+    console.log('\nTEST 4: Missing messages');
+    console.log('-'.repeat(40));
+
+    const result4 = await makeRequest({ model }, COUNT_PATH);
+    console.log(`  Status: ${result4.statusCode}`);
+
+    const passed4 = result4.statusCode === 400 && result4.error?.type === 'invalid_request_error';
+    results.push({ name: 'Missing messages returns 400', passed: passed4 });
+    if (!passed4) allPassed = false;
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log(`SUMMARY [${family.toUpperCase()}]`);
+    console.log('='.repeat(60));
+
+    for (const result of results) {
+        const status = result.passed ? 'PASS' : 'FAIL';
+        console.log(`  [${status}] ${result.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`[${family.toUpperCase()}] ${allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED'}`);
+    console.log('='.repeat(60));
+
+    return allPassed;
+}
+
+async function runTests() {
+    const models = getTestModels();
+    let allPassed = true;
+
+    for (const { family, model } of models) {
+        console.log('\n');
+        const passed = await runTestsForModel(family, model);
+        if (!passed) allPassed = false;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('FINAL RESULT');
+    console.log('='.repeat(60));
+    console.log(`Overall: ${allPassed ? 'ALL MODEL FAMILIES PASSED' : 'SOME MODEL FAMILIES FAILED'}`);
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
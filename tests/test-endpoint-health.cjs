@@ -0,0 +1,163 @@
+/**
+ * Endpoint Health Test
+ *
+ * Tests the Cloud Code endpoint circuit breaker without a server:
+ * - Healthy endpoints keep their configured order; slow ones are tried later
+ * - Failures in a row or a high error rate open the circuit
+ * - After the cooldown one call probes the endpoint; success closes the
+ *   circuit, failure reopens it with twice the cooldown
+ * - When every endpoint is open all are still tried, soonest to reopen first
+ * - 429s are not counted, and a probe answered with one is tried again
+ * - Extra endpoints must use https
+ *
+ * Time is simulated by replacing Date.now.
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+const COOLDOWN_MS = 30 * 1000;
+
+async function runTests() {
+    const {
+        getConfiguredEndpoints,
+        getEndpointOrder,
+        getEndpointStatus,
+        normalizeEndpoint,
+        setSettingsEndpoints,
+        recordEndpointResult,
+        callEndpoint,
+        clearEndpointHealth
+    } = await importSource('services/endpoint-health.js');
+
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    Date.now = () => now;
+
+    const [daily, prod] = getConfiguredEndpoints();
+    const stateOf = endpoint => getEndpointStatus().find(status => status.endpoint === endpoint).state;
+    const fail = (endpoint, times = 1) => {
+        for (let i = 0; i < times; i++) recordEndpointResult(endpoint, { ok: false, latencyMs: 100 });
+    };
+    const succeed = (endpoint, latencyMs = 100) => recordEndpointResult(endpoint, { ok: true, latencyMs });
+
+    const suite = createSuite('ENDPOINT HEALTH TEST');
+
+    await suite.test('Healthy endpoints keep their configured order', () => {
+        clearEndpointHealth();
+        succeed(daily);
+        succeed(prod);
+        assert.deepStrictEqual(getEndpointOrder().slice(0, 2), [daily, prod]);
+    });
+
+    await suite.test('Slow endpoint is tried after a fast one', () => {
+        clearEndpointHealth();
+        succeed(daily, 5000);
+        succeed(prod, 100);
+        assert.deepStrictEqual(getEndpointOrder().slice(0, 2), [prod, daily]);
+    });
+
+    await suite.test('Failures in a row open the circuit', () => {
+        clearEndpointHealth();
+        fail(daily, 4);
+        assert.strictEqual(stateOf(daily), 'closed');
+        fail(daily);
+        assert.strictEqual(stateOf(daily), 'open');
+        assert.ok(!getEndpointOrder().includes(daily));
+    });
+
+    await suite.test('High error rate opens the circuit', () => {
+        clearEndpointHealth();
+        succeed(daily);
+        fail(daily);
+        succeed(daily);
+        fail(daily);
+        assert.strictEqual(stateOf(daily), 'closed');
+        fail(daily);
+        assert.strictEqual(stateOf(daily), 'open');
+    });
+
+    await suite.test('After the cooldown one call probes the endpoint first', () => {
+        clearEndpointHealth();
+        fail(daily, 5);
+        now += COOLDOWN_MS;
+        assert.strictEqual(stateOf(daily), 'half-open');
+        assert.strictEqual(getEndpointOrder()[0], daily);
+        // The probe is in flight, so other calls skip the endpoint
+        assert.ok(!getEndpointOrder().includes(daily));
+    });
+
+    await suite.test('Successful probe closes the circuit', () => {
+        succeed(daily);
+        assert.strictEqual(stateOf(daily), 'closed');
+        assert.strictEqual(getEndpointOrder()[0], daily);
+        // The failures that opened it are forgotten
+        const status = getEndpointStatus().find(s => s.endpoint === daily);
+        assert.strictEqual(status.samples, 1);
+        assert.strictEqual(status.errorRate, 0);
+        assert.strictEqual(status.consecutiveFailures, 0);
+    });
+
+    await suite.test('Failed probe reopens with twice the cooldown, up to 5 minutes', () => {
+        clearEndpointHealth();
+        fail(daily, 5);
+        const cooldowns = [];
+        for (let i = 0; i < 6; i++) {
+            now += 10 * 60 * 1000;
+            getEndpointOrder(); // Starts the probe
+            fail(daily);
+            const { reopensAt } = getEndpointStatus().find(status => status.endpoint === daily);
+            cooldowns.push(Date.parse(reopensAt) - now);
+        }
+        assert.deepStrictEqual(cooldowns, [60, 120, 240, 300, 300, 300].map(seconds => seconds * 1000));
+    });
+
+    await suite.test('When every endpoint is open all are tried, soonest to reopen first', () => {
+        clearEndpointHealth();
+        for (const endpoint of getConfiguredEndpoints().slice(1)) fail(endpoint, 5);
+        now += 1000;
+        fail(daily, 5);
+        assert.deepStrictEqual(getEndpointOrder(), [...getConfiguredEndpoints().slice(1), daily]);
+    });
+
+    await suite.test('callEndpoint counts 5xx and thrown errors as failures and leaves out 429s', async () => {
+        clearEndpointHealth();
+        const response = await callEndpoint(daily, async () => ({ status: 503 }));
+        assert.strictEqual(response.status, 503);
+        await assert.rejects(callEndpoint(daily, async () => { throw new Error('ECONNRESET'); }), /ECONNRESET/);
+        assert.strictEqual((await callEndpoint(daily, async () => ({ status: 429 }))).status, 429);
+        await callEndpoint(daily, async () => ({ status: 400 }));
+        const status = getEndpointStatus().find(s => s.endpoint === daily);
+        assert.strictEqual(status.samples, 3);
+        assert.strictEqual(status.consecutiveFailures, 0);
+        assert.strictEqual(status.errorRate, 0.67);
+    });
+
+    await suite.test('A probe answered with 429 neither closes the circuit nor holds the probe', async () => {
+        clearEndpointHealth();
+        fail(daily, 5);
+        now += COOLDOWN_MS;
+        assert.strictEqual(getEndpointOrder()[0], daily);
+        await callEndpoint(daily, async () => ({ status: 429 }));
+        assert.strictEqual(stateOf(daily), 'half-open');
+        assert.strictEqual(getEndpointOrder()[0], daily);
+    });
+
+    await suite.test('Only https endpoints are accepted', () => {
+        assert.strictEqual(normalizeEndpoint(' https://cloudcode.example.com/ '), 'https://cloudcode.example.com');
+        assert.throws(() => normalizeEndpoint('http://cloudcode.example.com'), /https/);
+        assert.throws(() => normalizeEndpoint('ftp://cloudcode.example.com'), /https/);
+        assert.throws(() => normalizeEndpoint('cloudcode.example.com'));
+
+        setSettingsEndpoints(['http://plain.example.com', 'https://secure.example.com/', 'not a url']);
+        const configured = getConfiguredEndpoints();
+        assert.strictEqual(configured[configured.length - 1], 'https://secure.example.com');
+        assert.ok(!configured.some(endpoint => endpoint.includes('plain.example.com')));
+        setSettingsEndpoints([]);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
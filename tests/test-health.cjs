@@ -0,0 +1,43 @@
+/**
+ * Health Check Test
+ *
+ * Tests the deep probe cache without a server:
+ * - A probe that finds no working account is reported while it is recent
+ * - Once HEALTH_PROBE_CACHE_SECONDS have passed it no longer counts,
+ *   so readiness does not stay failed after upstream recovers
+ */
+process.env.HEALTH_PROBE_CACHE_SECONDS = '1';
+
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+async function runTests() {
+    const { getDeepHealth, getRecentDeepHealth } = await importSource('services/health-probe.js');
+
+    const suite = createSuite('HEALTH CHECK TEST');
+    const accountManager = { getAllAccounts: () => [] };
+
+    await suite.test('No probe has run yet', () => {
+        assert.strictEqual(getRecentDeepHealth(), null);
+    });
+
+    await suite.test('Failed probe is reported while recent', async () => {
+        const result = await getDeepHealth(accountManager);
+        assert.strictEqual(result.status, 'error');
+        assert.strictEqual(result.cached, false);
+        assert.strictEqual(getRecentDeepHealth().status, 'error');
+        assert.strictEqual((await getDeepHealth(accountManager)).cached, true);
+    });
+
+    await suite.test('Failed probe is ignored once stale', async () => {
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.strictEqual(getRecentDeepHealth(), null);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
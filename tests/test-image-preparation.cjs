@@ -0,0 +1,132 @@
+/**
+ * Image Preparation Test
+ *
+ * Tests the PNG codec and remote image fetching without a server:
+ * - PNGs round-trip through encode and decode
+ * - Oversized, truncated and corrupt PNGs are not decoded and are sent as they are
+ * - Image URLs on loopback, private or unspecified addresses are never fetched,
+ *   whether the address is written in the URL or a host name resolves to it
+ */
+process.env.IMAGE_FETCH = 'true';
+process.env.IMAGE_FETCH_TIMEOUT_MS = '2000';
+
+const assert = require('assert');
+const http = require('http');
+const zlib = require('zlib');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+/**
+ * Build a solid-color RGBA image
+ */
+function solidImage(width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 200;
+        data[i + 1] = 100;
+        data[i + 2] = 50;
+        data[i + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+/**
+ * Replace a PNG's image data with a raw (already compressed) IDAT payload
+ * Only the first IDAT chunk's data is swapped; CRCs are not checked by the decoder.
+ */
+function withIdat(png, payload) {
+    const idatStart = 8 + 25; // signature + IHDR chunk
+    const length = png.readUInt32BE(idatStart);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(payload.length);
+    header.write('IDAT', 4, 'ascii');
+    return Buffer.concat([png.subarray(0, idatStart), header, payload, Buffer.alloc(4), png.subarray(idatStart + 12 + length)]);
+}
+
+/**
+ * Set the width and height in a PNG's IHDR chunk
+ */
+function withSize(png, width, height) {
+    const copy = Buffer.from(png);
+    copy.writeUInt32BE(width, 16);
+    copy.writeUInt32BE(height, 20);
+    return copy;
+}
+
+async function runTests() {
+    const { decodePng, encodePng } = await importSource('utils/png.js');
+    const { prepareImages } = await importSource('services/image-preparation.js');
+
+    const suite = createSuite('IMAGE PREPARATION TEST');
+    const png = encodePng(solidImage(4, 3));
+    const imageRequest = data => ({
+        messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data } }] }]
+    });
+
+    await suite.test('PNG round-trips through encode and decode', () => {
+        const image = decodePng(png);
+        assert.strictEqual(image.width, 4);
+        assert.strictEqual(image.height, 3);
+        assert.deepStrictEqual(image.data, solidImage(4, 3).data);
+    });
+
+    await suite.test('Images above the pixel limit are not decoded', () => {
+        assert.strictEqual(decodePng(png, { maxPixels: 11 }), null);
+        assert.strictEqual(decodePng(withSize(png, 100000, 100000)), null);
+    });
+
+    await suite.test('Truncated IHDR returns null', () => {
+        assert.strictEqual(decodePng(png.subarray(0, 20)), null);
+    });
+
+    await suite.test('Corrupt image data returns null', () => {
+        assert.strictEqual(decodePng(withIdat(png, Buffer.from('not zlib data'))), null);
+        assert.strictEqual(decodePng(withIdat(png, zlib.deflateSync(Buffer.alloc(5)))), null);
+    });
+
+    await suite.test('Image data inflating past the declared size returns null', () => {
+        assert.strictEqual(decodePng(withIdat(png, zlib.deflateSync(Buffer.alloc(10 * 1024 * 1024)))), null);
+    });
+
+    await suite.test('Oversized corrupt PNG is sent as it is', async () => {
+        const corrupt = withIdat(withSize(png, 5000, 5000), Buffer.from('not zlib data')).toString('base64');
+        const prepared = await prepareImages(imageRequest(corrupt));
+        assert.strictEqual(prepared.messages[0].content[0].source.data, corrupt);
+    });
+
+    // Anything reaching this server means a blocked address was fetched
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits++;
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+    });
+    await new Promise(resolve => server.listen(0, '::', resolve));
+    const { port } = server.address();
+
+    const blockedUrls = [
+        `http://127.0.0.1:${port}/image.png`,
+        `http://[::1]:${port}/image.png`,
+        `http://[::ffff:127.0.0.1]:${port}/image.png`,
+        `http://[::]:${port}/image.png`,
+        `http://0.0.0.0:${port}/image.png`,
+        `http://localhost:${port}/image.png`,
+        'http://100.64.0.1/image.png',
+        'http://169.254.169.254/latest/meta-data'
+    ];
+    for (const url of blockedUrls) {
+        await suite.test(`Not fetched: ${url}`, async () => {
+            const block = { type: 'image', source: { type: 'url', url } };
+            const prepared = await prepareImages({ messages: [{ role: 'user', content: [block] }] });
+            assert.strictEqual(prepared.messages[0].content[0], block);
+            assert.strictEqual(hits, 0);
+        });
+    }
+
+    server.close();
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
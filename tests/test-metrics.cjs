@@ -0,0 +1,59 @@
+/**
+ * Metrics Test
+ *
+ * Tests metric labels without a server:
+ * - Known models, aliases and the default model keep their own label
+ * - Made-up model names are counted as "other" instead of creating new series
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+async function runTests() {
+    const { recordRequestMetrics, renderMetrics } = await importSource('services/metrics.js');
+    const { addKnownModels, getModelLabel } = await importSource('services/model-labels.js');
+    const { setModelAlias } = await importSource('services/model-aliases.js');
+    const { DEFAULT_MODEL } = await importSource('constants.js');
+
+    const suite = createSuite('METRICS TEST');
+    const accountManager = {
+        getStatus: () => ({ available: 0, rateLimited: 0, invalid: 0, disabled: 0, accounts: [] })
+    };
+    const record = model => ({ path: '/v1/messages', model, status: 'success', duration: 100 });
+
+    await suite.test('Known models keep their label', () => {
+        addKnownModels(['gemini-3-flash']);
+        assert.strictEqual(getModelLabel('gemini-3-flash'), 'gemini-3-flash');
+        assert.strictEqual(getModelLabel('antigravity-gemini-3-flash'), 'gemini-3-flash');
+        assert.strictEqual(getModelLabel(DEFAULT_MODEL), DEFAULT_MODEL);
+    });
+
+    await suite.test('Aliases and their targets keep their label', () => {
+        setModelAlias('fast', { model: 'gemini-3-pro-low' });
+        assert.strictEqual(getModelLabel('fast'), 'fast');
+        assert.strictEqual(getModelLabel('gemini-3-pro-low'), 'gemini-3-pro-low');
+    });
+
+    await suite.test('Unknown models are labelled "other"', () => {
+        assert.strictEqual(getModelLabel('claude-made-up-1'), 'other');
+        assert.strictEqual(getModelLabel(undefined), null);
+    });
+
+    await suite.test('Made-up models share one series', () => {
+        for (let i = 0; i < 50; i++) {
+            recordRequestMetrics(record(`made-up-${i}`));
+        }
+        recordRequestMetrics(record('gemini-3-flash'));
+
+        const text = renderMetrics(accountManager);
+        assert.ok(!text.includes('made-up-'));
+        assert.ok(text.includes('antigravity_proxy_requests_total{route="/v1/messages",model="other",status="success"} 50'));
+        assert.ok(text.includes('antigravity_proxy_requests_total{route="/v1/messages",model="gemini-3-flash",status="success"} 1'));
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,464 @@
+/**
+ * OpenAI Converter Test
+ *
+ * Tests the Chat Completions <-> Messages conversion without a server:
+ * - Thinking is sent as reasoning_content only when asked for, joined across
+ *   blocks, both in responses and as streaming deltas
+ * - reasoning_content sent back on the next turn becomes signed thinking
+ *   again for the model family that produced it
+ * - response_format becomes output_format, using Gemini's JSON mode or the
+ *   synthetic structured output tool, and invalid schemas are rejected
+ * - Structured output is unwrapped to text and validated against its schema
+ * - The final usage chunk of a stream has no choices and OpenAI-style totals
+ * - developer and system messages become the system prompt, participant names
+ *   are kept as attribution, and consecutive tool results share one user
+ *   turn with the tool results first
+ * - n>1 choices are combined with their indices and summed usage, and seed
+ *   reaches Gemini
+ * - tool_choice and parallel_tool_calls map to Anthropic tool_choice and to
+ *   Google function calling modes, and extra tool calls are dropped when
+ *   parallel calls are off
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+const MODEL = 'claude-sonnet-4-5-thinking';
+const SIGNATURE_A = 'a'.repeat(60);
+const SIGNATURE_B = 'b'.repeat(60);
+
+async function runTests() {
+    const {
+        convertOpenAIToAnthropic,
+        convertAnthropicToOpenAI,
+        convertAnthropicStreamToOpenAI,
+        buildUsageChunk,
+        sumUsage,
+        combineChoices
+    } = await importSource('format/openai-converter.js');
+    const { restoreThinkingSignatures } = await importSource('format/thinking-utils.js');
+    const { convertAnthropicToGoogle } = await importSource('format/request-converter.js');
+    const {
+        STRUCTURED_OUTPUT_TOOL,
+        unwrapStructuredOutput,
+        createStructuredOutputStreamUnwrapper,
+        validateStructuredOutput
+    } = await importSource('format/structured-output.js');
+    const { ApiError } = await importSource('errors.js');
+    const { SINGLE_TOOL_CALL_HINT, limitToolCalls, createToolCallLimiter } = await importSource('format/tool-choice.js');
+
+    /**
+     * Convert an assistant turn carrying reasoning_content and restore its thinking
+     * @returns {Array<Object>} Thinking blocks the request would send
+     */
+    function restoredThinking(reasoning, { gemini = false } = {}) {
+        const request = convertOpenAIToAnthropic({
+            model: MODEL,
+            messages: [
+                { role: 'user', content: 'Question' },
+                { role: 'assistant', content: 'Answer', reasoning_content: reasoning },
+                { role: 'user', content: 'Follow-up' }
+            ]
+        });
+        return restoreThinkingSignatures(request.messages[1].content, gemini)
+            .filter(block => block.type === 'thinking');
+    }
+
+    /**
+     * Convert a list of Anthropic stream events, dropping skipped ones
+     */
+    function convertStream(events, options) {
+        return events
+            .map(event => convertAnthropicStreamToOpenAI(event, MODEL, 'chatcmpl-test', options))
+            .filter(Boolean);
+    }
+
+    const thinkingResponse = {
+        id: 'msg_1',
+        content: [
+            { type: 'thinking', thinking: 'First thought', signature: SIGNATURE_A },
+            { type: 'thinking', thinking: 'Second thought', signature: SIGNATURE_B },
+            { type: 'text', text: 'Answer' }
+        ],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 10, output_tokens: 5 }
+    };
+
+    const thinkingEvents = [
+        { type: 'message_start', message: { id: 'chatcmpl-test' } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Streamed ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'one' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: SIGNATURE_A } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'thinking', thinking: '' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'thinking_delta', thinking: 'Streamed two' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'signature_delta', signature: SIGNATURE_B } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'content_block_start', index: 2, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 2, delta: { type: 'text_delta', text: 'Answer' } },
+        { type: 'content_block_stop', index: 2 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' }
+    ];
+
+    const personSchema = {
+        type: 'object',
+        properties: { name: { type: 'string' }, age: { type: 'integer' } },
+        required: ['name', 'age'],
+        additionalProperties: false
+    };
+    const jsonSchemaFormat = { type: 'json_schema', json_schema: { name: 'person', schema: personSchema, strict: true } };
+
+    /**
+     * Convert a Chat Completions request through to the Google request
+     */
+    const toGoogle = request => convertAnthropicToGoogle(convertOpenAIToAnthropic(request)).googleRequest;
+
+    const suite = createSuite('OPENAI CONVERTER TEST');
+
+    await suite.test('Thinking is left out of responses unless asked for', () => {
+        const { message } = convertAnthropicToOpenAI(thinkingResponse, MODEL).choices[0];
+        assert.strictEqual(message.content, 'Answer');
+        assert.strictEqual('reasoning_content' in message, false);
+    });
+
+    await suite.test('Thinking blocks are joined into reasoning_content', () => {
+        const { message } = convertAnthropicToOpenAI(thinkingResponse, MODEL, false, { includeReasoning: true }).choices[0];
+        assert.strictEqual(message.reasoning_content, 'First thought\n\nSecond thought');
+        assert.strictEqual(message.content, 'Answer');
+    });
+
+    await suite.test('reasoning_content sent back becomes the signed thinking blocks', () => {
+        assert.deepStrictEqual(restoredThinking('First thought\n\nSecond thought'), [
+            { type: 'thinking', thinking: 'First thought', signature: SIGNATURE_A },
+            { type: 'thinking', thinking: 'Second thought', signature: SIGNATURE_B }
+        ]);
+    });
+
+    await suite.test('Unknown or edited reasoning_content is dropped', () => {
+        assert.deepStrictEqual(restoredThinking('First thought\n\nSecond thought, edited'), []);
+    });
+
+    await suite.test('Signatures are only restored for the family that made them', () => {
+        assert.deepStrictEqual(restoredThinking('First thought\n\nSecond thought', { gemini: true }), []);
+    });
+
+    await suite.test('Streamed thinking is sent as reasoning_content deltas', () => {
+        const deltas = convertStream(thinkingEvents, { includeReasoning: true }).map(chunk => chunk.choices[0].delta);
+        assert.deepStrictEqual(deltas, [
+            { role: 'assistant' },
+            { reasoning_content: 'Streamed ' },
+            { reasoning_content: 'one' },
+            { reasoning_content: '\n\n' },
+            { reasoning_content: 'Streamed two' },
+            { content: '' },
+            { content: 'Answer' },
+            {},
+            {}
+        ]);
+    });
+
+    await suite.test('Streamed reasoning_content sent back becomes the signed thinking blocks', () => {
+        assert.deepStrictEqual(restoredThinking('Streamed one\n\nStreamed two'), [
+            { type: 'thinking', thinking: 'Streamed one', signature: SIGNATURE_A },
+            { type: 'thinking', thinking: 'Streamed two', signature: SIGNATURE_B }
+        ]);
+    });
+
+    await suite.test('Streamed thinking is skipped unless asked for', () => {
+        const deltas = convertStream(thinkingEvents).map(chunk => chunk.choices[0].delta);
+        assert.ok(deltas.every(delta => !('reasoning_content' in delta)));
+        assert.deepStrictEqual(deltas.filter(delta => delta.content), [{ content: 'Answer' }]);
+    });
+
+    await suite.test('response_format becomes output_format', () => {
+        const convert = format => convertOpenAIToAnthropic({ model: MODEL, messages: [], response_format: format }).output_format;
+        assert.deepStrictEqual(convert({ type: 'json_object' }), { type: 'json_object' });
+        assert.deepStrictEqual(convert(jsonSchemaFormat), { type: 'json_schema', name: 'person', schema: personSchema, strict: true });
+        assert.deepStrictEqual(convert({ type: 'json_schema', json_schema: {} }), {
+            type: 'json_schema', name: 'response', schema: { type: 'object' }, strict: false
+        });
+        assert.strictEqual(convert({ type: 'text' }), undefined);
+        assert.strictEqual(convert(undefined), undefined);
+    });
+
+    await suite.test('A schema that is not an object is rejected', () => {
+        for (const schema of ['{"type":"object"}', ['object'], null, 42]) {
+            assert.throws(
+                () => convertOpenAIToAnthropic({ model: MODEL, messages: [], response_format: { type: 'json_schema', json_schema: { name: 'x', schema } } }),
+                error => error instanceof ApiError && error.statusCode === 400 && /json_schema\.schema/.test(error.message),
+                `schema ${JSON.stringify(schema)}`
+            );
+        }
+    });
+
+    await suite.test('Gemini without tools uses native JSON mode', () => {
+        const messages = [{ role: 'user', content: 'Who?' }];
+        const schemaRequest = toGoogle({ model: 'gemini-3-flash', messages, response_format: jsonSchemaFormat });
+        assert.strictEqual(schemaRequest.generationConfig.responseMimeType, 'application/json');
+        assert.deepStrictEqual(Object.keys(schemaRequest.generationConfig.responseSchema.properties), ['name', 'age']);
+        assert.strictEqual(schemaRequest.tools, undefined);
+
+        const objectRequest = toGoogle({ model: 'gemini-3-flash', messages, response_format: { type: 'json_object' } });
+        assert.strictEqual(objectRequest.generationConfig.responseMimeType, 'application/json');
+        assert.strictEqual(objectRequest.generationConfig.responseSchema, undefined);
+    });
+
+    await suite.test('Claude gets the structured output tool, forced when it is the only tool', () => {
+        const request = toGoogle({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'Who?' }], response_format: jsonSchemaFormat });
+        const [tool] = request.tools[0].functionDeclarations;
+        assert.strictEqual(tool.name, STRUCTURED_OUTPUT_TOOL);
+        assert.deepStrictEqual(tool.parameters.required, ['name', 'age']);
+        assert.deepStrictEqual(request.toolConfig.functionCallingConfig, { mode: 'ANY', allowedFunctionNames: [STRUCTURED_OUTPUT_TOOL] });
+        assert.strictEqual(request.generationConfig.responseMimeType, undefined);
+    });
+
+    await suite.test('Structured output tool call is unwrapped to text', () => {
+        const response = unwrapStructuredOutput({
+            content: [
+                { type: 'text', text: 'Here you go' },
+                { type: 'tool_use', id: 'toolu_1', name: STRUCTURED_OUTPUT_TOOL, input: { name: 'Ada', age: 36 } }
+            ],
+            stop_reason: 'tool_use'
+        });
+        assert.deepStrictEqual(response.content, [{ type: 'text', text: '{"name":"Ada","age":36}' }]);
+        assert.strictEqual(response.stop_reason, 'end_turn');
+
+        const unwrap = createStructuredOutputStreamUnwrapper();
+        const events = [
+            { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: STRUCTURED_OUTPUT_TOOL } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"name":"Ada","age":36}' } },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' } }
+        ].map(unwrap);
+        assert.deepStrictEqual(events[0].content_block, { type: 'text', text: '' });
+        assert.deepStrictEqual(events[1].delta, { type: 'text_delta', text: '{"name":"Ada","age":36}' });
+        assert.strictEqual(events[2].delta.stop_reason, 'end_turn');
+    });
+
+    await suite.test('Output is validated against the format', () => {
+        const format = convertOpenAIToAnthropic({ model: MODEL, messages: [], response_format: jsonSchemaFormat }).output_format;
+        assert.deepStrictEqual(validateStructuredOutput('{"name":"Ada","age":36}', format), []);
+        assert.deepStrictEqual(validateStructuredOutput('```json\n{"name":"Ada","age":36}\n```', format), []);
+        assert.strictEqual(validateStructuredOutput('{"name":"Ada"}', format).length, 1);
+        assert.strictEqual(validateStructuredOutput('{"name":"Ada","age":"36"}', format).length, 1);
+        assert.strictEqual(validateStructuredOutput('{"name":"Ada","age":36,"x":1}', format).length, 1);
+        assert.match(validateStructuredOutput('Ada, 36', format)[0], /not valid JSON/);
+
+        assert.deepStrictEqual(validateStructuredOutput('{}', { type: 'json_object' }), []);
+        assert.deepStrictEqual(validateStructuredOutput('[1]', { type: 'json_object' }), ['response must be a JSON object']);
+    });
+
+    await suite.test('Final usage chunk has no choices and OpenAI totals', () => {
+        const chunk = buildUsageChunk('chatcmpl-test', MODEL, {
+            input_tokens: 100,
+            output_tokens: 40,
+            cache_read_input_tokens: 300,
+            cache_creation_input_tokens: 0,
+            thinking_tokens: 25
+        });
+        assert.strictEqual(chunk.id, 'chatcmpl-test');
+        assert.strictEqual(chunk.object, 'chat.completion.chunk');
+        assert.strictEqual(chunk.model, MODEL);
+        assert.deepStrictEqual(chunk.choices, []);
+        // Cached tokens count towards prompt_tokens, as in OpenAI usage
+        assert.deepStrictEqual(chunk.usage, {
+            prompt_tokens: 400,
+            completion_tokens: 40,
+            total_tokens: 440,
+            prompt_tokens_details: { cached_tokens: 300 },
+            completion_tokens_details: { reasoning_tokens: 25 }
+        });
+    });
+
+    await suite.test('Usage chunk counts missing usage as zero', () => {
+        const { usage } = buildUsageChunk('chatcmpl-test', MODEL, { output_tokens: 3 });
+        assert.strictEqual(usage.prompt_tokens, 0);
+        assert.strictEqual(usage.total_tokens, 3);
+        assert.strictEqual(usage.prompt_tokens_details.cached_tokens, 0);
+    });
+
+    await suite.test('developer and system messages become the system prompt', () => {
+        const request = convertOpenAIToAnthropic({
+            model: MODEL,
+            messages: [
+                { role: 'system', content: 'Be brief.' },
+                { role: 'developer', content: [{ type: 'text', text: 'Answer in French.' }], name: 'ops' },
+                { role: 'user', content: 'Hi' }
+            ]
+        });
+        assert.strictEqual(request.system, 'Be brief.\n\nops: Answer in French.');
+        assert.deepStrictEqual(request.messages, [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }]);
+    });
+
+    await suite.test('User names are kept as attribution, assistant names are not', () => {
+        const request = convertOpenAIToAnthropic({
+            model: MODEL,
+            messages: [
+                { role: 'user', content: 'Hello', name: 'alice' },
+                { role: 'assistant', content: 'Hi Alice', name: 'helper' },
+                { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }], name: 'bob' }
+            ]
+        });
+        assert.deepStrictEqual(request.messages[0].content, [{ type: 'text', text: 'alice: Hello' }]);
+        assert.deepStrictEqual(request.messages[1].content, [{ type: 'text', text: 'Hi Alice' }]);
+        assert.deepStrictEqual(request.messages[2].content, [
+            { type: 'text', text: 'bob:' },
+            { type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }
+        ]);
+    });
+
+    await suite.test('Consecutive tool results share one user turn, before any user text', () => {
+        const request = convertOpenAIToAnthropic({
+            model: MODEL,
+            messages: [
+                { role: 'user', content: 'Weather in Paris and Rome?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [
+                        { id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } },
+                        { id: 'call_2', type: 'function', function: { name: 'weather', arguments: '{"city":"Rome"}' } }
+                    ]
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+                { role: 'tool', tool_call_id: 'call_2', content: [{ type: 'text', text: 'Rainy' }] },
+                { role: 'user', content: 'Thanks' }
+            ]
+        });
+        assert.deepStrictEqual(request.messages.map(message => message.role), ['user', 'assistant', 'user']);
+        assert.deepStrictEqual(request.messages[1].content.map(block => block.input), [{ city: 'Paris' }, { city: 'Rome' }]);
+        assert.deepStrictEqual(request.messages[2].content, [
+            { type: 'tool_result', tool_use_id: 'call_1', content: 'Sunny' },
+            { type: 'tool_result', tool_use_id: 'call_2', content: 'Rainy' },
+            { type: 'text', text: 'Thanks' }
+        ]);
+    });
+
+    await suite.test('Tool results stay first when user text comes between them', () => {
+        const request = convertOpenAIToAnthropic({
+            model: MODEL,
+            messages: [
+                { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'f', arguments: '{}' } }] },
+                { role: 'user', content: 'Also this' },
+                { role: 'tool', tool_call_id: 'call_1', content: 'Done' }
+            ]
+        });
+        assert.deepStrictEqual(request.messages[1].content.map(block => block.type), ['tool_result', 'text']);
+    });
+
+    await suite.test('Choices are combined in order with their indices', () => {
+        const responses = ['Red', 'Green', 'Blue'].map((text, i) => convertAnthropicToOpenAI({
+            id: `msg_${i}`,
+            content: [{ type: 'text', text }],
+            stop_reason: i === 2 ? 'max_tokens' : 'end_turn',
+            usage: { input_tokens: 10, output_tokens: i + 1 }
+        }, MODEL));
+        const usages = [0, 1, 2].map(i => ({ input_tokens: 10, output_tokens: i + 1, cache_read_input_tokens: 4 }));
+        const combined = combineChoices(responses, usages);
+
+        assert.strictEqual(combined.id, 'msg_0');
+        assert.deepStrictEqual(combined.choices.map(choice => choice.index), [0, 1, 2]);
+        assert.deepStrictEqual(combined.choices.map(choice => choice.message.content), ['Red', 'Green', 'Blue']);
+        assert.deepStrictEqual(combined.choices.map(choice => choice.finish_reason), ['stop', 'stop', 'length']);
+        assert.strictEqual(combined.usage.prompt_tokens, 42);
+        assert.strictEqual(combined.usage.completion_tokens, 6);
+        assert.strictEqual(combined.usage.total_tokens, 48);
+        assert.strictEqual(combined.usage.prompt_tokens_details.cached_tokens, 12);
+    });
+
+    await suite.test('Usage is summed across choices, missing fields as zero', () => {
+        assert.deepStrictEqual(sumUsage([
+            { input_tokens: 5, output_tokens: 2, thinking_tokens: 1 },
+            undefined,
+            { input_tokens: 5, output_tokens: 3, cache_creation_input_tokens: 7 }
+        ]), {
+            input_tokens: 10,
+            output_tokens: 5,
+            cache_read_input_tokens: 0,
+            cache_creation_input_tokens: 7,
+            thinking_tokens: 1
+        });
+    });
+
+    await suite.test('Integer seeds are passed to Gemini only', () => {
+        const messages = [{ role: 'user', content: 'Pick a number' }];
+        assert.strictEqual(convertOpenAIToAnthropic({ model: MODEL, messages, seed: 7 }).seed, 7);
+        assert.strictEqual(convertOpenAIToAnthropic({ model: MODEL, messages, seed: 1.5 }).seed, undefined);
+        assert.strictEqual(convertOpenAIToAnthropic({ model: MODEL, messages, seed: '7' }).seed, undefined);
+
+        assert.strictEqual(toGoogle({ model: 'gemini-3-flash', messages, seed: 7 }).generationConfig.seed, 7);
+        assert.strictEqual(toGoogle({ model: 'claude-sonnet-4-5', messages, seed: 7 }).generationConfig.seed, undefined);
+    });
+
+    const weatherTools = ['weather', 'time'].map(name => ({
+        type: 'function',
+        function: { name, description: `Get the ${name}`, parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+    }));
+    const toolRequest = (model, fields) => ({ model, messages: [{ role: 'user', content: 'Paris?' }], tools: weatherTools, ...fields });
+    const systemText = request => (request.systemInstruction?.parts || []).map(part => part.text).join('\n');
+
+    await suite.test('tool_choice maps to Anthropic tool_choice', () => {
+        const convert = fields => convertOpenAIToAnthropic(toolRequest(MODEL, fields)).tool_choice;
+        assert.deepStrictEqual(convert({ tool_choice: 'required' }), { type: 'any' });
+        assert.deepStrictEqual(convert({ tool_choice: 'auto' }), { type: 'auto' });
+        assert.deepStrictEqual(convert({ tool_choice: 'none' }), { type: 'none' });
+        assert.deepStrictEqual(convert({ tool_choice: { type: 'function', function: { name: 'time' } } }), { type: 'tool', name: 'time' });
+        assert.strictEqual(convert({}), null);
+    });
+
+    await suite.test('parallel_tool_calls: false disables parallel tool use', () => {
+        const convert = fields => convertOpenAIToAnthropic(toolRequest(MODEL, fields)).tool_choice;
+        assert.deepStrictEqual(convert({ parallel_tool_calls: false }), { type: 'auto', disable_parallel_tool_use: true });
+        assert.deepStrictEqual(convert({ tool_choice: 'required', parallel_tool_calls: false }), { type: 'any', disable_parallel_tool_use: true });
+        assert.strictEqual(convert({ parallel_tool_calls: true }), null);
+    });
+
+    await suite.test('Forced tool choices become Google function calling modes', () => {
+        const required = toGoogle(toolRequest('gemini-3-flash', { tool_choice: 'required' }));
+        assert.deepStrictEqual(required.toolConfig, { functionCallingConfig: { mode: 'ANY' } });
+
+        const named = toGoogle(toolRequest('gemini-3-flash', { tool_choice: { type: 'function', function: { name: 'time' } } }));
+        assert.deepStrictEqual(named.toolConfig, { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['time'] } });
+
+        assert.strictEqual(toGoogle(toolRequest('gemini-3-flash', { tool_choice: 'auto' })).toolConfig, undefined);
+        assert.strictEqual(toGoogle(toolRequest('gemini-3-flash', { tool_choice: 'none' })).tools, undefined);
+    });
+
+    await suite.test('Claude thinking is asked to call the tool instead of being forced', () => {
+        const request = toGoogle(toolRequest(MODEL, { tool_choice: { type: 'function', function: { name: 'time' } } }));
+        assert.strictEqual(request.toolConfig, undefined);
+        assert.match(systemText(request), /You must call the time tool/);
+    });
+
+    await suite.test('parallel_tool_calls: false asks for one call and drops the rest', () => {
+        const request = toGoogle(toolRequest('gemini-3-flash', { parallel_tool_calls: false }));
+        assert.ok(systemText(request).includes(SINGLE_TOOL_CALL_HINT));
+        assert.ok(!systemText(toGoogle(toolRequest('gemini-3-flash', {}))).includes(SINGLE_TOOL_CALL_HINT));
+
+        const call = (id, name) => ({ type: 'tool_use', id, name, input: {} });
+        const limited = limitToolCalls({ content: [{ type: 'text', text: 'Checking' }, call('t1', 'weather'), call('t2', 'time')] });
+        assert.deepStrictEqual(limited.content.map(block => block.id || block.type), ['text', 't1']);
+        assert.strictEqual(limited.tool_calls_truncated, 1);
+
+        const limit = createToolCallLimiter();
+        const events = [
+            { type: 'content_block_start', index: 0, content_block: call('t1', 'weather') },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: call('t2', 'time') },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'content_block_start', index: 2, content_block: { type: 'text', text: '' } },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' } }
+        ].map(limit);
+        assert.deepStrictEqual(events.slice(2, 5), [null, null, null]);
+        assert.strictEqual(events[5].index, 1);
+        assert.strictEqual(events[6].tool_calls_truncated, 1);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,109 @@
+/**
+ * Request History Test
+ *
+ * Tests the request history database without a server:
+ * - Time bounds are read as epoch milliseconds or ISO 8601 dates, and
+ *   anything else is rejected
+ * - Queries filter on the time range (both ends inclusive), model, API key
+ *   and client, newest first, with the total counted before paging
+ * - Records keep their shape through the database
+ *
+ * The database is a temporary SQLite file.
+ */
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+const BASE = Date.parse('2026-03-01T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Build a request record the minute after BASE given by offset
+ */
+function record(offset, fields = {}) {
+    return {
+        id: `req-${offset}`,
+        method: 'POST',
+        path: '/v1/messages',
+        status: 'success',
+        model: 'gemini-3-flash',
+        timestamp: new Date(BASE + offset * MINUTE).toISOString(),
+        ...fields
+    };
+}
+
+async function runTests() {
+    const { parseTimeBound } = await importSource('utils/helpers.js');
+    const { createRequestHistoryStore } = await importSource('db/request-history-db.js');
+
+    const store = createRequestHistoryStore(path.join(os.homedir(), 'history', 'requests.db'));
+    store.insert(record(0, { apiKey: 'ci', clientId: 'cursor' }));
+    store.insert(record(1, { model: 'claude-sonnet-4-5', apiKey: 'ci' }));
+    store.insert(record(2, { apiKey: 'laptop', clientId: 'cursor', status: 'error', error: 'Rate limited' }));
+    store.insert(record(3, { model: 'claude-sonnet-4-5', apiKey: 'laptop' }));
+    store.insert(record(4));
+
+    const ids = result => result.requests.map(request => request.id);
+
+    const suite = createSuite('REQUEST HISTORY TEST');
+
+    await suite.test('Time bounds accept epoch milliseconds and ISO dates', () => {
+        assert.strictEqual(parseTimeBound(String(BASE)), BASE);
+        assert.strictEqual(parseTimeBound('2026-03-01T12:00:00Z'), BASE);
+        assert.strictEqual(parseTimeBound(undefined), undefined);
+        assert.strictEqual(parseTimeBound(''), undefined);
+        assert.strictEqual(parseTimeBound('yesterday'), null);
+    });
+
+    await suite.test('Unfiltered query returns every record, newest first', () => {
+        const result = store.query();
+        assert.strictEqual(result.total, 5);
+        assert.deepStrictEqual(ids(result), ['req-4', 'req-3', 'req-2', 'req-1', 'req-0']);
+    });
+
+    await suite.test('Time range includes both ends', () => {
+        const result = store.query({
+            from: parseTimeBound(new Date(BASE + MINUTE).toISOString()),
+            to: parseTimeBound(String(BASE + 3 * MINUTE))
+        });
+        assert.deepStrictEqual(ids(result), ['req-3', 'req-2', 'req-1']);
+
+        assert.deepStrictEqual(ids(store.query({ from: BASE + 4 * MINUTE })), ['req-4']);
+        assert.deepStrictEqual(ids(store.query({ to: BASE })), ['req-0']);
+    });
+
+    await suite.test('Model, key and client filters combine', () => {
+        assert.deepStrictEqual(ids(store.query({ model: 'claude-sonnet-4-5' })), ['req-3', 'req-1']);
+        assert.deepStrictEqual(ids(store.query({ apiKey: 'laptop' })), ['req-3', 'req-2']);
+        assert.deepStrictEqual(ids(store.query({ apiKey: 'laptop', model: 'gemini-3-flash' })), ['req-2']);
+        assert.deepStrictEqual(ids(store.query({ clientId: 'cursor' })), ['req-2', 'req-0']);
+        assert.deepStrictEqual(ids(store.query({ apiKey: 'ci', to: BASE })), ['req-0']);
+        assert.strictEqual(store.query({ apiKey: 'nobody' }).total, 0);
+    });
+
+    await suite.test('Total counts every match, not just the page', () => {
+        const result = store.query({ apiKey: 'laptop', limit: 1, offset: 1 });
+        assert.strictEqual(result.total, 2);
+        assert.deepStrictEqual(ids(result), ['req-2']);
+    });
+
+    await suite.test('Records keep their fields', () => {
+        const [request] = store.query({ status: 'error' }).requests;
+        assert.deepStrictEqual(request, record(2, { apiKey: 'laptop', clientId: 'cursor', status: 'error', error: 'Rate limited' }));
+    });
+
+    await suite.test('Filter options list distinct values', () => {
+        const options = store.getFilterOptions();
+        assert.deepStrictEqual(options.models, ['claude-sonnet-4-5', 'gemini-3-flash']);
+        assert.deepStrictEqual(options.apiKeys, ['ci', 'laptop']);
+    });
+
+    store.close();
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,177 @@
+/**
+ * Response Cache Test
+ *
+ * Tests when the response cache answers without calling upstream:
+ * - Requests are keyed by what is sent upstream, so key order does not
+ *   matter but any change to the conversation does
+ * - temperature 0 is cached, other temperatures only with
+ *   "x-response-cache: on", and "off" always skips the cache
+ * - A streamed answer is served to a non-streaming request and replayed as
+ *   a stream for a streaming one
+ * - Entries expire after RESPONSE_CACHE_TTL_SECONDS, and the least recently
+ *   used entry is evicted once RESPONSE_CACHE_MAX_ENTRIES is reached
+ *
+ * Upstream responses are served by replacing the global fetch.
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+process.env.RESPONSE_CACHE = 'true';
+process.env.RESPONSE_CACHE_TTL_SECONDS = '60';
+process.env.RESPONSE_CACHE_MAX_ENTRIES = '2';
+delete process.env.RESPONSE_CACHE_PERSIST;
+
+const MODEL = 'claude-sonnet-4-5';
+const TTL_MS = 60 * 1000;
+
+function fakeAccountManager() {
+    return {
+        selectAccount: () => ({ account: { email: 'a@example.com' }, waitMs: 0 }),
+        getAccountCount: () => 1,
+        getTokenForAccount: async () => 'token',
+        getProjectForAccount: async () => 'project',
+        markRateLimited: () => {},
+        clearTokenCache: () => {},
+        clearProjectCache: () => {}
+    };
+}
+
+/**
+ * Anthropic request for a one-message conversation
+ */
+function request(text, fields = {}) {
+    return { model: MODEL, max_tokens: 256, temperature: 0, messages: [{ role: 'user', content: text }], ...fields };
+}
+
+async function runTests() {
+    const { sendMessageCached, sendMessageStreamCached } = await importSource('services/response-cache.js');
+
+    // Each upstream call answers with its own number, so hits are recognisable
+    let upstreamCalls = 0;
+    globalThis.fetch = async url => {
+        upstreamCalls++;
+        const candidate = {
+            response: {
+                candidates: [{ content: { role: 'model', parts: [{ text: `Answer ${upstreamCalls}` }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 }
+            }
+        };
+        if (url.includes('streamGenerateContent')) {
+            return new Response(`data: ${JSON.stringify(candidate)}\n\n`, {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream' }
+            });
+        }
+        return new Response(JSON.stringify(candidate), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    const accountManager = fakeAccountManager();
+
+    /**
+     * Send a non-streaming request and report whether upstream was called
+     * @returns {Promise<{text: string, cached: boolean, upstream: boolean}>}
+     */
+    async function send(anthropicRequest, cache = null) {
+        const before = upstreamCalls;
+        const response = await sendMessageCached(anthropicRequest, accountManager, { cache });
+        return { text: response.content[0].text, cached: response._cached === true, upstream: upstreamCalls > before };
+    }
+
+    /**
+     * Stream a request and collect its text
+     * @returns {Promise<{text: string, cached: boolean, upstream: boolean}>}
+     */
+    async function stream(anthropicRequest, cache = null) {
+        const before = upstreamCalls;
+        let text = '';
+        let cached = false;
+        for await (const event of sendMessageStreamCached({ ...anthropicRequest, stream: true }, accountManager, { cache })) {
+            if (event.type === 'internal_metadata') cached = event.cached === true;
+            if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') text += event.delta.text;
+        }
+        return { text, cached, upstream: upstreamCalls > before };
+    }
+
+    const suite = createSuite('RESPONSE CACHE TEST');
+
+    await suite.test('Identical request is answered from the cache', async () => {
+        const first = await send(request('Key order'));
+        assert.deepStrictEqual(first, { text: first.text, cached: false, upstream: true });
+
+        const reordered = { messages: [{ content: 'Key order', role: 'user' }], temperature: 0, max_tokens: 256, model: MODEL };
+        assert.deepStrictEqual(await send(reordered), { text: first.text, cached: true, upstream: false });
+    });
+
+    await suite.test('A different conversation or setting misses', async () => {
+        await send(request('Changes'));
+        assert.strictEqual((await send(request('Changes!'))).upstream, true);
+        assert.strictEqual((await send(request('Changes', { max_tokens: 512 }))).upstream, true);
+        assert.strictEqual((await send(request('Changes', { system: 'Be brief' }))).upstream, true);
+    });
+
+    await suite.test('Only temperature 0 is cached unless the client opts in', async () => {
+        const warm = request('Warm', { temperature: 0.7 });
+        assert.strictEqual((await send(warm)).upstream, true);
+        assert.strictEqual((await send(warm)).upstream, true);
+
+        const optedIn = await send(warm, 'on');
+        assert.strictEqual(optedIn.upstream, true);
+        assert.deepStrictEqual(await send(warm, 'on'), { text: optedIn.text, cached: true, upstream: false });
+        // Without the header the same request still bypasses the entry
+        assert.strictEqual((await send(warm)).upstream, true);
+    });
+
+    await suite.test('x-response-cache: off skips the cache', async () => {
+        await send(request('Skip'));
+        const skipped = await send(request('Skip'), 'off');
+        assert.strictEqual(skipped.upstream, true);
+        assert.strictEqual(skipped.cached, false);
+    });
+
+    await suite.test('Streamed and non-streaming requests share an entry', async () => {
+        const streamed = await stream(request('Stream'));
+        assert.strictEqual(streamed.upstream, true);
+        assert.strictEqual(streamed.cached, false);
+        assert.deepStrictEqual(await send(request('Stream')), { text: streamed.text, cached: true, upstream: false });
+        assert.deepStrictEqual(await stream(request('Stream')), { text: streamed.text, cached: true, upstream: false });
+
+        const sent = await send(request('Sent'));
+        assert.deepStrictEqual(await stream(request('Sent')), { text: sent.text, cached: true, upstream: false });
+    });
+
+    await suite.test('Entries expire after the TTL', async () => {
+        const first = await send(request('Expiring'));
+        const realNow = Date.now;
+        const start = realNow();
+        try {
+            Date.now = () => start + TTL_MS - 1000;
+            assert.strictEqual((await send(request('Expiring'))).text, first.text);
+            Date.now = () => start + TTL_MS + 1000;
+            const expired = await send(request('Expiring'));
+            assert.strictEqual(expired.upstream, true);
+            assert.notStrictEqual(expired.text, first.text);
+        } finally {
+            Date.now = realNow;
+        }
+    });
+
+    await suite.test('The least recently used entry is evicted when full', async () => {
+        const a = await send(request('LRU a'));
+        const b = await send(request('LRU b'));
+        // Reading a makes b the oldest
+        assert.strictEqual((await send(request('LRU a'))).cached, true);
+        await send(request('LRU c'));
+
+        assert.deepStrictEqual(await send(request('LRU a')), { text: a.text, cached: true, upstream: false });
+        const evicted = await send(request('LRU b'));
+        assert.strictEqual(evicted.upstream, true);
+        assert.notStrictEqual(evicted.text, b.text);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * OpenAI Responses API Test
+ *
+ * Tests the /v1/responses endpoint:
+ * - Non-streaming text response with output items and usage
+ * - Streaming emits Responses-style events in order
+ * - Function call round trip (function_call + function_call_output items)
+ *
+ * Runs for both Claude and Gemini model families.
+ */
+const { streamRequest, makeRequest } = require('./helpers/http-client.cjs');
+const { getTestModels } = require('./helpers/test-models.cjs');
+
+const RESPONSES_PATH = '/v1/responses';
+
+const weatherTool = {
+    type: 'function',
+    name: 'get_weather',
+    description: 'Get the current weather for a location',
+    parameters: {
+        type: 'object',
+        properties: {
+            location: { type: 'string', description: 'City name' }
+        },
+        required: ['location']
+    }
+};
+
+async function runTestsForModel(family, model) {
+    console.log('='.repeat(60));
+    console.log(`RESPONSES API TEST [${family.toUpperCase()}]`);
+    console.log(`Model: ${model}`);
+    console.log('Tests /v1/responses (non-streaming, streaming, tools)');
+    console.log('='.repeat(60));
+    console.log('');
+
+    let allPassed = true;
+    const results = [];
+
+    // ===== TEST 1: Non-streaming text =====
+    console.log('TEST 1: Non-streaming text response');
+    console.log('-'.repeat(40));
+
+    const result1 = await makeRequest({
+        model,
+        input: 'Say hello in exactly three words.',
+        max_output_tokens: 8000
+    }, RESPONSES_PATH);
+
+    const message1 = (result1.output || []).find(item => item.type === 'message');
+    const text1 = message1?.content?.map(part => part.text).join('') || '';
+    console.log(`  Status: ${result1.statusCode} (${result1.status})`);
+    console.log(`  Output items: ${(result1.output || []).map(item => item.type).join(', ')}`);
+    console.log(`  Text: "${text1.substring(0, 80)}"`);
+
+    const passed1 = result1.statusCode === 200 &&
+        result1.object === 'response' &&
+        text1.length > 0 &&
+        result1.usage?.input_tokens > 0;
+    results.push({ name: 'Non-streaming returns message output and usage', passed: passed1 });
+    if (!passed1) allPassed = false;
+
+    // ===== TEST 2: Streaming events =====
+    console.log('\nTEST 2: Streaming events');
+    console.log('-'.repeat(40));
+
+    const result2 = await streamRequest({
+        model,
+        input: 'Count from 1 to 5.',
+        max_output_tokens: 8000,
+        stream: true
+    }, RESPONSES_PATH);
+
+    const types2 = result2.events.map(e => e.type);
+    const textDeltas = result2.events.filter(e => e.type === 'response.output_text.delta');
+    const sequenceOk = result2.events.every((e, i) => e.data.sequence_number === i);
+    console.log(`  Events: ${types2.length} (${textDeltas.length} text deltas)`);
+    console.log(`  First: ${types2[0]}, Last: ${types2[types2.length - 1]}`);
+    console.log(`  Sequence numbers in order: ${sequenceOk ? 'YES' : 'NO'}`);
+
+    const passed2 = types2[0] === 'response.created' &&
+        types2[types2.length - 1] === 'response.completed' &&
+        textDeltas.length > 0 &&
+        sequenceOk;
+    results.push({ name: 'Streaming emits ordered Responses events', passed: passed2 });
+    if (!passed2) allPassed = false;
+
+    // ===== TEST 3: Function call round trip =====
+    console.log('\nTEST 3: Function call round trip');
+    console.log('-'.repeat(40));
+
+    const input3 = [{ role: 'user', content: 'What is the weather in Paris? Use the get_weather tool.' }];
+    const result3 = await makeRequest({
+        model,
+        input: input3,
+        tools: [weatherTool],
+        tool_choice: 'required',
+        max_output_tokens: 8000
+    }, RESPONSES_PATH);
+
+    const call = (result3.output || []).find(item => item.type === 'function_call');
+    console.log(`  Function call: ${call ? `${call.name}(${call.arguments})` : 'NONE'}`);
+
+    let passed3 = !!call && call.name === 'get_weather';
+    if (passed3) {
+        const followUp = await makeRequest({
+            model,
+            input: [
+                ...input3,
+                ...result3.output,
+                { type: 'function_call_output', call_id: call.call_id, output: '{"temperature": "18C", "conditions": "sunny"}' }
+            ],
+            tools: [weatherTool],
+            max_output_tokens: 8000
+        }, RESPONSES_PATH);
+
+        const message3 = (followUp.output || []).find(item => item.type === 'message');
+        const text3 = message3?.content?.map(part => part.text).join('') || '';
+        console.log(`  Follow-up status: ${followUp.statusCode}`);
+        console.log(`  Follow-up text: "${text3.substring(0, 80)}"`);
+        passed3 = followUp.statusCode === 200 && text3.length > 0;
+    }
+    results.push({ name: 'Function call and output round trip', passed: passed3 });
+    if (!passed3) allPassed = false;
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log(`SUMMARY [${family.toUpperCase()}]`);
+    console.log('='.repeat(60));
+
+    for (const result of results) {
+        const status = result.passed ? 'PASS' : 'FAIL';
+        console.log(`  [${status}] ${result.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`[${family.toUpperCase()}] ${allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED'}`);
+    console.log('='.repeat(60));
+
+    return allPassed;
+}
+
+async function runTests() {
+    const models = getTestModels();
+    let allPassed = true;
+
+    for (const { family, model } of models) {
+        console.log('\n');
+        const passed = await runTestsForModel(family, model);
+        if (!passed) allPassed = false;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('FINAL RESULT');
+    console.log('='.repeat(60));
+    console.log(`Overall: ${allPassed ? 'ALL MODEL FAMILIES PASSED' : 'SOME MODEL FAMILIES FAILED'}`);
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,215 @@
+/**
+ * Stream Resume Test
+ *
+ * Tests the streaming helpers and stream recovery without a server:
+ * - withKeepalive pings while the source is silent and closes it when stopped early
+ * - interleaveAsync tags items with their source and closes the others on error
+ * - A stream that breaks during thinking starts over, closing the unsigned
+ *   block and streaming the new thinking as a fresh, signed block
+ * - A stream that breaks after text is continued with an assistant prefill,
+ *   except for Claude thinking models, whose stream ends with the error
+ *
+ * Upstream responses are served by replacing the global fetch.
+ */
+const assert = require('assert');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+const SIGNATURE = 'sig'.repeat(30);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Async iterable that yields each value after a delay and records whether it was closed
+ */
+function delayed(values, delayMs) {
+    const source = {
+        closed: false,
+        async *[Symbol.asyncIterator]() {
+            try {
+                for (const value of values) {
+                    await sleep(delayMs);
+                    if (value instanceof Error) throw value;
+                    yield value;
+                }
+            } finally {
+                source.closed = true;
+            }
+        }
+    };
+    return source;
+}
+
+/**
+ * Build an upstream SSE response from Cloud Code chunks
+ */
+function sseResponse(chunks) {
+    const body = chunks.map(data => `data: ${JSON.stringify(data)}\n\n`).join('');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+const chunk = (parts, finishReason) => ({
+    response: { candidates: [{ content: { role: 'model', parts }, ...(finishReason && { finishReason }) }] }
+});
+const broken = { error: { code: 503, message: 'Connection reset', status: 'UNAVAILABLE' } };
+
+function fakeAccountManager() {
+    return {
+        selectAccount: () => ({ account: { email: 'a@example.com' }, waitMs: 0 }),
+        getAccountCount: () => 1,
+        getTokenForAccount: async () => 'token',
+        getProjectForAccount: async () => 'project',
+        markRateLimited: () => {},
+        clearTokenCache: () => {},
+        clearProjectCache: () => {}
+    };
+}
+
+async function runTests() {
+    const { withKeepalive, interleaveAsync } = await importSource('utils/helpers.js');
+    const { sendMessageStream } = await importSource('cloudcode-client.js');
+    const { clearEndpointHealth } = await importSource('services/endpoint-health.js');
+
+    let requests = [];
+    let responses = [];
+    globalThis.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return sseResponse(responses.shift());
+    };
+
+    /**
+     * Stream a request against the queued upstream responses
+     * @returns {Promise<{events: Array<Object>, error: Error|null}>}
+     */
+    async function stream(model, upstream) {
+        clearEndpointHealth();
+        requests = [];
+        responses = upstream;
+        const events = [];
+        try {
+            const request = {
+                model,
+                max_tokens: 1024,
+                thinking: { type: 'enabled', budget_tokens: 1000 },
+                messages: [{ role: 'user', content: 'Hi' }]
+            };
+            for await (const event of sendMessageStream(request, fakeAccountManager())) {
+                if (event.type !== 'internal_metadata') events.push(event);
+            }
+            return { events, error: null };
+        } catch (error) {
+            return { events, error };
+        }
+    }
+
+    const blocksOf = events => events.filter(event => event.type === 'content_block_start')
+        .map(event => event.content_block.type);
+    const deltasOf = (events, index) => events.filter(event => event.type === 'content_block_delta' && event.index === index)
+        .map(event => event.delta.type);
+    const lastContents = request => request.request.contents[request.request.contents.length - 1];
+
+    const suite = createSuite('STREAM RESUME TEST');
+
+    await suite.test('withKeepalive pings while the source is silent', async () => {
+        const events = [];
+        for await (const event of withKeepalive(delayed([{ type: 'a' }, { type: 'b' }], 70), 30)) {
+            events.push(event.type);
+        }
+        assert.deepStrictEqual(events.filter(type => type !== 'ping'), ['a', 'b']);
+        assert.ok(events.indexOf('a') >= 1, `events: ${events}`);
+        assert.ok(events.indexOf('b') - events.indexOf('a') > 1, `events: ${events}`);
+    });
+
+    await suite.test('withKeepalive closes the source when stopped early', async () => {
+        const source = delayed([{ type: 'a' }, { type: 'b' }], 10);
+        for await (const event of withKeepalive(source, 1000)) {
+            if (event.type === 'a') break;
+        }
+        await sleep(30);
+        assert.strictEqual(source.closed, true);
+    });
+
+    await suite.test('interleaveAsync yields items tagged with their source as they arrive', async () => {
+        const items = [];
+        for await (const item of interleaveAsync([delayed(['slow'], 60), delayed(['fast1', 'fast2'], 20)])) {
+            items.push(item);
+        }
+        assert.deepStrictEqual(items, [
+            { index: 1, value: 'fast1' },
+            { index: 1, value: 'fast2' },
+            { index: 0, value: 'slow' }
+        ]);
+    });
+
+    await suite.test('interleaveAsync rethrows an error and closes the other sources', async () => {
+        const other = delayed(['late'], 200);
+        await assert.rejects(async () => {
+            for await (const item of interleaveAsync([other, delayed([new Error('boom')], 10)])) {
+                assert.fail(`unexpected ${item.value}`);
+            }
+        }, /boom/);
+        await sleep(250);
+        assert.strictEqual(other.closed, true);
+    });
+
+    await suite.test('Stream that breaks during thinking restarts with a fresh signed block', async () => {
+        const { events, error } = await stream('gemini-3-flash', [
+            [chunk([{ thought: true, text: 'First try' }]), broken],
+            [
+                chunk([{ thought: true, text: 'Second try', thoughtSignature: SIGNATURE }]),
+                chunk([{ text: 'Hello' }], 'STOP')
+            ]
+        ]);
+        assert.strictEqual(error, null);
+        assert.strictEqual(events.filter(event => event.type === 'message_start').length, 1);
+        assert.deepStrictEqual(blocksOf(events), ['thinking', 'thinking', 'text']);
+        assert.deepStrictEqual(deltasOf(events, 0), ['thinking_delta']);
+        assert.deepStrictEqual(deltasOf(events, 1), ['thinking_delta', 'signature_delta']);
+        assert.deepStrictEqual(deltasOf(events, 2), ['text_delta']);
+        assert.strictEqual(events[events.length - 1].type, 'message_stop');
+
+        // The request is sent again unchanged, without a prefill
+        assert.strictEqual(requests.length, 2);
+        assert.deepStrictEqual(requests[1].request.contents, requests[0].request.contents);
+    });
+
+    await suite.test('Stream that breaks after text continues with a prefill', async () => {
+        const { events, error } = await stream('gemini-3-flash', [
+            [
+                chunk([{ thought: true, text: 'Thinking', thoughtSignature: SIGNATURE }]),
+                chunk([{ text: 'Hello' }]),
+                broken
+            ],
+            [chunk([{ text: ' world' }], 'STOP')]
+        ]);
+        assert.strictEqual(error, null);
+        assert.deepStrictEqual(blocksOf(events), ['thinking', 'text']);
+        const text = events.filter(event => event.delta?.type === 'text_delta').map(event => event.delta.text).join('');
+        assert.strictEqual(text, 'Hello world');
+
+        const prefill = lastContents(requests[1]);
+        assert.strictEqual(prefill.role, 'model');
+        assert.ok(prefill.parts.some(p => p.text === 'Hello' && !p.thought));
+    });
+
+    await suite.test('Claude thinking stream that breaks after text ends with the error', async () => {
+        const { events, error } = await stream('claude-sonnet-4-5-thinking', [
+            [
+                chunk([{ thought: true, text: 'Thinking', thoughtSignature: SIGNATURE }]),
+                chunk([{ text: 'Hello' }]),
+                broken
+            ],
+            [chunk([{ text: ' world' }], 'STOP')]
+        ]);
+        assert.ok(error, 'stream should fail');
+        assert.match(error.message, /503/);
+        assert.strictEqual(requests.length, 1);
+        assert.deepStrictEqual(blocksOf(events), ['thinking', 'text']);
+    });
+
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
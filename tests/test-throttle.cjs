@@ -0,0 +1,152 @@
+/**
+ * Request Throttle Test
+ *
+ * Tests the per-model token buckets without a server:
+ * - Requests within the burst pass straight through, later ones wait an interval
+ * - Waiting requests are let through highest priority first
+ * - A full queue refuses new requests
+ * - A request whose client disconnects leaves the queue without taking a token
+ * - 429s slow a model down and successes speed it up again
+ * - Invalid counts in the config file keep their defaults
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { importSource, createSuite } = require('./helpers/offline.cjs');
+
+const MODEL = 'gemini-3-flash';
+const INTERVAL_MS = 200;
+
+async function runTests() {
+    const { THROTTLE_CONFIG_PATH } = await importSource('constants.js');
+    const {
+        waitForThrottle,
+        recordThrottleResult,
+        getDisconnectSignal,
+        getThrottleStatus,
+        clearThrottleState
+    } = await importSource('services/request-throttle.js');
+    const { addKnownModels } = await importSource('services/model-labels.js');
+    const { ThrottleQueueFullError, ThrottleWaitAbortedError } = await importSource('errors.js');
+
+    addKnownModels([MODEL]);
+    let configVersion = 0;
+
+    /**
+     * Write the throttle config, moving its mtime forward so it is always reloaded
+     */
+    function writeConfig(config) {
+        fs.mkdirSync(path.dirname(THROTTLE_CONFIG_PATH), { recursive: true });
+        fs.writeFileSync(THROTTLE_CONFIG_PATH, JSON.stringify(config));
+        const mtime = new Date(Date.now() + ++configVersion * 1000);
+        fs.utimesSync(THROTTLE_CONFIG_PATH, mtime, mtime);
+        clearThrottleState();
+    }
+
+    const modelStatus = () => getThrottleStatus().models.find(status => status.model === MODEL);
+    const timed = async promise => {
+        const start = Date.now();
+        await promise;
+        return Date.now() - start;
+    };
+
+    const suite = createSuite('REQUEST THROTTLE TEST');
+
+    await suite.test('Burst passes straight through, then requests wait an interval', async () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: INTERVAL_MS, burst: 2 } } });
+        assert.ok(await timed(waitForThrottle(MODEL)) < 50);
+        assert.ok(await timed(waitForThrottle(MODEL)) < 50);
+        const waited = await timed(waitForThrottle(MODEL));
+        assert.ok(waited >= INTERVAL_MS - 20 && waited < INTERVAL_MS * 3, `waited ${waited}ms`);
+    });
+
+    await suite.test('Waiting requests go highest priority first', async () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: 50, burst: 1 } } });
+        await waitForThrottle(MODEL);
+
+        const order = [];
+        await Promise.all(['low', 'normal', 'high'].map(priority =>
+            waitForThrottle(MODEL, { priority }).then(() => order.push(priority))));
+        assert.deepStrictEqual(order, ['high', 'normal', 'low']);
+    });
+
+    await suite.test('Full queue refuses new requests', async () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: 50, burst: 1 } }, maxQueue: 2 });
+        await waitForThrottle(MODEL);
+
+        const waiting = [waitForThrottle(MODEL), waitForThrottle(MODEL)];
+        await assert.rejects(waitForThrottle(MODEL), ThrottleQueueFullError);
+        await Promise.all(waiting);
+    });
+
+    await suite.test('Disconnected request leaves the queue', async () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: INTERVAL_MS, burst: 1 } } });
+        await waitForThrottle(MODEL);
+
+        const controller = new AbortController();
+        let aborted = false;
+        const abandoned = waitForThrottle(MODEL, { signal: controller.signal })
+            .catch(error => { aborted = error instanceof ThrottleWaitAbortedError; });
+        const next = waitForThrottle(MODEL);
+        assert.strictEqual(modelStatus().queued.normal, 2);
+
+        controller.abort();
+        await abandoned;
+        assert.strictEqual(aborted, true);
+        assert.strictEqual(modelStatus().queued.normal, 1);
+
+        // The remaining request takes the next token, not the one after it
+        const waited = await timed(next);
+        assert.ok(waited < INTERVAL_MS * 1.5, `waited ${waited}ms`);
+    });
+
+    await suite.test('Request from a client that is already gone is not queued', async () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: INTERVAL_MS, burst: 1 } } });
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(waitForThrottle(MODEL, { signal: controller.signal }), ThrottleWaitAbortedError);
+        assert.strictEqual(modelStatus().available, 1);
+    });
+
+    await suite.test('Disconnect signal aborts when the response closes', () => {
+        const res = new EventEmitter();
+        res.closed = false;
+        const signal = getDisconnectSignal(res);
+        assert.strictEqual(signal.aborted, false);
+        res.emit('close');
+        assert.strictEqual(signal.aborted, true);
+        assert.strictEqual(getDisconnectSignal({ closed: true }).aborted, true);
+    });
+
+    await suite.test('429 doubles the interval and a success streak halves it', () => {
+        writeConfig({ models: { [MODEL]: { intervalMs: 1000, burst: 1 } }, maxBackoff: 4, successStreak: 2 });
+        for (let i = 0; i < 3; i++) {
+            recordThrottleResult(MODEL, 'a@example.com', { rateLimited: true });
+        }
+        assert.strictEqual(modelStatus().backoff, 4);
+        assert.strictEqual(modelStatus().intervalMs, 4000);
+
+        recordThrottleResult(MODEL, 'a@example.com');
+        assert.strictEqual(modelStatus().backoff, 4);
+        recordThrottleResult(MODEL, 'a@example.com');
+        assert.strictEqual(modelStatus().backoff, 2);
+        assert.strictEqual(modelStatus().intervalMs, 2000);
+    });
+
+    await suite.test('Invalid counts in the config file keep their defaults', () => {
+        writeConfig({ maxQueue: 'lots', maxBackoff: 0, successStreak: 2.5 });
+        assert.strictEqual(getThrottleStatus().maxQueue, 100);
+
+        writeConfig({ maxQueue: 3 });
+        assert.strictEqual(getThrottleStatus().maxQueue, 3);
+    });
+
+    clearThrottleState();
+    suite.finish();
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});